@@ -1,12 +1,21 @@
 package main
 
 import (
+	"bytes"
+	"crypto/sha256"
+	"encoding/hex"
+	"encoding/json"
 	"fmt"
 	"io/ioutil"
 	"log"
+	"net"
 	"net/http"
+	"net/mail"
+	"net/url"
 	"os"
 	"path/filepath"
+	"strings"
+	"sync"
 	"time"
 
 	"github.com/gin-gonic/gin"
@@ -88,13 +97,100 @@ type AuthKeyRequest struct {
 	Tags       []string `json:"tags"`
 }
 
+type HeadscaleNode struct {
+	ID     string `json:"id"`
+	Name   string `json:"name"`
+	User   string `json:"user"`
+	Online bool   `json:"online"`
+}
+
+// Node is a Headscale node as the dashboard lists it, with the owner nested as Headscale sends it
+type Node struct {
+	ID             string     `json:"id"`
+	Name           string     `json:"name"`
+	GivenName      string     `json:"givenName"`
+	User           NodeOwner  `json:"user"`
+	IPAddresses    []string   `json:"ipAddresses"`
+	Online         bool       `json:"online"`
+	LastSeen       *time.Time `json:"lastSeen"`
+	Expiry         *time.Time `json:"expiry"`
+	CreatedAt      *time.Time `json:"createdAt"`
+	ForcedTags     []string   `json:"forcedTags"`
+	ValidTags      []string   `json:"validTags"`
+	RegisterMethod string     `json:"registerMethod"`
+	MachineKey     string     `json:"machineKey"`
+	NodeKey        string     `json:"nodeKey"`
+	// Routes the node advertises, those an admin approved, and those it currently serves
+	AvailableRoutes []string `json:"availableRoutes"`
+	ApprovedRoutes  []string `json:"approvedRoutes"`
+	SubnetRoutes    []string `json:"subnetRoutes"`
+}
+
+type NodeOwner struct {
+	ID   string `json:"id"`
+	Name string `json:"name"`
+}
+
+// NodeRoute is one prefix a node advertises, flattened from the node's route lists
+type NodeRoute struct {
+	ID         string       `json:"id"`
+	Node       RouteNodeRef `json:"node"`
+	Prefix     string       `json:"prefix"`
+	Advertised bool         `json:"advertised"`
+	Enabled    bool         `json:"enabled"`
+	IsPrimary  bool         `json:"isPrimary"`
+}
+
+type RouteNodeRef struct {
+	ID        string `json:"id"`
+	Name      string `json:"name"`
+	GivenName string `json:"givenName"`
+}
+
+type NodeRoutesRequest struct {
+	Routes []string `json:"routes" binding:"required"`
+}
+
+type RenameNodeRequest struct {
+	Name string `json:"name" binding:"required"`
+}
+
+type NodeTagsRequest struct {
+	Tags []string `json:"tags"`
+}
+
+// AuthKeyResponse is a pre-auth key. ID identifies it for revocation, since listings
+// handed to the dashboard only carry a masked Key.
 type AuthKeyResponse struct {
-	Key        string    `json:"key"`
-	User       string    `json:"user"`
-	Ephemeral  bool      `json:"ephemeral"`
-	Reusable   bool      `json:"reusable"`
-	Expiration time.Time `json:"expiration"`
-	Tags       []string  `json:"tags"`
+	ID         string     `json:"id"`
+	Key        string     `json:"key"`
+	User       string     `json:"user"`
+	Ephemeral  bool       `json:"ephemeral"`
+	Reusable   bool       `json:"reusable"`
+	Expiration time.Time  `json:"expiration"`
+	Used       bool       `json:"used"`
+	CreatedAt  *time.Time `json:"createdAt,omitempty"`
+	Tags       []string   `json:"tags"`
+}
+
+// APIKey is a Headscale API key as listed by Headscale; the secret is only returned on creation.
+// InUse marks the key this orchestrator itself authenticates with.
+type APIKey struct {
+	ID         string     `json:"id"`
+	Prefix     string     `json:"prefix"`
+	Expiration *time.Time `json:"expiration"`
+	CreatedAt  *time.Time `json:"createdAt"`
+	LastSeen   *time.Time `json:"lastSeen"`
+	InUse      bool       `json:"inUse"`
+}
+
+type APIKeyRequest struct {
+	Expiration string `json:"expiration" binding:"required"`
+}
+
+type APIKeyCreated struct {
+	APIKey string `json:"apiKey"`
+	Prefix string `json:"prefix"`
 }
 
 // Prometheus metrics
@@ -121,11 +217,64 @@ var (
 			Help: "Duration of config synchronization operations",
 		},
 	)
+
+	// Inventory gauges, sampled periodically so dashboards can chart trends
+	inventoryUsers = prometheus.NewGauge(
+		prometheus.GaugeOpts{
+			Name: "headscale_orchestrator_users",
+			Help: "Number of users registered in Headscale",
+		},
+	)
+
+	inventoryNodes = prometheus.NewGaugeVec(
+		prometheus.GaugeOpts{
+			Name: "headscale_orchestrator_nodes",
+			Help: "Number of nodes registered in Headscale by connection status",
+		},
+		[]string{"status"},
+	)
 )
 
+const inventoryInterval = 30 * time.Second
+
+// Upper bound for each dependency probe in /api/v1/status
+const healthCheckTimeout = 5 * time.Second
+
 type Server struct {
-	config *Config
-	router *gin.Engine
+	config    *Config
+	router    *gin.Engine
+	startedAt time.Time
+	// configMu serializes writes to the desired-state files under DataPath
+	configMu sync.Mutex
+}
+
+// Desired-state files that the dashboard can read and replace, by API name
+var configFiles = map[string]string{
+	"users":  "users.yaml",
+	"routes": "routes.yaml",
+}
+
+// ConfigFile is the raw content of a desired-state file. SHA256 identifies the version
+// an edit was based on so concurrent saves are detected instead of overwritten.
+type ConfigFile struct {
+	Name     string     `json:"name"`
+	Path     string     `json:"path"`
+	Content  string     `json:"content"`
+	SHA256   string     `json:"sha256"`
+	Exists   bool       `json:"exists"`
+	Modified *time.Time `json:"modified,omitempty"`
+}
+
+type ConfigFileUpdate struct {
+	Content    string `json:"content"`
+	BaseSHA256 string `json:"base_sha256"`
+}
+
+// ComponentHealth is the result of probing one dependency of the orchestrator
+type ComponentHealth struct {
+	Status    string `json:"status"`
+	LatencyMs int64  `json:"latency_ms"`
+	Error     string `json:"error,omitempty"`
 }
 
 func NewServer() *Server {
@@ -141,6 +290,8 @@ func NewServer() *Server {
 	prometheus.MustRegister(applyCounter)
 	prometheus.MustRegister(driftCheckCounter)
 	prometheus.MustRegister(configSyncDuration)
+	prometheus.MustRegister(inventoryUsers)
+	prometheus.MustRegister(inventoryNodes)
 
 	router := gin.Default()
 	
@@ -151,8 +302,9 @@ func NewServer() *Server {
 	router.Use(authMiddleware(config.HeadscaleAPIKey))
 
 	server := &Server{
-		config: config,
-		router: router,
+		config:    config,
+		router:    router,
+		startedAt: time.Now(),
 	}
 
 	server.setupRoutes()
@@ -179,6 +331,12 @@ func (s *Server) setupRoutes() {
 		v1.POST("/keys", s.createAuthKey)
 		v1.GET("/keys", s.listAuthKeys)
 		v1.DELETE("/keys/:id", s.revokeAuthKey)
+
+		// Headscale API key management
+		v1.GET("/apikeys", s.listAPIKeys)
+		v1.POST("/apikeys", s.createAPIKey)
+		v1.POST("/apikeys/:prefix/expire", s.expireAPIKey)
+		v1.DELETE("/apikeys/:prefix", s.deleteAPIKey)
 		
 		// Users management
 		v1.GET("/users", s.listUsers)
@@ -189,16 +347,22 @@ func (s *Server) setupRoutes() {
 		v1.GET("/nodes", s.listNodes)
 		v1.DELETE("/nodes/:id", s.deleteNode)
 		v1.POST("/nodes/:id/expire", s.expireNode)
+		v1.POST("/nodes/:id/rename", s.renameNode)
+		v1.POST("/nodes/:id/tags", s.setNodeTags)
 		
 		// Routes management
 		v1.GET("/routes", s.listRoutes)
-		v1.POST("/routes", s.enableRoute)
-		v1.DELETE("/routes/:id", s.disableRoute)
+		v1.POST("/nodes/:id/routes/enable", s.enableRoutes)
+		v1.POST("/nodes/:id/routes/disable", s.disableRoutes)
 		
 		// ACL management
 		v1.GET("/acl", s.getACL)
 		v1.PUT("/acl", s.updateACL)
 		
+		// Desired-state files (users.yaml, routes.yaml)
+		v1.GET("/config/:name", s.getConfigFile)
+		v1.PUT("/config/:name", s.putConfigFile)
+
 		// System status
 		v1.GET("/status", s.getSystemStatus)
 	}
@@ -390,11 +554,15 @@ func (s *Server) createAuthKey(c *gin.Context) {
 		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
 		return
 	}
+	if duration, err := time.ParseDuration(req.Expiration); req.Expiration != "" && (err != nil || duration <= 0) {
+		c.JSON(http.StatusBadRequest, gin.H{"error": "expiration must be a positive duration such as 24h"})
+		return
+	}
 
 	// Create auth key via Headscale API
 	key, err := s.createHeadscaleAuthKey(req)
 	if err != nil {
-		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to create auth key: " + err.Error()})
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to create auth key: " + err.Error()})
 		return
 	}
 
@@ -402,21 +570,58 @@ func (s *Server) createAuthKey(c *gin.Context) {
 }
 
 func (s *Server) getSystemStatus(c *gin.Context) {
+	health := map[string]ComponentHealth{
+		"headscale": s.checkHeadscale(),
+		"storage":   s.checkStorage(),
+	}
+
+	overall := "ok"
+	for _, component := range health {
+		if component.Status != "ok" {
+			overall = "degraded"
+		}
+	}
+
 	status := map[string]interface{}{
 		"service":   "headscale-orchestrator",
 		"version":   "1.0.0",
-		"uptime":    time.Since(time.Now()).String(),
+		"status":    overall,
+		"uptime":    time.Since(s.startedAt).Round(time.Second).String(),
 		"timestamp": time.Now().Unix(),
-		"health": map[string]string{
-			"database":  "connected",
-			"headscale": "reachable",
-			"storage":   "accessible",
-		},
+		"health":    health,
 	}
 
 	c.JSON(http.StatusOK, status)
 }
 
+// checkHeadscale probes Headscale's /health endpoint, which also verifies its database connection
+func (s *Server) checkHeadscale() ComponentHealth {
+	client := &http.Client{Timeout: healthCheckTimeout}
+	start := time.Now()
+	resp, err := client.Get(strings.TrimRight(s.config.HeadscaleURL, "/") + "/health")
+	latency := time.Since(start).Milliseconds()
+	if err != nil {
+		return ComponentHealth{Status: "error", LatencyMs: latency, Error: err.Error()}
+	}
+	defer resp.Body.Close()
+
+	if resp.StatusCode != http.StatusOK {
+		return ComponentHealth{Status: "error", LatencyMs: latency, Error: fmt.Sprintf("health endpoint returned %d", resp.StatusCode)}
+	}
+	return ComponentHealth{Status: "ok", LatencyMs: latency}
+}
+
+// checkStorage verifies the data directory holding users.yaml, routes.yaml and acl.yaml can be read
+func (s *Server) checkStorage() ComponentHealth {
+	start := time.Now()
+	_, err := ioutil.ReadDir(s.config.DataPath)
+	latency := time.Since(start).Milliseconds()
+	if err != nil {
+		return ComponentHealth{Status: "error", LatencyMs: latency, Error: err.Error()}
+	}
+	return ComponentHealth{Status: "ok", LatencyMs: latency}
+}
+
 // Helper functions for loading configuration
 func (s *Server) loadUsers() ([]User, error) {
 	usersFile := filepath.Join(s.config.DataPath, "users.yaml")
@@ -463,12 +668,169 @@ func (s *Server) loadACL() (*ACLPolicy, error) {
 	return &acl, nil
 }
 
+// saveACL replaces acls.yaml with the given policy
+func (s *Server) saveACL(acl *ACLPolicy) error {
+	data, err := yaml.Marshal(acl)
+	if err != nil {
+		return err
+	}
+	return writeFileAtomic(filepath.Join(s.config.DataPath, "acls.yaml"), data)
+}
+
+// writeFileAtomic writes to a temporary file next to path and renames it into place so
+// readers never see a partial file
+func writeFileAtomic(path string, data []byte) error {
+	tmp, err := ioutil.TempFile(filepath.Dir(path), "."+filepath.Base(path)+"-*")
+	if err != nil {
+		return err
+	}
+	_, err = tmp.Write(data)
+	if closeErr := tmp.Close(); err == nil {
+		err = closeErr
+	}
+	if err == nil {
+		err = os.Rename(tmp.Name(), path)
+	}
+	if err != nil {
+		os.Remove(tmp.Name())
+	}
+	return err
+}
+
+func (s *Server) readConfigFile(name string) (*ConfigFile, error) {
+	path := filepath.Join(s.config.DataPath, configFiles[name])
+	file := &ConfigFile{Name: name, Path: path}
+	data, err := ioutil.ReadFile(path)
+	if err != nil && !os.IsNotExist(err) {
+		return nil, err
+	}
+	if err == nil {
+		info, statErr := os.Stat(path)
+		if statErr != nil {
+			return nil, statErr
+		}
+		modified := info.ModTime()
+		file.Exists = true
+		file.Modified = &modified
+	}
+	sum := sha256.Sum256(data)
+	file.Content = string(data)
+	file.SHA256 = hex.EncodeToString(sum[:])
+	return file, nil
+}
+
+// validateConfigContent checks a desired-state file the way apply will read it, plus the
+// rules apply relies on: unknown fields are rejected and names must be present and unique.
+func validateConfigContent(name, content string) []string {
+	problems := []string{}
+	switch name {
+	case "users":
+		var users []User
+		if err := yaml.UnmarshalStrict([]byte(content), &users); err != nil {
+			return []string{err.Error()}
+		}
+		seen := map[string]bool{}
+		for i, user := range users {
+			if strings.TrimSpace(user.Name) == "" {
+				problems = append(problems, fmt.Sprintf("users[%d]: name is required", i))
+			} else if seen[user.Name] {
+				problems = append(problems, fmt.Sprintf("users[%d]: duplicate user %q", i, user.Name))
+			}
+			seen[user.Name] = true
+			if user.Email != "" {
+				if _, err := mail.ParseAddress(user.Email); err != nil {
+					problems = append(problems, fmt.Sprintf("users[%d]: invalid email %q", i, user.Email))
+				}
+			}
+		}
+	case "routes":
+		var routes []Route
+		if err := yaml.UnmarshalStrict([]byte(content), &routes); err != nil {
+			return []string{err.Error()}
+		}
+		seen := map[string]bool{}
+		for i, route := range routes {
+			if strings.TrimSpace(route.Node) == "" {
+				problems = append(problems, fmt.Sprintf("routes[%d]: node is required", i))
+			} else if seen[route.Node] {
+				problems = append(problems, fmt.Sprintf("routes[%d]: duplicate node %q", i, route.Node))
+			}
+			seen[route.Node] = true
+			for _, prefix := range route.Routes {
+				if _, _, err := net.ParseCIDR(prefix); err != nil {
+					problems = append(problems, fmt.Sprintf("routes[%d]: invalid prefix %q", i, prefix))
+				}
+			}
+		}
+	}
+	return problems
+}
+
+func (s *Server) getConfigFile(c *gin.Context) {
+	name := c.Param("name")
+	if _, ok := configFiles[name]; !ok {
+		c.JSON(http.StatusNotFound, gin.H{"error": fmt.Sprintf("Unknown config file: %s", name)})
+		return
+	}
+	file, err := s.readConfigFile(name)
+	if err != nil {
+		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to read config file: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, file)
+}
+
+// putConfigFile replaces a desired-state file with exactly the submitted text (so comments
+// and ordering survive), after validating it and checking it was edited from the current version
+func (s *Server) putConfigFile(c *gin.Context) {
+	name := c.Param("name")
+	if _, ok := configFiles[name]; !ok {
+		c.JSON(http.StatusNotFound, gin.H{"error": fmt.Sprintf("Unknown config file: %s", name)})
+		return
+	}
+	var req ConfigFileUpdate
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
+		return
+	}
+	if problems := validateConfigContent(name, req.Content); len(problems) > 0 {
+		c.JSON(http.StatusBadRequest, gin.H{"error": fmt.Sprintf("Invalid %s", configFiles[name]), "problems": problems})
+		return
+	}
+
+	s.configMu.Lock()
+	defer s.configMu.Unlock()
+
+	current, err := s.readConfigFile(name)
+	if err != nil {
+		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to read config file: " + err.Error()})
+		return
+	}
+	if req.BaseSHA256 != current.SHA256 {
+		c.JSON(http.StatusConflict, gin.H{"error": fmt.Sprintf("%s changed since it was loaded", configFiles[name]), "sha256": current.SHA256})
+		return
+	}
+
+	if err := writeFileAtomic(current.Path, []byte(req.Content)); err != nil {
+		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to write config file: " + err.Error()})
+		return
+	}
+
+	updated, err := s.readConfigFile(name)
+	if err != nil {
+		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to read config file: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, updated)
+}
+
 // Headscale API interaction functions
 func (s *Server) createHeadscaleUser(user User) error {
-	// Implementation for creating user via Headscale API
-	// This would make HTTP requests to Headscale API
-	log.Printf("Creating user: %s", user.Name)
-	return nil // Placeholder
+	body := gin.H{"name": user.Name}
+	if user.Email != "" {
+		body["email"] = user.Email
+	}
+	return s.headscaleRequest(http.MethodPost, "user", body, nil)
 }
 
 func (s *Server) enableHeadscaleRoute(route Route) error {
@@ -483,9 +845,82 @@ func (s *Server) updateHeadscaleACL(acl *ACLPolicy) error {
 	return nil // Placeholder
 }
 
+// getHeadscaleUsers lists the names of the users registered in Headscale
 func (s *Server) getHeadscaleUsers() ([]string, error) {
-	// Implementation for getting users from Headscale API
-	return []string{"admin", "alice", "bob"}, nil // Placeholder
+	var resp struct {
+		Users []struct {
+			Name string `json:"name"`
+		} `json:"users"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "user", nil, &resp); err != nil {
+		return nil, err
+	}
+
+	names := make([]string, 0, len(resp.Users))
+	for _, user := range resp.Users {
+		names = append(names, user.Name)
+	}
+	return names, nil
+}
+
+// getHeadscaleNodes lists the nodes registered in Headscale with their online state.
+// Headscale nests the owner as an object; HeadscaleNode flattens it to the user name.
+func (s *Server) getHeadscaleNodes() ([]HeadscaleNode, error) {
+	var resp struct {
+		Nodes []struct {
+			ID        string `json:"id"`
+			Name      string `json:"name"`
+			GivenName string `json:"givenName"`
+			Online    bool   `json:"online"`
+			User      struct {
+				Name string `json:"name"`
+			} `json:"user"`
+		} `json:"nodes"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "node", nil, &resp); err != nil {
+		return nil, err
+	}
+
+	nodes := make([]HeadscaleNode, 0, len(resp.Nodes))
+	for _, node := range resp.Nodes {
+		name := node.GivenName
+		if name == "" {
+			name = node.Name
+		}
+		nodes = append(nodes, HeadscaleNode{ID: node.ID, Name: name, User: node.User.Name, Online: node.Online})
+	}
+	return nodes, nil
+}
+
+// collectInventory keeps the inventory gauges current until the process exits
+func (s *Server) collectInventory(interval time.Duration) {
+	for {
+		s.updateInventoryMetrics()
+		time.Sleep(interval)
+	}
+}
+
+func (s *Server) updateInventoryMetrics() {
+	users, err := s.getHeadscaleUsers()
+	if err != nil {
+		log.Printf("Failed to sample users: %v", err)
+	} else {
+		inventoryUsers.Set(float64(len(users)))
+	}
+
+	nodes, err := s.getHeadscaleNodes()
+	if err != nil {
+		log.Printf("Failed to sample nodes: %v", err)
+		return
+	}
+	online := 0
+	for _, node := range nodes {
+		if node.Online {
+			online++
+		}
+	}
+	inventoryNodes.WithLabelValues("online").Set(float64(online))
+	inventoryNodes.WithLabelValues("offline").Set(float64(len(nodes) - online))
 }
 
 func (s *Server) getHeadscaleRoutes() ([]string, error) {
@@ -493,23 +928,245 @@ func (s *Server) getHeadscaleRoutes() ([]string, error) {
 	return []string{"10.0.0.0/8", "192.168.0.0/16"}, nil // Placeholder
 }
 
+// headscalePreAuthKey is a pre-auth key as Headscale returns it, with the owner nested
+type headscalePreAuthKey struct {
+	ID   string `json:"id"`
+	Key  string `json:"key"`
+	User struct {
+		ID   string `json:"id"`
+		Name string `json:"name"`
+	} `json:"user"`
+	Reusable   bool       `json:"reusable"`
+	Ephemeral  bool       `json:"ephemeral"`
+	Used       bool       `json:"used"`
+	Expiration *time.Time `json:"expiration"`
+	CreatedAt  *time.Time `json:"createdAt"`
+	ACLTags    []string   `json:"aclTags"`
+}
+
+func (k headscalePreAuthKey) response() AuthKeyResponse {
+	key := AuthKeyResponse{
+		ID:        k.ID,
+		Key:       k.Key,
+		User:      k.User.Name,
+		Ephemeral: k.Ephemeral,
+		Reusable:  k.Reusable,
+		Used:      k.Used,
+		CreatedAt: nonZeroTime(k.CreatedAt),
+		Tags:      k.ACLTags,
+	}
+	if k.Expiration != nil {
+		key.Expiration = *k.Expiration
+	}
+	return key
+}
+
+// getHeadscaleUserIDs maps Headscale user names to the ids its pre-auth key endpoints take
+func (s *Server) getHeadscaleUserIDs() (map[string]string, error) {
+	var resp struct {
+		Users []struct {
+			ID   string `json:"id"`
+			Name string `json:"name"`
+		} `json:"users"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "user", nil, &resp); err != nil {
+		return nil, err
+	}
+
+	ids := make(map[string]string, len(resp.Users))
+	for _, user := range resp.Users {
+		ids[user.Name] = user.ID
+	}
+	return ids, nil
+}
+
+// getHeadscaleAuthKeys lists the pre-auth keys of every user; Headscale lists them per user
+func (s *Server) getHeadscaleAuthKeys() ([]headscalePreAuthKey, error) {
+	ids, err := s.getHeadscaleUserIDs()
+	if err != nil {
+		return nil, err
+	}
+
+	keys := []headscalePreAuthKey{}
+	for _, id := range ids {
+		var resp struct {
+			PreAuthKeys []headscalePreAuthKey `json:"preAuthKeys"`
+		}
+		if err := s.headscaleRequest(http.MethodGet, "preauthkey?user="+url.QueryEscape(id), nil, &resp); err != nil {
+			return nil, err
+		}
+		keys = append(keys, resp.PreAuthKeys...)
+	}
+	return keys, nil
+}
+
 func (s *Server) createHeadscaleAuthKey(req AuthKeyRequest) (*AuthKeyResponse, error) {
-	// Implementation for creating auth key via Headscale API
 	expiration := time.Now().Add(24 * time.Hour)
 	if req.Expiration != "" {
-		if duration, err := time.ParseDuration(req.Expiration); err == nil {
-			expiration = time.Now().Add(duration)
+		duration, err := time.ParseDuration(req.Expiration)
+		if err != nil {
+			return nil, err
 		}
+		expiration = time.Now().Add(duration)
 	}
 
-	return &AuthKeyResponse{
-		Key:        "hskey_" + generateRandomString(32),
-		User:       req.User,
-		Ephemeral:  req.Ephemeral,
-		Reusable:   req.Reusable,
-		Expiration: expiration,
-		Tags:       req.Tags,
-	}, nil
+	ids, err := s.getHeadscaleUserIDs()
+	if err != nil {
+		return nil, err
+	}
+	userID, ok := ids[req.User]
+	if !ok {
+		return nil, fmt.Errorf("user %s does not exist in Headscale", req.User)
+	}
+
+	var resp struct {
+		PreAuthKey headscalePreAuthKey `json:"preAuthKey"`
+	}
+	body := gin.H{
+		"user":       userID,
+		"reusable":   req.Reusable,
+		"ephemeral":  req.Ephemeral,
+		"expiration": expiration.UTC().Format(time.RFC3339),
+		"aclTags":    req.Tags,
+	}
+	if err := s.headscaleRequest(http.MethodPost, "preauthkey", body, &resp); err != nil {
+		return nil, err
+	}
+	key := resp.PreAuthKey.response()
+	return &key, nil
+}
+
+// headscaleRequest calls Headscale's REST API with the orchestrator's API key and decodes
+// the JSON response into out, when given
+func (s *Server) headscaleRequest(method, path string, body, out interface{}) error {
+	var payload []byte
+	if body != nil {
+		data, err := json.Marshal(body)
+		if err != nil {
+			return err
+		}
+		payload = data
+	}
+
+	req, err := http.NewRequest(method, strings.TrimRight(s.config.HeadscaleURL, "/")+"/api/v1/"+path, bytes.NewReader(payload))
+	if err != nil {
+		return err
+	}
+	req.Header.Set("Authorization", "Bearer "+s.config.HeadscaleAPIKey)
+	req.Header.Set("Accept", "application/json")
+	if body != nil {
+		req.Header.Set("Content-Type", "application/json")
+	}
+
+	client := &http.Client{Timeout: 10 * time.Second}
+	resp, err := client.Do(req)
+	if err != nil {
+		return err
+	}
+	defer resp.Body.Close()
+
+	data, err := ioutil.ReadAll(resp.Body)
+	if err != nil {
+		return err
+	}
+	if resp.StatusCode >= 300 {
+		var failure struct {
+			Message string `json:"message"`
+		}
+		if json.Unmarshal(data, &failure) == nil && failure.Message != "" {
+			return fmt.Errorf("headscale returned %d: %s", resp.StatusCode, failure.Message)
+		}
+		return fmt.Errorf("headscale returned %d", resp.StatusCode)
+	}
+	if out == nil || len(data) == 0 {
+		return nil
+	}
+	return json.Unmarshal(data, out)
+}
+
+// ownAPIKeyPrefix is the prefix of HEADSCALE_API_KEY ("<prefix>.<secret>"); expiring it
+// would lock the orchestrator out of Headscale
+func (s *Server) ownAPIKeyPrefix() string {
+	return strings.SplitN(s.config.HeadscaleAPIKey, ".", 2)[0]
+}
+
+// Headscale reports a missing timestamp as the zero time or the Unix epoch
+func nonZeroTime(t *time.Time) *time.Time {
+	if t == nil || t.IsZero() || t.Year() <= 1970 {
+		return nil
+	}
+	return t
+}
+
+func (s *Server) listAPIKeys(c *gin.Context) {
+	var resp struct {
+		APIKeys []APIKey `json:"apiKeys"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "apikey", nil, &resp); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to list API keys: " + err.Error()})
+		return
+	}
+
+	keys := make([]APIKey, 0, len(resp.APIKeys))
+	own := s.ownAPIKeyPrefix()
+	for _, key := range resp.APIKeys {
+		key.Expiration = nonZeroTime(key.Expiration)
+		key.CreatedAt = nonZeroTime(key.CreatedAt)
+		key.LastSeen = nonZeroTime(key.LastSeen)
+		key.InUse = key.Prefix == own
+		keys = append(keys, key)
+	}
+	c.JSON(http.StatusOK, keys)
+}
+
+func (s *Server) createAPIKey(c *gin.Context) {
+	var req APIKeyRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
+		return
+	}
+	// Keys that never expire are exactly what the dashboard warns about, so an expiry is required
+	duration, err := time.ParseDuration(req.Expiration)
+	if err != nil || duration <= 0 {
+		c.JSON(http.StatusBadRequest, gin.H{"error": "expiration must be a positive duration such as 2160h"})
+		return
+	}
+
+	var resp struct {
+		APIKey string `json:"apiKey"`
+	}
+	body := gin.H{"expiration": time.Now().Add(duration).UTC().Format(time.RFC3339)}
+	if err := s.headscaleRequest(http.MethodPost, "apikey", body, &resp); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to create API key: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusCreated, APIKeyCreated{APIKey: resp.APIKey, Prefix: strings.SplitN(resp.APIKey, ".", 2)[0]})
+}
+
+func (s *Server) expireAPIKey(c *gin.Context) {
+	prefix := c.Param("prefix")
+	if prefix == s.ownAPIKeyPrefix() {
+		c.JSON(http.StatusConflict, gin.H{"error": "This key is the one the orchestrator uses; rotate HEADSCALE_API_KEY before expiring it"})
+		return
+	}
+	if err := s.headscaleRequest(http.MethodPost, "apikey/expire", gin.H{"prefix": prefix}, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to expire API key: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("API key %s expired", prefix)})
+}
+
+func (s *Server) deleteAPIKey(c *gin.Context) {
+	prefix := c.Param("prefix")
+	if prefix == s.ownAPIKeyPrefix() {
+		c.JSON(http.StatusConflict, gin.H{"error": "This key is the one the orchestrator uses; rotate HEADSCALE_API_KEY before revoking it"})
+		return
+	}
+	if err := s.headscaleRequest(http.MethodDelete, "apikey/"+prefix, nil, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to revoke API key: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("API key %s revoked", prefix)})
 }
 
 // Additional route handlers (simplified)
@@ -518,12 +1175,40 @@ func (s *Server) validateConfig(c *gin.Context) {
 }
 
 func (s *Server) listAuthKeys(c *gin.Context) {
-	c.JSON(http.StatusOK, []AuthKeyResponse{})
+	keys, err := s.getHeadscaleAuthKeys()
+	if err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to list auth keys: " + err.Error()})
+		return
+	}
+
+	response := make([]AuthKeyResponse, 0, len(keys))
+	for _, key := range keys {
+		response = append(response, key.response())
+	}
+	c.JSON(http.StatusOK, response)
 }
 
+// revokeAuthKey expires a pre-auth key. Headscale expires keys by user and secret, which the
+// dashboard never holds, so the key is looked up by id first.
 func (s *Server) revokeAuthKey(c *gin.Context) {
 	keyID := c.Param("id")
-	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Auth key %s revoked", keyID)})
+	keys, err := s.getHeadscaleAuthKeys()
+	if err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to revoke auth key: " + err.Error()})
+		return
+	}
+	for _, key := range keys {
+		if key.ID != keyID {
+			continue
+		}
+		if err := s.headscaleRequest(http.MethodPost, "preauthkey/expire", gin.H{"user": key.User.ID, "key": key.Key}, nil); err != nil {
+			c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to revoke auth key: " + err.Error()})
+			return
+		}
+		c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Auth key %s revoked", keyID)})
+		return
+	}
+	c.JSON(http.StatusNotFound, gin.H{"error": fmt.Sprintf("Auth key %s not found", keyID)})
 }
 
 func (s *Server) listUsers(c *gin.Context) {
@@ -541,49 +1226,204 @@ func (s *Server) createUser(c *gin.Context) {
 		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
 		return
 	}
+	user.Name = strings.TrimSpace(user.Name)
+	if user.Name == "" {
+		c.JSON(http.StatusBadRequest, gin.H{"error": "name is required"})
+		return
+	}
+	if user.Email != "" {
+		if _, err := mail.ParseAddress(user.Email); err != nil {
+			c.JSON(http.StatusBadRequest, gin.H{"error": fmt.Sprintf("invalid email %q", user.Email)})
+			return
+		}
+	}
+	if err := s.createHeadscaleUser(user); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to create user: " + err.Error()})
+		return
+	}
 	c.JSON(http.StatusCreated, user)
 }
 
+// deleteUser removes a Headscale user, which Headscale addresses by id
 func (s *Server) deleteUser(c *gin.Context) {
 	userName := c.Param("name")
+	ids, err := s.getHeadscaleUserIDs()
+	if err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to delete user: " + err.Error()})
+		return
+	}
+	userID, ok := ids[userName]
+	if !ok {
+		c.JSON(http.StatusNotFound, gin.H{"error": fmt.Sprintf("User %s not found", userName)})
+		return
+	}
+	if err := s.headscaleRequest(http.MethodDelete, "user/"+url.PathEscape(userID), nil, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to delete user: " + err.Error()})
+		return
+	}
 	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("User %s deleted", userName)})
 }
 
 func (s *Server) listNodes(c *gin.Context) {
-	c.JSON(http.StatusOK, []gin.H{})
+	var resp struct {
+		Nodes []Node `json:"nodes"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "node", nil, &resp); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to list nodes: " + err.Error()})
+		return
+	}
+
+	nodes := make([]Node, 0, len(resp.Nodes))
+	for _, node := range resp.Nodes {
+		node.LastSeen = nonZeroTime(node.LastSeen)
+		node.Expiry = nonZeroTime(node.Expiry)
+		node.CreatedAt = nonZeroTime(node.CreatedAt)
+		nodes = append(nodes, node)
+	}
+	c.JSON(http.StatusOK, nodes)
 }
 
 func (s *Server) deleteNode(c *gin.Context) {
 	nodeID := c.Param("id")
+	if err := s.headscaleRequest(http.MethodDelete, "node/"+url.PathEscape(nodeID), nil, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to delete node: " + err.Error()})
+		return
+	}
 	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Node %s deleted", nodeID)})
 }
 
 func (s *Server) expireNode(c *gin.Context) {
 	nodeID := c.Param("id")
+	if err := s.headscaleRequest(http.MethodPost, "node/"+url.PathEscape(nodeID)+"/expire", nil, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to expire node: " + err.Error()})
+		return
+	}
 	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Node %s expired", nodeID)})
 }
 
+func (s *Server) renameNode(c *gin.Context) {
+	nodeID := c.Param("id")
+	var req RenameNodeRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
+		return
+	}
+	path := fmt.Sprintf("node/%s/rename/%s", url.PathEscape(nodeID), url.PathEscape(req.Name))
+	if err := s.headscaleRequest(http.MethodPost, path, nil, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to rename node: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Node %s renamed to %s", nodeID, req.Name)})
+}
+
+func (s *Server) setNodeTags(c *gin.Context) {
+	nodeID := c.Param("id")
+	var req NodeTagsRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
+		return
+	}
+	for _, tag := range req.Tags {
+		if !strings.HasPrefix(tag, "tag:") || len(tag) == len("tag:") {
+			c.JSON(http.StatusBadRequest, gin.H{"error": fmt.Sprintf("Invalid tag %q: tags must start with tag:", tag)})
+			return
+		}
+	}
+	// Headscale replaces the node's forced tags with exactly this list; an empty list clears them
+	tags := req.Tags
+	if tags == nil {
+		tags = []string{}
+	}
+	if err := s.headscaleRequest(http.MethodPost, "node/"+url.PathEscape(nodeID)+"/tags", gin.H{"tags": tags}, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to set node tags: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Node %s tags set to %v", nodeID, req.Tags)})
+}
+
+// listRoutes lists every prefix a node advertises with its approval state in Headscale
 func (s *Server) listRoutes(c *gin.Context) {
-	routes, err := s.loadRoutes()
-	if err != nil {
-		c.JSON(http.StatusInternalServerError, gin.H{"error": err.Error()})
+	var resp struct {
+		Nodes []Node `json:"nodes"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "node", nil, &resp); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to list routes: " + err.Error()})
 		return
 	}
+
+	routes := []NodeRoute{}
+	for _, node := range resp.Nodes {
+		for _, prefix := range node.AvailableRoutes {
+			routes = append(routes, NodeRoute{
+				ID:         node.ID + "/" + prefix,
+				Node:       RouteNodeRef{ID: node.ID, Name: node.Name, GivenName: node.GivenName},
+				Prefix:     prefix,
+				Advertised: true,
+				Enabled:    containsString(node.ApprovedRoutes, prefix),
+				IsPrimary:  containsString(node.SubnetRoutes, prefix),
+			})
+		}
+	}
 	c.JSON(http.StatusOK, routes)
 }
 
-func (s *Server) enableRoute(c *gin.Context) {
-	var route Route
-	if err := c.ShouldBindJSON(&route); err != nil {
+func (s *Server) enableRoutes(c *gin.Context) {
+	s.updateApprovedRoutes(c, true)
+}
+
+func (s *Server) disableRoutes(c *gin.Context) {
+	s.updateApprovedRoutes(c, false)
+}
+
+// updateApprovedRoutes adds or removes prefixes from a node's approved routes. Headscale
+// replaces the whole list on approval, so it is read back first.
+func (s *Server) updateApprovedRoutes(c *gin.Context, enable bool) {
+	nodeID := c.Param("id")
+	var req NodeRoutesRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
 		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
 		return
 	}
-	c.JSON(http.StatusOK, route)
+
+	var resp struct {
+		Node Node `json:"node"`
+	}
+	if err := s.headscaleRequest(http.MethodGet, "node/"+url.PathEscape(nodeID), nil, &resp); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to update routes: " + err.Error()})
+		return
+	}
+
+	approved := []string{}
+	for _, prefix := range resp.Node.ApprovedRoutes {
+		if !containsString(req.Routes, prefix) {
+			approved = append(approved, prefix)
+		}
+	}
+	if enable {
+		for _, prefix := range req.Routes {
+			if !containsString(resp.Node.AvailableRoutes, prefix) {
+				c.JSON(http.StatusBadRequest, gin.H{"error": fmt.Sprintf("Node %s does not advertise %s", nodeID, prefix)})
+				return
+			}
+		}
+		approved = append(approved, req.Routes...)
+	}
+
+	path := "node/" + url.PathEscape(nodeID) + "/approve_routes"
+	if err := s.headscaleRequest(http.MethodPost, path, gin.H{"routes": approved}, nil); err != nil {
+		c.JSON(http.StatusBadGateway, gin.H{"error": "Failed to update routes: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{"approvedRoutes": approved})
 }
 
-func (s *Server) disableRoute(c *gin.Context) {
-	routeID := c.Param("id")
-	c.JSON(http.StatusOK, gin.H{"message": fmt.Sprintf("Route %s disabled", routeID)})
+func containsString(list []string, value string) bool {
+	for _, item := range list {
+		if item == value {
+			return true
+		}
+	}
+	return false
 }
 
 func (s *Server) getACL(c *gin.Context) {
@@ -601,7 +1441,14 @@ func (s *Server) updateACL(c *gin.Context) {
 		c.JSON(http.StatusBadRequest, gin.H{"error": err.Error()})
 		return
 	}
-	c.JSON(http.StatusOK, gin.H{"message": "ACL updated successfully"})
+
+	s.configMu.Lock()
+	defer s.configMu.Unlock()
+	if err := s.saveACL(&acl); err != nil {
+		c.JSON(http.StatusInternalServerError, gin.H{"error": "Failed to save ACL policy: " + err.Error()})
+		return
+	}
+	c.JSON(http.StatusOK, acl)
 }
 
 // Middleware functions
@@ -662,6 +1509,8 @@ func main() {
 	log.Printf("Starting Headscale Orchestrator API on port %s", server.config.Port)
 	log.Printf("Headscale URL: %s", server.config.HeadscaleURL)
 	log.Printf("Data path: %s", server.config.DataPath)
+
+	go server.collectInventory(inventoryInterval)
 	
 	if err := server.Run(); err != nil {
 		log.Fatal("Failed to start server:", err)
@@ -0,0 +1,11 @@
+const nextJest = require('next/jest');
+
+const createJestConfig = nextJest({ dir: './' });
+
+// Unit tests for the pure helpers in src/lib; `@/` mirrors the webpack alias in next.config.js
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1',
+  },
+});
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Fake Alertmanager v2 API for exercising the dashboard's Alerts tab locally.
+//
+//   npm run fake-alertmanager
+//   ALERTMANAGER_URL=http://localhost:9493 SESSION_SECRET=dev npm run dev
+//
+// Serves a fixed set of alerts named after config/prometheus/rules/headscale.yml and keeps
+// silences in memory: GET /api/v2/alerts, GET and POST /api/v2/silences, and
+// DELETE /api/v2/silence/:id. Alerts matched by an active silence report as suppressed.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.FAKE_ALERTMANAGER_PORT || 9493);
+const started = Date.now();
+const ago = (minutes) => new Date(started - minutes * 60000).toISOString();
+
+const ALERTS = [
+  {
+    labels: { alertname: 'HeadscaleDown', severity: 'critical', instance: 'headscale:9090', job: 'headscale' },
+    annotations: { summary: 'Headscale service is down', description: 'Headscale has been down for more than 1 minute' },
+    startsAt: ago(12),
+  },
+  {
+    labels: { alertname: 'DatabaseDown', severity: 'critical', instance: 'postgres-exporter:9187', job: 'postgres' },
+    annotations: { summary: 'PostgreSQL database is down', description: 'PostgreSQL has been down for more than 1 minute' },
+    startsAt: ago(4),
+  },
+  {
+    labels: { alertname: 'HighErrorRate', severity: 'warning', instance: 'traefik:8080', job: 'traefik' },
+    annotations: { summary: 'High error rate detected', description: 'Error rate is above 5% for 5 minutes' },
+    startsAt: ago(47),
+  },
+  {
+    labels: { alertname: 'SSLCertificateExpiring', severity: 'warning', instance: 'traefik:8080', job: 'traefik' },
+    annotations: { summary: 'SSL certificate expiring soon', description: 'Certificate for headscale.tailnet.work expires in 6 days' },
+    startsAt: ago(60 * 26),
+  },
+].map((alert) => ({
+  ...alert,
+  fingerprint: crypto.createHash('sha1').update(JSON.stringify(alert.labels)).digest('hex').slice(0, 16),
+  endsAt: new Date(started + 365 * 24 * 3600 * 1000).toISOString(),
+  generatorURL: `http://localhost:9490/graph?g0.expr=${encodeURIComponent(alert.labels.alertname)}`,
+  receivers: [{ name: 'default-receiver' }],
+}));
+
+const silences = new Map();
+
+const silenceState = (silence, now = Date.now()) => {
+  if (silence.expired || Date.parse(silence.endsAt) <= now) return 'expired';
+  return Date.parse(silence.startsAt) > now ? 'pending' : 'active';
+};
+
+const matches = (matcher, labels) => {
+  const value = labels[matcher.name] || '';
+  const hit = matcher.isRegex ? new RegExp(`^(?:${matcher.value})$`).test(value) : value === matcher.value;
+  return matcher.isEqual === false ? !hit : hit;
+};
+
+const publicSilence = ({ expired, ...silence }) => ({ ...silence, status: { state: silenceState({ expired, ...silence }) } });
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || 'null'));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+http
+  .createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`${req.method} ${url.pathname}`);
+
+    if (req.method === 'GET' && url.pathname === '/api/v2/alerts') {
+      const active = [...silences.values()].filter((silence) => silenceState(silence) === 'active');
+      return send(
+        res,
+        200,
+        ALERTS.map((alert) => {
+          const silencedBy = active.filter((silence) => silence.matchers.every((m) => matches(m, alert.labels))).map((silence) => silence.id);
+          return { ...alert, status: { state: silencedBy.length ? 'suppressed' : 'active', silencedBy, inhibitedBy: [] }, updatedAt: new Date().toISOString() };
+        })
+      );
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v2/silences') {
+      return send(res, 200, [...silences.values()].map(publicSilence));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v2/silences') {
+      const body = await readBody(req);
+      if (!body || !Array.isArray(body.matchers) || body.matchers.length === 0) return send(res, 400, 'silence invalid: at least one matcher required');
+      if (!(Date.parse(body.endsAt) > Date.parse(body.startsAt))) return send(res, 400, 'silence invalid: end time must not be before start time');
+      const id = crypto.randomUUID();
+      silences.set(id, { id, ...body, updatedAt: new Date().toISOString() });
+      return send(res, 200, { silenceID: id });
+    }
+
+    const expire = /^\/api\/v2\/silence\/([0-9a-f-]+)$/.exec(url.pathname);
+    if (req.method === 'DELETE' && expire) {
+      const silence = silences.get(expire[1]);
+      if (!silence) return send(res, 404, 'silence not found');
+      silence.expired = true;
+      return send(res, 200, null);
+    }
+
+    return send(res, 404, `unknown path ${url.pathname}`);
+  })
+  .listen(PORT, () => console.log(`Fake Alertmanager listening on http://localhost:${PORT}`));
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// Fake Prometheus HTTP API for exercising the dashboard's metrics locally.
+//
+//   npm run fake-prometheus
+//   PROMETHEUS_URL=http://localhost:9490 SESSION_SECRET=dev npm run dev
+//
+// Serves /api/v1/query and /api/v1/query_range with deterministic synthetic data for the
+// queries the dashboard issues (orchestrator inventory gauges, apply and drift counters,
+// sync duration quantiles, `up` per scrape job), and /api/v1/targets for those jobs.
+// Unknown queries return an empty result, and a query containing "invalid" returns
+// Prometheus' 400 error envelope so error handling can be checked too.
+
+const http = require('http');
+
+const PORT = Number(process.env.FAKE_PROMETHEUS_PORT || 9490);
+const DAY = 24 * 3600;
+
+// Scrape targets behind `up`; postgres is down so the health page has something to report
+const TARGETS = [
+  { job: 'headscale', instance: 'headscale:9090', up: 1, duration: 0.012 },
+  { job: 'traefik', instance: 'traefik:8080', up: 1, duration: 0.034 },
+  { job: 'postgres', instance: 'postgres:9187', up: 0, duration: 0.001, error: 'Get "http://postgres:9187/metrics": dial tcp 172.20.0.20:9187: connect: connection refused' },
+  { job: 'loki', instance: 'loki:3100', up: 1, duration: 0.021 },
+  { job: 'grafana', instance: 'grafana:3000', up: 1, duration: 0.046 },
+];
+
+// Smooth, repeatable pseudo-noise so charts look plausible and reloads are stable
+const wave = (t, period, phase = 0) => Math.sin((2 * Math.PI * t) / period + phase);
+
+// Each generator maps a query to [{ metric, at(t) }] or null when it doesn't apply
+const GENERATORS = [
+  (query) => {
+    const match = /^up\{job=~"([^"]+)"\}$/.exec(query);
+    if (!match) return null;
+    const jobs = match[1].split('|');
+    return TARGETS.filter((target) => jobs.includes(target.job)).map((target) => ({ metric: { __name__: 'up', job: target.job, instance: target.instance }, at: () => target.up }));
+  },
+  (query) => /headscale_orchestrator_users/.test(query) && [{ metric: {}, at: (t) => Math.round(18 + ((t / DAY) % 60) * 0.1) }],
+  (query) =>
+    /headscale_orchestrator_nodes\{status="online"\}/.test(query) && [{ metric: {}, at: (t) => Math.round(30 + 6 * wave(t, DAY)) }],
+  (query) => /headscale_orchestrator_nodes/.test(query) && [{ metric: {}, at: (t) => Math.round(40 + ((t / DAY) % 60) * 0.2) }],
+  (query) =>
+    /headscale_orchestrator_apply_total/.test(query) && [
+      { metric: { status: 'success' }, at: (t) => Math.max(0, 3 + 2 * wave(t, 6 * 3600)) },
+      { metric: { status: 'error' }, at: (t) => Math.max(0, 0.4 * wave(t, 9 * 3600, 1)) },
+    ],
+  (query) =>
+    /headscale_orchestrator_drift_checks_total/.test(query) && [
+      { metric: { has_drift: 'false' }, at: (t) => 10 + 2 * wave(t, 3 * 3600) },
+      { metric: { has_drift: 'true' }, at: (t) => Math.max(0, 1 + wave(t, 5 * 3600, 2)) },
+    ],
+  (query) => {
+    const match = /histogram_quantile\((0\.\d+)/.exec(query);
+    if (!match || !/config_sync_duration/.test(query)) return null;
+    const q = Number(match[1]);
+    return [{ metric: {}, at: (t) => 0.2 + q * 0.8 + 0.1 * wave(t, 4 * 3600) }];
+  },
+];
+
+const seriesFor = (query) => {
+  for (const generate of GENERATORS) {
+    const series = generate(query);
+    if (series) return series;
+  }
+  return [];
+};
+
+const format = (value) => String(Math.round(value * 1000) / 1000);
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+http
+  .createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const query = url.searchParams.get('query') || '';
+    const now = Date.now() / 1000;
+    console.log(`${req.method} ${url.pathname} ${query}`);
+
+    if (url.pathname === '/api/v1/targets') {
+      const lastScrape = new Date(Math.floor(now / 15) * 15 * 1000).toISOString();
+      return send(res, 200, {
+        status: 'success',
+        data: {
+          activeTargets: TARGETS.map((target) => ({
+            labels: { job: target.job, instance: target.instance },
+            scrapeUrl: `http://${target.instance}/metrics`,
+            health: target.up ? 'up' : 'down',
+            lastError: target.error || '',
+            lastScrape,
+            lastScrapeDuration: target.duration,
+          })),
+          droppedTargets: [],
+        },
+      });
+    }
+    if (!['/api/v1/query', '/api/v1/query_range'].includes(url.pathname)) {
+      return send(res, 404, { status: 'error', errorType: 'not_found', error: `unknown path ${url.pathname}` });
+    }
+    if (!query || query.includes('invalid')) {
+      return send(res, 400, { status: 'error', errorType: 'bad_data', error: `invalid parameter "query": parse error in ${JSON.stringify(query)}` });
+    }
+
+    const series = seriesFor(query);
+    if (url.pathname === '/api/v1/query') {
+      const time = Number(url.searchParams.get('time')) || now;
+      return send(res, 200, {
+        status: 'success',
+        data: { resultType: 'vector', result: series.map(({ metric, at }) => ({ metric, value: [time, format(at(time))] })) },
+      });
+    }
+
+    const start = Number(url.searchParams.get('start'));
+    const end = Number(url.searchParams.get('end'));
+    const step = Number(url.searchParams.get('step'));
+    if (!(start <= end) || !(step > 0) || (end - start) / step > 11000) {
+      return send(res, 400, { status: 'error', errorType: 'bad_data', error: 'invalid start, end or step' });
+    }
+    const times = [];
+    for (let t = start; t <= end; t += step) times.push(t);
+    return send(res, 200, {
+      status: 'success',
+      data: {
+        resultType: 'matrix',
+        result: series.map(({ metric, at }) => ({ metric, values: times.map((t) => [t, format(at(t))]) })),
+      },
+    });
+  })
+  .listen(PORT, () => console.log(`Fake Prometheus listening on http://localhost:${PORT}`));
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Minimal OpenID Connect provider for exercising the dashboard login locally.
+//
+//   npm run mock-idp
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=headscale-admin SESSION_SECRET=dev \
+//     ACL_POLICY_FILE=../../config/headscale/acl.hujson npm run dev
+//
+// The authorize page lets you pick which identity to sign in as. Codes are single-use
+// and PKCE (S256) is enforced, so a broken client flow fails here the same way it would
+// against a real IdP. Nothing is persisted.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 9400);
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const USERS = (process.env.MOCK_IDP_USERS || 'admin@tailnet.work,employee1@tailnet.work,contractor@vendor.com')
+  .split(',')
+  .map((email) => email.trim())
+  .filter(Boolean);
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+const accessTokens = new Map();
+
+const b64url = (value) => Buffer.from(value).toString('base64url');
+
+function signJwt(claims) {
+  const header = b64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = b64url(JSON.stringify(claims));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const profileFor = (email) => ({ sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 16), email, email_verified: true, name: email.split('@')[0] });
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== 'string';
+  res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8', ...headers });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+  });
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+function authorizePage(params) {
+  const hidden = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const buttons = USERS.map((email) => `<button name="email" value="${escapeHtml(email)}">${escapeHtml(email)}</button>`).join('');
+  return `<!doctype html><title>Mock IdP</title>
+<body style="font-family:sans-serif;max-width:28rem;margin:4rem auto">
+<h2>Mock IdP &mdash; sign in as</h2>
+<form method="post" action="/authorize" style="display:grid;gap:.5rem">${hidden}${buttons}</form>
+</body>`;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'GET') {
+    const params = Object.fromEntries(url.searchParams);
+    if (params.response_type !== 'code') return send(res, 400, 'unsupported response_type');
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') return send(res, 400, 'PKCE S256 is required');
+    return send(res, 200, authorizePage(params));
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'POST') {
+    const form = await readForm(req);
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { ...form, expiresAt: Date.now() + 60000 });
+    const redirect = new URL(form.redirect_uri);
+    redirect.searchParams.set('code', code);
+    if (form.state) redirect.searchParams.set('state', form.state);
+    return send(res, 302, '', { Location: redirect.toString() });
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const form = await readForm(req);
+    const grant = codes.get(form.code);
+    codes.delete(form.code);
+
+    if (!grant || grant.expiresAt < Date.now()) return send(res, 400, { error: 'invalid_grant' });
+    if (grant.client_id !== form.client_id || grant.redirect_uri !== form.redirect_uri) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+    if (challenge !== grant.code_challenge) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const profile = profileFor(grant.email);
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, profile);
+
+    return send(res, 200, {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: 3600,
+      id_token: signJwt({ ...profile, iss: ISSUER, aud: grant.client_id, iat: now, exp: now + 3600, nonce: grant.nonce }),
+    });
+  }
+
+  if (url.pathname === '/userinfo') {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const profile = accessTokens.get(token);
+    return profile ? send(res, 200, profile) : send(res, 401, { error: 'invalid_token' });
+  }
+
+  send(res, 404, { error: 'not_found' });
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, 500, { error: err.message }));
+}).listen(PORT, () => {
+  console.log(`Mock IdP listening on ${ISSUER} with users: ${USERS.join(', ')}`);
+});
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CheckCircle, FileText, RefreshCw, Upload } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { IssueRow, SourceEditor, jumpTo } from '@/components/ui/source-editor';
+import { api } from '@/lib/api';
+import { parse, HuJSONSyntaxError } from '@/lib/hujson';
+import { validatePolicy, diffPolicies, POLICY_SECTIONS } from '@/lib/acl-policy';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-50 text-green-700 border-green-200',
+  removed: 'bg-red-50 text-red-700 border-red-200',
+  changed: 'bg-blue-50 text-blue-700 border-blue-200',
+};
+
+const formatPolicy = (policy) => JSON.stringify(policy, null, 2);
+
+// Only the sections Headscale understands are sent; unknown keys are reported as warnings.
+const pickSections = (policy) =>
+  Object.fromEntries(Object.entries(policy).filter(([key]) => POLICY_SECTIONS.includes(key)));
+
+function analyze(text) {
+  try {
+    const { value, positions } = parse(text);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { issues: [{ severity: 'error', message: 'Policy must be an object', line: 1, column: 1 }] };
+    }
+    return { policy: value, issues: validatePolicy(value, positions) };
+  } catch (err) {
+    if (!(err instanceof HuJSONSyntaxError)) throw err;
+    return { issues: [{ severity: 'error', message: err.reason, line: err.line, column: err.column }], syntaxError: true };
+  }
+}
+
+export const AclEditor = ({ acl, canWrite, onDraftChange }) => {
+  const [text, setText] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+  const textareaRef = useRef(null);
+  const fileRef = useRef(null);
+
+  // Seed the editor from the live policy once; later refreshes must not clobber edits
+  useEffect(() => {
+    if (acl.data && text === null) setText(formatPolicy(acl.data));
+  }, [acl.data, text]);
+
+  const analysis = useMemo(() => (text === null ? null : analyze(text)), [text]);
+  const draft = analysis && !analysis.issues.some((issue) => issue.severity === 'error') ? analysis.policy : null;
+  useEffect(() => {
+    if (onDraftChange) onDraftChange(draft);
+  }, [draft, onDraftChange]);
+
+  const changes = useMemo(
+    () => (analysis && analysis.policy && acl.data ? diffPolicies(acl.data, pickSections(analysis.policy)) : []),
+    [analysis, acl.data]
+  );
+
+  if (acl.error && !acl.data) return <ErrorAlert title="Failed to load ACL policy" error={acl.error} onRetry={acl.refresh} />;
+  if (!acl.data || text === null) return <LoadingState label="Loading ACL policy..." />;
+
+  const errors = analysis.issues.filter((issue) => issue.severity === 'error');
+  const warnings = analysis.issues.filter((issue) => issue.severity !== 'error');
+  const canSave = canWrite && !saving && errors.length === 0 && changes.length > 0;
+
+  const importFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text().then(setText, (err) => setSaveError(err));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const policy = pickSections(analysis.policy);
+      await api.updateACL(policy);
+      acl.mutate(policy);
+      setText(formatPolicy(policy));
+      setSavedAt(new Date());
+    } catch (err) {
+      setSaveError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-3">
+      <Card className="card-elevated lg:col-span-2">
+        <CardHeader className="flex flex-row items-center justify-between gap-4 space-y-0">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <FileText className="h-5 w-5 text-blue-600" />
+            Policy
+          </CardTitle>
+          <div className="flex gap-2">
+            <input ref={fileRef} type="file" accept=".hujson,.json,application/json" className="hidden" onChange={importFile} />
+            <Button variant="outline" size="sm" onClick={() => fileRef.current && fileRef.current.click()} disabled={!canWrite}>
+              <Upload className="h-4 w-4 mr-2" />
+              Import
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setText(formatPolicy(acl.data))} disabled={text === formatPolicy(acl.data)}>
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Reset
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <SourceEditor value={text} onChange={setText} readOnly={!canWrite} label="ACL policy (HuJSON)" textareaRef={textareaRef} />
+          {saveError && <ErrorAlert title="Failed to save ACL policy" error={saveError} />}
+          {savedAt && !saveError && changes.length === 0 && (
+            <p className="flex items-center gap-2 text-sm text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              Policy saved at {savedAt.toLocaleTimeString()}
+            </p>
+          )}
+          {canWrite ? (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <p className="text-sm text-gray-600">
+                {changes.length === 0 ? 'No changes from the live policy.' : `${changes.length} change${changes.length === 1 ? '' : 's'} from the live policy.`}
+              </p>
+              <Button onClick={() => setReviewing(true)} disabled={!canSave}>
+                {saving ? 'Saving...' : 'Review & Save'}
+              </Button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Read-only access: policy changes require the admin role.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="card-elevated">
+        <CardHeader>
+          <CardTitle className="flex items-center justify-between gap-2 text-lg">
+            Validation
+            <span className="flex gap-2">
+              <Badge variant="outline" className={errors.length ? 'bg-red-50 text-red-700 border-red-200' : 'bg-green-50 text-green-700 border-green-200'}>
+                {errors.length} error{errors.length === 1 ? '' : 's'}
+              </Badge>
+              {warnings.length > 0 && (
+                <Badge variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">
+                  {warnings.length} warning{warnings.length === 1 ? '' : 's'}
+                </Badge>
+              )}
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {analysis.issues.length === 0 ? (
+            <p className="flex items-center gap-2 text-sm text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              Policy is valid
+            </p>
+          ) : (
+            <ul className="-mx-3 space-y-1 max-h-[28rem] overflow-y-auto">
+              {analysis.issues.map((issue, i) => (
+                <IssueRow key={i} issue={issue} onSelect={(position) => jumpTo(textareaRef.current, text, position)} />
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <ConfirmDialog
+        open={reviewing}
+        onOpenChange={setReviewing}
+        title="Apply ACL policy?"
+        description="These changes take effect for every node as soon as Headscale reloads the policy."
+        confirmLabel="Save policy"
+        onConfirm={save}
+      >
+        <ul className="space-y-2 max-h-80 overflow-y-auto">
+          {changes.map((change, i) => (
+            <li key={i} className="text-sm">
+              <div className="flex items-center gap-2">
+                <Badge variant="outline" className={CHANGE_STYLES[change.type]}>{change.type}</Badge>
+                <span className="text-xs font-semibold uppercase text-gray-500">{change.section}</span>
+              </div>
+              <p className="mt-1 font-mono text-xs text-gray-900 break-all">{change.label}</p>
+              {change.detail && <p className="text-xs text-gray-600 break-all">{change.detail}</p>}
+            </li>
+          ))}
+        </ul>
+      </ConfirmDialog>
+    </div>
+  );
+};
@@ -0,0 +1,263 @@
+import React, { useMemo, useState } from 'react';
+import { CheckCircle, Table, Terminal, Workflow, XCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { EmptyState } from '@/components/ui/data-state';
+import { createEvaluator } from '@/lib/acl-eval';
+import { describeRule } from '@/lib/acl-policy';
+import { isIP } from '@/lib/cidr';
+
+const inputClass = 'w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-500/20';
+
+const parsePort = (value) => {
+  if (value.trim() === '') return null;
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 0 && port <= 65535 ? port : undefined;
+};
+
+const Field = ({ label, children }) => (
+  <label className="block space-y-1">
+    <span className="text-xs font-semibold uppercase tracking-wide text-gray-500">{label}</span>
+    {children}
+  </label>
+);
+
+// Source picker over users and nodes; values are "user:<name>" or "node:<id>"
+const PrincipalSelect = ({ value, onChange, users, nodes }) => (
+  <select value={value} onChange={(event) => onChange(event.target.value)} className={inputClass}>
+    <optgroup label="Users">
+      {users.map((user) => (
+        <option key={user.name} value={`user:${user.name}`}>{user.email || user.name}</option>
+      ))}
+    </optgroup>
+    <optgroup label="Nodes">
+      {nodes.map((node) => (
+        <option key={node.id} value={`node:${node.id}`}>{node.name} ({node.user})</option>
+      ))}
+    </optgroup>
+  </select>
+);
+
+const Verdict = ({ allowed, rule, index, section, children }) => (
+  <div className={`rounded-lg border p-4 ${allowed ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+    <p className={`flex items-center gap-2 font-semibold ${allowed ? 'text-green-800' : 'text-red-800'}`}>
+      {allowed ? <CheckCircle className="h-5 w-5" /> : <XCircle className="h-5 w-5" />}
+      {allowed ? 'Allowed' : 'Denied'}
+    </p>
+    {rule ? (
+      <div className="mt-2 text-sm">
+        <p className="text-gray-700">
+          Matched <span className="font-mono">{section}[{index}]</span>
+          {rule.comment && <span className="text-gray-500"> — {rule.comment}</span>}
+        </p>
+        <p className="mt-1 font-mono text-xs text-gray-900 break-all">{describeRule(rule)}</p>
+      </div>
+    ) : (
+      !allowed && <p className="mt-2 text-sm text-gray-700">No {section} rule grants this access.</p>
+    )}
+    {children}
+  </div>
+);
+
+export const AclSimulator = ({ policy, users, nodes }) => {
+  const evaluator = useMemo(() => createEvaluator(policy, { users, nodes }), [policy, users, nodes]);
+  const firstUser = users[0] ? `user:${users[0].name}` : nodes[0] ? `node:${nodes[0].id}` : '';
+
+  const [source, setSource] = useState(firstUser);
+  const [destination, setDestination] = useState(nodes[0] ? `node:${nodes[0].id}` : 'ip');
+  const [address, setAddress] = useState('');
+  const [port, setPort] = useState('22');
+  const [sshSource, setSshSource] = useState(firstUser);
+  const [sshNode, setSshNode] = useState(nodes[0] ? String(nodes[0].id) : '');
+  const [login, setLogin] = useState('root');
+  const [matrixPort, setMatrixPort] = useState('');
+
+  const resolvePrincipal = (value) => {
+    const [type, ...rest] = value.split(':');
+    const key = rest.join(':');
+    if (type === 'user') {
+      const user = users.find((item) => item.name === key);
+      return user ? { type, user } : null;
+    }
+    const node = nodes.find((item) => String(item.id) === key);
+    return node ? { type: 'node', node } : null;
+  };
+
+  const reach = useMemo(() => {
+    const principal = resolvePrincipal(source);
+    const portNumber = parsePort(port);
+    if (!principal || portNumber === undefined) return null;
+    let target = null;
+    if (destination === 'ip') {
+      if (isIP(address.trim())) target = { type: 'ip', ip: address.trim() };
+    } else {
+      const node = nodes.find((item) => `node:${item.id}` === destination);
+      if (node) target = { type: 'node', node };
+    }
+    return target ? evaluator.canReach(principal, target, portNumber) : null;
+  }, [evaluator, source, destination, address, port]);
+
+  const ssh = useMemo(() => {
+    const principal = resolvePrincipal(sshSource);
+    const node = nodes.find((item) => String(item.id) === sshNode);
+    if (!principal || !node || !login.trim()) return null;
+    return evaluator.canSSH(principal, node, login.trim());
+  }, [evaluator, sshSource, sshNode, login]);
+
+  const matrixPortNumber = parsePort(matrixPort);
+  const matrix = useMemo(
+    () => (matrixPortNumber === undefined ? null : evaluator.accessMatrix({ port: matrixPortNumber })),
+    [evaluator, matrixPortNumber]
+  );
+
+  if (users.length === 0 && nodes.length === 0) {
+    return <EmptyState icon={Workflow} title="Nothing to simulate" description="Register users and nodes to check the policy against them." />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card className="card-elevated">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Workflow className="h-5 w-5 text-blue-600" />
+              Can X reach Y?
+            </CardTitle>
+            <CardDescription>Checks the acls rules for one connection.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Field label="Source">
+              <PrincipalSelect value={source} onChange={setSource} users={users} nodes={nodes} />
+            </Field>
+            <Field label="Destination">
+              <select value={destination} onChange={(event) => setDestination(event.target.value)} className={inputClass}>
+                {nodes.map((node) => (
+                  <option key={node.id} value={`node:${node.id}`}>{node.name} ({node.ip || 'no address'})</option>
+                ))}
+                <option value="ip">IP address (subnet or internet)...</option>
+              </select>
+            </Field>
+            {destination === 'ip' && (
+              <Field label="Address">
+                <input value={address} onChange={(event) => setAddress(event.target.value)} placeholder="10.0.0.5 or 1.1.1.1" className={`${inputClass} font-mono`} />
+              </Field>
+            )}
+            <Field label="Port (blank for any)">
+              <input value={port} onChange={(event) => setPort(event.target.value)} inputMode="numeric" placeholder="any" className={`${inputClass} font-mono`} />
+            </Field>
+            {reach ? (
+              <Verdict allowed={reach.allowed} rule={reach.rule} index={reach.index} section="acls">
+                {reach.matches.length > 1 && (
+                  <p className="mt-2 text-xs text-gray-600">
+                    Also granted by {reach.matches.slice(1).map((match) => `acls[${match.index}]`).join(', ')}
+                  </p>
+                )}
+              </Verdict>
+            ) : (
+              <p className="text-sm text-gray-500">Choose a source, a destination and a valid port.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="card-elevated">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Terminal className="h-5 w-5 text-blue-600" />
+              SSH access
+            </CardTitle>
+            <CardDescription>Checks the ssh rules and their allowed logins.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Field label="Source">
+              <PrincipalSelect value={sshSource} onChange={setSshSource} users={users} nodes={nodes} />
+            </Field>
+            <Field label="Destination node">
+              <select value={sshNode} onChange={(event) => setSshNode(event.target.value)} className={inputClass}>
+                {nodes.map((node) => (
+                  <option key={node.id} value={String(node.id)}>{node.name}</option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Login user">
+              <input value={login} onChange={(event) => setLogin(event.target.value)} className={`${inputClass} font-mono`} />
+            </Field>
+            {ssh ? (
+              <Verdict allowed={ssh.allowed} rule={ssh.rule} index={ssh.index} section="ssh">
+                {ssh.action === 'check' && <p className="mt-2 text-xs text-gray-600">Requires re-authentication (check mode).</p>}
+                {!ssh.allowed && ssh.logins.length > 0 && (
+                  <p className="mt-2 text-xs text-gray-600">Allowed logins for this pair: {ssh.logins.join(', ')}</p>
+                )}
+              </Verdict>
+            ) : (
+              <p className="text-sm text-gray-500">Choose a source, a node and a login.</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card className="card-elevated">
+        <CardHeader className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Table className="h-5 w-5 text-blue-600" />
+              Access matrix
+            </CardTitle>
+            <CardDescription>Which users can reach which nodes. Hover a cell for the matching rule.</CardDescription>
+          </div>
+          <div className="w-40">
+            <Field label="Port">
+              <input value={matrixPort} onChange={(event) => setMatrixPort(event.target.value)} inputMode="numeric" placeholder="any" className={`${inputClass} font-mono`} />
+            </Field>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {!matrix ? (
+            <p className="text-sm text-gray-500">Enter a port between 0 and 65535.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="text-sm">
+                <thead>
+                  <tr>
+                    <th className="sticky left-0 bg-white px-3 py-2 text-left font-semibold text-gray-700">User</th>
+                    {nodes.map((node) => (
+                      <th key={node.id} className="px-2 py-2 font-medium text-gray-600 whitespace-nowrap">
+                        <span className="block max-w-[8rem] truncate" title={node.name}>{node.name}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {matrix.map(({ user, cells }) => (
+                    <tr key={user.name} className="border-t border-gray-100">
+                      <td className="sticky left-0 bg-white px-3 py-2 font-medium text-gray-900 whitespace-nowrap">{user.email || user.name}</td>
+                      {cells.map((cell) => (
+                        <td key={cell.node.id} className="px-2 py-2 text-center" title={cell.rule ? `acls[${cell.index}]: ${describeRule(cell.rule)}` : 'No rule grants access'}>
+                          {cell.allowed ? (
+                            <CheckCircle className="inline h-4 w-4 text-green-600" aria-label="allowed" />
+                          ) : (
+                            <XCircle className="inline h-4 w-4 text-gray-300" aria-label="denied" />
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {policy.tagOwners && Object.keys(policy.tagOwners).length > 0 && (
+        <p className="text-xs text-gray-500">
+          Tags resolve through tagOwners:{' '}
+          {Object.keys(policy.tagOwners).map((tag) => (
+            <Badge key={tag} variant="outline" className="mr-1 bg-gray-50 text-gray-700 border-gray-200" title={evaluator.expandTagOwners(tag).join(', ')}>
+              {tag}
+            </Badge>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,237 @@
+import React, { useMemo, useState } from 'react';
+import { Bell, BellOff, ExternalLink, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { SilenceDrawer } from '@/components/alerts/silence-drawer';
+import { alertmanager, alertMatchers, describeMatcher, groupBySeverity } from '@/lib/alerts';
+import { useSilences } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+
+const SEVERITY_STYLES = {
+  critical: { badge: 'bg-red-50 text-red-700 border-red-200', dot: 'bg-red-500' },
+  warning: { badge: 'bg-orange-50 text-orange-700 border-orange-200', dot: 'bg-orange-500' },
+  info: { badge: 'bg-blue-50 text-blue-700 border-blue-200', dot: 'bg-blue-500' },
+};
+const DEFAULT_STYLE = { badge: 'bg-gray-50 text-gray-700 border-gray-200', dot: 'bg-gray-400' };
+
+// Labels already shown elsewhere on the row
+const HIDDEN_LABELS = ['alertname', 'severity'];
+
+const AlertRow = ({ alert, canWrite, onSilence }) => {
+  const silenced = alert.state === 'suppressed';
+  return (
+    <li className={`flex flex-col sm:flex-row sm:items-start gap-3 py-3 ${silenced ? 'opacity-60' : ''}`}>
+      <div className="flex-1 min-w-0 space-y-1">
+        <p className="flex flex-wrap items-center gap-2 font-semibold text-gray-900">
+          {alert.name}
+          {silenced && (
+            <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200 flex items-center gap-1">
+              <BellOff className="h-3 w-3" />
+              {alert.silencedBy.length ? 'silenced' : 'inhibited'}
+            </Badge>
+          )}
+        </p>
+        {alert.summary && <p className="text-sm text-gray-700">{alert.summary}</p>}
+        {alert.description && <p className="text-xs text-gray-500">{alert.description}</p>}
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(alert.labels)
+            .filter(([name]) => !HIDDEN_LABELS.includes(name))
+            .map(([name, value]) => (
+              <span key={name} className="rounded bg-gray-100 px-1.5 py-0.5 font-mono text-xs text-gray-700">
+                {name}={value}
+              </span>
+            ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 sm:flex-col sm:items-end">
+        <span className="text-xs text-gray-500" title={alert.startsAt ? alert.startsAt.toLocaleString() : undefined}>
+          since {formatRelativeTime(alert.startsAt)}
+        </span>
+        <div className="flex gap-2">
+          {alert.generatorURL && (
+            <a
+              href={alert.generatorURL}
+              target="_blank"
+              rel="noreferrer"
+              aria-label={`Open ${alert.name} in Prometheus`}
+              className="inline-flex h-9 w-9 items-center justify-center rounded-md text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+            >
+              <ExternalLink className="h-4 w-4" />
+            </a>
+          )}
+          {canWrite && !silenced && (
+            <Button variant="outline" size="sm" onClick={() => onSilence(alert)}>
+              <BellOff className="mr-2 h-4 w-4" />
+              Silence
+            </Button>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+};
+
+const SilenceRow = ({ silence, canWrite, onExpire }) => (
+  <li className="flex flex-col sm:flex-row sm:items-center gap-3 py-3">
+    <div className="flex-1 min-w-0 space-y-1">
+      <div className="flex flex-wrap gap-1">
+        {silence.matchers.map((matcher, i) => (
+          <span key={i} className="rounded bg-gray-100 px-1.5 py-0.5 font-mono text-xs text-gray-700">
+            {describeMatcher(matcher)}
+          </span>
+        ))}
+      </div>
+      <p className="text-sm text-gray-700">{silence.comment}</p>
+      <p className="text-xs text-gray-500">
+        {silence.createdBy && `by ${silence.createdBy} · `}
+        {silence.state === 'pending' ? `starts ${formatRelativeTime(silence.startsAt)}` : `ends ${formatRelativeTime(silence.endsAt)}`}
+      </p>
+    </div>
+    {silence.state === 'pending' && <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200">pending</Badge>}
+    {canWrite && (
+      <Button variant="outline" size="sm" onClick={() => onExpire(silence)}>
+        Expire
+      </Button>
+    )}
+  </li>
+);
+
+// Active alerts from Alertmanager grouped by severity, and the silences currently in force.
+// `alerts` is the useAlerts resource shared with the tab badge.
+export const AlertsView = ({ alerts, canWrite }) => {
+  const silences = useSilences();
+  const [silenceFor, setSilenceFor] = useState(null);
+  const [pendingExpire, setPendingExpire] = useState(null);
+  const [error, setError] = useState(null);
+
+  const groups = useMemo(() => groupBySeverity(alerts.data || []), [alerts.data]);
+  const current = useMemo(
+    () => (silences.data || []).filter((silence) => silence.state !== 'expired').sort((a, b) => a.endsAt - b.endsAt),
+    [silences.data]
+  );
+
+  const refresh = () => {
+    alerts.refresh();
+    silences.refresh();
+  };
+
+  // Optimistically drop the silence; its alerts start firing again on the next refresh
+  const expire = async (silence) => {
+    const previous = silences.data;
+    setError(null);
+    silences.mutate((list) => (list || []).map((item) => (item.id === silence.id ? { ...item, state: 'expired' } : item)));
+    try {
+      await alertmanager.expireSilence(silence.id);
+      alerts.refresh();
+    } catch (err) {
+      silences.mutate(previous);
+      setError(err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && <ErrorAlert title="Failed to expire silence" error={error} />}
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2">
+          {groups.map((group) => (
+            <Badge key={group.severity} variant="outline" className={(SEVERITY_STYLES[group.severity] || DEFAULT_STYLE).badge}>
+              {group.alerts.length} {group.severity}
+            </Badge>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={refresh} disabled={alerts.loading}>
+            <RefreshCw className={`mr-2 h-4 w-4 ${alerts.loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+          {canWrite && (
+            <Button size="sm" onClick={() => setSilenceFor({ matchers: [] })}>
+              <BellOff className="mr-2 h-4 w-4" />
+              New silence
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {alerts.error && !alerts.data ? (
+        <ErrorAlert title="Failed to load alerts" error={alerts.error} onRetry={alerts.refresh} />
+      ) : !alerts.data ? (
+        <LoadingState label="Loading alerts..." />
+      ) : groups.length === 0 ? (
+        <EmptyState icon={Bell} title="No active alerts" description="Alerts fired by the Prometheus rules appear here." />
+      ) : (
+        groups.map((group) => {
+          const style = SEVERITY_STYLES[group.severity] || DEFAULT_STYLE;
+          return (
+            <Card key={group.severity} className="card-elevated">
+              <CardHeader className="pb-2">
+                <CardTitle className="flex items-center gap-2 text-lg capitalize">
+                  <span className={`h-2.5 w-2.5 rounded-full ${style.dot}`} />
+                  {group.severity}
+                  <span className="text-sm font-normal text-gray-500">({group.alerts.length})</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y divide-gray-100">
+                  {group.alerts.map((alert) => (
+                    <AlertRow key={alert.fingerprint} alert={alert} canWrite={canWrite} onSilence={(item) => setSilenceFor({ matchers: alertMatchers(item) })} />
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          );
+        })
+      )}
+
+      <Card className="card-elevated">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <BellOff className="h-5 w-5 text-blue-600" />
+            Silences
+          </CardTitle>
+          <CardDescription>Active and scheduled silences. Expiring one lets its alerts notify again.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {silences.error && !silences.data ? (
+            <ErrorAlert title="Failed to load silences" error={silences.error} onRetry={silences.refresh} />
+          ) : !silences.data ? (
+            <LoadingState label="Loading silences..." />
+          ) : current.length === 0 ? (
+            <p className="text-sm text-gray-600">No silences in effect.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {current.map((silence) => (
+                <SilenceRow key={silence.id} silence={silence} canWrite={canWrite} onExpire={setPendingExpire} />
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      {canWrite && (
+        <SilenceDrawer
+          open={Boolean(silenceFor)}
+          onClose={() => setSilenceFor(null)}
+          initialMatchers={silenceFor ? silenceFor.matchers : []}
+          alerts={alerts.data || []}
+          onCreated={refresh}
+        />
+      )}
+
+      <ConfirmDialog
+        open={Boolean(pendingExpire)}
+        onOpenChange={(open) => !open && setPendingExpire(null)}
+        title="Expire silence?"
+        description={pendingExpire && `Alerts matching ${pendingExpire.matchers.map(describeMatcher).join(', ')} will notify again.`}
+        confirmLabel="Expire"
+        destructive
+        onConfirm={() => expire(pendingExpire)}
+      />
+    </div>
+  );
+};
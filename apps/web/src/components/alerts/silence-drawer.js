@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { BellOff, Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { alertmanager, MATCHER_OPERATORS, matcherOperator, SILENCE_DURATIONS, silenceMatches } from '@/lib/alerts';
+
+const EMPTY_MATCHER = { name: '', value: '', isRegex: false, isEqual: true };
+
+// Creates a silence. `initialMatchers` comes from the alert being silenced, or is empty for
+// a silence written from scratch; `alerts` previews how many current alerts it would cover.
+export const SilenceDrawer = ({ open, onClose, initialMatchers = [], alerts = [], onCreated }) => {
+  const [matchers, setMatchers] = useState([]);
+  const [hours, setHours] = useState(SILENCE_DURATIONS[0].hours);
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setMatchers(initialMatchers.length ? initialMatchers : [EMPTY_MATCHER]);
+      setHours(SILENCE_DURATIONS[0].hours);
+      setComment('');
+      setError(null);
+    }
+  }, [open]);
+
+  const updateMatcher = (index, changes) => setMatchers((list) => list.map((matcher, i) => (i === index ? { ...matcher, ...changes } : matcher)));
+  const removeMatcher = (index) => setMatchers((list) => list.filter((_, i) => i !== index));
+
+  const complete = matchers.filter((matcher) => matcher.name.trim());
+  const covered = alerts.filter((alert) => silenceMatches(complete, alert.labels)).length;
+  const valid = complete.length > 0 && complete.length === matchers.length && comment.trim() !== '';
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await alertmanager.createSilence({ matchers: complete.map((matcher) => ({ ...matcher, name: matcher.name.trim() })), hours, comment: comment.trim() });
+      if (onCreated) onCreated();
+      onClose();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onClose={onClose}
+      dismissable={!submitting}
+      title="New Silence"
+      description="Matching alerts stop notifying until the silence ends or is expired."
+      footer={
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" disabled={submitting} onClick={onClose}>Cancel</Button>
+          <Button disabled={!valid || submitting} onClick={submit}>
+            <BellOff className="mr-2 h-4 w-4" />
+            {submitting ? 'Creating...' : 'Create silence'}
+          </Button>
+        </div>
+      }
+    >
+      {error && <ErrorAlert title="Could not create silence" error={error} />}
+
+      <div>
+        <span className="form-label">Matchers</span>
+        <div className="space-y-2">
+          {matchers.map((matcher, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                className="form-input flex-1 min-w-0 font-mono text-sm"
+                placeholder="label"
+                aria-label="Label name"
+                value={matcher.name}
+                onChange={(event) => updateMatcher(index, { name: event.target.value })}
+              />
+              <select
+                className="form-input w-20 font-mono text-sm"
+                aria-label="Operator"
+                value={matcherOperator(matcher)}
+                onChange={(event) => {
+                  const { isRegex, isEqual } = MATCHER_OPERATORS.find((item) => item.operator === event.target.value);
+                  updateMatcher(index, { isRegex, isEqual });
+                }}
+              >
+                {MATCHER_OPERATORS.map((item) => (
+                  <option key={item.operator} value={item.operator}>{item.operator}</option>
+                ))}
+              </select>
+              <input
+                className="form-input flex-1 min-w-0 font-mono text-sm"
+                placeholder="value"
+                aria-label="Label value"
+                value={matcher.value}
+                onChange={(event) => updateMatcher(index, { value: event.target.value })}
+              />
+              <Button variant="ghost" size="icon" aria-label="Remove matcher" disabled={matchers.length === 1} onClick={() => removeMatcher(index)}>
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+        <Button variant="link" size="sm" className="mt-1 px-0" onClick={() => setMatchers((list) => [...list, EMPTY_MATCHER])}>
+          <Plus className="mr-1 h-4 w-4" />
+          Add matcher
+        </Button>
+        <p className="text-sm text-gray-600">
+          {complete.length === 0 ? 'Add at least one matcher.' : `Matches ${covered} current alert${covered === 1 ? '' : 's'}.`}
+        </p>
+      </div>
+
+      <div>
+        <label className="form-label" htmlFor="silence-duration">Duration</label>
+        <select id="silence-duration" className="form-input" value={hours} onChange={(event) => setHours(Number(event.target.value))}>
+          {SILENCE_DURATIONS.map((duration) => (
+            <option key={duration.hours} value={duration.hours}>{duration.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="form-label" htmlFor="silence-comment">Comment</label>
+        <textarea
+          id="silence-comment"
+          className="form-input min-h-[96px]"
+          placeholder="Why is this silenced? e.g. planned database maintenance"
+          value={comment}
+          onChange={(event) => setComment(event.target.value)}
+        />
+      </div>
+    </Drawer>
+  );
+};
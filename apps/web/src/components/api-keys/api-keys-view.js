@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { AlertTriangle, KeyRound, Plus, TimerOff, Trash2 } from 'lucide-react';
+import { Card } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { CreateApiKeyDrawer } from '@/components/api-keys/create-api-key-drawer';
+import { api } from '@/lib/api';
+import { useNow } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+import { isKeyExpired, isKeyExpiringSoon } from '@/lib/keys';
+import { apiKeyWarnings, sortApiKeys } from '@/lib/api-keys';
+
+const IN_USE_REASON = 'The orchestrator authenticates with this key; rotate HEADSCALE_API_KEY first';
+
+const ExpiryBadge = ({ apiKey, now }) => {
+  if (!apiKey.expiration) return <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200">never expires</Badge>;
+  if (isKeyExpired(apiKey, now)) {
+    return <Badge variant="outline" className="bg-gray-50 text-gray-600 border-gray-200">expired {formatRelativeTime(apiKey.expiration, now)}</Badge>;
+  }
+  const soon = isKeyExpiringSoon(apiKey, now);
+  return (
+    <Badge
+      variant="outline"
+      className={soon ? 'bg-orange-50 text-orange-700 border-orange-200' : 'bg-green-50 text-green-700 border-green-200'}
+      title={apiKey.expiration.toLocaleString()}
+    >
+      expires {formatRelativeTime(apiKey.expiration, now)}
+    </Badge>
+  );
+};
+
+const TimeCell = ({ value, now, empty }) =>
+  value ? <span title={value.toLocaleString()}>{formatRelativeTime(value, now)}</span> : <span className="text-gray-400">{empty}</span>;
+
+// Headscale API keys with create, expire and revoke; `keys` is the useApiKeys resource
+export const ApiKeysView = ({ keys, canWrite }) => {
+  const now = useNow();
+  const [creating, setCreating] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (keys.error && !keys.data) return <ErrorAlert title="Failed to load API keys" error={keys.error} onRetry={keys.refresh} />;
+  if (!keys.data) return <LoadingState label="Loading API keys..." />;
+
+  const perform = async ({ action, key }) => {
+    setError(null);
+    try {
+      if (action === 'expire') {
+        await api.expireApiKey(key.prefix);
+        keys.mutate((list) => list.map((item) => (item.prefix === key.prefix ? { ...item, expiration: new Date() } : item)));
+      } else {
+        await api.deleteApiKey(key.prefix);
+        keys.mutate((list) => list.filter((item) => item.prefix !== key.prefix));
+      }
+    } catch (err) {
+      setError({ action, err });
+    }
+  };
+
+  const sorted = sortApiKeys(keys.data, now);
+  const flagged = sorted.filter((key) => apiKeyWarnings(key, now).length > 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          {keys.data.length} key{keys.data.length === 1 ? '' : 's'}, {keys.data.filter((key) => !isKeyExpired(key, now)).length} active
+        </p>
+        {canWrite && (
+          <Button onClick={() => setCreating(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Create API key
+          </Button>
+        )}
+      </div>
+
+      {flagged.length > 0 && (
+        <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-sm">
+          <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+          <p>
+            {flagged.length} active key{flagged.length === 1 ? ' needs' : 's need'} attention: keys that never expire or are not being used are
+            credentials nobody watches. Expire the ones no integration depends on.
+          </p>
+        </div>
+      )}
+      {error && <ErrorAlert title={error.action === 'expire' ? 'Could not expire API key' : 'Could not revoke API key'} error={error.err} />}
+
+      {sorted.length === 0 ? (
+        <EmptyState icon={KeyRound} title="No API keys" description="Keys created here or with `headscale apikeys create` appear in this list." />
+      ) : (
+        <Card className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-left text-xs font-semibold uppercase text-gray-500">
+                <th className="px-4 py-3">Prefix</th>
+                <th className="px-4 py-3">Created</th>
+                <th className="px-4 py-3">Expiration</th>
+                <th className="px-4 py-3">Last seen</th>
+                {canWrite && <th className="px-4 py-3 text-right">Actions</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {sorted.map((key) => {
+                const expired = isKeyExpired(key, now);
+                const warnings = apiKeyWarnings(key, now);
+                return (
+                  <tr key={key.prefix} className={expired ? 'text-gray-500' : 'text-gray-900'}>
+                    <td className="px-4 py-3 align-top">
+                      <div className="font-mono font-semibold">{key.prefix}</div>
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {key.inUse && (
+                          <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200" title="HEADSCALE_API_KEY">
+                            used by the orchestrator
+                          </Badge>
+                        )}
+                        {warnings.map((warning) => (
+                          <Badge key={warning.kind} variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">
+                            {warning.message}
+                          </Badge>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 align-top whitespace-nowrap">
+                      <TimeCell value={key.createdAt} now={now} empty="unknown" />
+                    </td>
+                    <td className="px-4 py-3 align-top whitespace-nowrap">
+                      <ExpiryBadge apiKey={key} now={now} />
+                    </td>
+                    <td className="px-4 py-3 align-top whitespace-nowrap">
+                      <TimeCell value={key.lastSeen} now={now} empty="never" />
+                    </td>
+                    {canWrite && (
+                      <td className="px-4 py-3 align-top">
+                        <div className="flex justify-end gap-2" title={key.inUse ? IN_USE_REASON : undefined}>
+                          {!expired && (
+                            <Button variant="outline" size="sm" disabled={key.inUse} onClick={() => setPending({ action: 'expire', key })}>
+                              <TimerOff className="mr-2 h-4 w-4" />
+                              Expire
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="text-red-700 border-red-200 hover:bg-red-50"
+                            disabled={key.inUse}
+                            onClick={() => setPending({ action: 'delete', key })}
+                          >
+                            <Trash2 className="mr-2 h-4 w-4" />
+                            Revoke
+                          </Button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      {canWrite && <CreateApiKeyDrawer open={creating} onClose={() => setCreating(false)} onCreated={keys.refresh} />}
+      <ConfirmDialog
+        open={Boolean(pending)}
+        onOpenChange={(isOpen) => !isOpen && setPending(null)}
+        title={pending && pending.action === 'expire' ? 'Expire API key?' : 'Revoke API key?'}
+        description={
+          pending &&
+          (pending.action === 'expire'
+            ? `${pending.key.prefix} stops working immediately but stays listed, so you can still see when it was last used.`
+            : `${pending.key.prefix} stops working immediately and is removed from Headscale.`)
+        }
+        confirmLabel={pending && pending.action === 'expire' ? 'Expire key' : 'Revoke key'}
+        destructive
+        onConfirm={() => perform(pending)}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, KeyRound } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { CopyButton } from '@/components/ui/copy-button';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { API_KEY_EXPIRATION_PRESETS, DEFAULT_API_KEY_EXPIRATION } from '@/lib/api-keys';
+
+export const CreateApiKeyDrawer = ({ open, onClose, onCreated }) => {
+  const [expiration, setExpiration] = useState(DEFAULT_API_KEY_EXPIRATION);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Every open starts afresh; the secret of a created key is never shown twice
+  useEffect(() => {
+    if (open) {
+      setExpiration(DEFAULT_API_KEY_EXPIRATION);
+      setCreated(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const key = await api.createApiKey(expiration);
+      setCreated(key);
+      if (onCreated) onCreated(key);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const footer = created ? (
+    <div className="flex justify-end">
+      <Button onClick={onClose}>Done</Button>
+    </div>
+  ) : (
+    <div className="flex justify-end gap-3">
+      <Button variant="outline" disabled={submitting} onClick={onClose}>Cancel</Button>
+      <Button disabled={submitting} onClick={submit}>
+        <KeyRound className="mr-2 h-4 w-4" />
+        {submitting ? 'Creating...' : 'Create key'}
+      </Button>
+    </div>
+  );
+
+  return (
+    <Drawer
+      open={open}
+      onClose={onClose}
+      title="Create API Key"
+      description="For scripts and integrations that call the Headscale API"
+      footer={footer}
+    >
+      {!created && (
+        <>
+          {error && <ErrorAlert title="Could not create API key" error={error} />}
+          <div>
+            <label className="form-label" htmlFor="api-key-expiration">Expires after</label>
+            <select id="api-key-expiration" className="form-input" value={expiration} onChange={(event) => setExpiration(event.target.value)}>
+              {API_KEY_EXPIRATION_PRESETS.map((preset) => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-sm text-gray-600">
+            An API key has full control over Headscale. Give each integration its own key so one can be revoked without breaking the others.
+          </p>
+        </>
+      )}
+
+      {created && (
+        <>
+          <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-sm">
+            <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+            <p>Copy this key now. Headscale only stores a hash of it, so it cannot be shown again.</p>
+          </div>
+          <div>
+            <span className="form-label">API key</span>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 min-w-0 break-all rounded-lg bg-gray-900 text-green-300 px-3 py-2 text-sm">{created.apiKey}</code>
+              <CopyButton value={created.apiKey} />
+            </div>
+          </div>
+          <p className="text-sm text-gray-600">
+            Send it as <code className="font-mono">Authorization: Bearer &lt;key&gt;</code>. It is listed here by its prefix,{' '}
+            <span className="font-mono">{created.prefix}</span>.
+          </p>
+        </>
+      )}
+    </Drawer>
+  );
+};
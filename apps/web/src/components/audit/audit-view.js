@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, Download, RefreshCw, ScrollText } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { AUDIT_QUERY_DEFAULTS, AUDIT_RESULTS, AUDIT_TYPES, actorLabel, auditExportUrl, describeAudit, targetLabel } from '@/lib/audit';
+import { formatRelativeTime } from '@/lib/format';
+
+export const RESULT_STYLES = {
+  success: 'bg-green-50 text-green-700 border-green-200',
+  failure: 'bg-red-50 text-red-700 border-red-200',
+  denied: 'bg-orange-50 text-orange-700 border-orange-200',
+};
+
+const KINDS = [...new Set(Object.keys(AUDIT_TYPES).map((type) => type.split('.')[0]))];
+
+const exportLinkClass =
+  'inline-flex h-9 items-center justify-center rounded-md border border-gray-200 bg-white px-3 text-sm font-medium text-gray-700 hover:bg-gray-50';
+
+// Free-text filters update the URL once typing pauses, like the Nodes search box
+const TextFilter = ({ label, placeholder, value, onChange }) => {
+  const [text, setText] = useState(value);
+  useEffect(() => setText(value), [value]);
+  useEffect(() => {
+    if (text === value) return undefined;
+    const timer = setTimeout(() => onChange(text), 250);
+    return () => clearTimeout(timer);
+  }, [text, value, onChange]);
+
+  return (
+    <label className="space-y-1">
+      <span className="form-label">{label}</span>
+      <input type="search" className="form-input" placeholder={placeholder} value={text} onChange={(event) => setText(event.target.value)} />
+    </label>
+  );
+};
+
+const AuditFilters = ({ filters, setFilters }) => (
+  <div className="grid gap-3 sm:grid-cols-2 xl:grid-cols-6">
+    <TextFilter label="Actor" placeholder="Email or name" value={filters.actor} onChange={(actor) => setFilters({ actor })} />
+    <label className="space-y-1">
+      <span className="form-label">Action</span>
+      <select className="form-input" value={filters.type} onChange={(event) => setFilters({ type: event.target.value })}>
+        <option value="">All actions</option>
+        {KINDS.map((kind) => (
+          <optgroup key={kind} label={kind}>
+            <option value={kind}>Any {kind} action</option>
+            {Object.entries(AUDIT_TYPES)
+              .filter(([type]) => type.startsWith(`${kind}.`))
+              .map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+          </optgroup>
+        ))}
+      </select>
+    </label>
+    <TextFilter label="Target" placeholder="Node, user, key…" value={filters.target} onChange={(target) => setFilters({ target })} />
+    <label className="space-y-1">
+      <span className="form-label">Result</span>
+      <select className="form-input" value={filters.result} onChange={(event) => setFilters({ result: event.target.value })}>
+        <option value="">Any result</option>
+        {AUDIT_RESULTS.map((result) => (
+          <option key={result} value={result}>
+            {result}
+          </option>
+        ))}
+      </select>
+    </label>
+    <label className="space-y-1">
+      <span className="form-label">From</span>
+      <input type="date" className="form-input" value={filters.from} max={filters.to || undefined} onChange={(event) => setFilters({ from: event.target.value })} />
+    </label>
+    <label className="space-y-1">
+      <span className="form-label">To</span>
+      <input type="date" className="form-input" value={filters.to} min={filters.from || undefined} onChange={(event) => setFilters({ to: event.target.value })} />
+    </label>
+  </div>
+);
+
+const Snapshot = ({ title, value }) => (
+  <div className="min-w-0">
+    <p className="form-label">{title}</p>
+    {value === null || value === undefined ? (
+      <p className="text-sm text-gray-500">—</p>
+    ) : (
+      <pre className="max-h-64 overflow-auto rounded-lg bg-gray-50 p-3 font-mono text-xs text-gray-800">{JSON.stringify(value, null, 2)}</pre>
+    )}
+  </div>
+);
+
+const AuditRow = ({ entry }) => {
+  const [open, setOpen] = useState(false);
+  const at = new Date(entry.timestamp);
+  const Chevron = open ? ChevronDown : ChevronRight;
+
+  return (
+    <li>
+      <button
+        type="button"
+        aria-expanded={open}
+        onClick={() => setOpen((value) => !value)}
+        className="grid w-full gap-2 px-4 py-3 text-left hover:bg-gray-50 sm:grid-cols-[1.25rem_minmax(0,1fr)_12rem_6rem] sm:items-center"
+      >
+        <Chevron className="hidden h-4 w-4 text-gray-400 sm:block" />
+        <span className="min-w-0">
+          <span className="block truncate font-semibold text-gray-900">{describeAudit(entry)}</span>
+          <span className="block truncate text-sm text-gray-600">
+            {actorLabel(entry.actor)}
+            {entry.actor && entry.actor.role ? ` · ${entry.actor.role}` : ''}
+          </span>
+        </span>
+        <span className="text-sm text-gray-600" title={at.toISOString()}>
+          {at.toLocaleString()}
+          <span className="block text-xs text-gray-500">{formatRelativeTime(at)}</span>
+        </span>
+        <Badge variant="outline" className={`justify-self-start ${RESULT_STYLES[entry.result] || ''}`}>
+          {entry.result}
+        </Badge>
+      </button>
+      {open && (
+        <div className="space-y-4 border-t border-gray-100 bg-white px-4 py-4 sm:pl-12">
+          <dl className="grid gap-2 text-sm sm:grid-cols-[8rem_minmax(0,1fr)]">
+            <dt className="text-gray-500">Type</dt>
+            <dd className="font-mono text-gray-900">{entry.type}</dd>
+            <dt className="text-gray-500">Target</dt>
+            <dd className="text-gray-900">{targetLabel(entry.target) || '—'}</dd>
+            {entry.status !== null && (
+              <>
+                <dt className="text-gray-500">Status</dt>
+                <dd className="text-gray-900">{entry.status}</dd>
+              </>
+            )}
+            {entry.error && (
+              <>
+                <dt className="text-gray-500">Error</dt>
+                <dd className="text-red-700">{entry.error}</dd>
+              </>
+            )}
+            <dt className="text-gray-500">Entry</dt>
+            <dd className="font-mono text-xs text-gray-500 break-all">{entry.id}</dd>
+          </dl>
+          <div className="grid gap-4 lg:grid-cols-2">
+            <Snapshot title="Before" value={entry.before} />
+            <Snapshot title="After" value={entry.after} />
+          </div>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Filterable audit log; `audit` is the useAudit resource for `filters`
+export const AuditView = ({ audit, filters, setFilters }) => {
+  const filtered = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="space-y-4 pt-6">
+          <AuditFilters filters={filters} setFilters={setFilters} />
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <p className="text-sm text-gray-600">
+              {audit.data ? `${audit.data.total} entr${audit.data.total === 1 ? 'y' : 'ies'}${filtered ? ' match' : ''}` : ' '}
+              {audit.data && audit.data.total > audit.data.entries.length && ` · showing the latest ${audit.data.entries.length}`}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {filtered && (
+                <Button variant="ghost" size="sm" onClick={() => setFilters(AUDIT_QUERY_DEFAULTS)}>
+                  Clear filters
+                </Button>
+              )}
+              <Button variant="outline" size="sm" onClick={audit.refresh} disabled={audit.loading}>
+                <RefreshCw className={`mr-2 h-4 w-4 ${audit.loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </Button>
+              <a href={auditExportUrl(filters, 'csv')} className={exportLinkClass} download>
+                <Download className="mr-2 h-4 w-4" />
+                CSV
+              </a>
+              <a href={auditExportUrl(filters, 'json')} className={exportLinkClass} download>
+                <Download className="mr-2 h-4 w-4" />
+                JSON
+              </a>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {audit.error && !audit.data && <ErrorAlert title="Failed to load the audit log" error={audit.error} onRetry={audit.refresh} />}
+      {!audit.data && !audit.error && <LoadingState label="Loading audit log..." />}
+      {audit.data && audit.data.entries.length === 0 && (
+        <EmptyState
+          icon={ScrollText}
+          title={filtered ? 'No matching entries' : 'No audited actions yet'}
+          description={filtered ? 'Try widening the date range or clearing a filter.' : 'Changes made through the dashboard are recorded here.'}
+        />
+      )}
+      {audit.data && audit.data.entries.length > 0 && (
+        <Card>
+          <ul className="divide-y divide-gray-100">
+            {audit.data.entries.map((entry) => (
+              <AuditRow key={entry.id} entry={entry} />
+            ))}
+          </ul>
+        </Card>
+      )}
+    </div>
+  );
+};
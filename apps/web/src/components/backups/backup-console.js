@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react';
+import { Archive, ChevronDown, ChevronRight, Database, Download, HardDrive, RefreshCw, RotateCcw, ShieldCheck } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { JobProgress } from '@/components/backups/job-progress';
+import { RestoreDrawer } from '@/components/backups/restore-drawer';
+import { SNAPSHOT_FILES, backupDownloadUrl, backups, formatBytes, isJobRunning } from '@/lib/backup';
+import { useBackupJob, useResource } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+
+const downloadLinkClass =
+  'inline-flex h-8 items-center justify-center rounded-md border border-gray-200 bg-white px-2 text-xs font-medium text-gray-700 hover:bg-gray-50';
+
+const EXPIRING_SOON_MS = 24 * 60 * 60 * 1000;
+
+// Archive listing, loaded when a snapshot row is expanded
+const SnapshotContents = ({ name }) => {
+  const detail = useResource(({ signal }) => backups.get(name, { signal }), [name]);
+  if (detail.error && !detail.data) return <ErrorAlert title="Failed to read the snapshot" error={detail.error} onRetry={detail.refresh} />;
+  if (!detail.data) return <LoadingState label="Reading archive..." />;
+
+  const files = detail.data.archive.filter((entry) => entry.type !== 'directory');
+  return (
+    <div>
+      <p className="form-label">Archive contents ({files.length} files)</p>
+      {files.length === 0 ? (
+        <p className="text-sm text-gray-600">This snapshot has no config archive.</p>
+      ) : (
+        <ul className="max-h-64 overflow-y-auto rounded-lg bg-gray-50 px-3 py-2 font-mono text-xs text-gray-800">
+          {files.map((entry) => (
+            <li key={entry.path} className="flex justify-between gap-4">
+              <span className="break-all">{entry.path}</span>
+              <span className="whitespace-nowrap text-gray-500">{formatBytes(entry.size)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const SnapshotRow = ({ snapshot, canWrite, busy, onVerify, onRestore }) => {
+  const [open, setOpen] = useState(false);
+  const Chevron = open ? ChevronDown : ChevronRight;
+  const expiresSoon = snapshot.expiresAt && snapshot.expiresAt.getTime() - Date.now() < EXPIRING_SOON_MS;
+  const manifest = snapshot.manifest;
+
+  return (
+    <li>
+      <div className="flex flex-col gap-3 px-4 py-3 lg:flex-row lg:items-center">
+        <button type="button" aria-expanded={open} onClick={() => setOpen((value) => !value)} className="flex min-w-0 flex-1 items-start gap-2 text-left">
+          <Chevron className="mt-1 h-4 w-4 flex-shrink-0 text-gray-400" />
+          <span className="min-w-0">
+            <span className="block font-mono font-semibold text-gray-900">{snapshot.name}</span>
+            <span className="block text-sm text-gray-600" title={snapshot.createdAt.toISOString()}>
+              {formatRelativeTime(snapshot.createdAt)} · {formatBytes(snapshot.size)}
+              {manifest && manifest.createdBy && ` · by ${manifest.createdBy.email || manifest.createdBy.name}`}
+              {manifest && manifest.reason && manifest.reason !== 'manual' && ` · ${manifest.reason}`}
+            </span>
+          </span>
+        </button>
+        <div className="flex flex-wrap items-center gap-2">
+          {snapshot.files
+            .filter((file) => file.name !== 'manifest.json')
+            .map((file) => (
+              <Badge key={file.name} variant="outline" className="bg-gray-50 text-gray-700 border-gray-200" title={SNAPSHOT_FILES[file.name] || file.name}>
+                {file.name} · {formatBytes(file.size)}
+              </Badge>
+            ))}
+          {!manifest && (
+            <Badge variant="outline" className="bg-gray-50 text-gray-500 border-gray-200" title="Made outside the dashboard; verification can only check the files are readable">
+              no checksums
+            </Badge>
+          )}
+          {expiresSoon && (
+            <Badge variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">
+              removed {formatRelativeTime(snapshot.expiresAt)}
+            </Badge>
+          )}
+        </div>
+        {canWrite && (
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" disabled={busy} onClick={() => onVerify(snapshot)}>
+              <ShieldCheck className="mr-2 h-4 w-4" />
+              Verify
+            </Button>
+            <Button variant="outline" size="sm" disabled={busy} onClick={() => onRestore(snapshot)}>
+              <RotateCcw className="mr-2 h-4 w-4" />
+              Restore
+            </Button>
+          </div>
+        )}
+      </div>
+      {open && (
+        <div className="space-y-4 border-t border-gray-100 px-4 py-4 sm:pl-10">
+          {canWrite && (
+            <div className="flex flex-wrap gap-2">
+              {snapshot.files.map((file) => (
+                <a key={file.name} href={backupDownloadUrl(snapshot.name, file.name)} className={downloadLinkClass} download>
+                  <Download className="mr-1 h-3 w-3" />
+                  {file.name}
+                </a>
+              ))}
+            </div>
+          )}
+          <SnapshotContents name={snapshot.name} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Backup snapshots with backup, verify and restore; `list` is the useBackups resource
+export const BackupConsole = ({ list, canWrite }) => {
+  const [jobId, setJobId] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState(null);
+  const job = useBackupJob(jobId);
+  const current = job.data && job.data.id === jobId ? job.data : null;
+
+  // Pick up a job that was already running when the page was opened
+  const activeJob = list.data && list.data.activeJob;
+  useEffect(() => {
+    if (activeJob && !jobId) setJobId(activeJob.id);
+  }, [activeJob, jobId]);
+
+  // A finished backup adds a snapshot and may prune old ones
+  const status = current ? current.status : null;
+  useEffect(() => {
+    if (status && status !== 'running') list.refresh();
+  }, [status]);
+
+  const busy = isJobRunning(current) || Boolean(activeJob && activeJob.id !== jobId);
+
+  const startJob = async (start) => {
+    setError(null);
+    try {
+      const started = await start();
+      setJobId(started.id);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  if (list.error && !list.data) return <ErrorAlert title="Failed to load backups" error={list.error} onRetry={list.refresh} />;
+  if (!list.data) return <LoadingState label="Loading backups..." />;
+
+  const { snapshots, retentionDays, databaseConfigured } = list.data;
+  const totalSize = snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0);
+
+  return (
+    <div className="space-y-6">
+      <Card className="card-elevated">
+        <CardContent className="flex flex-col gap-4 pt-6 lg:flex-row lg:items-center lg:justify-between">
+          <div className="space-y-1 text-sm text-gray-600">
+            <p className="flex items-center gap-2">
+              <HardDrive className="h-4 w-4" />
+              {snapshots.length} snapshot{snapshots.length === 1 ? '' : 's'}, {formatBytes(totalSize)} in total
+            </p>
+            <p className="flex items-center gap-2">
+              <Archive className="h-4 w-4" />
+              Snapshots older than {retentionDays} day{retentionDays === 1 ? '' : 's'} are removed after each backup (BACKUP_RETENTION_DAYS)
+            </p>
+            <p className="flex items-center gap-2">
+              <Database className="h-4 w-4" />
+              {databaseConfigured ? 'The Postgres database is included' : 'No database configured (PGHOST); backups hold config files only'}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={list.refresh} disabled={list.loading}>
+              <RefreshCw className={`mr-2 h-4 w-4 ${list.loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            {canWrite && (
+              <Button onClick={() => startJob(backups.create)} disabled={busy}>
+                <Archive className="mr-2 h-4 w-4" />
+                Back up now
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {error && <ErrorAlert title="Could not start the job" error={error} />}
+      {current && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">{isJobRunning(current) ? 'Running' : 'Last job'}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <JobProgress job={current} />
+          </CardContent>
+        </Card>
+      )}
+
+      {snapshots.length === 0 ? (
+        <EmptyState icon={Archive} title="No backups yet" description={canWrite ? 'Create the first snapshot with "Back up now".' : 'An admin can create the first snapshot.'} />
+      ) : (
+        <Card>
+          <ul className="divide-y divide-gray-100">
+            {snapshots.map((snapshot) => (
+              <SnapshotRow
+                key={snapshot.name}
+                snapshot={snapshot}
+                canWrite={canWrite}
+                busy={busy}
+                onVerify={(target) => startJob(() => backups.verify(target.name))}
+                onRestore={setRestoring}
+              />
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      {canWrite && <RestoreDrawer snapshot={restoring} onClose={() => setRestoring(null)} onFinished={list.refresh} />}
+    </div>
+  );
+};
@@ -0,0 +1,46 @@
+import React from 'react';
+import { CheckCircle, Circle, Loader2, MinusCircle, XCircle } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { JOB_LABELS } from '@/lib/backup';
+
+const STEP_ICONS = {
+  running: { icon: Loader2, className: 'text-blue-600 animate-spin' },
+  done: { icon: CheckCircle, className: 'text-green-600' },
+  skipped: { icon: MinusCircle, className: 'text-gray-400' },
+  failed: { icon: XCircle, className: 'text-red-600' },
+};
+
+export const JOB_STATUS_STYLES = {
+  running: 'bg-blue-50 text-blue-700 border-blue-200',
+  succeeded: 'bg-green-50 text-green-700 border-green-200',
+  failed: 'bg-red-50 text-red-700 border-red-200',
+};
+
+// The stages of a backup job as the server reports them
+export const JobProgress = ({ job }) => (
+  <div className="space-y-3">
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="font-semibold text-gray-900">{JOB_LABELS[job.type] || job.type}</span>
+      {job.snapshot && <span className="font-mono text-sm text-gray-600">{job.snapshot}</span>}
+      <Badge variant="outline" className={JOB_STATUS_STYLES[job.status]}>
+        {job.status}
+      </Badge>
+    </div>
+    <ul className="space-y-2">
+      {job.steps.map((step, i) => {
+        const { icon: Icon, className } = STEP_ICONS[step.status] || { icon: Circle, className: 'text-gray-400' };
+        return (
+          <li key={i} className="flex items-start gap-2 text-sm">
+            <Icon className={`h-4 w-4 mt-0.5 flex-shrink-0 ${className}`} />
+            <span className="flex-1 text-gray-800">
+              {step.label}
+              {step.status === 'skipped' && <span className="text-gray-500"> (skipped)</span>}
+              {step.detail && <span className={`block text-xs ${step.status === 'failed' ? 'text-red-700' : 'text-gray-500'}`}>{step.detail}</span>}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+    {job.error && <p className="text-sm text-red-700">{job.error}</p>}
+  </div>
+);
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { JobProgress } from '@/components/backups/job-progress';
+import { backups, isJobRunning } from '@/lib/backup';
+import { useBackupJob } from '@/lib/hooks';
+
+const STEPS = ['dry-run', 'confirm', 'restore'];
+const LIST_LIMIT = 25;
+
+const FileList = ({ title, files, className }) => {
+  if (files.length === 0) return null;
+  return (
+    <div>
+      <p className="form-label">
+        {title} ({files.length})
+      </p>
+      <ul className={`max-h-40 overflow-y-auto rounded-lg bg-gray-50 px-3 py-2 font-mono text-xs ${className}`}>
+        {files.slice(0, LIST_LIMIT).map((file) => (
+          <li key={file} className="break-all">
+            {file}
+          </li>
+        ))}
+        {files.length > LIST_LIMIT && <li className="text-gray-500">…and {files.length - LIST_LIMIT} more</li>}
+      </ul>
+    </div>
+  );
+};
+
+const rowCount = (value) => (value === null || value === undefined ? '—' : value.toLocaleString());
+
+// What the dry run found: files that would be overwritten or created, and table sizes
+const RestorePlan = ({ plan }) => (
+  <div className="space-y-5">
+    <section className="space-y-3">
+      <h3 className="font-semibold text-gray-900">Config files</h3>
+      {!plan.files ? (
+        <p className="text-sm text-gray-600">The snapshot has no config archive; files are left as they are.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">
+            {plan.files.changed.length} overwritten, {plan.files.added.length} created, {plan.files.unchanged} unchanged.
+          </p>
+          <FileList title="Overwritten" files={plan.files.changed} className="text-blue-800" />
+          <FileList title="Created" files={plan.files.added} className="text-green-800" />
+          <FileList title="Not in the backup, kept as they are" files={plan.files.kept} className="text-gray-600" />
+        </>
+      )}
+    </section>
+    <section className="space-y-3">
+      <h3 className="font-semibold text-gray-900">Database</h3>
+      {!plan.database ? (
+        <p className="text-sm text-gray-600">The snapshot has no database dump; the database is left as it is.</p>
+      ) : (
+        <>
+          {!plan.database.complete && (
+            <p className="flex items-start gap-2 text-sm text-red-700">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              The dump looks truncated; restoring it would fail or lose data.
+            </p>
+          )}
+          {!plan.database.reachable && <p className="text-sm text-gray-600">No database is configured, so live row counts are unavailable.</p>}
+          <p className="text-sm text-gray-600">Every table in the public schema is replaced by the backup. Live counts are Postgres estimates.</p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-semibold uppercase text-gray-500">
+                <th className="py-1 pr-2">Table</th>
+                <th className="py-1 pr-2 text-right">Backup</th>
+                <th className="py-1 text-right">Now</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {plan.database.tables.map((table) => (
+                <tr key={table.name} className={table.rows !== table.current ? 'text-gray-900' : 'text-gray-500'}>
+                  <td className="py-1 pr-2 font-mono text-xs break-all">{table.name}</td>
+                  <td className="py-1 pr-2 text-right">{rowCount(table.rows)}</td>
+                  <td className="py-1 text-right">{rowCount(table.current)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  </div>
+);
+
+// Guided restore of `snapshot`: a dry run first, then a typed confirmation, then the restore
+export const RestoreDrawer = ({ snapshot, onClose, onFinished }) => {
+  const [step, setStep] = useState('dry-run');
+  const [dryRunId, setDryRunId] = useState(null);
+  const [restoreId, setRestoreId] = useState(null);
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState(null);
+  const dryRun = useBackupJob(dryRunId);
+  const restore = useBackupJob(restoreId);
+  const name = snapshot && snapshot.name;
+
+  useEffect(() => {
+    if (!name) return;
+    setStep('dry-run');
+    setDryRunId(null);
+    setRestoreId(null);
+    setConfirm('');
+    setError(null);
+    backups.restore(name).then((job) => setDryRunId(job.id), setError);
+  }, [name]);
+
+  const restoreJob = restore.data && restore.data.id === restoreId ? restore.data : null;
+  const dryRunJob = dryRun.data && dryRun.data.id === dryRunId ? dryRun.data : null;
+  const restoring = isJobRunning(restoreJob) || (step === 'restore' && !restoreJob && !error);
+
+  // The snapshot list changes either way: a safety snapshot is written before restoring
+  const restoreStatus = restoreJob ? restoreJob.status : null;
+  useEffect(() => {
+    if (restoreStatus && restoreStatus !== 'running' && onFinished) onFinished();
+  }, [restoreStatus]);
+
+  const start = async () => {
+    setError(null);
+    setStep('restore');
+    try {
+      const job = await backups.restore(name, { dryRun: false, confirm });
+      setRestoreId(job.id);
+    } catch (err) {
+      setError(err);
+      setStep('confirm');
+    }
+  };
+
+  const footer =
+    step === 'dry-run' ? (
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" onClick={onClose}>Cancel</Button>
+        <Button disabled={!dryRunJob || dryRunJob.status !== 'succeeded'} onClick={() => setStep('confirm')}>
+          Continue
+        </Button>
+      </div>
+    ) : step === 'confirm' ? (
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" onClick={() => setStep('dry-run')}>Back</Button>
+        <Button variant="destructive" className="bg-red-600 text-white hover:bg-red-700" disabled={confirm !== name} onClick={start}>
+          <RotateCcw className="mr-2 h-4 w-4" />
+          Restore
+        </Button>
+      </div>
+    ) : (
+      <div className="flex justify-end">
+        <Button disabled={restoring} onClick={onClose}>{restoring ? 'Restoring...' : 'Close'}</Button>
+      </div>
+    );
+
+  return (
+    <Drawer
+      open={Boolean(snapshot)}
+      onClose={onClose}
+      dismissable={!restoring}
+      title={`Restore ${name || ''}`}
+      description={`Step ${STEPS.indexOf(step) + 1} of ${STEPS.length}`}
+      footer={footer}
+    >
+      {error && <ErrorAlert title={step === 'dry-run' ? 'Could not start the dry run' : 'Could not start the restore'} error={error} />}
+
+      {step === 'dry-run' && (
+        <>
+          <p className="text-sm text-gray-600">A dry run compares the snapshot with the live files and database. Nothing is changed.</p>
+          {!dryRunJob && !error && <LoadingState label="Starting dry run..." />}
+          {dryRunJob && <JobProgress job={dryRunJob} />}
+          {dryRunJob && dryRunJob.status === 'succeeded' && dryRunJob.result && <RestorePlan plan={dryRunJob.result} />}
+        </>
+      )}
+
+      {step === 'confirm' && (
+        <>
+          <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-sm">
+            <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+            <div className="space-y-2">
+              <p>Stop Headscale before restoring so it does not write to the database mid-restore:</p>
+              <code className="block rounded bg-gray-900 px-2 py-1 text-gray-100">docker-compose stop headscale</code>
+              <p>A safety snapshot of the current state is taken first, so this restore can itself be undone.</p>
+            </div>
+          </div>
+          <div>
+            <label className="form-label" htmlFor="restore-confirm">
+              Type <span className="font-mono">{name}</span> to confirm
+            </label>
+            <input id="restore-confirm" className="form-input font-mono" autoComplete="off" value={confirm} onChange={(event) => setConfirm(event.target.value)} />
+          </div>
+        </>
+      )}
+
+      {step === 'restore' && (
+        <>
+          {!restoreJob && !error && <LoadingState label="Starting restore..." />}
+          {restoreJob && <JobProgress job={restoreJob} />}
+          {restoreJob && restoreJob.status === 'succeeded' && (
+            <div className="flex items-start gap-3 p-4 rounded-lg bg-green-50 border border-green-200 text-green-800 text-sm">
+              <CheckCircle className="h-5 w-5 flex-shrink-0" />
+              <div className="space-y-2">
+                <p>
+                  Restored {name}. The previous state was saved as <span className="font-mono">{restoreJob.result.safetySnapshot}</span>. Start Headscale again:
+                </p>
+                <code className="block rounded bg-gray-900 px-2 py-1 text-gray-100">docker-compose start headscale</code>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </Drawer>
+  );
+};
@@ -0,0 +1,78 @@
+import React from 'react';
+import * as AlertDialogPrimitive from '@radix-ui/react-alert-dialog';
+import { CheckCircle2, Circle, Loader2, MinusCircle, RefreshCw, XCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { summarizeResults } from '@/lib/bulk';
+
+const STATUS_ICONS = {
+  pending: <Circle className="h-4 w-4 text-gray-300" />,
+  running: <Loader2 className="h-4 w-4 animate-spin text-blue-500" />,
+  success: <CheckCircle2 className="h-4 w-4 text-green-600" />,
+  error: <XCircle className="h-4 w-4 text-red-600" />,
+  cancelled: <MinusCircle className="h-4 w-4 text-gray-400" />,
+};
+
+// Modal progress for a useBulkOperation run: a bar, per-item status, and once finished a
+// failure summary with retry. It can't be dismissed while items are still running.
+export const BulkProgressDialog = ({ bulk }) => {
+  const { operation, retryFailed, cancel, close } = bulk;
+  if (!operation) return null;
+
+  const { title, entries, running } = operation;
+  const counts = summarizeResults(entries);
+  const settled = (counts.success || 0) + (counts.error || 0) + (counts.cancelled || 0);
+  const failed = entries.filter((entry) => entry.status === 'error');
+  const retryable = failed.length + (counts.cancelled || 0);
+  const percent = entries.length ? Math.round((settled / entries.length) * 100) : 100;
+
+  return (
+    <AlertDialogPrimitive.Root open onOpenChange={(open) => !open && !running && close()}>
+      <AlertDialogPrimitive.Portal>
+        <AlertDialogPrimitive.Overlay className="fixed inset-0 z-[1030] bg-black/40 backdrop-blur-sm animate-fade-in" />
+        <AlertDialogPrimitive.Content
+          onEscapeKeyDown={(event) => running && event.preventDefault()}
+          className="fixed left-1/2 top-1/2 z-[1030] flex max-h-[85vh] w-[calc(100%-2rem)] max-w-lg -translate-x-1/2 -translate-y-1/2 flex-col rounded-xl bg-white p-6 shadow-strong animate-scale-in focus:outline-none"
+        >
+          <AlertDialogPrimitive.Title className="text-lg font-bold text-gray-900">{title}</AlertDialogPrimitive.Title>
+          <AlertDialogPrimitive.Description className="mt-2 text-sm text-gray-600">
+            {running
+              ? `${settled} of ${entries.length} done`
+              : `${counts.success || 0} succeeded${counts.error ? `, ${counts.error} failed` : ''}${counts.cancelled ? `, ${counts.cancelled} cancelled` : ''}`}
+          </AlertDialogPrimitive.Description>
+
+          <div className="mt-4 h-2 rounded-full bg-gray-100 overflow-hidden" role="progressbar" aria-valuemin={0} aria-valuemax={entries.length} aria-valuenow={settled}>
+            <div className={`h-full transition-all duration-300 ${counts.error ? 'bg-orange-500' : 'bg-blue-600'}`} style={{ width: `${percent}%` }} />
+          </div>
+
+          <ul className="mt-4 flex-1 overflow-y-auto divide-y divide-gray-100 rounded-lg border border-gray-200">
+            {entries.map((entry, i) => (
+              <li key={i} className="flex items-start gap-3 px-3 py-2 text-sm">
+                <span className="mt-0.5 flex-shrink-0">{STATUS_ICONS[entry.status]}</span>
+                <span className="min-w-0 flex-1">
+                  <span className="block truncate font-medium text-gray-900">{entry.label}</span>
+                  {entry.error && <span className="block text-xs text-red-700">{entry.error.message}</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="mt-6 flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+            {running ? (
+              <Button variant="outline" onClick={cancel}>Cancel remaining</Button>
+            ) : (
+              <>
+                {retryable > 0 && (
+                  <Button variant="outline" onClick={retryFailed}>
+                    <RefreshCw className="mr-2 h-4 w-4" />
+                    Retry {retryable} item{retryable === 1 ? '' : 's'}
+                  </Button>
+                )}
+                <Button onClick={close}>Close</Button>
+              </>
+            )}
+          </div>
+        </AlertDialogPrimitive.Content>
+      </AlertDialogPrimitive.Portal>
+    </AlertDialogPrimitive.Root>
+  );
+};
@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from 'react';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+
+const MODES = [
+  { value: 'add', label: 'Add tags' },
+  { value: 'remove', label: 'Remove tags' },
+  { value: 'replace', label: 'Replace all tags' },
+];
+
+// Picks a retag mode and tags, then hands them to `onConfirm(mode, tags)`
+export const BulkRetagDialog = ({ open, onOpenChange, count, noun = 'node', tagOptions = [], onConfirm }) => {
+  const [mode, setMode] = useState('add');
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    if (open) {
+      setMode('add');
+      setTags([]);
+    }
+  }, [open]);
+
+  const toggle = (tag) => setTags((current) => (current.includes(tag) ? current.filter((t) => t !== tag) : [...current, tag]));
+  const empty = tags.length === 0 && mode !== 'replace';
+
+  return (
+    <ConfirmDialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title={`Retag ${count} ${noun}${count === 1 ? '' : 's'}`}
+      description={mode === 'replace' && tags.length === 0 ? 'With no tags selected, every tag is removed.' : 'Only tags defined in the ACL policy\'s tagOwners can be applied.'}
+      confirmLabel={empty ? 'Select tags' : 'Apply'}
+      onConfirm={(event) => {
+        if (empty) {
+          event.preventDefault();
+          return;
+        }
+        onConfirm(mode, tags);
+      }}
+    >
+      <div className="space-y-4">
+        <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Retag mode">
+          {MODES.map((item) => (
+            <label key={item.value} className="flex items-center gap-2 text-sm">
+              <input type="radio" name="retag-mode" value={item.value} checked={mode === item.value} onChange={() => setMode(item.value)} />
+              {item.label}
+            </label>
+          ))}
+        </div>
+        {tagOptions.length === 0 ? (
+          <p className="text-sm text-gray-600">No tags are defined in the ACL policy's tagOwners.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {tagOptions.map((tag) => {
+              const selected = tags.includes(tag);
+              return (
+                <button
+                  key={tag}
+                  type="button"
+                  aria-pressed={selected}
+                  onClick={() => toggle(tag)}
+                  className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors ${
+                    selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                  }`}
+                >
+                  {tag}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </ConfirmDialog>
+  );
+};
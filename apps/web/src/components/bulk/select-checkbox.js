@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Checkbox that selects a row or card for bulk actions without opening it
+export const SelectCheckbox = ({ checked, onChange, label }) => (
+  <input
+    type="checkbox"
+    className="h-4 w-4 cursor-pointer"
+    aria-label={label}
+    checked={checked}
+    onClick={(event) => event.stopPropagation()}
+    onKeyDown={(event) => event.stopPropagation()}
+    onChange={onChange}
+  />
+);
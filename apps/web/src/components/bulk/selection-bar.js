@@ -0,0 +1,27 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Shown above a list while items are selected; `children` are the bulk action buttons
+export const SelectionBar = ({ count, total, onSelectAll, onClear, children }) => (
+  <div
+    role="region"
+    aria-label="Bulk actions"
+    className="sticky top-2 z-20 flex flex-col sm:flex-row sm:items-center gap-3 rounded-xl border border-blue-200 bg-blue-50/95 backdrop-blur-sm px-4 py-3 shadow-sm animate-fade-in"
+  >
+    <div className="flex flex-1 items-center gap-3 text-sm">
+      <span className="font-semibold text-blue-900">{count} selected</span>
+      {count < total && (
+        <Button variant="link" size="sm" className="px-0 h-auto" onClick={onSelectAll}>
+          Select all {total}
+        </Button>
+      )}
+    </div>
+    <div className="flex flex-wrap gap-2">
+      {children}
+      <Button variant="ghost" size="sm" onClick={onClear} aria-label="Clear selection">
+        <X className="h-4 w-4" />
+      </Button>
+    </div>
+  </div>
+);
@@ -0,0 +1,357 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
+import { ArrowDown, ArrowUp, CheckCircle, Code, Download, FileCode, Plus, RefreshCw, Table, Trash2, Upload } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { IssueRow, SourceEditor, jumpTo } from '@/components/ui/source-editor';
+import { LineDiff } from '@/components/ui/line-diff';
+import { api } from '@/lib/api';
+import { DESIRED_STATE_FILES, addEntry, analyzeDesiredState, moveEntry, removeEntry, setEntryField } from '@/lib/desired-state';
+import { countChanges, diffLines } from '@/lib/text-diff';
+import { downloadText } from '@/lib/download';
+
+const splitList = (value) =>
+  value
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Comma-separated list input; the YAML is only rewritten once the edit is committed
+const ListInput = ({ value, onCommit, disabled, label, placeholder }) => {
+  const joined = (value || []).join(', ');
+  const [text, setText] = useState(joined);
+  useEffect(() => setText(joined), [joined]);
+  const commit = () => {
+    if (text !== joined) onCommit(splitList(text));
+  };
+
+  return (
+    <input
+      className="form-input font-mono text-xs"
+      aria-label={label}
+      placeholder={placeholder}
+      value={text}
+      disabled={disabled}
+      onChange={(event) => setText(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') commit();
+      }}
+    />
+  );
+};
+
+const FieldInput = ({ field, value, onChange, disabled, entryLabel }) => {
+  const label = `${field.label} of ${entryLabel}`;
+  if (field.type === 'boolean') {
+    return (
+      <input type="checkbox" className="h-4 w-4" aria-label={label} checked={value === true} disabled={disabled} onChange={(event) => onChange(event.target.checked)} />
+    );
+  }
+  if (field.type === 'list') {
+    return <ListInput value={Array.isArray(value) ? value.map(String) : []} onCommit={onChange} disabled={disabled} label={label} placeholder="comma separated" />;
+  }
+  return (
+    <input
+      className="form-input"
+      aria-label={label}
+      value={value === null || value === undefined ? '' : String(value)}
+      disabled={disabled}
+      onChange={(event) => onChange(event.target.value)}
+    />
+  );
+};
+
+const EntriesForm = ({ kind, text, entries, onChange, canWrite }) => {
+  const schema = DESIRED_STATE_FILES[kind];
+
+  return (
+    <div className="space-y-3">
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600">No {schema.noun} entries yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-semibold uppercase text-gray-500">
+                <th className="px-2 py-2 w-8">#</th>
+                {schema.fields.map((field) => (
+                  <th key={field.name} className="px-2 py-2">
+                    {field.label}
+                  </th>
+                ))}
+                <th className="px-2 py-2 sr-only">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map((entry, index) => {
+                const entryLabel = `entry ${index + 1}`;
+                return (
+                  <tr key={index} className="align-middle">
+                    <td className="px-2 py-2 font-mono text-xs text-gray-500">{index + 1}</td>
+                    {entry === null ? (
+                      <td colSpan={schema.fields.length} className="px-2 py-2 text-gray-600">
+                        Not a mapping; edit this entry in the YAML view.
+                      </td>
+                    ) : (
+                      schema.fields.map((field) => (
+                        <td key={field.name} className="px-2 py-2">
+                          <FieldInput
+                            field={field}
+                            value={entry[field.name]}
+                            entryLabel={entryLabel}
+                            disabled={!canWrite}
+                            onChange={(value) => onChange(setEntryField(kind, text, index, field.name, value))}
+                          />
+                        </td>
+                      ))
+                    )}
+                    <td className="px-2 py-2">
+                      <div className="flex justify-end gap-1">
+                        <Button variant="ghost" size="sm" aria-label={`Move ${entryLabel} up`} disabled={!canWrite || index === 0} onClick={() => onChange(moveEntry(text, index, index - 1))}>
+                          <ArrowUp className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          aria-label={`Move ${entryLabel} down`}
+                          disabled={!canWrite || index === entries.length - 1}
+                          onClick={() => onChange(moveEntry(text, index, index + 1))}
+                        >
+                          <ArrowDown className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" aria-label={`Remove ${entryLabel}`} disabled={!canWrite} onClick={() => onChange(removeEntry(text, index))}>
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {canWrite && (
+        <Button variant="outline" size="sm" onClick={() => onChange(addEntry(kind, text))}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add {schema.noun}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+// Editor for one desired-state file; `file` is the getConfigFile resource for `kind`
+export const DesiredStateEditor = ({ kind, file, canWrite }) => {
+  const schema = DESIRED_STATE_FILES[kind];
+  const [text, setText] = useState(null);
+  const [view, setView] = useState('form');
+  const [pendingJump, setPendingJump] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [conflict, setConflict] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const textareaRef = useRef(null);
+  const fileRef = useRef(null);
+
+  // Seed the editor from the file once; later refreshes must not clobber edits
+  useEffect(() => {
+    if (file.data && text === null) setText(file.data.content);
+  }, [file.data, text]);
+
+  const analysis = useMemo(() => (text === null ? null : analyzeDesiredState(kind, text)), [kind, text]);
+  const changes = useMemo(() => (text === null || !file.data ? null : countChanges(diffLines(file.data.content, text))), [file.data, text]);
+
+  // Issues picked from the form view are shown once the YAML view has mounted
+  useEffect(() => {
+    if (pendingJump && view === 'yaml') {
+      jumpTo(textareaRef.current, text, pendingJump);
+      setPendingJump(null);
+    }
+  }, [pendingJump, view, text]);
+
+  if (file.error && !file.data) return <ErrorAlert title={`Failed to load ${schema.file}`} error={file.error} onRetry={file.refresh} />;
+  if (!file.data || text === null) return <LoadingState label={`Loading ${schema.file}...`} />;
+
+  const errors = analysis.issues.filter((issue) => issue.severity === 'error');
+  const warnings = analysis.issues.filter((issue) => issue.severity !== 'error');
+  const changed = text !== file.data.content;
+  const canSave = canWrite && !saving && errors.length === 0 && changed;
+  const formAvailable = analysis.entries !== null;
+  const problems = saveError && saveError.body && Array.isArray(saveError.body.problems) ? saveError.body.problems : [];
+
+  const edit = (next) => {
+    setText(next);
+    setSavedAt(null);
+  };
+
+  const importFile = (event) => {
+    const picked = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!picked) return;
+    picked.text().then(edit, (err) => setSaveError(err));
+  };
+
+  const selectIssue = (issue) => {
+    setView('yaml');
+    setPendingJump(issue);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSaveError(null);
+    setConflict(false);
+    try {
+      const saved = await api.putConfigFile(kind, { content: text, baseSha256: file.data.sha256 });
+      file.mutate(saved);
+      setText(saved.content);
+      setSavedAt(new Date());
+    } catch (err) {
+      // Someone else saved first: reload the file so the diff is reviewed against their version
+      if (err.status === 409) {
+        setConflict(true);
+        file.refresh();
+      } else {
+        setSaveError(err);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-3">
+      <Card className="card-elevated lg:col-span-2">
+        <CardHeader className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 space-y-0">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <FileCode className="h-5 w-5 text-blue-600" />
+            <span className="font-mono">{schema.file}</span>
+            {!file.data.exists && (
+              <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">
+                new file
+              </Badge>
+            )}
+          </CardTitle>
+          <div className="flex flex-wrap gap-2">
+            <div className="inline-flex rounded-md border border-gray-200 p-0.5" role="group" aria-label="Editor view">
+              <Button variant={view === 'form' ? 'secondary' : 'ghost'} size="sm" aria-pressed={view === 'form'} onClick={() => setView('form')} disabled={!formAvailable}>
+                <Table className="h-4 w-4 mr-2" />
+                Form
+              </Button>
+              <Button variant={view === 'yaml' ? 'secondary' : 'ghost'} size="sm" aria-pressed={view === 'yaml'} onClick={() => setView('yaml')}>
+                <Code className="h-4 w-4 mr-2" />
+                YAML
+              </Button>
+            </div>
+            <input ref={fileRef} type="file" accept=".yaml,.yml,application/yaml,text/yaml" className="hidden" onChange={importFile} />
+            <Button variant="outline" size="sm" onClick={() => fileRef.current && fileRef.current.click()} disabled={!canWrite}>
+              <Upload className="h-4 w-4 mr-2" />
+              Import
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => downloadText(schema.file, text, 'application/yaml')}>
+              <Download className="h-4 w-4 mr-2" />
+              Export
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => edit(file.data.content)} disabled={!changed}>
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Reset
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {view === 'form' && formAvailable ? (
+            <EntriesForm kind={kind} text={text} entries={analysis.entries} onChange={edit} canWrite={canWrite} />
+          ) : (
+            <>
+              {view === 'form' && <p className="text-sm text-orange-700">The form needs a valid list of entries; fix the errors below in YAML first.</p>}
+              <SourceEditor value={text} onChange={edit} readOnly={!canWrite} label={`${schema.file} (YAML)`} textareaRef={textareaRef} />
+            </>
+          )}
+          {conflict && (
+            <ErrorAlert
+              title={`${schema.file} changed since you opened it`}
+              error="The diff now compares against the latest version on the server. Review it and save again."
+            />
+          )}
+          {saveError && <ErrorAlert title={`Failed to save ${schema.file}`} error={saveError} />}
+          {problems.length > 0 && (
+            <ul className="list-disc pl-5 text-sm text-red-700">
+              {problems.map((problem, i) => (
+                <li key={i}>{problem}</li>
+              ))}
+            </ul>
+          )}
+          {savedAt && !changed && (
+            <p className="flex items-center gap-2 text-sm text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              Saved at {savedAt.toLocaleTimeString()}.{' '}
+              <Link href="/sync" className="font-semibold underline">
+                Apply it with Config Sync
+              </Link>
+            </p>
+          )}
+          {canWrite ? (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <p className="text-sm text-gray-600">
+                {changed ? `${changes.added} line${changes.added === 1 ? '' : 's'} added, ${changes.removed} removed.` : `No changes from ${schema.file}.`}
+              </p>
+              <Button onClick={() => setReviewing(true)} disabled={!canSave}>
+                {saving ? 'Saving...' : 'Review & Save'}
+              </Button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Read-only access: editing desired state requires the admin role.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="card-elevated">
+        <CardHeader>
+          <CardTitle className="flex items-center justify-between gap-2 text-lg">
+            Validation
+            <span className="flex gap-2">
+              <Badge variant="outline" className={errors.length ? 'bg-red-50 text-red-700 border-red-200' : 'bg-green-50 text-green-700 border-green-200'}>
+                {errors.length} error{errors.length === 1 ? '' : 's'}
+              </Badge>
+              {warnings.length > 0 && (
+                <Badge variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">
+                  {warnings.length} warning{warnings.length === 1 ? '' : 's'}
+                </Badge>
+              )}
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {analysis.issues.length === 0 ? (
+            <p className="flex items-center gap-2 text-sm text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              {analysis.entries.length} {schema.noun} entr{analysis.entries.length === 1 ? 'y' : 'ies'}, all valid
+            </p>
+          ) : (
+            <ul className="-mx-3 space-y-1 max-h-[28rem] overflow-y-auto">
+              {analysis.issues.map((issue, i) => (
+                <IssueRow key={i} issue={issue} onSelect={selectIssue} />
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <ConfirmDialog
+        open={reviewing}
+        onOpenChange={setReviewing}
+        title={`Save ${schema.file}?`}
+        description="Headscale is not changed until the desired state is applied from Config Sync."
+        confirmLabel="Save file"
+        onConfirm={save}
+      >
+        <LineDiff before={file.data.content} after={text} className="max-h-80" />
+      </ConfirmDialog>
+    </div>
+  );
+};
@@ -0,0 +1,32 @@
+import React from 'react';
+
+export const HEALTH_STYLES = {
+  operational: { label: 'All Systems Operational', short: 'Operational', pill: 'bg-green-100 text-green-800', dot: 'bg-green-500', badge: 'bg-green-50 text-green-700 border-green-200' },
+  degraded: { label: 'Degraded Performance', short: 'Degraded', pill: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500', badge: 'bg-yellow-50 text-yellow-700 border-yellow-200' },
+  outage: { label: 'Service Outage', short: 'Outage', pill: 'bg-red-100 text-red-800', dot: 'bg-red-500 animate-pulse', badge: 'bg-red-50 text-red-700 border-red-200' },
+  unknown: { label: 'Status Unknown', short: 'Unknown', pill: 'bg-gray-100 text-gray-700', dot: 'bg-gray-400', badge: 'bg-gray-50 text-gray-700 border-gray-200' },
+};
+
+// Header pill for the worst component state; `health` is the useHealth resource
+export const HealthPill = ({ health, onClick, className = '' }) => {
+  const status = health.data ? health.data.status : 'unknown';
+  const style = HEALTH_STYLES[status];
+  const failing = health.data ? health.data.components.filter((component) => component.status !== 'operational') : [];
+  const title = health.error && !health.data
+    ? `Health check failed: ${health.error.message}`
+    : failing.length
+      ? `Affected: ${failing.map((component) => component.name).join(', ')}`
+      : 'View system health';
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={title}
+      className={`flex items-center gap-2 px-4 py-2 rounded-full text-sm font-semibold shadow-sm hover:shadow-md transition-shadow ${style.pill} ${className}`}
+    >
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      <span>{health.data ? style.label : health.error ? 'Health Unavailable' : 'Checking Health…'}</span>
+    </button>
+  );
+};
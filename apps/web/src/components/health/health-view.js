@@ -0,0 +1,86 @@
+import React from 'react';
+import { HeartPulse, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { HEALTH_STYLES } from '@/components/health/health-pill';
+import { formatRelativeTime } from '@/lib/format';
+
+const formatLatency = (ms) => (ms === null || ms === undefined ? '—' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+const ComponentRow = ({ component }) => {
+  const style = HEALTH_STYLES[component.status] || HEALTH_STYLES.unknown;
+  return (
+    <li className="grid gap-3 py-4 sm:grid-cols-[minmax(0,1fr)_auto_5rem] sm:items-start">
+      <div className="min-w-0 space-y-1">
+        <p className="flex items-center gap-2 font-semibold text-gray-900">
+          <span className={`h-2.5 w-2.5 rounded-full flex-shrink-0 ${style.dot}`} />
+          {component.name}
+        </p>
+        <p className="font-mono text-xs text-gray-500 break-all">{component.source}</p>
+        {component.detail && <p className="text-sm text-gray-600">{component.detail}</p>}
+        {component.lastError && (
+          <p className={`text-xs ${component.status === 'operational' ? 'text-gray-500' : 'text-red-700'}`}>
+            Last error {formatRelativeTime(component.lastError.at)}: {component.lastError.message}
+          </p>
+        )}
+      </div>
+      <Badge variant="outline" className={`justify-self-start ${style.badge}`}>{style.short}</Badge>
+      <span className="text-sm text-gray-700 sm:text-right" title="Latency">{formatLatency(component.latencyMs)}</span>
+    </li>
+  );
+};
+
+// Per-component health from /api/health; `health` is the useHealth resource
+export const HealthView = ({ health }) => {
+  if (health.error && !health.data) return <ErrorAlert title="Failed to check system health" error={health.error} onRetry={health.refresh} />;
+  if (!health.data) return <LoadingState label="Checking components..." />;
+
+  const { status, checkedAt, components } = health.data;
+  const style = HEALTH_STYLES[status];
+  const counts = components.reduce((acc, component) => ({ ...acc, [component.status]: (acc[component.status] || 0) + 1 }), {});
+
+  return (
+    <div className="space-y-6">
+      <div className={`flex flex-col sm:flex-row sm:items-center justify-between gap-4 rounded-xl p-5 ${style.pill}`}>
+        <div className="flex items-center gap-3">
+          <span className={`h-3 w-3 rounded-full ${style.dot}`} />
+          <div>
+            <p className="text-lg font-bold">{style.label}</p>
+            <p className="text-sm opacity-80">
+              {Object.entries(counts)
+                .map(([state, count]) => `${count} ${(HEALTH_STYLES[state] || HEALTH_STYLES.unknown).short.toLowerCase()}`)
+                .join(' · ')}
+              {' · checked '}
+              {formatRelativeTime(checkedAt)}
+            </p>
+          </div>
+        </div>
+        <Button variant="outline" size="sm" className="bg-white/70" onClick={health.refresh} disabled={health.loading}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${health.loading ? 'animate-spin' : ''}`} />
+          Check now
+        </Button>
+      </div>
+
+      {health.error && <ErrorAlert title="Latest health check failed; showing the previous result" error={health.error} />}
+
+      <Card className="card-elevated">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <HeartPulse className="h-5 w-5 text-blue-600" />
+            Components
+          </CardTitle>
+          <CardDescription>Latency is the orchestrator probe's round trip, or Prometheus' scrape duration for scraped services.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ul className="divide-y divide-gray-100">
+            {components.map((component) => (
+              <ComponentRow key={component.id} component={component} />
+            ))}
+          </ul>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
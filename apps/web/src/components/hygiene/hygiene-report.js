@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import Link from 'next/link';
+import { Download, Printer, ShieldCheck, TimerOff } from 'lucide-react';
+import { Card } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { useNodeActions } from '@/lib/node-actions';
+import { useNow } from '@/lib/hooks';
+import { downloadText } from '@/lib/download';
+import { formatRelativeTime } from '@/lib/format';
+import { EXPIRY_PRESETS, FINDINGS, OFFLINE_PRESETS, hygieneReport, hygieneToCSV, hygieneToHTML, summarizeHygiene } from '@/lib/hygiene';
+
+const FINDING_STYLES = {
+  'deleted-user': 'bg-red-50 text-red-700 border-red-200',
+  offline: 'bg-orange-50 text-orange-700 border-orange-200',
+  duplicate: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+  'node-expiring': 'bg-blue-50 text-blue-700 border-blue-200',
+  'key-expiring': 'bg-blue-50 text-blue-700 border-blue-200',
+};
+
+const TimeCell = ({ value, now, empty }) =>
+  value ? <span title={value.toLocaleString()}>{formatRelativeTime(value, now)}</span> : <span className="text-gray-400">{empty}</span>;
+
+const Thresholds = ({ thresholds, setThresholds }) => (
+  <div className="grid gap-3 sm:grid-cols-2 sm:max-w-lg">
+    <label className="space-y-1">
+      <span className="form-label">Offline longer than</span>
+      <select className="form-input" value={thresholds.offline} onChange={(event) => setThresholds({ offline: Number(event.target.value) })}>
+        {OFFLINE_PRESETS.map((days) => (
+          <option key={days} value={days}>
+            {days} days
+          </option>
+        ))}
+      </select>
+    </label>
+    <label className="space-y-1">
+      <span className="form-label">Expiring within</span>
+      <select className="form-input" value={thresholds.expiry} onChange={(event) => setThresholds({ expiry: Number(event.target.value) })}>
+        {EXPIRY_PRESETS.map((days) => (
+          <option key={days} value={days}>
+            {days} days
+          </option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+// Ranked cleanup candidates from the live node, user and pre-auth key lists. Admins can
+// expire a node from its row; the report exports as CSV or a printable HTML page.
+export const HygieneReport = ({ nodes, users, keys, thresholds, setThresholds, canWrite }) => {
+  const now = useNow();
+  const actions = useNodeActions(nodes);
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const rows = useMemo(
+    () => (nodes.data ? hygieneReport({ nodes: nodes.data, users: users.data, keys: keys.data || [] }, thresholds, now) : []),
+    [nodes.data, users.data, keys.data, thresholds, now]
+  );
+
+  if (nodes.error && !nodes.data) return <ErrorAlert title="Failed to load nodes" error={nodes.error} onRetry={nodes.refresh} />;
+  if (!nodes.data) return <LoadingState label="Loading nodes..." />;
+
+  const summary = summarizeHygiene(rows);
+  const stamp = new Date(now).toISOString().slice(0, 10);
+
+  const expire = async (node) => {
+    setError(null);
+    try {
+      await actions.expire(node);
+    } catch (err) {
+      setError({ node, err });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col lg:flex-row lg:items-end justify-between gap-4">
+        <Thresholds thresholds={thresholds} setThresholds={setThresholds} />
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" disabled={rows.length === 0} onClick={() => downloadText(`hygiene-${stamp}.csv`, hygieneToCSV(rows), 'text/csv')}>
+            <Download className="mr-2 h-4 w-4" />
+            CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={rows.length === 0}
+            onClick={() => downloadText(`hygiene-${stamp}.html`, hygieneToHTML(rows, thresholds, now), 'text/html')}
+          >
+            <Printer className="mr-2 h-4 w-4" />
+            Printable HTML
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        {Object.entries(FINDINGS).map(([kind, { label }]) => (
+          <Badge key={kind} variant="outline" className={summary[kind] > 0 ? FINDING_STYLES[kind] : 'bg-gray-50 text-gray-500'}>
+            {label} {summary[kind]}
+          </Badge>
+        ))}
+      </div>
+
+      {users.error && !users.data && <ErrorAlert title="Could not load users; nodes owned by deleted users are not flagged" error={users.error} onRetry={users.refresh} />}
+      {keys.error && !keys.data && <ErrorAlert title="Could not load pre-auth keys; expiring keys are not listed" error={keys.error} onRetry={keys.refresh} />}
+      {error && <ErrorAlert title={`Could not expire ${error.node.name}`} error={error.err} />}
+
+      {rows.length === 0 ? (
+        <EmptyState icon={ShieldCheck} title="Nothing to clean up" description="No node or key crosses the thresholds above." />
+      ) : (
+        <Card className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-left text-xs font-semibold uppercase text-gray-500">
+                <th className="px-4 py-3">#</th>
+                <th className="px-4 py-3">Name</th>
+                <th className="px-4 py-3">Findings</th>
+                <th className="px-4 py-3">Last seen</th>
+                <th className="px-4 py-3">Expiry</th>
+                {canWrite && <th className="px-4 py-3 text-right">Actions</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map((row, index) => (
+                <tr key={row.id} className={row.expired ? 'text-gray-500' : 'text-gray-900'}>
+                  <td className="px-4 py-3 align-top text-gray-500" title={`Score ${row.score}`}>
+                    {index + 1}
+                  </td>
+                  <td className="px-4 py-3 align-top">
+                    <div className="font-mono font-semibold">{row.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {row.type === 'key' ? 'pre-auth key' : 'node'} · {row.user || 'no owner'}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 align-top">
+                    <ul className="space-y-1">
+                      {row.findings.map((finding) => (
+                        <li key={finding.kind} className="flex flex-wrap items-center gap-2">
+                          <Badge variant="outline" className={FINDING_STYLES[finding.kind]}>
+                            {FINDINGS[finding.kind].label}
+                          </Badge>
+                          <span className="text-gray-600">{finding.detail}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-4 py-3 align-top whitespace-nowrap">
+                    {row.type === 'node' ? (
+                      row.subject.status === 'online' ? <span className="text-green-700">online</span> : <TimeCell value={row.lastSeen} now={now} empty="never" />
+                    ) : (
+                      <span className="text-gray-400">—</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 align-top whitespace-nowrap">
+                    {row.expired ? <span>expired</span> : <TimeCell value={row.expiry} now={now} empty="never" />}
+                  </td>
+                  {canWrite && (
+                    <td className="px-4 py-3 align-top text-right">
+                      {row.type === 'node' && !row.expired && (
+                        <Button variant="outline" size="sm" onClick={() => setPending(row.subject)}>
+                          <TimerOff className="mr-2 h-4 w-4" />
+                          Expire
+                        </Button>
+                      )}
+                      {row.type === 'key' && (
+                        <Link href="/?tab=keys" className="text-sm text-blue-700 hover:underline">
+                          Manage keys
+                        </Link>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <ConfirmDialog
+        open={Boolean(pending)}
+        onOpenChange={(isOpen) => !isOpen && setPending(null)}
+        title={pending ? `Expire ${pending.name}?` : ''}
+        description={pending && `${pending.name} is logged out of the tailnet and must re-authenticate before it can connect again.`}
+        confirmLabel="Expire node"
+        destructive
+        onConfirm={() => expire(pending)}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { AlertTriangle, Key } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { CopyButton } from '@/components/ui/copy-button';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { EXPIRATION_PRESETS, tailscaleUpCommand } from '@/lib/keys';
+
+const STEPS = ['configure', 'review', 'done'];
+
+const INITIAL_FORM = { user: '', reusable: false, ephemeral: false, expiration: '24h', tags: [] };
+
+const Toggle = ({ label, description, checked, onChange }) => (
+  <label className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer">
+    <input type="checkbox" className="mt-1 h-4 w-4" checked={checked} onChange={(event) => onChange(event.target.checked)} />
+    <span>
+      <span className="block font-semibold text-gray-900">{label}</span>
+      <span className="block text-sm text-gray-600">{description}</span>
+    </span>
+  </label>
+);
+
+const SummaryRow = ({ label, value }) => (
+  <div className="flex justify-between gap-4 py-2 border-b border-gray-100 last:border-0 text-sm">
+    <span className="text-gray-600">{label}</span>
+    <span className="font-semibold text-gray-900 text-right">{value}</span>
+  </div>
+);
+
+export const AuthKeyWizard = ({ open, onClose, users = [], tagOptions = [], loginServer, onCreated, initialUser = '' }) => {
+  const [step, setStep] = useState('configure');
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [created, setCreated] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Every open starts a fresh wizard; a generated key is never shown twice
+  useEffect(() => {
+    if (open) {
+      setStep('configure');
+      setForm({ ...INITIAL_FORM, user: initialUser || (users[0] && users[0].name) || '' });
+      setCreated(null);
+      setQrCode(null);
+      setError(null);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!created) return;
+    QRCode.toDataURL(created.key, { margin: 1, width: 200 }).then(setQrCode, () => setQrCode(null));
+  }, [created]);
+
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+  const toggleTag = (tag) =>
+    update({ tags: form.tags.includes(tag) ? form.tags.filter((t) => t !== tag) : [...form.tags, tag] });
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const key = await api.createKey(form);
+      setCreated(key);
+      setStep('done');
+      if (onCreated) onCreated(key);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const expirationLabel = (EXPIRATION_PRESETS.find((preset) => preset.value === form.expiration) || {}).label;
+  const command = created && tailscaleUpCommand({ loginServer, authKey: created.key, tags: form.tags });
+
+  const footer =
+    step === 'configure' ? (
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" onClick={onClose}>Cancel</Button>
+        <Button disabled={!form.user} onClick={() => setStep('review')}>Review</Button>
+      </div>
+    ) : step === 'review' ? (
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" disabled={submitting} onClick={() => setStep('configure')}>Back</Button>
+        <Button disabled={submitting} onClick={submit}>
+          <Key className="mr-2 h-4 w-4" />
+          {submitting ? 'Generating...' : 'Generate key'}
+        </Button>
+      </div>
+    ) : (
+      <div className="flex justify-end">
+        <Button onClick={onClose}>Done</Button>
+      </div>
+    );
+
+  return (
+    <Drawer
+      open={open}
+      onClose={onClose}
+      title="Generate Auth Key"
+      description={`Step ${STEPS.indexOf(step) + 1} of ${STEPS.length}`}
+      footer={footer}
+    >
+      {step === 'configure' && (
+        <>
+          <div>
+            <label className="form-label" htmlFor="key-user">User</label>
+            <select id="key-user" className="form-input" value={form.user} onChange={(event) => update({ user: event.target.value })}>
+              {users.length === 0 && <option value="">No users available</option>}
+              {users.map((user) => (
+                <option key={user.id} value={user.name}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label" htmlFor="key-expiration">Expiration</label>
+            <select
+              id="key-expiration"
+              className="form-input"
+              value={form.expiration}
+              onChange={(event) => update({ expiration: event.target.value })}
+            >
+              {EXPIRATION_PRESETS.map((preset) => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-3">
+            <Toggle
+              label="Reusable"
+              description="The key can register more than one device."
+              checked={form.reusable}
+              onChange={(reusable) => update({ reusable })}
+            />
+            <Toggle
+              label="Ephemeral"
+              description="Devices are removed automatically once they go offline."
+              checked={form.ephemeral}
+              onChange={(ephemeral) => update({ ephemeral })}
+            />
+          </div>
+          <div>
+            <span className="form-label">Tags</span>
+            {tagOptions.length === 0 ? (
+              <p className="text-sm text-gray-600">No tags are defined in the ACL policy's tagOwners.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {tagOptions.map((tag) => {
+                  const selected = form.tags.includes(tag);
+                  return (
+                    <button
+                      key={tag}
+                      type="button"
+                      aria-pressed={selected}
+                      onClick={() => toggleTag(tag)}
+                      className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors ${
+                        selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                      }`}
+                    >
+                      {tag}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {step === 'review' && (
+        <>
+          {error && <ErrorAlert title="Could not generate key" error={error} />}
+          <div>
+            <SummaryRow label="User" value={form.user} />
+            <SummaryRow label="Expires after" value={expirationLabel || form.expiration} />
+            <SummaryRow label="Reusable" value={form.reusable ? 'Yes' : 'No'} />
+            <SummaryRow label="Ephemeral" value={form.ephemeral ? 'Yes' : 'No'} />
+            <SummaryRow label="Tags" value={form.tags.length ? form.tags.map((tag) => `tag:${tag}`).join(', ') : 'None'} />
+          </div>
+        </>
+      )}
+
+      {step === 'done' && created && (
+        <>
+          <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-sm">
+            <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+            <p>Copy this key now. It will not be shown again once you close this panel.</p>
+          </div>
+          <div>
+            <span className="form-label">Auth key</span>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 min-w-0 break-all rounded-lg bg-gray-900 text-green-300 px-3 py-2 text-sm">{created.key}</code>
+              <CopyButton value={created.key} />
+            </div>
+          </div>
+          <div>
+            <span className="form-label">Join command</span>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 min-w-0 break-all rounded-lg bg-gray-900 text-gray-100 px-3 py-2 text-sm">{command}</code>
+              <CopyButton value={command} />
+            </div>
+          </div>
+          {qrCode && (
+            <div className="flex flex-col items-center gap-2">
+              <img src={qrCode} alt="QR code of the auth key" width={200} height={200} className="rounded-lg border border-gray-200" />
+              <span className="text-xs text-gray-500">Scan to transfer the key to another device</span>
+            </div>
+          )}
+        </>
+      )}
+    </Drawer>
+  );
+};
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Key, Trash2 } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { useNow } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+import { isKeyExpired, isKeyExpiringSoon, maskKey } from '@/lib/keys';
+
+const ExpiryBadge = ({ apiKey, now }) => {
+  if (!apiKey.expiration) return <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">no expiry</Badge>;
+  if (isKeyExpired(apiKey, now)) {
+    return <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200">expired {formatRelativeTime(apiKey.expiration, now)}</Badge>;
+  }
+  const soon = isKeyExpiringSoon(apiKey, now);
+  return (
+    <Badge
+      variant="outline"
+      className={soon ? 'bg-orange-50 text-orange-700 border-orange-200' : 'bg-green-50 text-green-700 border-green-200'}
+      title={apiKey.expiration.toLocaleString()}
+    >
+      expires {formatRelativeTime(apiKey.expiration, now)}
+    </Badge>
+  );
+};
+
+export const KeysView = ({ keys, canWrite }) => {
+  const now = useNow();
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (keys.error && !keys.data) {
+    return <ErrorAlert title="Failed to load pre-auth keys" error={keys.error} onRetry={keys.refresh} />;
+  }
+  if (!keys.data) return <LoadingState label="Loading pre-auth keys..." />;
+  if (keys.data.length === 0) {
+    return <EmptyState icon={Key} title="No pre-auth keys" description="Generated keys appear here until they are revoked." />;
+  }
+
+  const revoke = async (target) => {
+    setError(null);
+    keys.mutate((list) => list.filter((key) => key.id !== target.id));
+    try {
+      await api.revokeKey(target.id);
+    } catch (err) {
+      keys.mutate((list) => [...list, target]);
+      setError(err);
+    }
+  };
+
+  // Soonest-expiring first; keys without an expiry go last
+  const sorted = [...keys.data].sort(
+    (a, b) => (a.expiration ? a.expiration.getTime() : Infinity) - (b.expiration ? b.expiration.getTime() : Infinity)
+  );
+
+  return (
+    <div className="space-y-4">
+      {error && <ErrorAlert title="Could not revoke key" error={error} />}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 lg:gap-6">
+        {sorted.map((apiKey) => (
+          <Card key={apiKey.id} className={`hover:shadow-lg transition-all duration-300 ${isKeyExpired(apiKey, now) ? 'opacity-60' : ''}`}>
+            <CardContent className="p-6 space-y-3">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <h4 className="font-mono font-bold text-gray-900 truncate">{maskKey(apiKey.key)}</h4>
+                  <p className="text-sm text-gray-600 font-medium truncate">{apiKey.user}</p>
+                </div>
+                <ExpiryBadge apiKey={apiKey} now={now} />
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {apiKey.reusable && <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200">reusable</Badge>}
+                {apiKey.ephemeral && <Badge variant="outline" className="bg-purple-50 text-purple-700 border-purple-200">ephemeral</Badge>}
+                {apiKey.used && <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">used</Badge>}
+                {apiKey.tags.map((tag) => (
+                  <Badge key={tag} variant="outline" className="text-xs font-medium bg-gray-50">{tag}</Badge>
+                ))}
+              </div>
+              {canWrite && (
+                <div className="flex justify-end">
+                  <Button variant="outline" size="sm" className="text-red-700 border-red-200 hover:bg-red-50" onClick={() => setRevoking(apiKey)}>
+                    <Trash2 className="mr-2 h-4 w-4" />
+                    Revoke
+                  </Button>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+      <ConfirmDialog
+        open={Boolean(revoking)}
+        onOpenChange={(isOpen) => !isOpen && setRevoking(null)}
+        title="Revoke pre-auth key?"
+        description={revoking && `${maskKey(revoking.key)} for ${revoking.user} can no longer register devices. Devices already registered stay connected.`}
+        confirmLabel="Revoke key"
+        destructive
+        onConfirm={() => revoke(revoking)}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import Link from 'next/link';
+import { ArrowLeft } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { PageLoader } from '@/components/ui/data-state';
+import { useRequireSession, isAdmin } from '@/lib/session';
+
+// Layout for standalone dashboard pages. Children may be a function of the session so
+// page content (and its data hooks) only mounts once the visitor is signed in.
+export const PageShell = ({ title, description, actions, children }) => {
+  const session = useRequireSession();
+  if (!session) return <PageLoader />;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50/30 safe-padding-y">
+      <div className="container-wide py-6 sm:py-8 lg:py-12">
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <Link href="/" className="inline-flex items-center gap-2 text-sm font-semibold text-gray-600 hover:text-gray-900">
+            <ArrowLeft className="h-4 w-4" />
+            Dashboard
+          </Link>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="font-semibold text-gray-900 truncate max-w-[14rem]">{session.user.name}</span>
+            <Badge variant="outline" className={isAdmin(session) ? 'bg-purple-50 text-purple-700 border-purple-200' : 'bg-gray-50 text-gray-700 border-gray-200'}>
+              {isAdmin(session) ? 'admin' : 'read-only'}
+            </Badge>
+          </div>
+        </div>
+        <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8 animate-fade-in">
+          <div>
+            <h1 className="text-3xl lg:text-4xl font-bold text-gray-900">{title}</h1>
+            {description && <p className="text-gray-600 mt-1">{description}</p>}
+          </div>
+          {actions}
+        </header>
+        <main className="animate-slide-up">{typeof children === 'function' ? children(session) : children}</main>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,76 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+const GRID_LINES = 4;
+
+export const SERIES_COLORS = ['#2563eb', '#16a34a', '#ea580c', '#9333ea', '#dc2626', '#0891b2'];
+
+const formatTick = (date, spanMs) =>
+  spanMs > 2 * 24 * 3600 * 1000
+    ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+// Multi-series time chart. `series` is [{ label, points: [{ time, value }] }]; y starts at 0.
+export const LineChart = ({ series, height = 220, formatValue = (value) => String(value) }) => {
+  const finite = series.flatMap((item) => item.points.filter((point) => Number.isFinite(point.value)));
+  if (finite.length === 0) {
+    return <div className="flex items-center justify-center text-sm text-gray-500" style={{ height }}>No data for this range</div>;
+  }
+
+  const times = finite.map((point) => point.time.getTime());
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+  const max = Math.max(...finite.map((point) => point.value)) || 1;
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = height - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + (end === start ? innerWidth / 2 : ((time - start) / (end - start)) * innerWidth);
+  const y = (value) => PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  // Gaps (NaN samples) split a series into separate segments
+  const segments = (points) => {
+    const result = [[]];
+    for (const point of points) {
+      if (Number.isFinite(point.value)) result[result.length - 1].push(`${x(point.time.getTime()).toFixed(1)},${y(point.value).toFixed(1)}`);
+      else if (result[result.length - 1].length) result.push([]);
+    }
+    return result.filter((segment) => segment.length > 0);
+  };
+
+  return (
+    <div className="space-y-3">
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" style={{ height }} role="img">
+        {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+          const value = (max / GRID_LINES) * i;
+          return (
+            <g key={i}>
+              <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" strokeWidth="1" />
+              <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                {formatValue(value)}
+              </text>
+            </g>
+          );
+        })}
+        <text x={PADDING.left} y={height - 6} fontSize="10" fill="#6b7280">{formatTick(new Date(start), end - start)}</text>
+        <text x={WIDTH - PADDING.right} y={height - 6} textAnchor="end" fontSize="10" fill="#6b7280">{formatTick(new Date(end), end - start)}</text>
+        {series.map((item, i) =>
+          segments(item.points).map((segment, j) =>
+            segment.length === 1 ? (
+              <circle key={`${i}-${j}`} cx={segment[0].split(',')[0]} cy={segment[0].split(',')[1]} r="2.5" fill={SERIES_COLORS[i % SERIES_COLORS.length]} />
+            ) : (
+              <polyline key={`${i}-${j}`} points={segment.join(' ')} fill="none" stroke={SERIES_COLORS[i % SERIES_COLORS.length]} strokeWidth="2" strokeLinejoin="round" />
+            )
+          )
+        )}
+      </svg>
+      <ul className="flex flex-wrap gap-4 text-xs text-gray-700">
+        {series.map((item, i) => (
+          <li key={item.label} className="flex items-center gap-2">
+            <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length] }} />
+            {item.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
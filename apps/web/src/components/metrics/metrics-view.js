@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Activity, GitBranch, Timer } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { LineChart } from '@/components/metrics/line-chart';
+import { useMetricRange } from '@/lib/hooks';
+
+// Each range picks a step that keeps charts around 60-170 points, and uses the step as
+// the increase()/rate() window so consecutive samples don't double count
+const RANGES = [
+  { id: '1h', label: '1 hour', range: 3600, step: 60 },
+  { id: '6h', label: '6 hours', range: 6 * 3600, step: 300 },
+  { id: '24h', label: '24 hours', range: 24 * 3600, step: 900 },
+  { id: '7d', label: '7 days', range: 7 * 24 * 3600, step: 3600 },
+];
+
+const SYNC_DURATION = 'headscale_orchestrator_config_sync_duration_seconds_bucket';
+
+const labelSeries = (data, label) => (data || []).map((series) => ({ label: label(series.metric), points: series.points }));
+
+const formatCount = (value) => (value >= 10 ? Math.round(value).toString() : value.toFixed(1));
+const formatSeconds = (value) => (value >= 1 ? `${value.toFixed(1)}s` : `${Math.round(value * 1000)}ms`);
+
+const ChartCard = ({ icon: Icon, title, description, resources, children }) => {
+  const failed = resources.find((resource) => resource.error && !resource.data);
+  return (
+    <Card className="card-elevated">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <Icon className="h-5 w-5 text-blue-600" />
+          {title}
+        </CardTitle>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {failed ? (
+          <ErrorAlert title="Failed to query Prometheus" error={failed.error} onRetry={() => resources.forEach((resource) => resource.refresh())} />
+        ) : resources.some((resource) => !resource.data) ? (
+          <LoadingState label="Querying Prometheus..." />
+        ) : (
+          children
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export const MetricsView = () => {
+  const [rangeId, setRangeId] = useState('24h');
+  const { range, step } = RANGES.find((item) => item.id === rangeId);
+  const interval = `${step}s`;
+
+  const applies = useMetricRange(`sum by (status) (increase(headscale_orchestrator_apply_total[${interval}]))`, { range, step });
+  const drifts = useMetricRange(`sum by (has_drift) (increase(headscale_orchestrator_drift_checks_total[${interval}]))`, { range, step });
+  const p50 = useMetricRange(`histogram_quantile(0.5, sum by (le) (rate(${SYNC_DURATION}[${interval}])))`, { range, step });
+  const p95 = useMetricRange(`histogram_quantile(0.95, sum by (le) (rate(${SYNC_DURATION}[${interval}])))`, { range, step });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Time range">
+        {RANGES.map((item) => (
+          <Button key={item.id} size="sm" variant={item.id === rangeId ? 'default' : 'outline'} onClick={() => setRangeId(item.id)} aria-pressed={item.id === rangeId}>
+            {item.label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-2">
+        <ChartCard icon={Activity} title="Apply operations" description="headscale_orchestrator_apply_total, per interval by result" resources={[applies]}>
+          <LineChart series={labelSeries(applies.data, (metric) => metric.status || 'all')} formatValue={formatCount} />
+        </ChartCard>
+        <ChartCard icon={GitBranch} title="Drift checks" description="headscale_orchestrator_drift_checks_total, per interval by outcome" resources={[drifts]}>
+          <LineChart
+            series={labelSeries(drifts.data, (metric) => ({ true: 'drift found', false: 'in sync', error: 'failed' }[metric.has_drift] || metric.has_drift || 'all'))}
+            formatValue={formatCount}
+          />
+        </ChartCard>
+      </div>
+
+      <ChartCard
+        icon={Timer}
+        title="Config sync duration"
+        description="headscale_orchestrator_config_sync_duration_seconds, median and 95th percentile"
+        resources={[p50, p95]}
+      >
+        <LineChart series={[...labelSeries(p50.data, () => 'p50'), ...labelSeries(p95.data, () => 'p95')]} formatValue={formatSeconds} />
+      </ChartCard>
+    </div>
+  );
+};
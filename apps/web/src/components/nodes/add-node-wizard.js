@@ -0,0 +1,328 @@
+import React, { useEffect, useRef, useState } from 'react';
+import QRCode from 'qrcode';
+import { CheckCircle, Clock, Loader2, Server } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Drawer } from '@/components/ui/drawer';
+import { CopyButton } from '@/components/ui/copy-button';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { api } from '@/lib/api';
+import { JOIN_POLL_INTERVAL, JOIN_TIMEOUT, ONBOARDING_KEY, PLATFORMS, findJoinedNode, tailnetIPv4 } from '@/lib/onboarding';
+
+const STEP_NUMBERS = { configure: 1, waiting: 2, timeout: 2, cancelled: 2, done: 3 };
+
+const INITIAL_FORM = { user: '', platform: 'linux', tags: [] };
+
+const CommandBlock = ({ command }) => (
+  <div className="flex items-start gap-2">
+    <code className="flex-1 min-w-0 whitespace-pre-wrap break-all rounded-lg bg-gray-900 text-gray-100 px-3 py-2 text-sm">{command}</code>
+    <CopyButton value={command} />
+  </div>
+);
+
+const Instructions = ({ platform, join }) => (
+  <ol className="space-y-4">
+    {platform.steps(join).map((step, i) => (
+      <li key={i} className="space-y-2">
+        <p className="font-semibold text-gray-900">
+          {i + 1}. {step.title}
+        </p>
+        {step.detail && <p className="text-sm text-gray-600">{step.detail}</p>}
+        {step.command && <CommandBlock command={step.command} />}
+      </li>
+    ))}
+  </ol>
+);
+
+// Creates a single-use key for the chosen user, shows how to join from each platform and
+// waits for the device to show up in the node list
+export const AddNodeWizard = ({ open, onClose, users = [], tagOptions = [], loginServer, onKeyCreated, onKeyRevoked, onJoined }) => {
+  const [step, setStep] = useState('configure');
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [created, setCreated] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [joined, setJoined] = useState(null);
+  const [error, setError] = useState(null);
+  const [pollError, setPollError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [revoked, setRevoked] = useState(false);
+  const [waitStartedAt, setWaitStartedAt] = useState(null);
+  // Node ids present before the key existed, so the new device can be told apart
+  const knownIdsRef = useRef(new Set());
+
+  useEffect(() => {
+    if (open) {
+      setStep('configure');
+      setForm({ ...INITIAL_FORM, user: (users[0] && users[0].name) || '' });
+      setCreated(null);
+      setQrCode(null);
+      setJoined(null);
+      setError(null);
+      setRevoked(false);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!created) return;
+    QRCode.toDataURL(created.key, { margin: 1, width: 200 }).then(setQrCode, () => setQrCode(null));
+  }, [created]);
+
+  // Polls until the node registers or the wait times out; closing the drawer stops it
+  useEffect(() => {
+    if (!open || step !== 'waiting') return undefined;
+    const controller = new AbortController();
+    const deadline = waitStartedAt + JOIN_TIMEOUT;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const nodes = await api.listNodes({ signal: controller.signal });
+        const node = findJoinedNode(nodes, { knownIds: knownIdsRef.current, user: form.user, tags: form.tags });
+        if (node) {
+          setJoined(node);
+          setStep('done');
+          if (onJoined) onJoined(node);
+          return;
+        }
+        setPollError(null);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        // A failed poll is shown but does not end the wait
+        setPollError(err);
+      }
+      if (Date.now() >= deadline) setStep('timeout');
+      else timer = setTimeout(poll, JOIN_POLL_INTERVAL);
+    };
+    poll();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [open, step, waitStartedAt]);
+
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+  const toggleTag = (tag) =>
+    update({ tags: form.tags.includes(tag) ? form.tags.filter((t) => t !== tag) : [...form.tags, tag] });
+
+  const wait = () => {
+    setPollError(null);
+    setWaitStartedAt(Date.now());
+    setStep('waiting');
+  };
+
+  const createKey = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const nodes = await api.listNodes();
+      knownIdsRef.current = new Set(nodes.map((node) => String(node.id)));
+      const key = await api.createKey({ ...ONBOARDING_KEY, user: form.user, tags: form.tags });
+      setCreated(key);
+      if (onKeyCreated) onKeyCreated(key);
+      wait();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const revoke = async () => {
+    setError(null);
+    try {
+      await api.revokeKey(created.id);
+      setRevoked(true);
+      if (onKeyRevoked) onKeyRevoked(created);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const platform = PLATFORMS.find((candidate) => candidate.id === form.platform) || PLATFORMS[0];
+  const join = created && { loginServer, authKey: created.key, tags: form.tags };
+  const ip = joined && tailnetIPv4(joined);
+
+  const footer =
+    step === 'configure' ? (
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" onClick={onClose}>Cancel</Button>
+        <Button disabled={!form.user || submitting} onClick={createKey}>
+          {submitting ? 'Creating key...' : 'Create key & continue'}
+        </Button>
+      </div>
+    ) : step === 'waiting' ? (
+      <div className="flex justify-end">
+        <Button variant="outline" onClick={() => setStep('cancelled')}>Stop waiting</Button>
+      </div>
+    ) : step === 'done' ? (
+      <div className="flex justify-end gap-3">
+        <Button
+          variant="outline"
+          onClick={() => {
+            setStep('configure');
+            setCreated(null);
+            setQrCode(null);
+            setJoined(null);
+            setRevoked(false);
+          }}
+        >
+          Add another
+        </Button>
+        <Button onClick={onClose}>Done</Button>
+      </div>
+    ) : (
+      <div className="flex justify-end gap-3">
+        {!revoked && (
+          <Button variant="outline" className="text-red-700" onClick={revoke}>
+            Revoke key
+          </Button>
+        )}
+        {!revoked && <Button variant="outline" onClick={wait}>Keep waiting</Button>}
+        <Button onClick={onClose}>Close</Button>
+      </div>
+    );
+
+  return (
+    <Drawer
+      open={open}
+      onClose={onClose}
+      title="Add Node"
+      description={`Step ${STEP_NUMBERS[step]} of 3`}
+      footer={footer}
+    >
+      {step === 'configure' && (
+        <>
+          {error && <ErrorAlert title="Could not create a key" error={error} />}
+          <div>
+            <label className="form-label" htmlFor="add-node-user">User</label>
+            <select id="add-node-user" className="form-input" value={form.user} onChange={(event) => update({ user: event.target.value })}>
+              {users.length === 0 && <option value="">No users available</option>}
+              {users.map((user) => (
+                <option key={user.id} value={user.name}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label" htmlFor="add-node-platform">Device</label>
+            <select id="add-node-platform" className="form-input" value={form.platform} onChange={(event) => update({ platform: event.target.value })}>
+              {PLATFORMS.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>{candidate.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <span className="form-label">Tags</span>
+            {tagOptions.length === 0 ? (
+              <p className="text-sm text-gray-600">No tags are defined in the ACL policy's tagOwners.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {tagOptions.map((tag) => {
+                  const selected = form.tags.includes(tag);
+                  return (
+                    <button
+                      key={tag}
+                      type="button"
+                      aria-pressed={selected}
+                      onClick={() => toggleTag(tag)}
+                      className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors ${
+                        selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                      }`}
+                    >
+                      {tag}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+          <p className="text-sm text-gray-600">
+            A single-use key valid for one hour is created for {form.user || 'the user'}; it is used up once the device joins.
+          </p>
+        </>
+      )}
+
+      {(step === 'waiting' || step === 'timeout' || step === 'cancelled') && created && (
+        <>
+          {step === 'waiting' && (
+            <div className="flex items-center gap-3 p-4 rounded-lg bg-blue-50 border border-blue-200 text-blue-800 text-sm" role="status">
+              <Loader2 className="h-5 w-5 flex-shrink-0 animate-spin" />
+              <p>Waiting for the device to join. This panel updates as soon as it registers.</p>
+            </div>
+          )}
+          {step !== 'waiting' && (
+            <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-sm" role="status">
+              <Clock className="h-5 w-5 flex-shrink-0" />
+              <p>
+                {step === 'timeout' ? `No new device joined within ${JOIN_TIMEOUT / 60000} minutes.` : 'Stopped waiting for the device.'}{' '}
+                {revoked
+                  ? 'The key has been revoked.'
+                  : 'The key stays valid until it expires or is used, so a device can still join with it; revoke it if it will not be used.'}
+              </p>
+            </div>
+          )}
+          {pollError && step === 'waiting' && <ErrorAlert title="Could not check for the new node; retrying" error={pollError} />}
+          {error && <ErrorAlert title="Could not revoke the key" error={error} />}
+          {!revoked && (
+            <>
+              <Tabs defaultValue={platform.id}>
+                <TabsList aria-label="Device platform">
+                  {PLATFORMS.map((candidate) => (
+                    <TabsTrigger key={candidate.id} value={candidate.id} className="px-3">
+                      {candidate.label}
+                    </TabsTrigger>
+                  ))}
+                </TabsList>
+                {PLATFORMS.map((candidate) => (
+                  <TabsContent key={candidate.id} value={candidate.id}>
+                    <Instructions platform={candidate} join={join} />
+                  </TabsContent>
+                ))}
+              </Tabs>
+              <div>
+                <span className="form-label">Auth key</span>
+                <CommandBlock command={created.key} />
+              </div>
+              {qrCode && (
+                <div className="flex flex-col items-center gap-2">
+                  <img src={qrCode} alt="QR code of the auth key" width={200} height={200} className="rounded-lg border border-gray-200" />
+                  <span className="text-xs text-gray-500">Scan on a phone to copy the key into the Tailscale app</span>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {step === 'done' && joined && (
+        <div className="flex flex-col items-center text-center gap-4 py-6">
+          <CheckCircle className="h-12 w-12 text-green-600" />
+          <div>
+            <p className="text-lg font-bold text-gray-900">{joined.name} joined the tailnet</p>
+            <p className="text-sm text-gray-600">Owned by {joined.user || form.user}</p>
+          </div>
+          {ip && (
+            <div className="flex items-center gap-2">
+              <code className="rounded-lg bg-gray-900 text-green-300 px-4 py-2 text-lg">{ip}</code>
+              <CopyButton value={ip} />
+            </div>
+          )}
+          {joined.tags.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-1">
+              {joined.tags.map((tag) => (
+                <Badge key={tag} variant="outline">
+                  tag:{tag}
+                </Badge>
+              ))}
+            </div>
+          )}
+          <p className="flex items-center gap-2 text-sm text-gray-600">
+            <Server className="h-4 w-4" />
+            It now appears in the node list.
+          </p>
+        </div>
+      )}
+    </Drawer>
+  );
+};
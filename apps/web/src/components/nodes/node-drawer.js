@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react';
+import { Clock, Pencil, Tag, Trash2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { formatRelativeTime } from '@/lib/format';
+import { isValidNodeName } from '@/lib/node-actions';
+
+const formatDate = (date) => (date ? `${date.toLocaleString()} (${formatRelativeTime(date)})` : '—');
+
+const isExpired = (node) => Boolean(node.expiry && node.expiry.getTime() <= Date.now());
+
+const sameTags = (a, b) => a.length === b.length && a.every((tag) => b.includes(tag));
+
+const MetaRow = ({ label, children, mono = false }) => (
+  <div className="flex justify-between gap-4 py-2 border-b border-gray-100 last:border-0">
+    <dt className="text-sm font-medium text-gray-600 flex-shrink-0">{label}</dt>
+    <dd className={`text-sm text-gray-900 text-right break-all ${mono ? 'font-mono' : 'font-semibold'}`}>{children}</dd>
+  </div>
+);
+
+export const NodeDrawer = ({ node, open, onClose, canWrite, actions, tagOptions = [], error, onError }) => {
+  const [nameDraft, setNameDraft] = useState('');
+  const [tagsDraft, setTagsDraft] = useState([]);
+  const [confirm, setConfirm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (node) {
+      setNameDraft(node.name);
+      setTagsDraft(node.tags);
+    }
+  }, [node]);
+
+  if (!node) return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    onError(null);
+    try {
+      await action();
+    } catch (err) {
+      onError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const expire = () => run(() => actions.expire(node));
+  const remove = () => {
+    onClose();
+    run(() => actions.remove(node));
+  };
+  const rename = () => run(() => actions.rename(node, nameDraft));
+  const saveTags = () => run(() => actions.setTags(node, tagsDraft));
+
+  const toggleTag = (tag) =>
+    setTagsDraft((current) => (current.includes(tag) ? current.filter((t) => t !== tag) : [...current, tag]));
+
+  // Tags already on the node but missing from tagOwners can only be removed
+  const selectableTags = [...new Set([...tagOptions, ...node.tags])];
+  const nameValid = isValidNodeName(nameDraft);
+
+  return (
+    <Drawer
+      open={open}
+      onClose={onClose}
+      dismissable={!confirm}
+      title={node.name}
+      description={node.user}
+      footer={
+        canWrite && (
+          <div className="flex flex-col sm:flex-row gap-3">
+            <Button
+              variant="outline"
+              className="flex-1 border-2 font-semibold"
+              disabled={busy || isExpired(node)}
+              onClick={() => setConfirm('expire')}
+            >
+              <Clock className="mr-2 h-4 w-4" />
+              Expire
+            </Button>
+            <Button
+              variant="destructive"
+              className="flex-1 bg-red-600 text-white hover:bg-red-700 font-semibold"
+              disabled={busy}
+              onClick={() => setConfirm('delete')}
+            >
+              <Trash2 className="mr-2 h-4 w-4" />
+              Delete
+            </Button>
+          </div>
+        )
+      }
+    >
+      {error && <ErrorAlert title="Action failed" error={error} />}
+
+      <section>
+        <h4 className="text-sm font-bold uppercase tracking-wide text-gray-500 mb-2">Details</h4>
+        <dl>
+          <MetaRow label="Status">
+            <Badge
+              variant="outline"
+              className={node.status === 'online' ? 'bg-green-100 text-green-800 border-green-200' : 'bg-gray-100 text-gray-800 border-gray-200'}
+            >
+              {isExpired(node) ? 'expired' : node.status}
+            </Badge>
+          </MetaRow>
+          <MetaRow label="ID" mono>{node.id}</MetaRow>
+          <MetaRow label="Hostname" mono>{node.hostname || '—'}</MetaRow>
+          <MetaRow label="User">{node.user || '—'}</MetaRow>
+          <MetaRow label="IP addresses" mono>
+            {node.ipAddresses.length ? node.ipAddresses.map((ip) => <div key={ip}>{ip}</div>) : '—'}
+          </MetaRow>
+          <MetaRow label="Last seen">{formatDate(node.lastSeen)}</MetaRow>
+          <MetaRow label="Key expiry">{node.expiry ? formatDate(node.expiry) : 'never'}</MetaRow>
+          <MetaRow label="Registered">{formatDate(node.createdAt)}</MetaRow>
+          {node.registerMethod && <MetaRow label="Register method">{node.registerMethod}</MetaRow>}
+          {node.machineKey && <MetaRow label="Machine key" mono>{node.machineKey}</MetaRow>}
+          {node.nodeKey && <MetaRow label="Node key" mono>{node.nodeKey}</MetaRow>}
+        </dl>
+      </section>
+
+      {canWrite ? (
+        <>
+          <section>
+            <h4 className="text-sm font-bold uppercase tracking-wide text-gray-500 mb-2 flex items-center gap-2">
+              <Pencil className="h-4 w-4" /> Name
+            </h4>
+            <div className="flex gap-2">
+              <input
+                className="form-input flex-1 font-mono"
+                value={nameDraft}
+                onChange={(event) => setNameDraft(event.target.value.toLowerCase())}
+                aria-invalid={!nameValid}
+                aria-label="Node name"
+              />
+              <Button disabled={busy || !nameValid || nameDraft === node.name} onClick={rename} className="h-auto">
+                Rename
+              </Button>
+            </div>
+            {!nameValid && (
+              <p className="mt-1 text-xs text-red-600">Use lowercase letters, digits and hyphens (max 63 characters).</p>
+            )}
+          </section>
+
+          <section>
+            <h4 className="text-sm font-bold uppercase tracking-wide text-gray-500 mb-2 flex items-center gap-2">
+              <Tag className="h-4 w-4" /> Tags
+            </h4>
+            {selectableTags.length === 0 ? (
+              <p className="text-sm text-gray-600">No tags are defined in the ACL policy's tagOwners.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {selectableTags.map((tag) => {
+                  const selected = tagsDraft.includes(tag);
+                  const defined = tagOptions.includes(tag);
+                  return (
+                    <button
+                      key={tag}
+                      type="button"
+                      aria-pressed={selected}
+                      disabled={!defined && !selected}
+                      title={defined ? undefined : 'Not defined in tagOwners'}
+                      onClick={() => toggleTag(tag)}
+                      className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors disabled:opacity-40 ${
+                        selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                      } ${defined ? '' : 'line-through'}`}
+                    >
+                      {tag}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <Button
+              variant="outline"
+              className="mt-3 border-2 font-semibold"
+              disabled={busy || sameTags(tagsDraft, node.tags)}
+              onClick={saveTags}
+            >
+              Save tags
+            </Button>
+          </section>
+        </>
+      ) : (
+        node.tags.length > 0 && (
+          <section className="flex flex-wrap gap-2">
+            {node.tags.map((tag) => (
+              <Badge key={tag} variant="outline" className="text-xs font-medium px-2 py-1 bg-gray-50">
+                {tag}
+              </Badge>
+            ))}
+          </section>
+        )
+      )}
+
+      <ConfirmDialog
+        open={confirm === 'expire'}
+        onOpenChange={(isOpen) => !isOpen && setConfirm(null)}
+        title={`Expire ${node.name}?`}
+        description="The node is logged out immediately and must re-authenticate before it can reconnect."
+        confirmLabel="Expire node"
+        destructive
+        onConfirm={expire}
+      />
+      <ConfirmDialog
+        open={confirm === 'delete'}
+        onOpenChange={(isOpen) => !isOpen && setConfirm(null)}
+        title={`Delete ${node.name}?`}
+        description="The node is removed from the tailnet and loses its IP address. This cannot be undone."
+        confirmLabel="Delete node"
+        destructive
+        onConfirm={remove}
+      />
+    </Drawer>
+  );
+};
@@ -0,0 +1,283 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { Clock, Search, Server, Tag, Trash2 } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { NodeDrawer } from '@/components/nodes/node-drawer';
+import { SelectCheckbox } from '@/components/bulk/select-checkbox';
+import { SelectionBar } from '@/components/bulk/selection-bar';
+import { BulkProgressDialog } from '@/components/bulk/bulk-progress-dialog';
+import { BulkRetagDialog } from '@/components/bulk/bulk-retag-dialog';
+import { retag, sameTagSet, useBulkOperation } from '@/lib/bulk';
+import { NodesTable } from '@/components/nodes/nodes-table';
+import { NodesToolbar } from '@/components/nodes/nodes-toolbar';
+import { useNodeActions } from '@/lib/node-actions';
+import { useQueryState } from '@/lib/use-query-state';
+import { collectTags, filterNodes, parseNodeQuery, serializeNodeQuery, sortNodes } from '@/lib/node-query';
+import { formatRelativeTime } from '@/lib/format';
+
+const PAGE_SIZE = 24;
+
+// Memoized so live status updates only re-render the cards whose node changed.
+// `onToggle` is only passed when bulk selection is available.
+export const NodeCard = React.memo(({ node, index = 0, onSelect, selected = false, onToggle }) => (
+  <Card
+    role="button"
+    tabIndex={0}
+    onClick={() => onSelect(node)}
+    onKeyDown={(event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        onSelect(node);
+      }
+    }}
+    className={`cursor-pointer hover:shadow-lg hover:border-blue-200 transition-all duration-300 animate-slide-up focus-visible:ring-2 focus-visible:ring-blue-500 ${
+      selected ? 'border-blue-400 ring-1 ring-blue-400' : ''
+    }`}
+    style={{ animationDelay: `${Math.min(index, 10) * 0.05}s` }}
+  >
+    <CardContent className="p-6">
+      <div className="flex items-start justify-between mb-4">
+        {onToggle && (
+          <span className="mr-3 mt-1.5">
+            <SelectCheckbox checked={selected} onChange={() => onToggle(node)} label={`Select ${node.name}`} />
+          </span>
+        )}
+        <div className="flex-1 min-w-0">
+          <h4 className="font-bold text-lg text-gray-900 truncate">{node.name}</h4>
+          <p className="text-sm text-gray-600 font-medium truncate">{node.user}</p>
+          <p className="text-sm text-blue-600 font-mono bg-blue-50 px-2 py-1 rounded mt-1 inline-block">{node.ip}</p>
+        </div>
+        <div className="flex flex-col items-end space-y-2">
+          <Badge 
+            variant={node.status === 'online' ? 'default' : 'secondary'}
+            className={`font-semibold px-3 py-1 ${
+              node.status === 'online' 
+                ? 'bg-green-100 text-green-800 border-green-200' 
+                : 'bg-gray-100 text-gray-800 border-gray-200'
+            }`}
+          >
+            {node.status === 'online' && <div className="w-2 h-2 bg-green-500 rounded-full mr-2 animate-pulse" />}
+            {node.status}
+          </Badge>
+          <span className="text-xs text-gray-500 font-medium">{formatRelativeTime(node.lastSeen)}</span>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {node.tags.map((tag) => (
+          <Badge key={tag} variant="outline" className="text-xs font-medium px-2 py-1 bg-gray-50 hover:bg-gray-100 transition-colors">
+            {tag}
+          </Badge>
+        ))}
+      </div>
+    </CardContent>
+  </Card>
+));
+NodeCard.displayName = 'NodeCard';
+
+const Pagination = ({ page, pageCount, onPage }) => (
+  <nav className="flex items-center justify-between gap-4" aria-label="Pagination">
+    <Button variant="outline" disabled={page <= 1} onClick={() => onPage(page - 1)}>
+      Previous
+    </Button>
+    <span className="text-sm font-medium text-gray-600">
+      Page {page} of {pageCount}
+    </span>
+    <Button variant="outline" disabled={page >= pageCount} onClick={() => onPage(page + 1)}>
+      Next
+    </Button>
+  </nav>
+);
+
+export const NodesList = ({ nodes, tagOptions, canWrite }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [query, setQuery] = useQueryState(parseNodeQuery, serializeNodeQuery);
+  const actions = useNodeActions(nodes);
+  const closeDrawer = useCallback(() => setSelectedId(null), []);
+  const select = useCallback((node) => {
+    setActionError(null);
+    setSelectedId(node.id);
+  }, []);
+
+  // Bulk selection (admins only) is kept across filtering and paging
+  const [checked, setChecked] = useState(() => new Set());
+  const [pendingBulk, setPendingBulk] = useState(null);
+  const bulk = useBulkOperation();
+  const toggleChecked = useCallback(
+    (node) =>
+      setChecked((current) => {
+        const next = new Set(current);
+        if (next.has(node.id)) next.delete(node.id);
+        else next.add(node.id);
+        return next;
+      }),
+    []
+  );
+
+  const allNodes = nodes.data || [];
+  const availableTags = useMemo(() => collectTags(allNodes), [allNodes]);
+  const visible = useMemo(
+    () => sortNodes(filterNodes(allNodes, query), query.sort, query.dir),
+    [allNodes, query]
+  );
+  const checkedNodes = useMemo(() => allNodes.filter((node) => checked.has(node.id)), [allNodes, checked]);
+
+  if (nodes.error && !nodes.data) {
+    return <ErrorAlert title="Failed to load nodes" error={nodes.error} onRetry={nodes.refresh} />;
+  }
+  if (!nodes.data) return <LoadingState label="Loading nodes..." />;
+
+  // Looked up by id so the drawer always shows the latest (possibly optimistic) node state
+  const selected = nodes.data.find((node) => node.id === selectedId) || null;
+
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+  const page = Math.min(query.page, pageCount);
+  const pageNodes = visible.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  const label = (node) => `${node.name} (${node.user})`;
+  const plural = (count) => `${count} node${count === 1 ? '' : 's'}`;
+  const runBulk = (kind, extra) => {
+    const items = checkedNodes;
+    if (kind === 'expire') {
+      bulk.start({ title: `Expiring ${plural(items.length)}`, items, getLabel: label, task: (node) => actions.expire(node) });
+    } else if (kind === 'delete') {
+      setChecked(new Set());
+      bulk.start({ title: `Deleting ${plural(items.length)}`, items, getLabel: label, task: (node) => actions.remove(node) });
+    } else if (kind === 'retag') {
+      const { mode, tags } = extra;
+      bulk.start({
+        title: `Retagging ${plural(items.length)}`,
+        items,
+        getLabel: label,
+        // Nodes that already have the requested tags are left alone
+        task: (node) => {
+          const next = retag(node.tags, mode, tags);
+          return sameTagSet(next, node.tags) ? null : actions.setTags(node, next);
+        },
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {actionError && !selected && <ErrorAlert title="Action failed" error={actionError} />}
+      {nodes.data.length === 0 ? (
+        <EmptyState
+          icon={Server}
+          title="No nodes registered"
+          description="Devices appear here once they join the tailnet with a pre-auth key."
+        />
+      ) : (
+        <>
+          <NodesToolbar
+            query={query}
+            setQuery={setQuery}
+            availableTags={availableTags}
+            total={nodes.data.length}
+            shown={visible.length}
+          />
+          {canWrite && checkedNodes.length > 0 && (
+            <SelectionBar
+              count={checkedNodes.length}
+              total={visible.length}
+              onSelectAll={() => setChecked(new Set(visible.map((node) => node.id)))}
+              onClear={() => setChecked(new Set())}
+            >
+              <Button variant="outline" size="sm" onClick={() => setPendingBulk('expire')}>
+                <Clock className="mr-2 h-4 w-4" />
+                Expire
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setPendingBulk('retag')}>
+                <Tag className="mr-2 h-4 w-4" />
+                Retag
+              </Button>
+              <Button variant="outline" size="sm" className="text-red-700 border-red-200 hover:bg-red-50" onClick={() => setPendingBulk('delete')}>
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </Button>
+            </SelectionBar>
+          )}
+          {visible.length === 0 ? (
+            <EmptyState icon={Search} title="No matching nodes" description="Try a different search or clear the filters.">
+              <Button variant="outline" onClick={() => setQuery({ q: '', status: 'all', tags: [], page: 1 })}>
+                Clear filters
+              </Button>
+            </EmptyState>
+          ) : query.view === 'table' ? (
+            <NodesTable
+              nodes={visible}
+              resetKey={JSON.stringify([query.q, query.status, query.tags, query.sort, query.dir])}
+              sort={query.sort}
+              dir={query.dir}
+              onSort={(sort, dir) => setQuery({ sort, dir })}
+              onSelect={select}
+              selection={
+                canWrite
+                  ? {
+                      selected: checked,
+                      onToggle: toggleChecked,
+                      onToggleAll: (all) => setChecked(all ? new Set(visible.map((node) => node.id)) : new Set()),
+                    }
+                  : undefined
+              }
+            />
+          ) : (
+            <>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 lg:gap-6">
+                {pageNodes.map((node, index) => (
+                  <NodeCard
+                    key={node.id}
+                    node={node}
+                    index={index}
+                    onSelect={select}
+                    selected={checked.has(node.id)}
+                    onToggle={canWrite ? toggleChecked : undefined}
+                  />
+                ))}
+              </div>
+              {pageCount > 1 && <Pagination page={page} pageCount={pageCount} onPage={(next) => setQuery({ page: next })} />}
+            </>
+          )}
+        </>
+      )}
+      <NodeDrawer
+        node={selected}
+        open={Boolean(selected)}
+        onClose={closeDrawer}
+        canWrite={canWrite}
+        actions={actions}
+        tagOptions={tagOptions}
+        error={actionError}
+        onError={setActionError}
+      />
+      {canWrite && (
+        <>
+          <ConfirmDialog
+            open={pendingBulk === 'expire' || pendingBulk === 'delete'}
+            onOpenChange={(open) => !open && setPendingBulk(null)}
+            title={pendingBulk === 'delete' ? `Delete ${plural(checkedNodes.length)}?` : `Expire ${plural(checkedNodes.length)}?`}
+            description={
+              pendingBulk === 'delete'
+                ? 'The devices are removed from the tailnet and must register again with a new key.'
+                : 'The devices are logged out and must re-authenticate before they can reconnect.'
+            }
+            confirmLabel={pendingBulk === 'delete' ? 'Delete' : 'Expire'}
+            destructive
+            onConfirm={() => runBulk(pendingBulk)}
+          />
+          <BulkRetagDialog
+            open={pendingBulk === 'retag'}
+            onOpenChange={(open) => !open && setPendingBulk(null)}
+            count={checkedNodes.length}
+            tagOptions={tagOptions}
+            onConfirm={(mode, tags) => runBulk('retag', { mode, tags })}
+          />
+          <BulkProgressDialog bulk={bulk} />
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,84 @@
+import React from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { VirtualList } from '@/components/ui/virtual-list';
+import { SelectCheckbox } from '@/components/bulk/select-checkbox';
+import { formatRelativeTime } from '@/lib/format';
+
+const ROW_HEIGHT = 52;
+const COLUMNS = 'grid grid-cols-[minmax(0,2fr)_minmax(0,2fr)_8rem_6rem_8rem_minmax(0,2fr)] gap-4 items-center px-4';
+const SELECTABLE_COLUMNS = 'grid grid-cols-[1.25rem_minmax(0,2fr)_minmax(0,2fr)_8rem_6rem_8rem_minmax(0,2fr)] gap-4 items-center px-4';
+
+const SortHeader = ({ label, field, sort, dir, onSort }) => {
+  const active = sort === field;
+  const Icon = active && dir === 'desc' ? ChevronDown : ChevronUp;
+  return (
+    <button
+      type="button"
+      role="columnheader"
+      aria-sort={active ? (dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+      onClick={() => onSort(field, active && dir === 'asc' ? 'desc' : 'asc')}
+      className={`flex items-center gap-1 text-left font-semibold hover:text-gray-900 ${active ? 'text-blue-700' : ''}`}
+    >
+      {label}
+      <Icon className={`h-4 w-4 ${active ? '' : 'opacity-30'}`} />
+    </button>
+  );
+};
+
+// `selection` ({ selected: Set of ids, onToggle, onToggleAll }) adds a checkbox column.
+// The table scrolls back to the top when `resetKey` (the filter and sort) changes.
+export const NodesTable = ({ nodes, sort, dir, onSort, onSelect, selection, resetKey }) => {
+  const columns = selection ? SELECTABLE_COLUMNS : COLUMNS;
+  const allSelected = Boolean(selection) && nodes.length > 0 && nodes.every((node) => selection.selected.has(node.id));
+  return (
+    <div role="table" aria-rowcount={nodes.length + 1} className="rounded-xl border border-gray-200 bg-white overflow-hidden">
+      <div role="row" aria-rowindex={1} className={`${columns} h-11 bg-gray-50 border-b border-gray-200 text-xs uppercase tracking-wide text-gray-600`}>
+        {selection && (
+          <span role="columnheader">
+            <SelectCheckbox checked={allSelected} onChange={() => selection.onToggleAll(!allSelected)} label="Select all shown nodes" />
+          </span>
+        )}
+        <SortHeader label="Name" field="name" sort={sort} dir={dir} onSort={onSort} />
+        <span role="columnheader">User</span>
+        <span role="columnheader">IP</span>
+        <span role="columnheader">Status</span>
+        <SortHeader label="Last seen" field="lastSeen" sort={sort} dir={dir} onSort={onSort} />
+        <span role="columnheader">Tags</span>
+      </div>
+      <VirtualList
+        items={nodes}
+        rowHeight={ROW_HEIGHT}
+        height={640}
+        getKey={(node) => node.id}
+        resetKey={resetKey}
+        renderRow={(node, index) => (
+          <div
+            role="row"
+            aria-rowindex={index + 2}
+            tabIndex={0}
+            onClick={() => onSelect(node)}
+            onKeyDown={(event) => event.key === 'Enter' && onSelect(node)}
+            className={`${columns} h-full border-b border-gray-100 text-sm cursor-pointer hover:bg-blue-50/60 focus-visible:bg-blue-50 focus-visible:outline-none ${
+              selection && selection.selected.has(node.id) ? 'bg-blue-50' : ''
+            }`}
+          >
+            {selection && (
+              <span role="cell">
+                <SelectCheckbox checked={selection.selected.has(node.id)} onChange={() => selection.onToggle(node)} label={`Select ${node.name}`} />
+              </span>
+            )}
+            <span role="cell" className="truncate font-semibold text-gray-900">{node.name}</span>
+            <span role="cell" className="truncate text-gray-600">{node.user}</span>
+            <span role="cell" className="font-mono text-blue-600">{node.ip}</span>
+            <span role="cell" className="flex items-center gap-2">
+              <span className={`w-2 h-2 rounded-full ${node.status === 'online' ? 'bg-green-500' : 'bg-gray-400'}`} />
+              <span className="text-gray-700">{node.status}</span>
+            </span>
+            <span role="cell" className="text-gray-500">{formatRelativeTime(node.lastSeen)}</span>
+            <span role="cell" className="truncate text-xs text-gray-600">{node.tags.join(', ')}</span>
+          </div>
+        )}
+      />
+    </div>
+  );
+};
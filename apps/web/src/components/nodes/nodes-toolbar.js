@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { LayoutGrid, Search, Table } from 'lucide-react';
+
+const ToggleButton = ({ active, label, icon: Icon, onClick }) => (
+  <button
+    type="button"
+    aria-pressed={active}
+    aria-label={label}
+    onClick={onClick}
+    className={`p-2 rounded-md transition-colors ${active ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-500 hover:text-gray-900'}`}
+  >
+    <Icon className="h-4 w-4" />
+  </button>
+);
+
+export const NodesToolbar = ({ query, setQuery, availableTags, total, shown }) => {
+  // Keep typing responsive; the URL is only updated once the user pauses
+  const [search, setSearch] = useState(query.q);
+  useEffect(() => setSearch(query.q), [query.q]);
+  useEffect(() => {
+    if (search === query.q) return undefined;
+    const timer = setTimeout(() => setQuery({ q: search, page: 1 }), 250);
+    return () => clearTimeout(timer);
+  }, [search, query.q, setQuery]);
+
+  const toggleTag = (tag) =>
+    setQuery((current) => ({
+      tags: current.tags.includes(tag) ? current.tags.filter((t) => t !== tag) : [...current.tags, tag],
+      page: 1,
+    }));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col lg:flex-row gap-3">
+        <label className="relative flex-1">
+          <span className="sr-only">Search nodes</span>
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="search"
+            className="form-input pl-10"
+            placeholder="Search by name, user, IP or tag"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+          />
+        </label>
+        <div className="flex gap-3">
+          <select
+            aria-label="Filter by status"
+            className="form-input w-auto"
+            value={query.status}
+            onChange={(event) => setQuery({ status: event.target.value, page: 1 })}
+          >
+            <option value="all">All statuses</option>
+            <option value="online">Online</option>
+            <option value="offline">Offline</option>
+          </select>
+          <select
+            aria-label="Sort nodes"
+            className="form-input w-auto"
+            value={`${query.sort}:${query.dir}`}
+            onChange={(event) => {
+              const [sort, dir] = event.target.value.split(':');
+              setQuery({ sort, dir, page: 1 });
+            }}
+          >
+            <option value="name:asc">Name A–Z</option>
+            <option value="name:desc">Name Z–A</option>
+            <option value="lastSeen:desc">Recently seen</option>
+            <option value="lastSeen:asc">Least recently seen</option>
+          </select>
+          <div className="flex items-center gap-1 p-1 bg-gray-100 rounded-lg">
+            <ToggleButton active={query.view === 'cards'} label="Card view" icon={LayoutGrid} onClick={() => setQuery({ view: 'cards' })} />
+            <ToggleButton active={query.view === 'table'} label="Table view" icon={Table} onClick={() => setQuery({ view: 'table' })} />
+          </div>
+        </div>
+      </div>
+      {availableTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-600">Tags:</span>
+          {availableTags.map((tag) => {
+            const selected = query.tags.includes(tag);
+            return (
+              <button
+                key={tag}
+                type="button"
+                aria-pressed={selected}
+                onClick={() => toggleTag(tag)}
+                className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors ${
+                  selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                {tag}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      <p className="text-sm text-gray-500" aria-live="polite">
+        Showing {shown} of {total} nodes
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, Globe, Network, XCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { findRouteConflicts } from '@/lib/cidr';
+
+// Routes grouped per node; an exit node's 0.0.0.0/0 and ::/0 pair is shown as one row
+function groupByNode(routes) {
+  const groups = new Map();
+  for (const route of routes) {
+    if (!groups.has(route.node)) groups.set(route.node, { node: route.node, subnets: [], exit: [] });
+    const group = groups.get(route.node);
+    (route.exitNode ? group.exit : group.subnets).push(route);
+  }
+  return [...groups.values()].sort((a, b) => a.node.localeCompare(b.node));
+}
+
+const StateBadges = ({ routes }) => {
+  const enabled = routes.every((route) => route.enabled);
+  return (
+    <span className="flex flex-wrap gap-1">
+      <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">advertised</Badge>
+      <Badge
+        variant="outline"
+        className={enabled ? 'bg-green-50 text-green-700 border-green-200' : 'bg-orange-50 text-orange-700 border-orange-200'}
+      >
+        {enabled ? 'enabled' : 'not enabled'}
+      </Badge>
+      {routes.some((route) => route.primary) && <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200">primary</Badge>}
+    </span>
+  );
+};
+
+const RouteRow = ({ label, routes, conflicts, canWrite, busy, onToggle }) => {
+  const enabled = routes.every((route) => route.enabled);
+  return (
+    <li className="flex flex-col sm:flex-row sm:items-center gap-3 py-3">
+      <div className="flex-1 min-w-0 space-y-1">
+        <p className="font-mono text-sm font-semibold text-gray-900">{label}</p>
+        {conflicts.map((conflict, i) => (
+          <p key={i} className={`flex items-start gap-1 text-xs ${conflict.severity === 'error' ? 'text-red-700' : 'text-orange-700'}`}>
+            <AlertTriangle className="h-3.5 w-3.5 mt-0.5 flex-shrink-0" />
+            {conflict.message}
+          </p>
+        ))}
+      </div>
+      <StateBadges routes={routes} />
+      {canWrite && (
+        <Button variant="outline" size="sm" disabled={busy} onClick={() => onToggle(routes, !enabled)} className="sm:w-24">
+          {enabled ? 'Disable' : 'Enable'}
+        </Button>
+      )}
+    </li>
+  );
+};
+
+export const RoutesView = ({ routes, nodes, canWrite }) => {
+  const [busy, setBusy] = useState(new Set());
+  const [pendingDisable, setPendingDisable] = useState(null);
+  const [error, setError] = useState(null);
+
+  const groups = useMemo(() => groupByNode(routes.data || []), [routes.data]);
+  const conflicts = useMemo(() => findRouteConflicts(routes.data || []), [routes.data]);
+  const onlineByName = useMemo(() => new Map((nodes || []).map((node) => [node.name, node.status === 'online'])), [nodes]);
+
+  if (routes.error && !routes.data) return <ErrorAlert title="Failed to load routes" error={routes.error} onRetry={routes.refresh} />;
+  if (!routes.data) return <LoadingState label="Loading routes..." />;
+  if (routes.data.length === 0) {
+    return (
+      <EmptyState icon={Network} title="No routes advertised" description="Nodes started with --advertise-routes or --advertise-exit-node appear here." />
+    );
+  }
+
+  const conflictsFor = (list) => conflicts.filter((conflict) => conflict.routes.some((route) => list.includes(route)));
+  const pending = routes.data.filter((route) => !route.enabled).length;
+
+  // Optimistic toggle of one route, or both halves of an exit node
+  const toggle = async (list, enable) => {
+    const ids = new Set(list.map((route) => route.id));
+    const setEnabled = (value) =>
+      routes.mutate((current) => (current || []).map((route) => (ids.has(route.id) ? { ...route, enabled: value } : route)));
+
+    setBusy((prev) => new Set([...prev, ...ids]));
+    setError(null);
+    setEnabled(enable);
+    try {
+      const prefixes = list.map((route) => route.prefix);
+      if (enable) await api.enableRoutes(list[0].nodeId, prefixes);
+      else await api.disableRoutes(list[0].nodeId, prefixes);
+    } catch (err) {
+      setEnabled(!enable);
+      setError(err);
+    } finally {
+      setBusy((prev) => new Set([...prev].filter((id) => !ids.has(id))));
+    }
+  };
+
+  const requestToggle = (list, enable) => (enable ? toggle(list, true) : setPendingDisable(list));
+
+  return (
+    <div className="space-y-6">
+      {error && <ErrorAlert title="Failed to update route" error={error} />}
+
+      {(conflicts.length > 0 || pending > 0) && (
+        <div className="grid gap-3 sm:grid-cols-2">
+          {pending > 0 && (
+            <div className="rounded-lg border border-orange-200 bg-orange-50 p-4 text-sm text-orange-800">
+              <p className="font-semibold">{pending} advertised route{pending === 1 ? '' : 's'} awaiting approval</p>
+              <p>Routes only carry traffic once they are enabled.</p>
+            </div>
+          )}
+          {conflicts.length > 0 && (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-800">
+              <p className="flex items-center gap-2 font-semibold">
+                <XCircle className="h-4 w-4" />
+                {conflicts.length} route conflict{conflicts.length === 1 ? '' : 's'}
+              </p>
+              <p>Overlapping prefixes make routing depend on which node is primary.</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        {groups.map((group) => {
+          const online = onlineByName.get(group.node);
+          return (
+            <Card key={group.node} className="card-elevated">
+              <CardHeader className="flex flex-row items-center justify-between gap-3 space-y-0 pb-2">
+                <CardTitle className="flex items-center gap-2 text-lg min-w-0">
+                  <span className={`h-2.5 w-2.5 rounded-full flex-shrink-0 ${online ? 'bg-green-500' : 'bg-gray-300'}`} title={online ? 'online' : 'offline'} />
+                  <span className="truncate">{group.node}</span>
+                </CardTitle>
+                {group.exit.length > 0 && (
+                  <Badge variant="outline" className="bg-purple-50 text-purple-700 border-purple-200 flex items-center gap-1">
+                    <Globe className="h-3 w-3" />
+                    exit node
+                  </Badge>
+                )}
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y divide-gray-100">
+                  {group.exit.length > 0 && (
+                    <RouteRow
+                      label={`Exit node (${group.exit.map((route) => route.prefix).join(', ')})`}
+                      routes={group.exit}
+                      conflicts={[]}
+                      canWrite={canWrite}
+                      busy={group.exit.some((route) => busy.has(route.id))}
+                      onToggle={requestToggle}
+                    />
+                  )}
+                  {group.subnets.map((route) => (
+                    <RouteRow
+                      key={route.id}
+                      label={route.prefix}
+                      routes={[route]}
+                      conflicts={conflictsFor([route])}
+                      canWrite={canWrite}
+                      busy={busy.has(route.id)}
+                      onToggle={requestToggle}
+                    />
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <ConfirmDialog
+        open={Boolean(pendingDisable)}
+        onOpenChange={(open) => !open && setPendingDisable(null)}
+        title={pendingDisable && pendingDisable[0].exitNode ? 'Disable exit node?' : 'Disable route?'}
+        description={
+          pendingDisable &&
+          (pendingDisable[0].exitNode
+            ? `Devices using ${pendingDisable[0].node} as their exit node will lose internet access through it.`
+            : `Traffic to ${pendingDisable[0].prefix} will no longer be routed through ${pendingDisable[0].node}.`)
+        }
+        confirmLabel="Disable"
+        destructive
+        onConfirm={() => toggle(pendingDisable, false)}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronUp, GitBranch, History, Play, RefreshCw, Eye, XCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { useNow } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+import { HISTORY_LIMIT } from '@/lib/sync-history';
+
+const SUMMARY_LABELS = {
+  headscale_users_count: 'Users in Headscale',
+  config_users_count: 'Users in config',
+  headscale_routes_count: 'Routes in Headscale',
+  config_routes_count: 'Routes in config',
+};
+
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+
+const Counter = ({ label, value }) => (
+  <div className="rounded-lg border border-gray-200 bg-gray-50 p-3">
+    <p className="text-2xl font-bold text-gray-900">{value ?? '—'}</p>
+    <p className="text-xs text-gray-600">{label}</p>
+  </div>
+);
+
+const LineList = ({ items, tone }) => (
+  <ul className="space-y-1 max-h-72 overflow-y-auto">
+    {items.map((item, i) => (
+      <li key={i} className={`rounded px-3 py-1.5 font-mono text-xs break-all ${tone === 'error' ? 'bg-red-50 text-red-800' : 'bg-gray-50 text-gray-800'}`}>
+        {item}
+      </li>
+    ))}
+  </ul>
+);
+
+const Option = ({ checked, onChange, label, hint, disabled }) => (
+  <label className="flex items-start gap-3 text-sm">
+    <input type="checkbox" className="mt-1" checked={checked} onChange={(event) => onChange(event.target.checked)} disabled={disabled} />
+    <span>
+      <span className="font-semibold text-gray-900">{label}</span>
+      <span className="block text-gray-600">{hint}</span>
+    </span>
+  </label>
+);
+
+const DriftPanel = ({ drift }) => {
+  if (drift.error && !drift.data) return <ErrorAlert title="Failed to check drift" error={drift.error} onRetry={drift.refresh} />;
+  if (!drift.data) return <LoadingState label="Comparing Headscale with the config repository..." />;
+
+  const { has_drift: hasDrift, drifts = [], summary = {} } = drift.data;
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {Object.entries(SUMMARY_LABELS).map(([key, label]) => (
+          <Counter key={key} label={label} value={summary[key]} />
+        ))}
+      </div>
+      {hasDrift ? (
+        <div className="space-y-2">
+          <p className="flex items-center gap-2 text-sm font-semibold text-orange-700">
+            <AlertTriangle className="h-4 w-4" />
+            {drifts.length} difference{drifts.length === 1 ? '' : 's'} between Headscale and the config
+          </p>
+          <LineList items={drifts} />
+        </div>
+      ) : (
+        <p className="flex items-center gap-2 text-sm font-semibold text-green-700">
+          <CheckCircle className="h-4 w-4" />
+          Headscale matches the config repository
+        </p>
+      )}
+    </div>
+  );
+};
+
+const RunResult = ({ result }) => (
+  <div className="space-y-3">
+    <p className={`flex items-center gap-2 text-sm font-semibold ${result.success ? 'text-green-700' : 'text-red-700'}`}>
+      {result.success ? <CheckCircle className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+      {result.dry_run ? 'Dry run: ' : ''}
+      {result.message}
+    </p>
+    {result.changes && result.changes.length > 0 && (
+      <div className="space-y-1">
+        <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">{result.dry_run ? 'Planned changes' : 'Changes'}</p>
+        <LineList items={result.changes} />
+      </div>
+    )}
+    {result.errors && result.errors.length > 0 && (
+      <div className="space-y-1">
+        <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">Errors</p>
+        <LineList items={result.errors} tone="error" />
+      </div>
+    )}
+  </div>
+);
+
+const HistoryEntry = ({ entry, now }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <li className="rounded-lg border border-gray-200">
+      <button type="button" onClick={() => setOpen((value) => !value)} className="w-full flex items-center gap-3 px-4 py-3 text-left">
+        {entry.success ? <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" /> : <XCircle className="h-4 w-4 text-red-600 flex-shrink-0" />}
+        <span className="flex-1 min-w-0">
+          <span className="block text-sm font-semibold text-gray-900 truncate">{entry.message}</span>
+          <span className="block text-xs text-gray-500" title={entry.at.toLocaleString()}>
+            {formatRelativeTime(entry.at, now)}
+            {entry.actor && ` by ${entry.actor}`}
+          </span>
+        </span>
+        <Badge variant="outline" className={entry.dryRun ? 'bg-blue-50 text-blue-700 border-blue-200' : 'bg-purple-50 text-purple-700 border-purple-200'}>
+          {entry.dryRun ? 'dry run' : 'apply'}
+        </Badge>
+        {open ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+      </button>
+      {open && (
+        <div className="space-y-3 border-t border-gray-100 px-4 py-3">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(entry.stats).map(([key, value]) => (
+              <Badge key={key} variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">
+                {humanize(key)}: {String(value)}
+              </Badge>
+            ))}
+            {entry.force && <Badge variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">force</Badge>}
+            {entry.validate === false && <Badge variant="outline" className="bg-orange-50 text-orange-700 border-orange-200">no validation</Badge>}
+          </div>
+          {entry.changes.length > 0 && <LineList items={entry.changes} />}
+          {entry.errors.length > 0 && <LineList items={entry.errors} tone="error" />}
+        </div>
+      )}
+    </li>
+  );
+};
+
+export const ConfigSync = ({ drift, history, canWrite }) => {
+  const now = useNow();
+  const [force, setForce] = useState(false);
+  const [validate, setValidate] = useState(true);
+  const [running, setRunning] = useState(null);
+  const [result, setResult] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+
+  const run = async (dryRun) => {
+    const options = { dryRun, force, validate };
+    setRunning(dryRun ? 'preview' : 'apply');
+    setRunError(null);
+    try {
+      const response = await api.applyConfig(options);
+      setResult(response);
+      if (!dryRun) drift.refresh();
+    } catch (err) {
+      setRunError(err);
+    } finally {
+      setRunning(null);
+      // The run, failed or not, is now in the audit log
+      history.refresh();
+    }
+  };
+
+  const preview = result && result.dry_run ? result : null;
+
+  return (
+    <div className="space-y-6">
+      <Card className="card-elevated">
+        <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <GitBranch className="h-5 w-5 text-blue-600" />
+              Drift
+            </CardTitle>
+            <CardDescription>Differences between Headscale and the desired state in the config repository.</CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={drift.refresh} disabled={drift.loading}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${drift.loading ? 'animate-spin' : ''}`} />
+            Check again
+          </Button>
+        </CardHeader>
+        <CardContent>
+          <DriftPanel drift={drift} />
+        </CardContent>
+      </Card>
+
+      <Card className="card-elevated">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Play className="h-5 w-5 text-blue-600" />
+            Apply configuration
+          </CardTitle>
+          <CardDescription>Preview what an apply would change, then apply it to Headscale.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-5">
+          <div className="grid gap-3 sm:grid-cols-2">
+            <Option checked={validate} onChange={setValidate} disabled={!canWrite} label="Validate" hint="Check the configuration before changing anything." />
+            <Option checked={force} onChange={setForce} disabled={!canWrite} label="Force" hint="Apply even when the orchestrator would skip unchanged items." />
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <Button variant="outline" onClick={() => run(true)} disabled={!canWrite || running !== null}>
+              <Eye className="h-4 w-4 mr-2" />
+              {running === 'preview' ? 'Running dry run...' : 'Preview (dry run)'}
+            </Button>
+            <Button onClick={() => setConfirming(true)} disabled={!canWrite || running !== null}>
+              <Play className="h-4 w-4 mr-2" />
+              {running === 'apply' ? 'Applying...' : 'Apply'}
+            </Button>
+          </div>
+          {!canWrite && <p className="text-sm text-gray-600">Read-only access: applying the configuration requires the admin role.</p>}
+          {runError && <ErrorAlert title="Config sync failed" error={runError} />}
+          {result && <RunResult result={result} />}
+        </CardContent>
+      </Card>
+
+      <Card className="card-elevated">
+        <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <History className="h-5 w-5 text-blue-600" />
+              History
+            </CardTitle>
+            <CardDescription>The last {HISTORY_LIMIT} runs by anyone, from the audit log.</CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={history.refresh} disabled={history.loading}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${history.loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </CardHeader>
+        <CardContent>
+          {history.error && !history.data ? (
+            <ErrorAlert title="Failed to load the run history" error={history.error} onRetry={history.refresh} />
+          ) : !history.data ? (
+            <LoadingState label="Loading run history..." />
+          ) : history.data.length === 0 ? (
+            <EmptyState icon={History} title="No runs yet" description="Dry runs and applies are listed here with their stats." />
+          ) : (
+            <ul className="space-y-2">
+              {history.data.map((entry) => (
+                <HistoryEntry key={entry.id} entry={entry} now={now} />
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <ConfirmDialog
+        open={confirming}
+        onOpenChange={setConfirming}
+        title="Apply configuration to Headscale?"
+        description={
+          preview
+            ? `The last dry run planned ${preview.changes.length} change${preview.changes.length === 1 ? '' : 's'}. Users, routes and the ACL policy in Headscale will be updated from the config repository.`
+            : 'No dry run has been previewed yet. Users, routes and the ACL policy in Headscale will be updated from the config repository.'
+        }
+        confirmLabel={force ? 'Force apply' : 'Apply'}
+        destructive={force}
+        onConfirm={() => run(false)}
+      >
+        {preview && preview.errors && preview.errors.length > 0 && (
+          <p className="text-sm font-semibold text-red-700">The dry run reported {preview.errors.length} error(s).</p>
+        )}
+      </ConfirmDialog>
+    </div>
+  );
+};
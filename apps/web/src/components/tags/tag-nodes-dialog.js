@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { Button } from '@/components/ui/button';
+import { SelectCheckbox } from '@/components/bulk/select-checkbox';
+
+// Picks the nodes to add `tag` to (nodes without it) or remove it from (nodes carrying it),
+// then hands them to `onConfirm(nodes)`. Removal starts with every carrier selected.
+export const TagNodesDialog = ({ open, onOpenChange, tag, mode, nodes = [], onConfirm }) => {
+  const [selected, setSelected] = useState(() => new Set());
+  const [filter, setFilter] = useState('');
+
+  const candidates = useMemo(
+    () => (tag ? nodes.filter((node) => node.tags.includes(tag.name) === (mode === 'remove')) : []),
+    [nodes, tag, mode]
+  );
+
+  useEffect(() => {
+    if (open) {
+      setSelected(new Set(mode === 'remove' ? candidates.map((node) => node.id) : []));
+      setFilter('');
+    }
+  }, [open]);
+
+  const needle = filter.trim().toLowerCase();
+  const visible = needle
+    ? candidates.filter((node) => [node.name, node.user, node.ip].some((value) => (value || '').toLowerCase().includes(needle)))
+    : candidates;
+  const chosen = candidates.filter((node) => selected.has(node.id));
+
+  const toggle = (node) =>
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(node.id)) next.delete(node.id);
+      else next.add(node.id);
+      return next;
+    });
+
+  const verb = mode === 'remove' ? 'Remove' : 'Add';
+  return (
+    <ConfirmDialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title={tag ? `${verb} ${tag.tag} ${mode === 'remove' ? 'from' : 'to'} nodes` : ''}
+      description={
+        mode === 'remove'
+          ? 'The nodes lose whatever access the tag granted them. Untagged nodes fall back to their owner\'s access.'
+          : 'Tagged nodes act as the tag instead of their owner, so they lose the owner\'s access.'
+      }
+      confirmLabel={chosen.length === 0 ? 'Select nodes' : `${verb} on ${chosen.length} node${chosen.length === 1 ? '' : 's'}`}
+      destructive={mode === 'remove'}
+      onConfirm={(event) => {
+        if (chosen.length === 0) {
+          event.preventDefault();
+          return;
+        }
+        onConfirm(chosen);
+      }}
+    >
+      {candidates.length === 0 ? (
+        <p className="text-sm text-gray-600">{mode === 'remove' ? 'No node carries this tag.' : 'Every node already carries this tag.'}</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <input
+              className="form-input flex-1"
+              placeholder="Filter by name, user or IP"
+              aria-label="Filter nodes"
+              value={filter}
+              onChange={(event) => setFilter(event.target.value)}
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() =>
+                setSelected((current) => {
+                  const next = new Set(current);
+                  const all = visible.every((node) => next.has(node.id));
+                  visible.forEach((node) => (all ? next.delete(node.id) : next.add(node.id)));
+                  return next;
+                })
+              }
+            >
+              {visible.length > 0 && visible.every((node) => selected.has(node.id)) ? 'None' : 'All'}
+            </Button>
+          </div>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 rounded-lg border border-gray-200">
+            {visible.map((node) => (
+              <li key={node.id}>
+                <label className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                  <SelectCheckbox checked={selected.has(node.id)} onChange={() => toggle(node)} label={`Select ${node.name}`} />
+                  <span className="flex-1 min-w-0 truncate font-semibold text-gray-900">{node.name}</span>
+                  <span className="text-gray-500 truncate">{node.user}</span>
+                </label>
+              </li>
+            ))}
+            {visible.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">No nodes match the filter.</li>}
+          </ul>
+        </div>
+      )}
+    </ConfirmDialog>
+  );
+};
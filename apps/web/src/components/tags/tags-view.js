@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from 'react';
+import Link from 'next/link';
+import { AlertTriangle, Minus, Plus, Tag } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { BulkProgressDialog } from '@/components/bulk/bulk-progress-dialog';
+import { TagNodesDialog } from '@/components/tags/tag-nodes-dialog';
+import { describeRule } from '@/lib/acl-policy';
+import { retag, sameTagSet, useBulkOperation } from '@/lib/bulk';
+import { useNodeActions } from '@/lib/node-actions';
+import { TAG_ISSUES, tagInventory } from '@/lib/tags';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const NODE_LIMIT = 12;
+
+const ISSUE_STYLES = {
+  undefined: 'bg-red-50 text-red-700 border-red-200',
+  orphan: 'bg-orange-50 text-orange-700 border-orange-200',
+  unreferenced: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+};
+
+const TagCard = ({ item, canWrite, onEdit }) => (
+  <Card>
+    <CardHeader className="pb-3">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+        <div className="space-y-2">
+          <CardTitle className="font-mono text-lg">{item.tag}</CardTitle>
+          {item.issues.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {item.issues.map((issue) => (
+                <Badge key={issue} variant="outline" className={ISSUE_STYLES[issue]} title={TAG_ISSUES[issue].description}>
+                  {TAG_ISSUES[issue].label}
+                </Badge>
+              ))}
+            </div>
+          )}
+        </div>
+        {canWrite && (
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={!item.defined}
+              title={item.defined ? undefined : 'Define the tag in tagOwners before assigning it'}
+              onClick={() => onEdit(item, 'add')}
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Add to nodes
+            </Button>
+            <Button variant="outline" size="sm" disabled={item.nodes.length === 0} onClick={() => onEdit(item, 'remove')}>
+              <Minus className="mr-2 h-4 w-4" />
+              Remove
+            </Button>
+          </div>
+        )}
+      </div>
+    </CardHeader>
+    <CardContent className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+      <div>
+        <p className="form-label">Owners</p>
+        {item.owners.length === 0 ? (
+          <p className="text-gray-500">{item.defined ? 'None listed' : 'Not in tagOwners'}</p>
+        ) : (
+          <div className="flex flex-wrap gap-1">
+            {item.owners.map((owner) => (
+              <Badge key={owner} variant="outline" className="bg-gray-50 font-mono text-xs">{owner}</Badge>
+            ))}
+          </div>
+        )}
+      </div>
+      <div>
+        <p className="form-label">{plural(item.nodes.length, 'node')}</p>
+        {item.nodes.length === 0 ? (
+          <p className="text-gray-500">No node carries it</p>
+        ) : (
+          <div className="flex flex-wrap gap-1">
+            {item.nodes.slice(0, NODE_LIMIT).map((node) => (
+              <Badge
+                key={node.id}
+                variant="outline"
+                className={node.status === 'online' ? 'bg-green-50 text-green-700 border-green-200' : 'bg-gray-50 text-gray-600'}
+              >
+                {node.name}
+              </Badge>
+            ))}
+            {item.nodes.length > NODE_LIMIT && <span className="text-xs text-gray-500">…and {item.nodes.length - NODE_LIMIT} more</span>}
+          </div>
+        )}
+      </div>
+      <div>
+        <p className="form-label">Rules</p>
+        {item.references.length === 0 ? (
+          <p className="text-gray-500">Not referenced</p>
+        ) : (
+          <ul className="space-y-1">
+            {item.references.map(({ section, index, rule, fields }) => (
+              <li key={`${section}-${index}`} className="font-mono text-xs text-gray-800">
+                <span className="text-gray-500">
+                  {section}[{index}] {fields.join('+')}
+                </span>{' '}
+                {describeRule(rule)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </CardContent>
+  </Card>
+);
+
+// Every tag with its owners, nodes and rule references, filterable by issue; admins can
+// add or remove a tag across many nodes as one bulk operation
+export const TagsView = ({ acl, nodes, filters, setFilters, canWrite }) => {
+  const [editing, setEditing] = useState(null);
+  const bulk = useBulkOperation();
+  const actions = useNodeActions(nodes);
+
+  const inventory = useMemo(() => (acl.data ? tagInventory(acl.data, nodes.data || []) : []), [acl.data, nodes.data]);
+
+  if (acl.error && !acl.data) return <ErrorAlert title="Failed to load the ACL policy" error={acl.error} onRetry={acl.refresh} />;
+  if (nodes.error && !nodes.data) return <ErrorAlert title="Failed to load nodes" error={nodes.error} onRetry={nodes.refresh} />;
+  if (!acl.data || !nodes.data) return <LoadingState label="Loading tags..." />;
+
+  const counts = Object.fromEntries(Object.keys(TAG_ISSUES).map((issue) => [issue, inventory.filter((item) => item.issues.includes(issue)).length]));
+  const shown = filters.issue ? inventory.filter((item) => item.issues.includes(filters.issue)) : inventory;
+
+  const apply = (item, mode, targets) => {
+    const title = mode === 'add' ? `Adding ${item.tag} to ${plural(targets.length, 'node')}` : `Removing ${item.tag} from ${plural(targets.length, 'node')}`;
+    bulk.start({
+      title,
+      items: targets,
+      getLabel: (node) => `${node.name} (${node.user})`,
+      task: (node) => {
+        const next = retag(node.tags, mode, [item.name]);
+        return sameTagSet(next, node.tags) ? null : actions.setTags(node, next);
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Filter tags">
+        <Button variant={filters.issue ? 'ghost' : 'secondary'} size="sm" aria-pressed={!filters.issue} onClick={() => setFilters({ issue: '' })}>
+          All {inventory.length}
+        </Button>
+        {Object.entries(TAG_ISSUES).map(([issue, { label, description }]) => (
+          <Button
+            key={issue}
+            variant={filters.issue === issue ? 'secondary' : 'ghost'}
+            size="sm"
+            title={description}
+            aria-pressed={filters.issue === issue}
+            onClick={() => setFilters({ issue })}
+          >
+            {counts[issue] > 0 && <AlertTriangle className="mr-1 h-3 w-3 text-orange-600" />}
+            {label} {counts[issue]}
+          </Button>
+        ))}
+      </div>
+
+      {inventory.length === 0 ? (
+        <EmptyState
+          icon={Tag}
+          title="No tags"
+          description="Define tags in the ACL policy's tagOwners, then assign them to nodes that should act as a service rather than as their owner."
+        />
+      ) : shown.length === 0 ? (
+        <EmptyState icon={Tag} title={`No tags flagged "${TAG_ISSUES[filters.issue].label}"`} description="Nothing to clean up here." />
+      ) : (
+        <div className="space-y-4">
+          {shown.map((item) => (
+            <TagCard key={item.tag} item={item} canWrite={canWrite} onEdit={(target, mode) => setEditing({ tag: target.tag, mode })} />
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600">
+        Tags are defined and owned in the{' '}
+        <Link href="/acl" className="text-blue-700 hover:underline">
+          ACL policy
+        </Link>
+        ; rename or delete them there.
+      </p>
+
+      {canWrite && (
+        <>
+          <TagNodesDialog
+            open={Boolean(editing)}
+            onOpenChange={(open) => !open && setEditing(null)}
+            tag={editing && inventory.find((item) => item.tag === editing.tag)}
+            mode={editing ? editing.mode : 'add'}
+            nodes={nodes.data}
+            onConfirm={(targets) => apply(inventory.find((item) => item.tag === editing.tag), editing.mode, targets)}
+          />
+          <BulkProgressDialog bulk={bulk} />
+        </>
+      )}
+    </div>
+  );
+};
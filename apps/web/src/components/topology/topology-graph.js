@@ -0,0 +1,380 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Maximize, Search, X, ZoomIn, ZoomOut } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ACL_EDGE_NODE_LIMIT, aclEdges, buildGraph, COLUMN_GAP, layoutGraph, neighbourhood, searchVertices, tagColors } from '@/lib/topology';
+import { formatRelativeTime } from '@/lib/format';
+
+const HEIGHT = 560;
+const PADDING = 120;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+const IDENTITY = { x: 0, y: 0, k: 1 };
+
+const COLORS = {
+  user: '#2563eb',
+  online: '#16a34a',
+  offline: '#9ca3af',
+  route: '#7c3aed',
+  exit: '#ea580c',
+  edge: '#cbd5e1',
+  acl: '#0d9488',
+  match: '#facc15',
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Horizontal S-curve between columns; ACL edges between two nodes bow out to the left
+const edgePath = (a, b, kind) => {
+  if (kind === 'acl') {
+    const bow = Math.min(COLUMN_GAP * 0.45, 24 + Math.abs(b.y - a.y) * 0.35);
+    return `M ${a.x} ${a.y} C ${a.x - bow} ${a.y}, ${b.x - bow} ${b.y}, ${b.x} ${b.y}`;
+  }
+  const mid = (a.x + b.x) / 2;
+  return `M ${a.x} ${a.y} C ${mid} ${a.y}, ${mid} ${b.y}, ${b.x} ${b.y}`;
+};
+
+const Vertex = ({ vertex, position, colors, dimmed, matched, focused, onSelect }) => {
+  const { x, y } = position;
+  const node = vertex.kind === 'node' ? vertex.data : null;
+  const select = () => onSelect(vertex.id);
+  const label =
+    vertex.kind === 'user' ? (
+      <text x={x - 22} y={y + 4} textAnchor="end" fontSize="13" fontWeight="600" fill="#111827">{vertex.label}</text>
+    ) : vertex.kind === 'node' ? (
+      <text x={x} y={y + 30} textAnchor="middle" fontSize="12" fill="#111827">{vertex.label}</text>
+    ) : (
+      <text x={x + 22} y={y + 4} fontSize="12" fontFamily="ui-monospace, monospace" fill="#111827">{vertex.label}</text>
+    );
+
+  return (
+    <g
+      role="button"
+      tabIndex={0}
+      aria-label={`${vertex.kind} ${vertex.label}`}
+      aria-pressed={focused}
+      onClick={(event) => {
+        event.stopPropagation();
+        select();
+      }}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          select();
+        }
+      }}
+      style={{ cursor: 'pointer', opacity: dimmed ? 0.15 : 1, transition: 'opacity 150ms' }}
+    >
+      {matched && <circle cx={x} cy={y} r="24" fill={COLORS.match} opacity="0.45" />}
+      {focused && <circle cx={x} cy={y} r="21" fill="none" stroke="#111827" strokeWidth="2" strokeDasharray="4 3" />}
+      {vertex.kind === 'user' && (
+        <circle cx={x} cy={y} r="14" fill={vertex.missing ? '#fff' : COLORS.user} stroke={COLORS.user} strokeWidth="2" strokeDasharray={vertex.missing ? '4 3' : undefined} />
+      )}
+      {node && (
+        <>
+          {/* One ring per tag, outermost first, so multi-tagged nodes show every color */}
+          {node.tags.slice(0, 3).map((tag, i, list) => (
+            <circle key={tag} cx={x} cy={y} r={12 + 3 * (list.length - i)} fill="none" stroke={colors.get(tag)} strokeWidth="3" />
+          ))}
+          <circle cx={x} cy={y} r="12" fill={node.status === 'online' ? COLORS.online : COLORS.offline} stroke="#fff" strokeWidth="2" />
+        </>
+      )}
+      {vertex.kind === 'route' && <rect x={x - 12} y={y - 10} width="24" height="20" rx="5" fill={COLORS.route} />}
+      {vertex.kind === 'exit' && <circle cx={x} cy={y} r="14" fill={COLORS.exit} />}
+      {label}
+      <title>{vertex.label}</title>
+    </g>
+  );
+};
+
+const Details = ({ vertex, graph, acl, onClear }) => {
+  const connected = graph.edges.filter((edge) => edge.source === vertex.id || edge.target === vertex.id);
+  const other = (edge) => graph.vertices.find((item) => item.id === (edge.source === vertex.id ? edge.target : edge.source));
+  const peers = (acl || []).filter((edge) => edge.source === vertex.id || edge.target === vertex.id);
+  const node = vertex.kind === 'node' ? vertex.data : null;
+
+  return (
+    <Card className="card-elevated">
+      <CardHeader className="flex flex-row items-start justify-between gap-3 space-y-0">
+        <div className="min-w-0">
+          <CardTitle className="text-lg truncate">{vertex.label}</CardTitle>
+          <CardDescription className="capitalize">{vertex.kind === 'exit' ? 'exit node destination' : vertex.kind}</CardDescription>
+        </div>
+        <Button variant="outline" size="sm" onClick={onClear}>
+          <X className="mr-2 h-4 w-4" />
+          Clear focus
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {vertex.missing && <p className="text-orange-700">This user no longer exists but still owns nodes.</p>}
+        {node && (
+          <div className="grid gap-2 sm:grid-cols-2">
+            <p><span className="text-gray-600">Owner:</span> {node.user}</p>
+            <p><span className="text-gray-600">Status:</span> {node.status} · last seen {formatRelativeTime(node.lastSeen)}</p>
+            <p className="font-mono">{node.ipAddresses.join(', ') || '—'}</p>
+            <p className="flex flex-wrap gap-1">
+              {node.tags.length === 0 ? <span className="text-gray-500">No tags</span> : node.tags.map((tag) => (
+                <Badge key={tag} variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">tag:{tag}</Badge>
+              ))}
+            </p>
+          </div>
+        )}
+        <div>
+          <p className="font-semibold text-gray-900">Connected to</p>
+          <p className="text-gray-700">
+            {connected.length === 0
+              ? 'Nothing'
+              : connected.map((edge) => `${other(edge).label}${edge.enabled === false ? ' (not enabled)' : ''}`).join(', ')}
+          </p>
+        </div>
+        {acl && node && (
+          <div>
+            <p className="font-semibold text-gray-900">ACL peers</p>
+            <p className="text-gray-700">
+              {peers.length === 0
+                ? 'No other node can talk to or be reached from this one.'
+                : peers
+                    .map((edge) => {
+                      const outgoing = edge.source === vertex.id ? edge.forward : edge.backward;
+                      const incoming = edge.source === vertex.id ? edge.backward : edge.forward;
+                      const direction = outgoing && incoming ? '↔' : outgoing ? '→' : '←';
+                      return `${direction} ${other(edge).label}`;
+                    })
+                    .join(', ')}
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Interactive users → nodes → routes graph. Drag to pan, scroll or use the buttons to zoom,
+// click a vertex to focus its neighbourhood and click the background to clear it.
+export const TopologyGraph = ({ users, nodes, routes, policy }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState(IDENTITY);
+  const [focus, setFocus] = useState(null);
+  const [query, setQuery] = useState('');
+  const [showAcl, setShowAcl] = useState(false);
+
+  const graph = useMemo(() => buildGraph({ users, nodes, routes }), [users, nodes, routes]);
+  const layout = useMemo(() => layoutGraph(graph), [graph]);
+  const colors = useMemo(() => tagColors(nodes), [nodes]);
+  const acl = useMemo(() => (showAcl ? aclEdges(policy, { users, nodes }) : null), [showAcl, policy, users, nodes]);
+  const matches = useMemo(() => searchVertices(graph.vertices, query), [graph, query]);
+  const matchIds = useMemo(() => new Set(matches.map((vertex) => vertex.id)), [matches]);
+
+  const allEdges = useMemo(() => [...graph.edges, ...(acl || [])], [graph, acl]);
+  const focusSet = useMemo(() => (focus ? neighbourhood(focus, allEdges) : null), [focus, allEdges]);
+  const focused = focus && graph.vertices.find((vertex) => vertex.id === focus);
+
+  // The focused vertex may disappear after a live update
+  useEffect(() => {
+    if (focus && !focused) setFocus(null);
+  }, [focus, focused]);
+
+  const viewBox = {
+    x: -PADDING * 1.5,
+    y: -PADDING / 2,
+    width: layout.width + PADDING * 3,
+    height: Math.max(layout.height + PADDING, HEIGHT - PADDING),
+  };
+  const center = { x: viewBox.x + viewBox.width / 2, y: viewBox.y + viewBox.height / 2 };
+
+  // Client (screen) coordinates to the svg's viewBox coordinates
+  const toSvgPoint = (clientX, clientY) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const zoomAt = useCallback((factor, origin) => {
+    setView((current) => {
+      const k = clamp(current.k * factor, MIN_ZOOM, MAX_ZOOM);
+      const ratio = k / current.k;
+      return { k, x: origin.x - (origin.x - current.x) * ratio, y: origin.y - (origin.y - current.y) * ratio };
+    });
+  }, []);
+
+  // React registers wheel listeners as passive, so preventing page scroll needs a native one
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (event) => {
+      event.preventDefault();
+      const point = svg.createSVGPoint();
+      point.x = event.clientX;
+      point.y = event.clientY;
+      zoomAt(event.deltaY < 0 ? 1.15 : 1 / 1.15, point.matrixTransform(svg.getScreenCTM().inverse()));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
+
+  const centerOn = (id) => {
+    const position = layout.positions.get(id);
+    if (!position) return;
+    setView((current) => ({ ...current, x: center.x - position.x * current.k, y: center.y - position.y * current.k }));
+  };
+
+  // Panning starts anywhere except on a vertex, whose own click handler selects it
+  const onPointerDown = (event) => {
+    if (event.button !== 0 || event.target.closest('[role="button"]')) return;
+    dragRef.current = { start: toSvgPoint(event.clientX, event.clientY), view, moved: false };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+  const onPointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toSvgPoint(event.clientX, event.clientY);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+    setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+  };
+  const onPointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) event.currentTarget.releasePointerCapture(event.pointerId);
+    // A plain click on the background clears the focus; a drag keeps it
+    if (drag && !drag.moved) setFocus(null);
+  };
+
+  const select = (id) => setFocus((current) => (current === id ? null : id));
+
+  const onSearchKeyDown = (event) => {
+    if (event.key === 'Enter' && matches.length > 0) {
+      setFocus(matches[0].id);
+      centerOn(matches[0].id);
+    }
+    if (event.key === 'Escape') setQuery('');
+  };
+
+  const edgeDimmed = (edge) => Boolean(focusSet) && edge.source !== focus && edge.target !== focus;
+  const aclLimited = showAcl && policy && acl === null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            className="form-input pl-9"
+            placeholder="Search users, nodes, IPs, tags or routes — Enter focuses the first match"
+            aria-label="Search the topology"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            onKeyDown={onSearchKeyDown}
+          />
+        </div>
+        {query && <span className="text-sm text-gray-600">{matches.length} match{matches.length === 1 ? '' : 'es'}</span>}
+        <label className={`flex items-center gap-2 text-sm ${policy ? 'text-gray-700' : 'text-gray-400'}`}>
+          <input type="checkbox" className="h-4 w-4" checked={showAcl} disabled={!policy} onChange={(event) => setShowAcl(event.target.checked)} />
+          Show ACL reachability
+        </label>
+        <div className="flex gap-1">
+          <Button variant="outline" size="icon" aria-label="Zoom in" onClick={() => zoomAt(1.25, center)}>
+            <ZoomIn className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="icon" aria-label="Zoom out" onClick={() => zoomAt(1 / 1.25, center)}>
+            <ZoomOut className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="icon" aria-label="Reset view" onClick={() => setView(IDENTITY)}>
+            <Maximize className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {aclLimited && (
+        <p className="text-sm text-orange-700">ACL reachability is only drawn for tailnets of up to {ACL_EDGE_NODE_LIMIT} nodes.</p>
+      )}
+
+      <div className="rounded-xl border border-gray-200 bg-white overflow-hidden">
+        <svg
+          ref={svgRef}
+          viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+          className="w-full touch-none select-none cursor-grab active:cursor-grabbing"
+          style={{ height: HEIGHT }}
+          role="img"
+          aria-label="Tailnet topology"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        >
+          <defs>
+            <marker id="acl-arrow" viewBox="0 0 10 10" refX="22" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={COLORS.acl} />
+            </marker>
+          </defs>
+          <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+            {['User', 'Node', 'Route'].map((title, i) => (
+              <text key={title} x={i * COLUMN_GAP} y={-28} textAnchor="middle" fontSize="12" fontWeight="700" fill="#6b7280" letterSpacing="0.08em">
+                {title.toUpperCase()}S
+              </text>
+            ))}
+            {graph.edges.map((edge) => (
+              <path
+                key={edge.id}
+                d={edgePath(layout.positions.get(edge.source), layout.positions.get(edge.target), edge.kind)}
+                fill="none"
+                stroke={edge.kind === 'exit' ? COLORS.exit : edge.kind === 'advertises' ? COLORS.route : COLORS.edge}
+                strokeWidth="2"
+                strokeDasharray={edge.enabled === false ? '6 5' : undefined}
+                opacity={edgeDimmed(edge) ? 0.08 : edge.kind === 'owns' ? 1 : 0.6}
+              />
+            ))}
+            {(acl || []).map((edge) => (
+              <path
+                key={edge.id}
+                d={edgePath(layout.positions.get(edge.source), layout.positions.get(edge.target), 'acl')}
+                fill="none"
+                stroke={COLORS.acl}
+                strokeWidth="1.5"
+                opacity={edgeDimmed(edge) ? 0.05 : 0.55}
+                markerEnd={edge.forward ? 'url(#acl-arrow)' : undefined}
+                markerStart={edge.backward ? 'url(#acl-arrow)' : undefined}
+              />
+            ))}
+            {graph.vertices.map((vertex) => (
+              <Vertex
+                key={vertex.id}
+                vertex={vertex}
+                position={layout.positions.get(vertex.id)}
+                colors={colors}
+                dimmed={Boolean(focusSet) && !focusSet.has(vertex.id)}
+                matched={matchIds.has(vertex.id)}
+                focused={vertex.id === focus}
+                onSelect={select}
+              />
+            ))}
+          </g>
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap gap-x-5 gap-y-2 text-xs text-gray-700">
+        <span className="flex items-center gap-1.5"><span className="h-3 w-3 rounded-full" style={{ background: COLORS.user }} />user</span>
+        <span className="flex items-center gap-1.5"><span className="h-3 w-3 rounded-full" style={{ background: COLORS.online }} />online node</span>
+        <span className="flex items-center gap-1.5"><span className="h-3 w-3 rounded-full" style={{ background: COLORS.offline }} />offline node</span>
+        <span className="flex items-center gap-1.5"><span className="h-3 w-3 rounded" style={{ background: COLORS.route }} />subnet route</span>
+        <span className="flex items-center gap-1.5"><span className="h-3 w-3 rounded-full" style={{ background: COLORS.exit }} />exit node</span>
+        <span className="flex items-center gap-1.5"><span className="w-5 border-t-2 border-dashed border-gray-400" />not enabled</span>
+        {showAcl && <span className="flex items-center gap-1.5"><span className="w-5 border-t-2" style={{ borderColor: COLORS.acl }} />allowed by ACL</span>}
+        {[...colors].map(([tag, color]) => (
+          <span key={tag} className="flex items-center gap-1.5">
+            <span className="h-3 w-3 rounded-full border-[3px] bg-white" style={{ borderColor: color }} />
+            tag:{tag}
+          </span>
+        ))}
+      </div>
+
+      {focused && <Details vertex={focused} graph={graph} acl={acl} onClear={() => setFocus(null)} />}
+    </div>
+  );
+};
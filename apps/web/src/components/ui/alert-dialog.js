@@ -0,0 +1,42 @@
+import React from 'react';
+import * as AlertDialogPrimitive from '@radix-ui/react-alert-dialog';
+import { Button } from '@/components/ui/button';
+
+export const ConfirmDialog = ({
+  open,
+  onOpenChange,
+  title,
+  description,
+  children,
+  confirmLabel = 'Confirm',
+  cancelLabel = 'Cancel',
+  destructive = false,
+  onConfirm,
+}) => (
+  <AlertDialogPrimitive.Root open={open} onOpenChange={onOpenChange}>
+    <AlertDialogPrimitive.Portal>
+      <AlertDialogPrimitive.Overlay className="fixed inset-0 z-[1030] bg-black/40 backdrop-blur-sm animate-fade-in" />
+      <AlertDialogPrimitive.Content className="fixed left-1/2 top-1/2 z-[1030] w-[calc(100%-2rem)] max-w-md -translate-x-1/2 -translate-y-1/2 rounded-xl bg-white p-6 shadow-strong animate-scale-in focus:outline-none">
+        <AlertDialogPrimitive.Title className="text-lg font-bold text-gray-900">{title}</AlertDialogPrimitive.Title>
+        {description && (
+          <AlertDialogPrimitive.Description className="mt-2 text-sm text-gray-600">{description}</AlertDialogPrimitive.Description>
+        )}
+        {children && <div className="mt-4">{children}</div>}
+        <div className="mt-6 flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+          <AlertDialogPrimitive.Cancel asChild>
+            <Button variant="outline">{cancelLabel}</Button>
+          </AlertDialogPrimitive.Cancel>
+          <AlertDialogPrimitive.Action asChild>
+            <Button
+              className={destructive ? 'bg-red-600 text-white hover:bg-red-700' : ''}
+              variant={destructive ? 'destructive' : 'default'}
+              onClick={onConfirm}
+            >
+              {confirmLabel}
+            </Button>
+          </AlertDialogPrimitive.Action>
+        </div>
+      </AlertDialogPrimitive.Content>
+    </AlertDialogPrimitive.Portal>
+  </AlertDialogPrimitive.Root>
+);
@@ -0,0 +1,24 @@
+import React, { useState } from 'react';
+import { Check, Copy } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+export const CopyButton = ({ value, label = 'Copy', className = '', ...props }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <Button type="button" variant="outline" size="sm" onClick={copy} className={`flex-shrink-0 ${className}`} {...props}>
+      {copied ? <Check className="mr-2 h-4 w-4 text-green-600" /> : <Copy className="mr-2 h-4 w-4" />}
+      {copied ? 'Copied' : label}
+    </Button>
+  );
+};
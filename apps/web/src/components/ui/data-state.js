@@ -0,0 +1,51 @@
+import React from 'react';
+import { AlertTriangle, Database, Inbox, Loader2 } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+
+export const LoadingState = ({ label = 'Loading...', className = '' }) => (
+  <div className={`flex flex-col items-center justify-center py-12 text-gray-500 ${className}`} role="status">
+    <Loader2 className="w-8 h-8 mb-3 animate-spin text-blue-500" />
+    <p className="text-sm font-medium">{label}</p>
+  </div>
+);
+
+export const PageLoader = ({ label = 'Loading Dashboard...' }) => (
+  <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50/30 flex items-center justify-center">
+    <div className="text-center animate-fade-in">
+      <div className="w-16 h-16 bg-gradient-to-br from-blue-600 to-purple-600 rounded-xl mx-auto mb-6 flex items-center justify-center animate-pulse-soft">
+        <Database className="w-8 h-8 text-white" />
+      </div>
+      <h2 className="text-xl font-bold text-gray-900 mb-3">{label}</h2>
+      <div className="flex justify-center gap-1">
+        <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
+        <div className="w-2 h-2 bg-purple-500 rounded-full animate-pulse" style={{ animationDelay: '0.2s' }}></div>
+        <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }}></div>
+      </div>
+    </div>
+  </div>
+);
+
+export const EmptyState = ({ title, description, icon: Icon = Inbox, children, className = '' }) => (
+  <div className={`flex flex-col items-center justify-center py-12 text-center border-2 border-dashed border-gray-200 rounded-xl ${className}`}>
+    <Icon className="w-10 h-10 mb-3 text-gray-400" />
+    <h4 className="font-semibold text-gray-900">{title}</h4>
+    {description && <p className="text-sm text-gray-600 mt-1 max-w-sm">{description}</p>}
+    {children && <div className="mt-4">{children}</div>}
+  </div>
+);
+
+export const ErrorAlert = ({ error, title = 'Something went wrong', onRetry, className = '' }) => (
+  <Alert variant="destructive" className={`flex items-start gap-3 border-red-200 bg-red-50 text-red-800 ${className}`} role="alert">
+    <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0 text-red-600" />
+    <div className="flex-1 min-w-0">
+      <h4 className="font-semibold">{title}</h4>
+      <AlertDescription className="mt-1 break-words">{error && error.message ? error.message : String(error)}</AlertDescription>
+    </div>
+    {onRetry && (
+      <Button variant="outline" size="sm" className="flex-shrink-0 border-red-300 hover:bg-red-100" onClick={onRetry}>
+        Retry
+      </Button>
+    )}
+  </Alert>
+);
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+
+// Side panel anchored to the right edge. Escape and the backdrop close it unless
+// `dismissable` is false (e.g. while a confirmation dialog is stacked on top).
+export const Drawer = ({ open, onClose, title, description, children, footer, dismissable = true, className = '' }) => {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape' && dismissable) onClose();
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [open, dismissable, onClose]);
+
+  useEffect(() => {
+    if (open && panelRef.current) panelRef.current.focus();
+  }, [open]);
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-[1020] flex justify-end">
+      <div className="absolute inset-0 bg-black/30 animate-fade-in" onClick={() => dismissable && onClose()} />
+      <aside
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={typeof title === 'string' ? title : undefined}
+        tabIndex={-1}
+        className={`relative flex h-full w-full max-w-lg flex-col bg-white shadow-strong animate-slide-left focus:outline-none ${className}`}
+      >
+        <header className="flex items-start justify-between gap-4 border-b border-gray-200 p-6">
+          <div className="min-w-0">
+            <h3 className="text-xl font-bold text-gray-900 truncate">{title}</h3>
+            {description && <p className="mt-1 text-sm text-gray-600">{description}</p>}
+          </div>
+          <button onClick={onClose} aria-label="Close" className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-900">
+            <X className="h-5 w-5" />
+          </button>
+        </header>
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">{children}</div>
+        {footer && <footer className="border-t border-gray-200 p-6">{footer}</footer>}
+      </aside>
+    </div>
+  );
+};
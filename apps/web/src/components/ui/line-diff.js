@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import { diffHunks, diffLines } from '@/lib/text-diff';
+
+const LINE_STYLES = {
+  same: 'text-gray-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+};
+const MARKERS = { same: ' ', added: '+', removed: '-' };
+
+// Unified diff of two texts, showing only changed lines with a little context around them
+export const LineDiff = ({ before, after, context = 3, className = '' }) => {
+  const hunks = useMemo(() => diffHunks(diffLines(before, after), context), [before, after, context]);
+  if (hunks.length === 0) return <p className="text-sm text-gray-600">No changes.</p>;
+
+  return (
+    <div className={`overflow-auto rounded-lg border border-gray-200 font-mono text-xs leading-5 ${className}`}>
+      {hunks.map((hunk, index) => (
+        <div key={index} className={index > 0 ? 'border-t border-dashed border-gray-200' : ''}>
+          {hunk.map((op, i) => (
+            <div key={i} className={`flex whitespace-pre ${LINE_STYLES[op.type]}`}>
+              <span className="w-10 flex-shrink-0 select-none px-2 text-right text-gray-400">{op.oldLine ?? ''}</span>
+              <span className="w-10 flex-shrink-0 select-none px-2 text-right text-gray-400">{op.newLine ?? ''}</span>
+              <span className="w-4 flex-shrink-0 select-none text-center">{MARKERS[op.type]}</span>
+              <span className="pr-3">{op.text || ' '}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
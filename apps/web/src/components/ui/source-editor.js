@@ -0,0 +1,74 @@
+import React, { useRef } from 'react';
+import { AlertTriangle, XCircle } from 'lucide-react';
+
+function offsetOf(text, line, column) {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) break;
+    offset = next + 1;
+  }
+  return offset + column - 1;
+}
+
+// Selects the character at a 1-based line and column and scrolls it into view
+export function jumpTo(textarea, text, { line, column = 1 }) {
+  if (!textarea || !line) return;
+  const offset = offsetOf(text, line, column);
+  textarea.focus();
+  textarea.setSelectionRange(offset, offset + 1);
+  // Roughly centre the line; the textarea has a fixed line height
+  const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+  textarea.scrollTop = Math.max(0, (line - 5) * lineHeight);
+}
+
+// Monospace textarea with a line-number gutter that scrolls along with it
+export const SourceEditor = ({ value, onChange, readOnly, label, textareaRef, className = 'h-[32rem]' }) => {
+  const gutterRef = useRef(null);
+  const lineCount = value.split('\n').length;
+
+  return (
+    <div className={`flex rounded-lg border border-gray-200 bg-gray-50 overflow-hidden ${className}`}>
+      <div
+        ref={gutterRef}
+        aria-hidden="true"
+        className="select-none overflow-hidden py-3 px-2 text-right font-mono text-xs leading-5 text-gray-400 border-r border-gray-200 bg-gray-100"
+      >
+        {Array.from({ length: lineCount }, (_, i) => (
+          <div key={i}>{i + 1}</div>
+        ))}
+      </div>
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onScroll={(event) => {
+          if (gutterRef.current) gutterRef.current.scrollTop = event.target.scrollTop;
+        }}
+        readOnly={readOnly}
+        spellCheck={false}
+        aria-label={label}
+        className="flex-1 resize-none bg-white py-3 px-3 font-mono text-xs leading-5 text-gray-900 whitespace-pre overflow-auto focus:outline-none"
+      />
+    </div>
+  );
+};
+
+// One validation problem; clicking it jumps to its position when it has one
+export const IssueRow = ({ issue, onSelect }) => {
+  const Icon = issue.severity === 'error' ? XCircle : AlertTriangle;
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => onSelect(issue)}
+        disabled={!issue.line}
+        className="w-full flex items-start gap-2 rounded-lg px-3 py-2 text-left text-sm hover:bg-gray-50 disabled:cursor-default"
+      >
+        <Icon className={`h-4 w-4 mt-0.5 flex-shrink-0 ${issue.severity === 'error' ? 'text-red-600' : 'text-orange-500'}`} />
+        <span className="flex-1 text-gray-800">{issue.message}</span>
+        {issue.line && <span className="font-mono text-xs text-gray-500 whitespace-nowrap">{issue.line}:{issue.column}</span>}
+      </button>
+    </li>
+  );
+};
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Minimal trend line; inherits its colour from the surrounding text colour
+export const Sparkline = ({ points, width = 120, height = 32, className = '' }) => {
+  const values = (points || []).map((point) => point.value).filter((value) => Number.isFinite(value));
+  if (values.length < 2) return null;
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const coords = values.map((value, i) => {
+    const x = (i / (values.length - 1)) * width;
+    const y = height - 2 - ((value - min) / span) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className={`w-full ${className}`} style={{ height }} aria-hidden="true">
+      <polyline points={coords.join(' ')} fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
@@ -1,53 +1,185 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useId, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
 
-// Create context for tabs state
-const TabsContext = createContext();
+const TabsContext = createContext(null);
 
-export const Tabs = ({ children, value, onValueChange, className = '', ...props }) => {
-  const [activeTab, setActiveTab] = useState(value);
-  
-  const handleValueChange = (newValue) => {
-    setActiveTab(newValue);
-    if (onValueChange) onValueChange(newValue);
-  };
-  
+const useTabs = () => {
+  const context = useContext(TabsContext);
+  if (!context) throw new Error('Tabs components must be rendered inside <Tabs>');
+  return context;
+};
+
+const NEXT_KEYS = { horizontal: 'ArrowRight', vertical: 'ArrowDown' };
+const PREVIOUS_KEYS = { horizontal: 'ArrowLeft', vertical: 'ArrowUp' };
+
+// Mirrors the active tab into the URL (`sync` is 'hash' or 'query') and follows the URL
+// back, so a tab can be linked to and survives a reload. The starting tab is left out
+// of the URL, and values without a matching trigger are ignored.
+function useUrlSync(sync, param, current, select, isKnown, home) {
+  const router = useRouter();
+  const queryValue = sync === 'query' && router.isReady ? router.query[param] || '' : null;
+  // Nothing is written until the URL has been read, or a deep link would be overwritten
+  const readRef = useRef(false);
+  const latest = useRef();
+  latest.current = { router, current, select, isKnown, home };
+
+  const follow = useCallback((value) => {
+    const { current: active, select: choose, isKnown: known, home: start } = latest.current;
+    readRef.current = true;
+    const target = value || start;
+    if (target !== active && known(target)) choose(target);
+  }, []);
+
+  useEffect(() => {
+    if (queryValue !== null) follow(queryValue);
+  }, [queryValue, follow]);
+
+  useEffect(() => {
+    if (sync !== 'hash') return undefined;
+    const onHashChange = () => follow(decodeURIComponent(window.location.hash.slice(1)));
+    onHashChange();
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [sync, follow]);
+
+  useEffect(() => {
+    if (!sync || !readRef.current) return;
+    const value = current === latest.current.home ? '' : current;
+    if (sync === 'hash') {
+      if (decodeURIComponent(window.location.hash.slice(1)) === value) return;
+      const { pathname, search } = window.location;
+      window.history.replaceState(window.history.state, '', `${pathname}${search}${value ? `#${encodeURIComponent(value)}` : ''}`);
+      return;
+    }
+    const { router: next } = latest.current;
+    if ((next.query[param] || '') === value) return;
+    const query = { ...next.query };
+    if (value) query[param] = value;
+    else delete query[param];
+    next.replace({ pathname: next.pathname, query }, undefined, {
+      shallow: true,
+      scroll: false,
+    });
+  }, [sync, param, current]);
+}
+
+// Works controlled (`value` + `onValueChange`) or uncontrolled (`defaultValue`).
+// `sync` keeps the active tab in the URL hash or in the `syncParam` query parameter;
+// `keepMounted` keeps panels mounted, once first shown, while other tabs are active.
+export const Tabs = ({
+  children,
+  value,
+  defaultValue,
+  onValueChange,
+  sync,
+  syncParam = 'tab',
+  keepMounted = false,
+  orientation = 'horizontal',
+  className = '',
+  ...props
+}) => {
+  const [uncontrolled, setUncontrolled] = useState(defaultValue);
+  const controlled = value !== undefined;
+  const activeTab = controlled ? value : uncontrolled;
+  const baseId = useId();
+  const valuesRef = useRef(new Set());
+  const homeRef = useRef(activeTab);
+
+  const select = useCallback(
+    (next) => {
+      if (!controlled) setUncontrolled(next);
+      if (onValueChange) onValueChange(next);
+    },
+    [controlled, onValueChange]
+  );
+
+  // Triggers register their values so URL values can be checked against them
+  const register = useCallback((tab) => {
+    valuesRef.current.add(tab);
+    return () => valuesRef.current.delete(tab);
+  }, []);
+  const isKnown = useCallback((tab) => valuesRef.current.has(tab), []);
+
+  useUrlSync(sync, syncParam, activeTab, select, isKnown, homeRef.current);
+
+  const context = { activeTab, select, register, baseId, keepMounted, orientation };
   return (
-    <TabsContext.Provider value={{ activeTab, onValueChange: handleValueChange }}>
-      <div className={`w-full ${className}`} {...props}>
+    <TabsContext.Provider value={context}>
+      <div className={`w-full ${orientation === 'vertical' ? 'flex gap-6' : ''} ${className}`} {...props}>
         {children}
       </div>
     </TabsContext.Provider>
   );
 };
 
+const tabId = (baseId, value) => `${baseId}-tab-${value}`;
+const panelId = (baseId, value) => `${baseId}-panel-${value}`;
+
 export const TabsList = ({ children, className = '', ...props }) => {
+  const { select, orientation } = useTabs();
+  const listRef = useRef(null);
+
+  // Arrow keys move between enabled tabs (wrapping) and activate the one focused
+  const onKeyDown = (event) => {
+    const tabs = Array.from(listRef.current.querySelectorAll('[role="tab"]:not([disabled])'));
+    const index = tabs.indexOf(document.activeElement);
+    if (index === -1) return;
+    let next = null;
+    if (event.key === NEXT_KEYS[orientation]) next = tabs[(index + 1) % tabs.length];
+    else if (event.key === PREVIOUS_KEYS[orientation]) next = tabs[(index - 1 + tabs.length) % tabs.length];
+    else if (event.key === 'Home') next = tabs[0];
+    else if (event.key === 'End') next = tabs[tabs.length - 1];
+    if (!next) return;
+    event.preventDefault();
+    next.focus();
+    select(next.dataset.value);
+  };
+
   return (
-    <div 
+    <div
       className={`
         inline-flex items-center justify-center w-full
-        bg-gray-100/80 backdrop-blur-sm p-1.5 rounded-xl 
+        bg-gray-100/80 backdrop-blur-sm p-1.5 rounded-xl
         border border-gray-200/60 shadow-sm
         transition-all duration-300 ease-out
+        ${orientation === 'vertical' ? 'w-auto flex-col self-start' : ''}
         ${className}
-      `} 
-      {...props}
+      `}
     >
-      <div className="grid grid-cols-4 w-full gap-1">
+      <div
+        ref={listRef}
+        role="tablist"
+        aria-orientation={orientation}
+        onKeyDown={onKeyDown}
+        className={`flex w-full gap-1 ${orientation === 'vertical' ? 'flex-col' : 'overflow-x-auto'}`}
+        {...props}
+      >
         {children}
       </div>
     </div>
   );
 };
 
-export const TabsTrigger = ({ children, value, className = '', ...props }) => {
-  const { activeTab, onValueChange } = useContext(TabsContext);
+export const TabsTrigger = ({ children, value, disabled, className = '', ...props }) => {
+  const { activeTab, select, register, baseId } = useTabs();
   const isActive = activeTab === value;
-  
+
+  useEffect(() => register(value), [register, value]);
+
   return (
     <button
-      onClick={() => onValueChange(value)}
+      type="button"
+      role="tab"
+      id={tabId(baseId, value)}
+      aria-selected={isActive}
+      aria-controls={panelId(baseId, value)}
+      tabIndex={isActive ? 0 : -1}
+      data-value={value}
+      data-state={isActive ? 'active' : 'inactive'}
+      disabled={disabled}
+      onClick={() => select(value)}
       className={`
-        relative inline-flex items-center justify-center whitespace-nowrap 
+        relative flex-1 inline-flex items-center justify-center whitespace-nowrap
         px-4 py-3 text-sm font-semibold rounded-lg
         transition-all duration-300 ease-out
         focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2
@@ -55,8 +187,8 @@ export const TabsTrigger = ({ children, value, className = '', ...props }) => {
         group overflow-hidden min-h-[44px]
         ${
           isActive
-            ? 'bg-white text-blue-700 shadow-md border border-blue-200/60 transform scale-105 z-10'
-            : 'text-gray-600 hover:text-gray-900 hover:bg-white/60 active:bg-white/80 hover:scale-102'
+            ? 'bg-white text-blue-700 shadow-md border border-blue-200/60 z-10'
+            : 'text-gray-600 hover:text-gray-900 hover:bg-white/60 active:bg-white/80'
         }
         ${className}
       `}
@@ -66,36 +198,48 @@ export const TabsTrigger = ({ children, value, className = '', ...props }) => {
       {isActive && (
         <div className="absolute inset-0 bg-gradient-to-r from-blue-50 to-purple-50 opacity-50 rounded-lg" />
       )}
-      
+
       {/* Content */}
       <span className="relative z-10 transition-transform duration-200 group-hover:scale-105">
         {children}
       </span>
-      
+
       {/* Active indicator */}
       {isActive && (
         <div className="absolute bottom-1 left-1/2 transform -translate-x-1/2 w-6 h-0.5 bg-blue-500 rounded-full" />
       )}
-      
+
       {/* Hover effect */}
       <div className="absolute inset-0 bg-white opacity-0 group-hover:opacity-20 transition-opacity duration-200 rounded-lg" />
     </button>
   );
 };
 
-export const TabsContent = ({ children, value, className = '', ...props }) => {
-  const { activeTab } = useContext(TabsContext);
+// Inactive panels unmount unless `keepMounted` (here or on <Tabs>) is set, in which case
+// they are hidden after their first showing so their state and loaded data survive
+export const TabsContent = ({ children, value, keepMounted, className = '', ...props }) => {
+  const { activeTab, baseId, keepMounted: keepAll } = useTabs();
   const isActive = activeTab === value;
-  
-  if (!isActive) return null;
-  
+  const [shown, setShown] = useState(isActive);
+
+  useEffect(() => {
+    if (isActive) setShown(true);
+  }, [isActive]);
+
+  if (!isActive && !((keepMounted ?? keepAll) && shown)) return null;
+
   return (
-    <div 
+    <div
+      role="tabpanel"
+      id={panelId(baseId, value)}
+      aria-labelledby={tabId(baseId, value)}
+      tabIndex={0}
+      hidden={!isActive}
       className={`
         mt-6 animate-fade-in
         focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2
         ${className}
-      `} 
+      `}
       {...props}
     >
       <div className="animate-slide-up">
@@ -104,36 +248,3 @@ export const TabsContent = ({ children, value, className = '', ...props }) => {
     </div>
   );
 };
-
-// Enhanced tab animations
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes fade-in {
-    from { opacity: 0; }
-    to { opacity: 1; }
-  }
-  
-  @keyframes slide-up {
-    from { 
-      opacity: 0; 
-      transform: translateY(10px); 
-    }
-    to { 
-      opacity: 1; 
-      transform: translateY(0); 
-    }
-  }
-  
-  .animate-fade-in {
-    animation: fade-in 0.2s ease-out;
-  }
-  
-  .animate-slide-up {
-    animation: slide-up 0.3s cubic-bezier(0.16, 1, 0.3, 1);
-  }
-  
-  .hover\\5C:scale-102:hover {
-    transform: scale(1.02);
-  }
-`;
-document.head.appendChild(style);
\ No newline at end of file
@@ -0,0 +1,40 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Renders only the rows inside (or near) the scroll viewport. Rows must share a
+// fixed height, which keeps the maths trivial and scrolling smooth for thousands of items.
+// `resetKey` identifies what the list shows (e.g. the filter and sort); the list scrolls
+// back to the top when it changes, but not when live updates replace `items`.
+export const VirtualList = ({ items, rowHeight, height = 600, overscan = 8, renderRow, getKey, resetKey, className = '', ...props }) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [resetKey]);
+
+  const viewportHeight = Math.min(height, items.length * rowHeight);
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+      className={`overflow-y-auto ${className}`}
+      style={{ height: viewportHeight }}
+      {...props}
+    >
+      <div style={{ height: items.length * rowHeight, position: 'relative' }}>
+        {items.slice(start, end).map((item, offset) => {
+          const index = start + offset;
+          return (
+            <div key={getKey(item)} style={{ position: 'absolute', top: index * rowHeight, left: 0, right: 0, height: rowHeight }}>
+              {renderRow(item, index)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { UserPlus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Drawer } from '@/components/ui/drawer';
+import { ErrorAlert } from '@/components/ui/data-state';
+import { api } from '@/lib/api';
+import { isValidEmail } from '@/lib/desired-state';
+import { isValidUserName } from '@/lib/users';
+
+const INITIAL_FORM = { name: '', email: '' };
+
+function validate(form, existing) {
+  const errors = {};
+  const name = form.name.trim();
+  if (!name) errors.name = 'A name is required';
+  else if (!isValidUserName(name)) errors.name = 'Use lowercase letters, digits, dots, dashes or underscores';
+  else if (existing.includes(name)) errors.name = `A user named ${name} already exists`;
+  if (form.email.trim() && !isValidEmail(form.email.trim())) errors.email = 'Enter a valid email address';
+  return errors;
+}
+
+// Creates a Headscale user; the email links the user to their SSO identity and ACL groups
+export const AddUserDrawer = ({ open, onClose, users = [], onCreated }) => {
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [touched, setTouched] = useState({});
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(INITIAL_FORM);
+      setTouched({});
+      setError(null);
+    }
+  }, [open]);
+
+  const errors = validate(form, users.map((user) => user.name));
+  const valid = Object.keys(errors).length === 0;
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+  const fieldError = (field) => touched[field] && errors[field];
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setTouched({ name: true, email: true });
+    if (!valid) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = await api.createUser({ name: form.name.trim(), email: form.email.trim(), tags: [] });
+      if (onCreated) onCreated(user);
+      onClose();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const footer = (
+    <div className="flex justify-end gap-3">
+      <Button variant="outline" disabled={submitting} onClick={onClose}>Cancel</Button>
+      <Button type="submit" form="add-user-form" disabled={submitting || (touched.name && !valid)}>
+        <UserPlus className="mr-2 h-4 w-4" />
+        {submitting ? 'Creating...' : 'Create user'}
+      </Button>
+    </div>
+  );
+
+  return (
+    <Drawer open={open} onClose={onClose} title="Add User" description="Create a Headscale user that devices can be registered to" footer={footer}>
+      <form id="add-user-form" className="space-y-6" onSubmit={submit} noValidate>
+        {error && <ErrorAlert title="Could not create user" error={error} />}
+        <div>
+          <label className="form-label" htmlFor="user-name">Name</label>
+          <input
+            id="user-name"
+            className="form-input font-mono"
+            autoComplete="off"
+            value={form.name}
+            aria-invalid={Boolean(fieldError('name'))}
+            onChange={(event) => update({ name: event.target.value })}
+            onBlur={() => setTouched((current) => ({ ...current, name: true }))}
+          />
+          {fieldError('name') && <p className="mt-1 text-sm text-red-700">{errors.name}</p>}
+        </div>
+        <div>
+          <label className="form-label" htmlFor="user-email">Email</label>
+          <input
+            id="user-email"
+            type="email"
+            className="form-input"
+            autoComplete="off"
+            value={form.email}
+            aria-invalid={Boolean(fieldError('email'))}
+            onChange={(event) => update({ email: event.target.value })}
+            onBlur={() => setTouched((current) => ({ ...current, email: true }))}
+          />
+          {fieldError('email') ? (
+            <p className="mt-1 text-sm text-red-700">{errors.email}</p>
+          ) : (
+            <p className="mt-1 text-sm text-gray-600">Optional. ACL groups list members by email, so this decides the user's groups and role.</p>
+          )}
+        </div>
+      </form>
+    </Drawer>
+  );
+};
@@ -0,0 +1,346 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
+import { Globe, Key, Server, ShieldCheck, Terminal, Trash2, UserX } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { BulkProgressDialog } from '@/components/bulk/bulk-progress-dialog';
+import { RoleBadge } from '@/components/users/users-view';
+import { api } from '@/lib/api';
+import { useBulkOperation } from '@/lib/bulk';
+import { useNodeActions } from '@/lib/node-actions';
+import { useNow } from '@/lib/hooks';
+import { formatRelativeTime } from '@/lib/format';
+import { describeRule } from '@/lib/acl-policy';
+import { isKeyExpired, maskKey } from '@/lib/keys';
+import { effectiveAccess, userGroups, userResources, userRole } from '@/lib/users';
+import { ADMIN_GROUP } from '@/lib/server/roles';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const LIST_LIMIT = 24;
+
+const Section = ({ icon: Icon, title, description, children }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle className="text-lg flex items-center gap-2">
+        <Icon className="h-5 w-5 text-gray-500" />
+        {title}
+      </CardTitle>
+      {description && <CardDescription>{description}</CardDescription>}
+    </CardHeader>
+    <CardContent>{children}</CardContent>
+  </Card>
+);
+
+const NodeBadges = ({ nodes }) => (
+  <div className="flex flex-wrap gap-1">
+    {nodes.slice(0, LIST_LIMIT).map((node) => (
+      <Badge key={node.id} variant="outline" className="bg-gray-50 font-mono text-xs">
+        {node.name}
+      </Badge>
+    ))}
+    {nodes.length > LIST_LIMIT && <span className="text-xs text-gray-500">…and {nodes.length - LIST_LIMIT} more</span>}
+  </div>
+);
+
+const UserNodes = ({ nodes, now }) =>
+  nodes.length === 0 ? (
+    <p className="text-sm text-gray-600">No devices are registered to this user.</p>
+  ) : (
+    <ul className="divide-y divide-gray-100">
+      {nodes.map((node) => (
+        <li key={node.id} className="flex flex-col gap-2 py-3 sm:flex-row sm:items-center sm:justify-between">
+          <div className="min-w-0">
+            <p className="font-semibold text-gray-900 truncate">{node.name}</p>
+            <p className="font-mono text-xs text-gray-600">{node.ip || '—'}</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {node.tags.map((tag) => (
+              <Badge key={tag} variant="outline" className="text-xs bg-gray-50">{tag}</Badge>
+            ))}
+            {node.expiry && node.expiry.getTime() <= now && (
+              <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200">expired</Badge>
+            )}
+            <Badge
+              variant="outline"
+              className={node.status === 'online' ? 'bg-green-50 text-green-700 border-green-200' : 'bg-gray-50 text-gray-600 border-gray-200'}
+            >
+              {node.status}
+            </Badge>
+            <span className="text-gray-500" title={node.lastSeen ? node.lastSeen.toLocaleString() : undefined}>
+              {formatRelativeTime(node.lastSeen, now)}
+            </span>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+
+const UserKeys = ({ keys, now }) =>
+  keys.length === 0 ? (
+    <p className="text-sm text-gray-600">No pre-auth keys were issued to this user.</p>
+  ) : (
+    <ul className="divide-y divide-gray-100">
+      {keys.map((key) => (
+        <li key={key.id} className={`flex flex-wrap items-center justify-between gap-2 py-3 ${isKeyExpired(key, now) ? 'opacity-60' : ''}`}>
+          <span className="font-mono text-sm font-semibold text-gray-900">{maskKey(key.key)}</span>
+          <span className="flex flex-wrap gap-2">
+            {key.reusable && <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200">reusable</Badge>}
+            {key.used && <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">used</Badge>}
+            <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200">
+              {!key.expiration ? 'no expiry' : `${isKeyExpired(key, now) ? 'expired' : 'expires'} ${formatRelativeTime(key.expiration, now)}`}
+            </Badge>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+
+const AccessSummary = ({ access, nodeCount }) => (
+  <div className="space-y-5 text-sm">
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+      <div className="p-3 bg-gray-50 rounded-lg">
+        <p className="text-gray-600">Reachable nodes</p>
+        <p className="text-lg font-bold text-gray-900">
+          {access.reachable.length} of {nodeCount}
+        </p>
+      </div>
+      <div className="p-3 bg-gray-50 rounded-lg">
+        <p className="text-gray-600">SSH targets</p>
+        <p className="text-lg font-bold text-gray-900">{access.ssh.length}</p>
+      </div>
+      <div className="p-3 bg-gray-50 rounded-lg">
+        <p className="flex items-center gap-1 text-gray-600">
+          <Globe className="h-4 w-4" />
+          Internet via exit nodes
+        </p>
+        <p className="text-lg font-bold text-gray-900">{access.internet ? 'Allowed' : 'Not allowed'}</p>
+      </div>
+    </div>
+
+    <div>
+      <p className="form-label">ACL rules that apply</p>
+      {access.rules.length === 0 ? (
+        <p className="text-gray-600">No accepting rule names this user, their groups or their devices, so they can reach nothing.</p>
+      ) : (
+        <ul className="space-y-1">
+          {access.rules.map(({ index, rule }) => (
+            <li key={index} className="font-mono text-xs text-gray-800">
+              <span className="text-gray-500">acls[{index}]</span> {describeRule(rule)}
+              {rule.comment && <span className="block font-sans text-gray-500">{rule.comment}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+
+    {access.reachable.length > 0 && (
+      <div>
+        <p className="form-label">Can reach</p>
+        <NodeBadges nodes={access.reachable} />
+      </div>
+    )}
+
+    <div>
+      <p className="form-label flex items-center gap-1">
+        <Terminal className="h-4 w-4" />
+        SSH
+      </p>
+      {access.ssh.length === 0 ? (
+        <p className="text-gray-600">No ssh rule lets this user log in anywhere.</p>
+      ) : (
+        <ul className="space-y-1">
+          {access.ssh.slice(0, LIST_LIMIT).map(({ node, logins }) => (
+            <li key={node.id} className="text-gray-800">
+              <span className="font-mono">{node.name}</span> as {logins.join(', ')}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+
+    <div>
+      <p className="form-label">Tags they can assign</p>
+      {access.ownedTags.length === 0 ? (
+        <p className="text-gray-600">None; tagOwners does not list this user or their groups.</p>
+      ) : (
+        <div className="flex flex-wrap gap-1">
+          {access.ownedTags.map((tag) => (
+            <Badge key={tag} variant="outline" className="bg-gray-50 text-xs">{tag}</Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+// One user: profile and role, their devices and keys, and what the ACL policy grants them.
+// Admins can delete the user, optionally expiring their devices first.
+export const UserDetail = ({ name, users, nodes, keys, acl, canWrite }) => {
+  const now = useNow();
+  const [confirming, setConfirming] = useState(false);
+  const [expireFirst, setExpireFirst] = useState(true);
+  const bulk = useBulkOperation({ concurrency: 1 });
+  const actions = useNodeActions(nodes);
+
+  useEffect(() => {
+    if (confirming) setExpireFirst(true);
+  }, [confirming]);
+
+  // The delete task runs after the node tasks and checks which of them still failed
+  const unexpiredRef = useRef(new Set());
+
+  const user = users.data ? users.data.find((candidate) => candidate.name === name) || null : null;
+  const policy = acl.data || null;
+  const groups = useMemo(() => userGroups(policy, user), [policy, user]);
+  const resources = useMemo(() => userResources(name, { nodes: nodes.data || [], keys: keys.data || [] }, now), [name, nodes.data, keys.data, now]);
+  const access = useMemo(
+    () => (policy && user && nodes.data ? effectiveAccess(policy, user, { users: users.data, nodes: nodes.data }) : null),
+    [policy, user, users.data, nodes.data]
+  );
+
+  if (users.error && !users.data) return <ErrorAlert title="Failed to load users" error={users.error} onRetry={users.refresh} />;
+  if (!users.data) return <LoadingState label="Loading user..." />;
+  if (!user) {
+    return (
+      <div className="space-y-4">
+        <EmptyState icon={UserX} title={`No user named ${name}`} description="The user may have been deleted or renamed." />
+        <BulkProgressDialog bulk={bulk} />
+        <div className="text-center">
+          <Link href="/?tab=users" className="text-sm font-semibold text-blue-700 hover:underline">
+            Back to users
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const role = userRole(groups);
+  const activeNodes = resources.nodes.filter((node) => !node.expiry || node.expiry.getTime() > now);
+
+  const remove = () => {
+    const targets = expireFirst ? activeNodes : [];
+    unexpiredRef.current = new Set(targets.map((node) => node.id));
+    bulk.start({
+      title: `Deleting ${user.name}`,
+      items: [...targets.map((node) => ({ node })), { user }],
+      getLabel: (item) => (item.node ? `Expire ${item.node.name}` : `Delete user ${item.user.name}`),
+      task: async (item) => {
+        if (item.node) {
+          await actions.expire(item.node);
+          unexpiredRef.current.delete(item.node.id);
+          return;
+        }
+        if (unexpiredRef.current.size > 0) {
+          throw new Error(`Not deleted: ${plural(unexpiredRef.current.size, 'node')} could not be expired`);
+        }
+        await api.deleteUser(item.user.name);
+        users.mutate((list) => (list || []).filter((candidate) => candidate.name !== item.user.name));
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="card-elevated">
+        <CardContent className="flex flex-col gap-4 pt-6 sm:flex-row sm:items-start sm:justify-between">
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <RoleBadge role={role} groups={groups} />
+              {groups.includes(ADMIN_GROUP) && <span className="text-sm text-gray-600">Dashboard admin</span>}
+            </div>
+            <p className="text-gray-900">{user.email || <span className="text-gray-500">No email</span>}</p>
+            {user.createdAt && <p className="text-sm text-gray-600">Created {formatRelativeTime(user.createdAt, now)}</p>}
+            <div className="text-sm text-gray-600">
+              {!policy ? (
+                acl.error ? 'The ACL policy could not be loaded, so groups are unknown.' : 'Loading groups...'
+              ) : groups.length === 0 ? (
+                'In no ACL group.'
+              ) : (
+                <>
+                  Member of{' '}
+                  {groups.map((group, i) => (
+                    <span key={group}>
+                      {i > 0 && ', '}
+                      <span className="font-mono text-gray-900">{group}</span>
+                    </span>
+                  ))}{' '}
+                  in the{' '}
+                  <Link href="/acl" className="text-blue-700 hover:underline">
+                    ACL policy
+                  </Link>
+                  .
+                </>
+              )}
+            </div>
+          </div>
+          {canWrite && (
+            <Button variant="outline" className="text-red-700 border-red-200 hover:bg-red-50" onClick={() => setConfirming(true)}>
+              <Trash2 className="mr-2 h-4 w-4" />
+              Delete user
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <Section icon={Server} title="Nodes" description={nodes.data ? plural(resources.nodes.length, 'device') : undefined}>
+          {nodes.error && !nodes.data ? (
+            <ErrorAlert title="Failed to load nodes" error={nodes.error} onRetry={nodes.refresh} />
+          ) : !nodes.data ? (
+            <LoadingState label="Loading nodes..." />
+          ) : (
+            <UserNodes nodes={resources.nodes} now={now} />
+          )}
+        </Section>
+        <Section icon={Key} title="Pre-auth keys" description={keys.data ? plural(resources.keys.length, 'key') : undefined}>
+          {keys.error && !keys.data ? (
+            <ErrorAlert title="Failed to load pre-auth keys" error={keys.error} onRetry={keys.refresh} />
+          ) : !keys.data ? (
+            <LoadingState label="Loading keys..." />
+          ) : (
+            <UserKeys keys={resources.keys} now={now} />
+          )}
+        </Section>
+      </div>
+
+      <Section icon={ShieldCheck} title="Effective access" description="What the ACL policy grants this user's untagged devices. Tagged devices are governed by their tags instead.">
+        {acl.error && !acl.data ? (
+          <ErrorAlert title="Failed to load the ACL policy" error={acl.error} onRetry={acl.refresh} />
+        ) : !access ? (
+          <LoadingState label="Evaluating policy..." />
+        ) : (
+          <AccessSummary access={access} nodeCount={nodes.data.length} />
+        )}
+      </Section>
+
+      {canWrite && (
+        <>
+          <ConfirmDialog
+            open={confirming}
+            onOpenChange={setConfirming}
+            title={`Delete ${user.name}?`}
+            description="The user can no longer register devices, and pre-auth keys issued to them stop working."
+            confirmLabel="Delete"
+            destructive
+            onConfirm={remove}
+          >
+            {activeNodes.length > 0 && (
+              <label className="flex items-start gap-3 text-sm text-gray-700">
+                <input type="checkbox" className="mt-0.5 h-4 w-4" checked={expireFirst} onChange={(event) => setExpireFirst(event.target.checked)} />
+                <span>
+                  Expire their {plural(activeNodes.length, 'node')} first
+                  <span className="block text-xs text-gray-500">Logs the devices out right away. The user is only deleted if every node expires.</span>
+                </span>
+              </label>
+            )}
+          </ConfirmDialog>
+          <BulkProgressDialog bulk={bulk} />
+        </>
+      )}
+    </div>
+  );
+};
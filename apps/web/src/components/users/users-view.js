@@ -0,0 +1,245 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
+import { Clock, Tag, Trash2, Users } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ConfirmDialog } from '@/components/ui/alert-dialog';
+import { LoadingState, EmptyState, ErrorAlert } from '@/components/ui/data-state';
+import { SelectCheckbox } from '@/components/bulk/select-checkbox';
+import { SelectionBar } from '@/components/bulk/selection-bar';
+import { BulkProgressDialog } from '@/components/bulk/bulk-progress-dialog';
+import { BulkRetagDialog } from '@/components/bulk/bulk-retag-dialog';
+import { api } from '@/lib/api';
+import { retag, sameTagSet, useBulkOperation } from '@/lib/bulk';
+import { useNodeActions } from '@/lib/node-actions';
+import { formatRelativeTime } from '@/lib/format';
+import { userGroups, userRole } from '@/lib/users';
+import { ADMIN_GROUP } from '@/lib/server/roles';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const ROLE_STYLES = {
+  admin: 'bg-purple-50 text-purple-700 border-purple-200',
+  group: 'bg-blue-50 text-blue-700 border-blue-200',
+  member: 'bg-gray-50 text-gray-700 border-gray-200',
+};
+
+// The role userRole derives from a user's ACL groups
+export const RoleBadge = ({ role, groups }) => (
+  <Badge variant="outline" className={ROLE_STYLES[role.kind]} title={groups.length ? groups.join(', ') : 'In no ACL group'}>
+    {role.label}
+  </Badge>
+);
+
+const UserCard = ({ user, groups, summary, nodesLoaded, index, selected, onToggle }) => {
+  const role = userRole(groups);
+  const otherGroups = groups.filter((group) => group !== ADMIN_GROUP && group.replace(/^group:/, '') !== role.label);
+  return (
+    <Card
+      className={`hover:shadow-lg transition-all duration-300 animate-slide-up ${selected ? 'border-blue-400 ring-1 ring-blue-400' : ''}`}
+      style={{ animationDelay: `${index * 0.1}s` }}
+    >
+      <CardHeader className="pb-4">
+        <div className="flex items-start justify-between gap-3">
+          <CardTitle className="text-xl font-bold text-gray-900 truncate">
+            <Link href={`/users/${encodeURIComponent(user.name)}`} className="hover:text-blue-700 hover:underline">
+              {user.name}
+            </Link>
+          </CardTitle>
+          {onToggle && <SelectCheckbox checked={selected} onChange={() => onToggle(user)} label={`Select ${user.name}`} />}
+        </div>
+        <CardDescription className="text-base font-medium">
+          <span className="flex flex-wrap gap-1">
+            <RoleBadge role={role} groups={groups} />
+            {otherGroups.map((group) => (
+              <Badge key={group} variant="outline" className={ROLE_STYLES.member}>
+                {group.replace(/^group:/, '')}
+              </Badge>
+            ))}
+          </span>
+          {user.email && <span className="block text-sm text-gray-600 truncate mt-2">{user.email}</span>}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+            <span className="text-sm font-medium text-gray-600">Nodes:</span>
+            <span className="font-bold text-lg text-gray-900">{nodesLoaded ? summary.nodesCount : '—'}</span>
+          </div>
+          <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+            <span className="text-sm font-medium text-gray-600">Last Active:</span>
+            <span className="font-semibold text-sm text-gray-700">{formatRelativeTime(summary.lastActive)}</span>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// User cards with bulk actions for admins: expire or retag every node of the selected
+// users, or delete the users (optionally removing their nodes first, which Headscale
+// requires before it will delete a user that still owns devices).
+export const UsersView = ({ users, nodes, policy, userSummaries, tagOptions, canWrite }) => {
+  const [checked, setChecked] = useState(() => new Set());
+  const [pendingBulk, setPendingBulk] = useState(null);
+  const [deleteNodes, setDeleteNodes] = useState(true);
+  const bulk = useBulkOperation();
+  const actions = useNodeActions(nodes);
+
+  // Delete tasks look nodes up when they run, so a retry doesn't remove a node twice
+  const nodesRef = useRef(nodes.data);
+  nodesRef.current = nodes.data;
+
+  useEffect(() => {
+    if (pendingBulk === 'delete') setDeleteNodes(true);
+  }, [pendingBulk]);
+
+  const toggleChecked = useCallback(
+    (user) =>
+      setChecked((current) => {
+        const next = new Set(current);
+        if (next.has(user.name)) next.delete(user.name);
+        else next.add(user.name);
+        return next;
+      }),
+    []
+  );
+
+  const allUsers = users.data || [];
+  const checkedUsers = useMemo(() => allUsers.filter((user) => checked.has(user.name)), [allUsers, checked]);
+  // Roles come from the ACL policy's groups; until it loads every user shows as a member
+  const groupsByUser = useMemo(
+    () => Object.fromEntries(allUsers.map((user) => [user.name, userGroups(policy, user)])),
+    [allUsers, policy]
+  );
+  const checkedNodes = useMemo(
+    () => (nodes.data || []).filter((node) => checked.has(node.user)),
+    [nodes.data, checked]
+  );
+
+  if (users.error && !users.data) {
+    return <ErrorAlert title="Failed to load users" error={users.error} onRetry={users.refresh} />;
+  }
+  if (!users.data) return <LoadingState label="Loading users..." />;
+  if (users.data.length === 0) {
+    return <EmptyState icon={Users} title="No users yet" description="Add a user to start issuing pre-auth keys." />;
+  }
+
+  const nodeLabel = (node) => `${node.name} (${node.user})`;
+  const runBulk = (kind, extra) => {
+    if (kind === 'expire') {
+      bulk.start({ title: `Expiring ${plural(checkedNodes.length, 'node')}`, items: checkedNodes, getLabel: nodeLabel, task: (node) => actions.expire(node) });
+    } else if (kind === 'retag') {
+      const { mode, tags } = extra;
+      bulk.start({
+        title: `Retagging ${plural(checkedNodes.length, 'node')}`,
+        items: checkedNodes,
+        getLabel: nodeLabel,
+        task: (node) => {
+          const next = retag(node.tags, mode, tags);
+          return sameTagSet(next, node.tags) ? null : actions.setTags(node, next);
+        },
+      });
+    } else if (kind === 'delete') {
+      const withNodes = deleteNodes;
+      setChecked(new Set());
+      bulk.start({
+        title: `Deleting ${plural(checkedUsers.length, 'user')}`,
+        items: checkedUsers,
+        getLabel: (user) => user.name,
+        task: async (user) => {
+          if (withNodes) {
+            for (const node of (nodesRef.current || []).filter((item) => item.user === user.name)) {
+              await actions.remove(node);
+            }
+          }
+          await api.deleteUser(user.name);
+          users.mutate((list) => (list || []).filter((item) => item.name !== user.name));
+        },
+      });
+    }
+  };
+
+  const nodeCount = nodes.data ? checkedNodes.length : 0;
+
+  return (
+    <div className="space-y-6">
+      {canWrite && checkedUsers.length > 0 && (
+        <SelectionBar
+          count={checkedUsers.length}
+          total={allUsers.length}
+          onSelectAll={() => setChecked(new Set(allUsers.map((user) => user.name)))}
+          onClear={() => setChecked(new Set())}
+        >
+          <Button variant="outline" size="sm" disabled={nodeCount === 0} onClick={() => setPendingBulk('expire')}>
+            <Clock className="mr-2 h-4 w-4" />
+            Expire {plural(nodeCount, 'node')}
+          </Button>
+          <Button variant="outline" size="sm" disabled={nodeCount === 0} onClick={() => setPendingBulk('retag')}>
+            <Tag className="mr-2 h-4 w-4" />
+            Retag nodes
+          </Button>
+          <Button variant="outline" size="sm" className="text-red-700 border-red-200 hover:bg-red-50" onClick={() => setPendingBulk('delete')}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Delete
+          </Button>
+        </SelectionBar>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 lg:gap-6">
+        {users.data.map((user, index) => (
+          <UserCard
+            key={user.id}
+            user={user}
+            groups={groupsByUser[user.name] || []}
+            summary={userSummaries[user.name] || { nodesCount: 0, lastActive: null }}
+            nodesLoaded={Boolean(nodes.data)}
+            index={index}
+            selected={checked.has(user.name)}
+            onToggle={canWrite ? toggleChecked : undefined}
+          />
+        ))}
+      </div>
+
+      {canWrite && (
+        <>
+          <ConfirmDialog
+            open={pendingBulk === 'expire'}
+            onOpenChange={(open) => !open && setPendingBulk(null)}
+            title={`Expire ${plural(nodeCount, 'node')}?`}
+            description={`Every device owned by ${plural(checkedUsers.length, 'selected user')} is logged out and must re-authenticate.`}
+            confirmLabel="Expire"
+            destructive
+            onConfirm={() => runBulk('expire')}
+          />
+          <ConfirmDialog
+            open={pendingBulk === 'delete'}
+            onOpenChange={(open) => !open && setPendingBulk(null)}
+            title={`Delete ${plural(checkedUsers.length, 'user')}?`}
+            description="Deleted users can no longer register devices. Pre-auth keys issued to them stop working."
+            confirmLabel="Delete"
+            destructive
+            onConfirm={() => runBulk('delete')}
+          >
+            <label className="flex items-start gap-3 text-sm text-gray-700">
+              <input type="checkbox" className="mt-0.5 h-4 w-4" checked={deleteNodes} onChange={(event) => setDeleteNodes(event.target.checked)} />
+              <span>
+                Also delete their {plural(nodeCount, 'node')}
+                <span className="block text-xs text-gray-500">Headscale refuses to delete a user that still owns nodes.</span>
+              </span>
+            </label>
+          </ConfirmDialog>
+          <BulkRetagDialog
+            open={pendingBulk === 'retag'}
+            onOpenChange={(open) => !open && setPendingBulk(null)}
+            count={nodeCount}
+            tagOptions={tagOptions}
+            onConfirm={(mode, tags) => runBulk('retag', { mode, tags })}
+          />
+          <BulkProgressDialog bulk={bulk} />
+        </>
+      )}
+    </div>
+  );
+};
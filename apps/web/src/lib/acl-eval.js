@@ -0,0 +1,185 @@
+// Evaluates a Headscale ACL policy against the tailnet's users and nodes to answer
+// "can A reach B on port P" and "can A SSH to B as L", reporting the rule that matched.
+//
+// Semantics follow Headscale/Tailscale: rules only grant access (first accepting rule wins
+// for reporting), tagged nodes lose their owner's identity, tags count only when defined in
+// tagOwners, and autogroup:internet matches public addresses outside the tailnet ranges.
+//
+// Principals (sources) are { type: 'user', user } or { type: 'node', node }.
+// Targets (destinations) are { type: 'node', node } or { type: 'ip', ip }.
+
+import { splitDestination } from '@/lib/acl-policy';
+import { cidrContains, isCIDR, isPrivateAddress, isTailnetAddress } from '@/lib/cidr';
+import { withTagPrefix } from '@/lib/api';
+
+// Policy entries may reference users by name, email or the "name@" form
+const normalizeIdentity = (value) => String(value).trim().toLowerCase().replace(/@$/, '');
+const identitiesOf = (user) => (user ? [user.name, user.email].filter(Boolean).map(normalizeIdentity) : []);
+
+// "*", "22", "80,443", "8000-8100" -> predicate over a port number; a null port asks
+// whether the spec grants any port at all
+export function parsePorts(spec) {
+  if (spec === '*') return () => true;
+  const ranges = String(spec)
+    .split(',')
+    .map((part) => /^(\d+)(?:-(\d+))?$/.exec(part.trim()))
+    .filter(Boolean)
+    .map((match) => [Number(match[1]), Number(match[2] ?? match[1])]);
+  return (port) => (port == null ? ranges.length > 0 : ranges.some(([low, high]) => port >= low && port <= high));
+}
+
+export function createEvaluator(policy, { users = [], nodes = [] } = {}) {
+  const groups = policy.groups || {};
+  const tagOwners = policy.tagOwners || {};
+  const hosts = policy.hosts || {};
+  const autoGroups = policy.autoGroups || {};
+  const userByName = new Map(users.map((user) => [user.name, user]));
+
+  const findUser = (entry) => {
+    const key = normalizeIdentity(entry);
+    return users.find((user) => identitiesOf(user).includes(key)) || null;
+  };
+
+  // Members of a group (or custom autogroup) as normalized identities
+  const expandGroup = (name) => {
+    const members = (name.startsWith('group:') ? groups[name] : autoGroups[name]) || [];
+    return members.map(normalizeIdentity);
+  };
+
+  // Users allowed to own a tag, with group owners expanded
+  const expandTagOwners = (tag) =>
+    (tagOwners[tag] || []).flatMap((owner) => (owner.startsWith('group:') ? expandGroup(owner) : [normalizeIdentity(owner)]));
+
+  const effectiveTags = (node) => node.tags.map(withTagPrefix).filter((tag) => tag in tagOwners);
+  const ownerOf = (node) => userByName.get(node.user) || { name: node.user, email: '' };
+  const isTagged = (node) => effectiveTags(node).length > 0;
+
+  // The user identity a principal acts as; tagged nodes have none
+  const principalUser = (principal) => {
+    if (principal.type === 'user') return principal.user;
+    return isTagged(principal.node) ? null : ownerOf(principal.node);
+  };
+
+  const principalAddresses = (principal) => {
+    if (principal.type === 'node') return principal.node.ipAddresses;
+    const owned = nodes.filter((node) => node.user === principal.user.name && !isTagged(node));
+    return owned.flatMap((node) => node.ipAddresses);
+  };
+
+  const userMatches = (alias, user) => {
+    if (!user) return false;
+    const ids = identitiesOf(user);
+    if (alias.startsWith('group:') || (alias.startsWith('autogroup:') && alias in autoGroups)) {
+      return expandGroup(alias).some((member) => ids.includes(member));
+    }
+    return ids.includes(normalizeIdentity(alias));
+  };
+
+  // The prefix an address-like alias stands for, if any
+  const prefixOf = (alias) => {
+    if (alias in hosts) return hosts[alias];
+    return isCIDR(alias) ? alias : null;
+  };
+
+  // Whether an alias covers a principal (user, or node with its addresses and tags)
+  const matchesSource = (alias, principal) => {
+    if (alias === '*') return true;
+    const user = principalUser(principal);
+    const tagged = principal.type === 'node' && isTagged(principal.node);
+    if (alias === 'autogroup:member') return Boolean(user) && !tagged;
+    if (alias === 'autogroup:tagged') return tagged;
+    if (alias === 'autogroup:internet' || alias === 'autogroup:self') return false;
+    if (alias.startsWith('tag:')) return principal.type === 'node' && effectiveTags(principal.node).includes(alias);
+    const prefix = prefixOf(alias);
+    if (prefix) return principalAddresses(principal).some((ip) => cidrContains(prefix, ip));
+    return userMatches(alias, user);
+  };
+
+  // Whether a destination alias (without ports) covers a target
+  const matchesTarget = (alias, target, principal) => {
+    if (alias === '*') return true;
+    if (target.type === 'ip') {
+      if (alias === 'autogroup:internet') return !isTailnetAddress(target.ip) && !isPrivateAddress(target.ip);
+      const prefix = prefixOf(alias);
+      return Boolean(prefix) && cidrContains(prefix, target.ip);
+    }
+
+    const { node } = target;
+    const tagged = isTagged(node);
+    if (alias === 'autogroup:internet') return false;
+    if (alias === 'autogroup:member') return !tagged;
+    if (alias === 'autogroup:tagged') return tagged;
+    if (alias === 'autogroup:self') {
+      const user = principal && principalUser(principal);
+      return !tagged && Boolean(user) && user.name === node.user;
+    }
+    if (alias.startsWith('tag:')) return effectiveTags(node).includes(alias);
+    const prefix = prefixOf(alias);
+    if (prefix) return node.ipAddresses.some((ip) => cidrContains(prefix, ip));
+    return !tagged && userMatches(alias, ownerOf(node));
+  };
+
+  const rulesOf = (section) => (Array.isArray(policy[section]) ? policy[section] : []);
+
+  // Every accepting rule that lets `principal` reach `target` on `port` (null = any port)
+  const matchingRules = (principal, target, port = null) =>
+    rulesOf('acls').flatMap((rule, index) => {
+      if (rule.action !== 'accept') return [];
+      if (!(rule.src || []).some((alias) => matchesSource(alias, principal))) return [];
+      const dst = (rule.dst || []).find((entry) => {
+        const { alias, ports } = splitDestination(entry);
+        return ports !== null && parsePorts(ports)(port) && matchesTarget(alias, target, principal);
+      });
+      return dst ? [{ index, rule, dst }] : [];
+    });
+
+  const canReach = (principal, target, port = null) => {
+    const matches = matchingRules(principal, target, port);
+    return { allowed: matches.length > 0, rule: matches[0] ? matches[0].rule : null, index: matches[0] ? matches[0].index : null, matches };
+  };
+
+  // SSH rules are independent of acls: src/dst have no ports and `users` lists the
+  // logins allowed, where autogroup:nonroot means any login except root.
+  const sshRules = (principal, node) =>
+    rulesOf('ssh').flatMap((rule, index) => {
+      if (rule.action !== 'accept' && rule.action !== 'check') return [];
+      if (!(rule.src || []).some((alias) => matchesSource(alias, principal))) return [];
+      if (!(rule.dst || []).some((alias) => matchesTarget(alias, { type: 'node', node }, principal))) return [];
+      return [{ index, rule }];
+    });
+
+  const loginAllowed = (rule, login) =>
+    (rule.users || []).some((entry) => entry === login || (entry === 'autogroup:nonroot' && login !== 'root'));
+
+  const canSSH = (principal, node, login) => {
+    const rules = sshRules(principal, node);
+    const match = rules.find(({ rule }) => loginAllowed(rule, login));
+    return {
+      allowed: Boolean(match),
+      action: match ? match.rule.action : null,
+      rule: match ? match.rule : null,
+      index: match ? match.index : null,
+      // Everything the matching rules permit, to explain a denial
+      logins: [...new Set(rules.flatMap(({ rule }) => rule.users || []))],
+    };
+  };
+
+  // users × nodes reachability; each cell is the canReach result for that pair
+  const accessMatrix = ({ port = null } = {}) =>
+    users.map((user) => ({
+      user,
+      cells: nodes.map((node) => ({ node, ...canReach({ type: 'user', user }, { type: 'node', node }, port) })),
+    }));
+
+  return {
+    findUser,
+    expandGroup,
+    expandTagOwners,
+    effectiveTags,
+    matchesSource,
+    matchesTarget,
+    canReach,
+    canSSH,
+    accessMatrix,
+  };
+}
@@ -0,0 +1,295 @@
+import fs from 'fs';
+import path from 'path';
+import { createEvaluator, parsePorts } from '@/lib/acl-eval';
+import { parseHuJSON } from '@/lib/hujson';
+
+const users = [
+  { name: 'alice', email: 'Alice@corp.example' },
+  { name: 'bob', email: 'bob@corp.example' },
+  { name: 'carol', email: 'carol@corp.example' },
+];
+
+const node = (id, name, user, ip, tags = []) => ({ id, name, user, tags, ipAddresses: [ip] });
+
+const nodes = [
+  node('1', 'alice-laptop', 'alice', '100.64.0.1'),
+  node('2', 'bob-laptop', 'bob', '100.64.0.2'),
+  // Tagged with a defined tag: acts as tag:server, not as alice
+  node('3', 'web', 'alice', '100.64.0.3', ['server']),
+  // tag:ghost is not in tagOwners, so the node still acts as bob
+  node('4', 'bob-vm', 'bob', '100.64.0.4', ['ghost']),
+  node('5', 'carol-desktop', 'carol', '100.64.0.5'),
+];
+
+const policy = {
+  groups: {
+    'group:admins': ['alice@corp.example'],
+    'group:dev': ['bob'],
+  },
+  tagOwners: {
+    'tag:server': ['group:admins'],
+    'tag:db': ['carol@'],
+  },
+  hosts: {
+    office: '192.168.1.0/24',
+    'carol-box': '100.64.0.5/32',
+  },
+  acls: [
+    { action: 'accept', src: ['group:admins'], dst: ['*:*'] },
+    { action: 'accept', src: ['group:dev'], dst: ['tag:server:80,443,8000-8100'] },
+    { action: 'accept', src: ['autogroup:member'], dst: ['autogroup:self:*'] },
+    { action: 'accept', src: ['tag:server'], dst: ['carol-box:5432'] },
+    { action: 'accept', src: ['office', '100.64.0.2/32'], dst: ['tag:server:22'] },
+    { action: 'accept', src: ['*'], dst: ['autogroup:internet:*'] },
+    { action: 'accept', src: ['autogroup:tagged'], dst: ['autogroup:tagged:53'] },
+  ],
+  ssh: [
+    { action: 'accept', src: ['group:admins'], dst: ['*'], users: ['root', 'autogroup:nonroot'] },
+    { action: 'check', src: ['group:dev'], dst: ['autogroup:self'], users: ['autogroup:nonroot'] },
+    { action: 'accept', src: ['group:dev'], dst: ['tag:server'], users: ['deploy'] },
+  ],
+};
+
+const byName = (name) => nodes.find((item) => item.name === name);
+const asUser = (name) => ({ type: 'user', user: users.find((user) => user.name === name) });
+const asNode = (name) => ({ type: 'node', node: byName(name) });
+const toNode = (name) => ({ type: 'node', node: byName(name) });
+const toIP = (ip) => ({ type: 'ip', ip });
+
+const evaluator = createEvaluator(policy, { users, nodes });
+
+describe('parsePorts', () => {
+  it('matches every port for *', () => {
+    expect(parsePorts('*')(1)).toBe(true);
+    expect(parsePorts('*')(65535)).toBe(true);
+  });
+
+  it('matches single ports, lists and ranges', () => {
+    const ports = parsePorts('22,80,8000-8100');
+    expect([22, 80, 8000, 8050, 8100].map(ports)).toEqual([true, true, true, true, true]);
+    expect([21, 81, 7999, 8101].map(ports)).toEqual([false, false, false, false]);
+  });
+
+  it('tolerates spaces around list entries', () => {
+    expect(parsePorts('80, 443')(443)).toBe(true);
+  });
+
+  it('answers whether any port is granted when the port is null', () => {
+    expect(parsePorts('443')(null)).toBe(true);
+    expect(parsePorts('http')(null)).toBe(false);
+    expect(parsePorts('http')(80)).toBe(false);
+  });
+});
+
+describe('identities and groups', () => {
+  it('finds users by name, email and the name@ form, ignoring case', () => {
+    expect(evaluator.findUser('alice@corp.example').name).toBe('alice');
+    expect(evaluator.findUser('BOB').name).toBe('bob');
+    expect(evaluator.findUser('carol@').name).toBe('carol');
+    expect(evaluator.findUser('dave@corp.example')).toBeNull();
+  });
+
+  it('expands groups to normalized identities', () => {
+    expect(evaluator.expandGroup('group:admins')).toEqual(['alice@corp.example']);
+    expect(evaluator.expandGroup('group:missing')).toEqual([]);
+  });
+
+  it('matches group members listed by email or by name', () => {
+    expect(evaluator.matchesSource('group:admins', asUser('alice'))).toBe(true);
+    expect(evaluator.matchesSource('group:dev', asUser('bob'))).toBe(true);
+    expect(evaluator.matchesSource('group:admins', asUser('bob'))).toBe(false);
+    expect(evaluator.matchesSource('group:dev', asUser('carol'))).toBe(false);
+  });
+
+  it('matches users named directly in a rule', () => {
+    expect(evaluator.matchesSource('carol@corp.example', asUser('carol'))).toBe(true);
+    expect(evaluator.matchesTarget('carol@', toNode('carol-desktop'))).toBe(true);
+  });
+});
+
+describe('tags', () => {
+  it('expands tag owners through groups', () => {
+    expect(evaluator.expandTagOwners('tag:server')).toEqual(['alice@corp.example']);
+    expect(evaluator.expandTagOwners('tag:db')).toEqual(['carol']);
+    expect(evaluator.expandTagOwners('tag:ghost')).toEqual([]);
+  });
+
+  it('only honours tags defined in tagOwners', () => {
+    expect(evaluator.effectiveTags(byName('web'))).toEqual(['tag:server']);
+    expect(evaluator.effectiveTags(byName('bob-vm'))).toEqual([]);
+    expect(evaluator.matchesSource('tag:ghost', asNode('bob-vm'))).toBe(false);
+    expect(evaluator.matchesTarget('tag:server', toNode('web'))).toBe(true);
+  });
+
+  it('strips the owner identity from tagged nodes', () => {
+    expect(evaluator.matchesSource('group:admins', asNode('web'))).toBe(false);
+    expect(evaluator.matchesSource('alice', asNode('web'))).toBe(false);
+    expect(evaluator.matchesTarget('alice', toNode('web'))).toBe(false);
+    expect(evaluator.canReach(asNode('web'), toNode('alice-laptop'), 22).allowed).toBe(false);
+  });
+
+  it('keeps the owner identity when the tag is undefined', () => {
+    expect(evaluator.matchesSource('group:dev', asNode('bob-vm'))).toBe(true);
+    expect(evaluator.canReach(asNode('bob-vm'), toNode('bob-laptop'), 22)).toMatchObject({ allowed: true, index: 2 });
+  });
+
+  it('lets tags reach what their rules grant', () => {
+    expect(evaluator.canReach(asNode('web'), toNode('carol-desktop'), 5432)).toMatchObject({ allowed: true, index: 3 });
+    expect(evaluator.canReach(asNode('web'), toNode('carol-desktop'), 5433).allowed).toBe(false);
+  });
+});
+
+describe('autogroups and wildcards', () => {
+  it('autogroup:member covers users and untagged nodes only', () => {
+    expect(evaluator.matchesSource('autogroup:member', asUser('carol'))).toBe(true);
+    expect(evaluator.matchesSource('autogroup:member', asNode('bob-vm'))).toBe(true);
+    expect(evaluator.matchesSource('autogroup:member', asNode('web'))).toBe(false);
+    expect(evaluator.matchesTarget('autogroup:member', toNode('web'))).toBe(false);
+  });
+
+  it('autogroup:tagged covers nodes with a defined tag', () => {
+    expect(evaluator.matchesSource('autogroup:tagged', asNode('web'))).toBe(true);
+    expect(evaluator.matchesSource('autogroup:tagged', asNode('bob-vm'))).toBe(false);
+    expect(evaluator.matchesSource('autogroup:tagged', asUser('alice'))).toBe(false);
+    expect(evaluator.canReach(asNode('web'), toNode('web'), 53)).toMatchObject({ allowed: true, index: 6 });
+  });
+
+  it('autogroup:self reaches only the principal user\'s own untagged nodes', () => {
+    expect(evaluator.canReach(asUser('bob'), toNode('bob-laptop'), 3000)).toMatchObject({ allowed: true, index: 2 });
+    expect(evaluator.canReach(asUser('carol'), toNode('carol-desktop'), 3000)).toMatchObject({ allowed: true, index: 2 });
+    expect(evaluator.canReach(asUser('carol'), toNode('bob-laptop'), 3000).allowed).toBe(false);
+    expect(evaluator.matchesTarget('autogroup:self', toNode('web'), asUser('alice'))).toBe(false);
+    expect(evaluator.matchesSource('autogroup:self', asUser('bob'))).toBe(false);
+  });
+
+  it('autogroup:internet covers public addresses only', () => {
+    expect(evaluator.canReach(asUser('carol'), toIP('8.8.8.8'), 443)).toMatchObject({ allowed: true, index: 5 });
+    expect(evaluator.canReach(asUser('carol'), toIP('10.1.2.3'), 443).allowed).toBe(false);
+    expect(evaluator.canReach(asUser('carol'), toIP('100.64.0.9'), 443).allowed).toBe(false);
+    expect(evaluator.matchesTarget('autogroup:internet', toNode('carol-desktop'))).toBe(false);
+    expect(evaluator.matchesSource('autogroup:internet', asUser('carol'))).toBe(false);
+  });
+
+  it('* matches every source and target, tagged or not', () => {
+    expect(evaluator.matchesSource('*', asNode('web'))).toBe(true);
+    expect(evaluator.canReach(asUser('alice'), toNode('web'), 22)).toMatchObject({ allowed: true, index: 0 });
+    expect(evaluator.canReach(asUser('alice'), toIP('10.1.2.3'), 22)).toMatchObject({ allowed: true, index: 0 });
+  });
+});
+
+describe('hosts and CIDR aliases', () => {
+  it('resolves hosts entries as destinations', () => {
+    expect(evaluator.matchesTarget('carol-box', toNode('carol-desktop'))).toBe(true);
+    expect(evaluator.matchesTarget('carol-box', toNode('bob-laptop'))).toBe(false);
+    expect(evaluator.matchesTarget('office', toIP('192.168.1.20'))).toBe(true);
+  });
+
+  it('matches sources by address through hosts and CIDRs', () => {
+    const printer = { type: 'node', node: node('9', 'printer', 'carol', '192.168.1.7') };
+    expect(evaluator.canReach(printer, toNode('web'), 22)).toMatchObject({ allowed: true, index: 4 });
+    // A user matches an address source through the addresses of their untagged nodes
+    expect(evaluator.canReach(asUser('bob'), toNode('web'), 22)).toMatchObject({ allowed: true, index: 4 });
+    expect(evaluator.canReach(asUser('carol'), toNode('web'), 22).allowed).toBe(false);
+  });
+});
+
+describe('canReach', () => {
+  it('applies port lists and ranges from the destination', () => {
+    expect(evaluator.canReach(asUser('bob'), toNode('web'), 443).allowed).toBe(true);
+    expect(evaluator.canReach(asUser('bob'), toNode('web'), 8050).allowed).toBe(true);
+    expect(evaluator.canReach(asUser('bob'), toNode('web'), 3000).allowed).toBe(false);
+  });
+
+  it('reports the first matching rule and every match', () => {
+    const result = evaluator.canReach(asUser('alice'), toNode('alice-laptop'), 22);
+    expect(result.index).toBe(0);
+    expect(result.rule).toBe(policy.acls[0]);
+    expect(result.matches.map((match) => match.index)).toEqual([0, 2]);
+    expect(result.matches[1].dst).toBe('autogroup:self:*');
+  });
+
+  it('treats a null port as any port', () => {
+    expect(evaluator.canReach(asUser('bob'), toNode('web')).allowed).toBe(true);
+    expect(evaluator.canReach(asUser('carol'), toNode('web')).allowed).toBe(false);
+  });
+
+  it('ignores rules that do not accept', () => {
+    const denying = createEvaluator({ acls: [{ action: 'drop', src: ['*'], dst: ['*:*'] }] }, { users, nodes });
+    expect(denying.canReach(asUser('alice'), toNode('bob-laptop'), 22)).toMatchObject({ allowed: false, rule: null, index: null, matches: [] });
+  });
+});
+
+describe('canSSH', () => {
+  it('allows root only where the rule lists it', () => {
+    expect(evaluator.canSSH(asUser('alice'), byName('bob-laptop'), 'root')).toMatchObject({ allowed: true, action: 'accept', index: 0 });
+    const denied = evaluator.canSSH(asUser('bob'), byName('bob-laptop'), 'root');
+    expect(denied).toMatchObject({ allowed: false, action: null, rule: null });
+    expect(denied.logins).toEqual(['autogroup:nonroot']);
+  });
+
+  it('treats autogroup:nonroot as any login but root', () => {
+    expect(evaluator.canSSH(asUser('bob'), byName('bob-laptop'), 'ubuntu').allowed).toBe(true);
+    expect(evaluator.canSSH(asUser('alice'), byName('bob-laptop'), 'ubuntu').allowed).toBe(true);
+  });
+
+  it('reports check rules, which require re-authentication', () => {
+    expect(evaluator.canSSH(asUser('bob'), byName('bob-laptop'), 'ubuntu')).toMatchObject({ action: 'check', index: 1 });
+  });
+
+  it('matches named logins on tagged destinations', () => {
+    expect(evaluator.canSSH(asUser('bob'), byName('web'), 'deploy')).toMatchObject({ allowed: true, action: 'accept', index: 2 });
+    expect(evaluator.canSSH(asUser('bob'), byName('web'), 'ubuntu').allowed).toBe(false);
+  });
+
+  it('denies with no logins when no rule covers the pair', () => {
+    expect(evaluator.canSSH(asUser('carol'), byName('carol-desktop'), 'carol')).toMatchObject({ allowed: false, logins: [] });
+    expect(evaluator.canSSH(asNode('web'), byName('alice-laptop'), 'root').allowed).toBe(false);
+  });
+});
+
+describe('accessMatrix', () => {
+  it('has one row per user and one cell per node', () => {
+    const matrix = evaluator.accessMatrix();
+    expect(matrix.map((row) => row.user.name)).toEqual(['alice', 'bob', 'carol']);
+    matrix.forEach((row) => {
+      expect(row.cells.map((cell) => cell.node.name)).toEqual(nodes.map((item) => item.name));
+      row.cells.forEach((cell) => expect(Object.keys(cell).sort()).toEqual(['allowed', 'index', 'matches', 'node', 'rule']));
+    });
+  });
+
+  it('evaluates each cell with canReach on the given port', () => {
+    const matrix = evaluator.accessMatrix({ port: 22 });
+    const allowed = (user) => matrix.find((row) => row.user.name === user).cells.filter((cell) => cell.allowed).map((cell) => cell.node.name);
+    expect(allowed('alice')).toEqual(nodes.map((item) => item.name));
+    expect(allowed('bob')).toEqual(['bob-laptop', 'web', 'bob-vm']);
+    expect(allowed('carol')).toEqual(['carol-desktop']);
+  });
+});
+
+describe('the shipped policy', () => {
+  const shipped = parseHuJSON(fs.readFileSync(path.join(__dirname, '../../../../config/headscale/acl.hujson'), 'utf8'));
+  const staff = [
+    { name: 'admin', email: 'admin@tailnet.work' },
+    { name: 'employee1', email: 'employee1@tailnet.work' },
+    { name: 'guest', email: 'guest@tailnet.work' },
+  ];
+  const devices = [
+    node('1', 'admin-laptop', 'admin', '100.64.0.1'),
+    node('2', 'employee1-laptop', 'employee1', '100.64.0.2'),
+    node('3', 'db', 'admin', '100.64.0.3', ['server']),
+  ];
+  const shippedEvaluator = createEvaluator(shipped, { users: staff, nodes: devices });
+  const user = (name) => ({ type: 'user', user: staff.find((item) => item.name === name) });
+
+  it('gives admins every node and root SSH', () => {
+    expect(shippedEvaluator.canReach(user('admin'), { type: 'node', node: devices[2] }, 5432).allowed).toBe(true);
+    expect(shippedEvaluator.canSSH(user('admin'), devices[1], 'root').allowed).toBe(true);
+  });
+
+  it('limits employees to each other and the internet', () => {
+    expect(shippedEvaluator.canReach(user('employee1'), { type: 'node', node: devices[1] }, 22).allowed).toBe(true);
+    expect(shippedEvaluator.canReach(user('employee1'), { type: 'node', node: devices[0] }, 22).allowed).toBe(false);
+    expect(shippedEvaluator.canReach(user('guest'), toIP('1.1.1.1'), 443).allowed).toBe(true);
+    expect(shippedEvaluator.canSSH(user('employee1'), devices[1], 'ubuntu').allowed).toBe(false);
+  });
+});
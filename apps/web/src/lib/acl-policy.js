@@ -0,0 +1,211 @@
+// Shape checks and semantic diffing for Headscale ACL policies, matching the
+// orchestrator's ACLPolicy struct (groups, tagOwners, acls, ssh, hosts, autoGroups).
+
+import { toPointer } from '@/lib/hujson';
+import { isCIDR } from '@/lib/cidr';
+
+export const POLICY_SECTIONS = ['groups', 'tagOwners', 'acls', 'ssh', 'hosts', 'autoGroups'];
+
+// Built-in autogroups Headscale understands in src/dst and ssh users
+export const KNOWN_AUTOGROUPS = ['autogroup:internet', 'autogroup:member', 'autogroup:self', 'autogroup:tagged', 'autogroup:nonroot'];
+
+// "alias:ports" -> { alias, ports }. Splits on the last colon so IPv6 and group aliases survive.
+export function splitDestination(dst) {
+  const index = dst.lastIndexOf(':');
+  if (index <= 0) return { alias: dst, ports: null };
+  return { alias: dst.slice(0, index), ports: dst.slice(index + 1) };
+}
+
+export function isValidPortSpec(ports) {
+  if (ports === '*') return true;
+  return ports.split(',').every((part) => {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+    if (!match) return false;
+    const low = Number(match[1]);
+    const high = match[2] === undefined ? low : Number(match[2]);
+    return low >= 0 && high <= 65535 && low <= high;
+  });
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Classifies an alias and reports whether the policy defines it
+export function resolveAlias(alias, policy) {
+  if (alias === '*') return { kind: 'wildcard', known: true };
+  if (alias.startsWith('group:')) return { kind: 'group', known: Boolean(policy.groups && alias in policy.groups) };
+  if (alias.startsWith('tag:')) return { kind: 'tag', known: Boolean(policy.tagOwners && alias in policy.tagOwners) };
+  if (alias.startsWith('autogroup:')) {
+    return { kind: 'autogroup', known: KNOWN_AUTOGROUPS.includes(alias) || Boolean(policy.autoGroups && alias in policy.autoGroups) };
+  }
+  if (isCIDR(alias)) return { kind: 'ip', known: true };
+  if (alias.includes('@')) return { kind: 'user', known: true };
+  if (policy.hosts && alias in policy.hosts) return { kind: 'host', known: true };
+  return { kind: 'unknown', known: false };
+}
+
+// Returns a list of { severity, message, path, line, column } problems. `positions` comes
+// from hujson.parse and is optional; without it issues carry no location. Sections may be
+// null: the orchestrator serializes empty maps and lists that way.
+export function validatePolicy(policy, positions) {
+  const issues = [];
+  const report = (severity, message, path, { key = false } = {}) => {
+    const pointer = toPointer(path);
+    const location = positions && ((key && positions.keys[pointer]) || positions.values[pointer]);
+    issues.push({ severity, message, path: pointer || '/', line: location ? location.line : null, column: location ? location.column : null });
+  };
+  const error = (message, path, options) => report('error', message, path, options);
+  const warning = (message, path, options) => report('warning', message, path, options);
+
+  if (!isPlainObject(policy)) {
+    error('The policy must be a JSON object', []);
+    return issues;
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!POLICY_SECTIONS.includes(key)) {
+      warning(`"${key}" is not part of the orchestrator's ACLPolicy and will be dropped on save`, [key], { key: true });
+    }
+  }
+
+  const checkMemberMap = (section, prefix) => {
+    const value = policy[section];
+    if (value === undefined || value === null) return;
+    if (!isPlainObject(value)) return error(`"${section}" must be an object`, [section]);
+    for (const [name, members] of Object.entries(value)) {
+      if (prefix && !name.startsWith(prefix)) error(`${section} entry "${name}" must start with "${prefix}"`, [section, name], { key: true });
+      if (!isStringArray(members)) error(`${section} entry "${name}" must be a list of strings`, [section, name]);
+    }
+  };
+  checkMemberMap('groups', 'group:');
+  checkMemberMap('tagOwners', 'tag:');
+  checkMemberMap('autoGroups', 'autogroup:');
+
+  if (policy.hosts !== undefined && policy.hosts !== null) {
+    if (!isPlainObject(policy.hosts)) {
+      error('"hosts" must be an object', ['hosts']);
+    } else {
+      for (const [name, address] of Object.entries(policy.hosts)) {
+        if (typeof address !== 'string' || !isCIDR(address)) {
+          error(`Host "${name}" must map to an IP address or CIDR prefix`, ['hosts', name]);
+        }
+      }
+    }
+  }
+
+  // Tag owners may be groups, which must exist
+  for (const [tag, owners] of Object.entries(isPlainObject(policy.tagOwners) ? policy.tagOwners : {})) {
+    (isStringArray(owners) ? owners : []).forEach((owner, index) => {
+      if (owner.startsWith('group:') && !(isPlainObject(policy.groups) && owner in policy.groups)) {
+        error(`Owner ${owner} of ${tag} is not defined in groups`, ['tagOwners', tag, index]);
+      }
+    });
+  }
+
+  const checkAliases = (list, path, { allowPorts }) => {
+    list.forEach((entry, index) => {
+      let alias = entry;
+      if (allowPorts) {
+        const { alias: parsed, ports } = splitDestination(entry);
+        if (ports === null) return error(`Destination "${entry}" needs a port, e.g. "${entry}:*"`, [...path, index]);
+        if (!isValidPortSpec(ports)) error(`Invalid port specification "${ports}" in "${entry}"`, [...path, index]);
+        alias = parsed;
+      }
+      const resolved = resolveAlias(alias, policy);
+      if (resolved.known) return;
+      const what = { group: 'group', tag: 'tag', autogroup: 'autogroup' }[resolved.kind];
+      error(what ? `Unknown ${what} ${alias}` : `Unknown alias "${alias}": not a group, tag, host, user or IP`, [...path, index]);
+    });
+  };
+
+  const checkRules = (section, actions, { ssh }) => {
+    const rules = policy[section];
+    if (rules === undefined || rules === null) return;
+    if (!Array.isArray(rules)) return error(`"${section}" must be a list of rules`, [section]);
+
+    rules.forEach((rule, index) => {
+      const path = [section, index];
+      if (!isPlainObject(rule)) return error('Each rule must be an object', path);
+      if (!actions.includes(rule.action)) {
+        error(`"action" must be ${actions.map((a) => `"${a}"`).join(' or ')}`, rule.action === undefined ? path : [...path, 'action']);
+      }
+      for (const field of ssh ? ['src', 'dst', 'users'] : ['src', 'dst']) {
+        if (!isStringArray(rule[field]) || rule[field].length === 0) {
+          error(`"${field}" must be a non-empty list of strings`, rule[field] === undefined ? path : [...path, field]);
+        }
+      }
+      if (rule.comment !== undefined && typeof rule.comment !== 'string') error('"comment" must be a string', [...path, 'comment']);
+      if (isStringArray(rule.src)) checkAliases(rule.src, [...path, 'src'], { allowPorts: false });
+      if (isStringArray(rule.dst)) checkAliases(rule.dst, [...path, 'dst'], { allowPorts: !ssh });
+    });
+  };
+  checkRules('acls', ['accept'], { ssh: false });
+  checkRules('ssh', ['accept', 'check'], { ssh: true });
+
+  return issues;
+}
+
+// Semantic differences between two policies, ignoring formatting, comments and key order.
+// Each change is { type: 'added' | 'removed' | 'changed', section, label, detail }.
+export function diffPolicies(before = {}, after = {}) {
+  const changes = [];
+  // An array replacer serializes keys in the array's order, which gives a key-order-independent form
+  const canonical = (value) => JSON.stringify(value, Object.keys(flattenKeys(value)).sort());
+
+  for (const section of ['groups', 'tagOwners', 'hosts', 'autoGroups']) {
+    const a = (before && before[section]) || {};
+    const b = (after && after[section]) || {};
+    for (const name of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (!(name in a)) {
+        changes.push({ type: 'added', section, label: name, detail: formatMembers(b[name]) });
+      } else if (!(name in b)) {
+        changes.push({ type: 'removed', section, label: name, detail: formatMembers(a[name]) });
+      } else if (Array.isArray(a[name]) && Array.isArray(b[name])) {
+        const added = b[name].filter((m) => !a[name].includes(m));
+        const removed = a[name].filter((m) => !b[name].includes(m));
+        if (added.length || removed.length) {
+          const detail = [added.length && `+ ${added.join(', ')}`, removed.length && `− ${removed.join(', ')}`].filter(Boolean).join('  ');
+          changes.push({ type: 'changed', section, label: name, detail });
+        }
+      } else if (canonical(a[name]) !== canonical(b[name])) {
+        changes.push({ type: 'changed', section, label: name, detail: `${formatMembers(a[name])} → ${formatMembers(b[name])}` });
+      }
+    }
+  }
+
+  // Rules have no identity, so they are compared as multisets of their canonical form
+  for (const section of ['acls', 'ssh']) {
+    const a = ((before && before[section]) || []).map((rule) => ({ rule, key: canonical(rule) }));
+    const b = ((after && after[section]) || []).map((rule) => ({ rule, key: canonical(rule) }));
+    const remaining = [...b];
+    for (const item of a) {
+      const match = remaining.findIndex((other) => other.key === item.key);
+      if (match === -1) changes.push({ type: 'removed', section, label: describeRule(item.rule), detail: item.rule.comment || '' });
+      else remaining.splice(match, 1);
+    }
+    for (const item of remaining) {
+      changes.push({ type: 'added', section, label: describeRule(item.rule), detail: item.rule.comment || '' });
+    }
+  }
+
+  return changes;
+}
+
+function flattenKeys(value, keys = {}) {
+  if (Array.isArray(value)) value.forEach((item) => flattenKeys(item, keys));
+  else if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      keys[key] = true;
+      flattenKeys(item, keys);
+    }
+  }
+  return keys;
+}
+
+const formatMembers = (value) => (Array.isArray(value) ? value.join(', ') || '(empty)' : String(value));
+
+export function describeRule(rule) {
+  const list = (value) => (Array.isArray(value) ? value.join(', ') : '?');
+  const users = rule.users ? ` as ${list(rule.users)}` : '';
+  return `${rule.action || '?'} ${list(rule.src)} → ${list(rule.dst)}${users}`;
+}
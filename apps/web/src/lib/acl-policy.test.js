@@ -0,0 +1,137 @@
+import { diffPolicies, splitDestination, validatePolicy } from '@/lib/acl-policy';
+import { parse } from '@/lib/hujson';
+
+const base = {
+  groups: { 'group:admins': ['alice@corp.example'], 'group:dev': ['bob@corp.example'] },
+  tagOwners: { 'tag:server': ['group:admins'] },
+  hosts: { office: '192.168.1.0/24' },
+  acls: [
+    { action: 'accept', src: ['group:admins'], dst: ['*:*'] },
+    { action: 'accept', src: ['group:dev'], dst: ['tag:server:80,443', 'office:22'] },
+  ],
+  ssh: [{ action: 'check', src: ['group:admins'], dst: ['tag:server'], users: ['root'] }],
+};
+
+const validate = (text) => {
+  const { value, positions } = parse(text);
+  return validatePolicy(value, positions);
+};
+
+describe('splitDestination', () => {
+  it('splits on the last colon', () => {
+    expect(splitDestination('tag:server:80,443')).toEqual({ alias: 'tag:server', ports: '80,443' });
+    expect(splitDestination('fd7a:115c::1:22')).toEqual({ alias: 'fd7a:115c::1', ports: '22' });
+    expect(splitDestination('office')).toEqual({ alias: 'office', ports: null });
+  });
+});
+
+describe('validatePolicy', () => {
+  it('accepts a well-formed policy', () => {
+    expect(validatePolicy(base)).toEqual([]);
+  });
+
+  it('treats null sections as absent, as GET /acl returns them', () => {
+    const issues = validate(`{
+      "groups": { "group:admins": ["alice@corp.example"] },
+      "tagOwners": null,
+      "acls": [{ "action": "accept", "src": ["group:admins"], "dst": ["*:*"] }],
+      "ssh": null,
+      "autoGroups": null,
+      "hosts": null
+    }`);
+    expect(issues).toEqual([]);
+  });
+
+  it('rejects a document that is not an object', () => {
+    expect(validatePolicy([])).toEqual([expect.objectContaining({ severity: 'error', message: 'The policy must be a JSON object', path: '/' })]);
+  });
+
+  it('warns about sections the orchestrator drops', () => {
+    const issues = validate('{\n  "acls": [],\n  "derpMap": {}\n}');
+    expect(issues).toEqual([
+      { severity: 'warning', message: `"derpMap" is not part of the orchestrator's ACLPolicy and will be dropped on save`, path: '/derpMap', line: 3, column: 3 },
+    ]);
+  });
+
+  it('reports unknown aliases with their location', () => {
+    const issues = validate(`{
+  "acls": [
+    { "action": "accept", "src": ["group:ghosts"], "dst": ["tag:nope:22", "nowhere:*"] }
+  ]
+}`);
+    expect(issues.map(({ message, line, column }) => [message, line, column])).toEqual([
+      ['Unknown group group:ghosts', 3, 35],
+      ['Unknown tag tag:nope', 3, 60],
+      ['Unknown alias "nowhere": not a group, tag, host, user or IP', 3, 75],
+    ]);
+  });
+
+  it('checks actions, required fields and port specifications', () => {
+    const issues = validatePolicy({
+      acls: [
+        { action: 'drop', src: ['*'], dst: ['*:*'] },
+        { action: 'accept', src: [], dst: ['*:70000', '*'] },
+      ],
+    });
+    expect(issues.map((issue) => [issue.path, issue.message])).toEqual([
+      ['/acls/0/action', '"action" must be "accept"'],
+      ['/acls/1/src', '"src" must be a non-empty list of strings'],
+      ['/acls/1/dst/0', 'Invalid port specification "70000" in "*:70000"'],
+      ['/acls/1/dst/1', 'Destination "*" needs a port, e.g. "*:*"'],
+    ]);
+  });
+
+  it('checks ssh rules, which take users and no ports', () => {
+    const issues = validatePolicy({ ...base, ssh: [{ action: 'accept', src: ['group:admins'], dst: ['tag:server'] }] });
+    expect(issues.map((issue) => [issue.path, issue.message])).toEqual([['/ssh/0', '"users" must be a non-empty list of strings']]);
+  });
+
+  it('checks section shapes and entry prefixes', () => {
+    const issues = validatePolicy({ groups: { admins: ['alice'] }, tagOwners: { 'tag:web': ['group:missing'] }, hosts: { db: 'db.internal' }, acls: {} });
+    expect(issues.map((issue) => issue.message)).toEqual([
+      'groups entry "admins" must start with "group:"',
+      'Host "db" must map to an IP address or CIDR prefix',
+      'Owner group:missing of tag:web is not defined in groups',
+      '"acls" must be a list of rules',
+    ]);
+  });
+});
+
+describe('diffPolicies', () => {
+  it('finds nothing when only formatting and key order differ', () => {
+    const reordered = {
+      ssh: [{ users: ['root'], dst: ['tag:server'], src: ['group:admins'], action: 'check' }],
+      acls: [...base.acls].reverse().map((rule) => Object.fromEntries(Object.entries(rule).reverse())),
+      hosts: base.hosts,
+      tagOwners: base.tagOwners,
+      groups: base.groups,
+    };
+    expect(diffPolicies(base, reordered)).toEqual([]);
+  });
+
+  it('reports member changes per group', () => {
+    const after = { ...base, groups: { 'group:admins': ['carol@corp.example'], 'group:ops': ['dave@corp.example'] } };
+    expect(diffPolicies(base, after)).toEqual([
+      { type: 'changed', section: 'groups', label: 'group:admins', detail: '+ carol@corp.example  − alice@corp.example' },
+      { type: 'removed', section: 'groups', label: 'group:dev', detail: 'bob@corp.example' },
+      { type: 'added', section: 'groups', label: 'group:ops', detail: 'dave@corp.example' },
+    ]);
+  });
+
+  it('compares rules as a multiset', () => {
+    const after = {
+      ...base,
+      acls: [base.acls[0], base.acls[0], { action: 'accept', src: ['group:dev'], dst: ['tag:server:443'], comment: 'HTTPS only' }],
+    };
+    expect(diffPolicies(base, after)).toEqual([
+      { type: 'removed', section: 'acls', label: 'accept group:dev → tag:server:80,443, office:22', detail: '' },
+      { type: 'added', section: 'acls', label: 'accept group:admins → *:*', detail: '' },
+      { type: 'added', section: 'acls', label: 'accept group:dev → tag:server:443', detail: 'HTTPS only' },
+    ]);
+  });
+
+  it('treats missing and null sections as empty', () => {
+    expect(diffPolicies({ ...base, hosts: null, ssh: null }, { ...base, hosts: undefined, ssh: undefined })).toEqual([]);
+    expect(diffPolicies({}, { hosts: { db: '10.0.0.5' } })).toEqual([{ type: 'added', section: 'hosts', label: 'db', detail: '10.0.0.5' }]);
+  });
+});
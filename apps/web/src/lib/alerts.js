@@ -0,0 +1,149 @@
+// Client for Alertmanager's v2 API through the dashboard's /api/alertmanager proxy, plus
+// the grouping and silence helpers behind the Alerts tab.
+
+import { ApiError } from '@/lib/api';
+
+const ALERTMANAGER_BASE = '/api/alertmanager';
+
+// Severities used by config/prometheus/rules, most urgent first; anything else sorts last
+export const SEVERITY_ORDER = ['critical', 'warning', 'info'];
+
+export const SILENCE_DURATIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '4 hours', hours: 4 },
+  { label: '24 hours', hours: 24 },
+  { label: '7 days', hours: 7 * 24 },
+];
+
+// Labels that identify the failing target; severity and the like would only narrow a silence
+const SILENCE_LABELS = ['alertname', 'instance', 'job'];
+
+async function amRequest(path, { method = 'GET', body, query, signal } = {}) {
+  const search = query ? `?${new URLSearchParams(query)}` : '';
+  let res;
+  try {
+    res = await fetch(`${ALERTMANAGER_BASE}/${path}${search}`, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      credentials: 'same-origin',
+      signal,
+    });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new ApiError(`Cannot reach Alertmanager: ${err.message}`, { path });
+  }
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text;
+  }
+  if (!res.ok) {
+    // The proxy answers { error }, Alertmanager itself a bare JSON string
+    const message = (data && data.error) || (typeof data === 'string' && data) || `${method} ${path} failed with status ${res.status}`;
+    throw new ApiError(message, { status: res.status, path, body: data });
+  }
+  return data;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+export const normalizeAlert = (raw) => ({
+  fingerprint: raw.fingerprint,
+  name: raw.labels.alertname || 'unnamed',
+  severity: raw.labels.severity || 'none',
+  labels: raw.labels,
+  summary: (raw.annotations && raw.annotations.summary) || '',
+  description: (raw.annotations && raw.annotations.description) || '',
+  startsAt: toDate(raw.startsAt),
+  // 'active', 'suppressed' (silenced or inhibited) or 'unprocessed'
+  state: (raw.status && raw.status.state) || 'active',
+  silencedBy: (raw.status && raw.status.silencedBy) || [],
+  generatorURL: raw.generatorURL || '',
+});
+
+export const normalizeSilence = (raw) => ({
+  id: raw.id,
+  matchers: raw.matchers || [],
+  startsAt: toDate(raw.startsAt),
+  endsAt: toDate(raw.endsAt),
+  createdBy: raw.createdBy || '',
+  comment: raw.comment || '',
+  // 'active', 'pending' or 'expired'
+  state: (raw.status && raw.status.state) || 'active',
+});
+
+export const alertmanager = {
+  listAlerts: ({ signal } = {}) =>
+    amRequest('alerts', { query: { active: true, silenced: true, inhibited: true }, signal }).then((data) => (data || []).map(normalizeAlert)),
+  listSilences: ({ signal } = {}) => amRequest('silences', { signal }).then((data) => (data || []).map(normalizeSilence)),
+  // `hours` from now; the proxy fills in createdBy from the session
+  createSilence: ({ matchers, hours, comment }) => {
+    const startsAt = new Date();
+    const endsAt = new Date(startsAt.getTime() + hours * 3600 * 1000);
+    return amRequest('silences', {
+      method: 'POST',
+      body: { matchers, startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString(), comment },
+    });
+  },
+  expireSilence: (id) => amRequest(`silence/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+};
+
+const severityRank = (severity) => {
+  const index = SEVERITY_ORDER.indexOf(severity);
+  return index === -1 ? SEVERITY_ORDER.length : index;
+};
+
+// [{ severity, alerts }] ordered by urgency; firing alerts come before silenced ones
+export function groupBySeverity(alerts) {
+  const groups = new Map();
+  for (const alert of alerts) {
+    if (!groups.has(alert.severity)) groups.set(alert.severity, []);
+    groups.get(alert.severity).push(alert);
+  }
+  const firingFirst = (a, b) =>
+    (a.state === 'suppressed') - (b.state === 'suppressed') || (a.startsAt ? a.startsAt.getTime() : 0) - (b.startsAt ? b.startsAt.getTime() : 0);
+  return [...groups.entries()]
+    .sort(([a], [b]) => severityRank(a) - severityRank(b) || a.localeCompare(b))
+    .map(([severity, list]) => ({ severity, alerts: list.sort(firingFirst) }));
+}
+
+// Critical alerts that are firing and not silenced or inhibited
+export const countCritical = (alerts = []) => alerts.filter((alert) => alert.severity === 'critical' && alert.state === 'active').length;
+
+// Equality matchers that silence this alert on this target
+export const alertMatchers = (alert) =>
+  SILENCE_LABELS.filter((name) => alert.labels[name]).map((name) => ({ name, value: alert.labels[name], isRegex: false, isEqual: true }));
+
+// The four Alertmanager matcher operators and their flag combinations
+export const MATCHER_OPERATORS = [
+  { operator: '=', isRegex: false, isEqual: true },
+  { operator: '!=', isRegex: false, isEqual: false },
+  { operator: '=~', isRegex: true, isEqual: true },
+  { operator: '!~', isRegex: true, isEqual: false },
+];
+
+export const matcherOperator = (matcher) =>
+  MATCHER_OPERATORS.find((item) => item.isRegex === Boolean(matcher.isRegex) && item.isEqual === (matcher.isEqual !== false)).operator;
+
+export const describeMatcher = (matcher) => `${matcher.name}${matcherOperator(matcher)}"${matcher.value}"`;
+
+// Alertmanager's matching rules: regexes are anchored, and a missing label reads as ""
+export function matcherMatches(matcher, labels) {
+  const value = labels[matcher.name] || '';
+  let matched;
+  if (matcher.isRegex) {
+    try {
+      matched = new RegExp(`^(?:${matcher.value})$`).test(value);
+    } catch {
+      return false;
+    }
+  } else {
+    matched = value === matcher.value;
+  }
+  return matcher.isEqual === false ? !matched : matched;
+}
+
+export const silenceMatches = (matchers, labels) => matchers.length > 0 && matchers.every((matcher) => matcherMatches(matcher, labels));
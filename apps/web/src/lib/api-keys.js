@@ -0,0 +1,41 @@
+// Headscale API key helpers for the API Access page: expiry choices and the warnings
+// shown next to keys that are risky to leave around.
+
+import { isKeyExpired } from '@/lib/keys';
+
+// The orchestrator parses expirations with Go's time.ParseDuration and refuses keys without one
+export const API_KEY_EXPIRATION_PRESETS = [
+  { label: '7 days', value: '168h' },
+  { label: '30 days', value: '720h' },
+  { label: '90 days', value: '2160h' },
+  { label: '180 days', value: '4320h' },
+  { label: '1 year', value: '8760h' },
+];
+
+export const DEFAULT_API_KEY_EXPIRATION = '2160h';
+
+// A key unused for this long is probably left over from a retired integration
+export const STALE_AFTER_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Keys older than this that were never used at all are flagged as well
+const UNUSED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Warnings for a key, most severe first: { kind, message }
+export function apiKeyWarnings(key, now = Date.now()) {
+  if (isKeyExpired(key, now)) return [];
+  const warnings = [];
+  if (!key.expiration) warnings.push({ kind: 'never-expires', message: 'Never expires; replace it with a key that does' });
+  if (key.lastSeen) {
+    if (now - key.lastSeen.getTime() > STALE_AFTER_MS) warnings.push({ kind: 'stale', message: 'Not used in over 30 days' });
+  } else if (key.createdAt && now - key.createdAt.getTime() > UNUSED_GRACE_MS) {
+    warnings.push({ kind: 'never-seen', message: 'Never used since it was created' });
+  }
+  return warnings;
+}
+
+// Active keys with warnings first, then active keys, then expired ones; newest first within each
+export function sortApiKeys(keys, now = Date.now()) {
+  const rank = (key) => (isKeyExpired(key, now) ? 2 : apiKeyWarnings(key, now).length > 0 ? 0 : 1);
+  const created = (key) => (key.createdAt ? key.createdAt.getTime() : 0);
+  return [...keys].sort((a, b) => rank(a) - rank(b) || created(b) - created(a));
+}
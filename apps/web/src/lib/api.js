@@ -0,0 +1,217 @@
+// Client for the Go orchestrator's /api/v1 routes. Requests go to the dashboard's own
+// /api/v1 proxy (pages/api/v1), which adds the orchestrator API key server-side.
+
+const API_BASE = '/api/v1';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, path = '', body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.path = path;
+    this.body = body;
+  }
+
+  // Network failures, timeouts, rate limiting and server errors are worth another attempt
+  get retryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseBody = async (res) => {
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+async function send(path, { method, body, timeout, signal }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  try {
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      credentials: 'same-origin',
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+    const data = await parseBody(res);
+
+    if (!res.ok) {
+      const message = (data && data.error) || `${method} ${path} failed with status ${res.status}`;
+      throw new ApiError(message, { status: res.status, path, body: data });
+    }
+    return data;
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (signal && signal.aborted) throw err;
+    const message = err.name === 'AbortError' ? `${method} ${path} timed out` : `Cannot reach the dashboard API: ${err.message}`;
+    throw new ApiError(message, { path });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+export async function request(path, { method = 'GET', body, signal, timeout = DEFAULT_TIMEOUT, retries } = {}) {
+  // Only idempotent requests are retried unless the caller asks otherwise
+  const maxRetries = retries ?? (method === 'GET' ? DEFAULT_RETRIES : 0);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(path, { method, body, timeout, signal });
+    } catch (err) {
+      if (!(err instanceof ApiError) || !err.retryable || attempt >= maxRetries) throw err;
+      await sleep(RETRY_BASE_DELAY * 2 ** attempt);
+    }
+  }
+}
+
+// Response normalization: Headscale and the orchestrator's YAML use different field names
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object' && 'seconds' in value) return new Date(Number(value.seconds) * 1000);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const stripTagPrefix = (tag) => tag.replace(/^tag:/, '');
+export const withTagPrefix = (tag) => (tag.startsWith('tag:') ? tag : `tag:${tag}`);
+
+export const normalizeNode = (node) => {
+  const tags = [...(node.forcedTags || []), ...(node.validTags || []), ...(node.tags || [])];
+  const user = typeof node.user === 'object' && node.user !== null ? node.user.name : node.user;
+  const online = typeof node.online === 'boolean' ? node.online : node.status === 'online';
+
+  return {
+    ...node,
+    id: node.id,
+    name: node.givenName || node.name,
+    hostname: node.name,
+    user: user || '',
+    ip: node.ip || (node.ipAddresses || [])[0] || '',
+    ipAddresses: node.ipAddresses || (node.ip ? [node.ip] : []),
+    status: online ? 'online' : 'offline',
+    lastSeen: toDate(node.lastSeen),
+    expiry: toDate(node.expiry),
+    createdAt: toDate(node.createdAt),
+    tags: [...new Set(tags.map(stripTagPrefix))],
+  };
+};
+
+export const normalizeUser = (user) => ({
+  ...user,
+  id: user.id ?? user.name,
+  name: user.name,
+  email: user.email || '',
+  tags: (user.tags || []).map(stripTagPrefix),
+  createdAt: toDate(user.createdAt),
+});
+
+export const normalizeKey = (key) => ({
+  ...key,
+  id: key.id ?? key.key,
+  user: typeof key.user === 'object' && key.user !== null ? key.user.name : key.user,
+  expiration: toDate(key.expiration),
+  createdAt: toDate(key.createdAt),
+  tags: (key.tags || key.aclTags || []).map(stripTagPrefix),
+});
+
+// Headscale API keys are identified by their prefix; the secret is only returned on creation
+export const normalizeApiKey = (key) => ({
+  ...key,
+  id: key.id ?? key.prefix,
+  prefix: key.prefix,
+  expiration: toDate(key.expiration),
+  createdAt: toDate(key.createdAt),
+  lastSeen: toDate(key.lastSeen),
+  inUse: Boolean(key.inUse),
+});
+
+const list = (data) => (Array.isArray(data) ? data : []);
+
+export const EXIT_ROUTES = ['0.0.0.0/0', '::/0'];
+
+// The orchestrator lists one entry per node and advertised prefix
+// ({ id, node: { id, name, givenName }, prefix, advertised, enabled, isPrimary }), read from
+// the nodes' available, approved and serving routes in Headscale.
+export const normalizeRoutes = (data) =>
+  list(data).map((route) => {
+    const node = typeof route.node === 'object' && route.node !== null ? route.node : { name: route.node };
+    return {
+      ...route,
+      id: String(route.id),
+      node: node.givenName || node.name || '',
+      nodeId: node.id ?? null,
+      prefix: route.prefix,
+      advertised: route.advertised !== false,
+      enabled: Boolean(route.enabled),
+      primary: Boolean(route.isPrimary),
+      exitNode: EXIT_ROUTES.includes(route.prefix),
+    };
+  });
+
+export const api = {
+  listUsers: (opts) => request('/users', opts).then((data) => list(data).map(normalizeUser)),
+  createUser: (user, opts) => request('/users', { ...opts, method: 'POST', body: user }).then(normalizeUser),
+  deleteUser: (name, opts) => request(`/users/${encodeURIComponent(name)}`, { ...opts, method: 'DELETE' }),
+  listNodes: (opts) => request('/nodes', opts).then((data) => list(data).map(normalizeNode)),
+  listRoutes: (opts) => request('/routes', opts).then(normalizeRoutes),
+  // Approves or withdraws prefixes of one node; an exit node's pair is passed together
+  enableRoutes: (nodeId, prefixes, opts) =>
+    request(`/nodes/${encodeURIComponent(nodeId)}/routes/enable`, { ...opts, method: 'POST', body: { routes: prefixes } }),
+  disableRoutes: (nodeId, prefixes, opts) =>
+    request(`/nodes/${encodeURIComponent(nodeId)}/routes/disable`, { ...opts, method: 'POST', body: { routes: prefixes } }),
+  listKeys: (opts) => request('/keys', opts).then((data) => list(data).map(normalizeKey)),
+  createKey: (keyRequest, opts) =>
+    request('/keys', { ...opts, method: 'POST', body: { ...keyRequest, tags: (keyRequest.tags || []).map(withTagPrefix) } }).then(
+      normalizeKey
+    ),
+  revokeKey: (id, opts) => request(`/keys/${encodeURIComponent(id)}`, { ...opts, method: 'DELETE' }),
+  listApiKeys: (opts) => request('/apikeys', opts).then((data) => list(data).map(normalizeApiKey)),
+  // Resolves to { apiKey, prefix }; `apiKey` is never retrievable again
+  createApiKey: (expiration, opts) => request('/apikeys', { ...opts, method: 'POST', body: { expiration } }),
+  expireApiKey: (prefix, opts) => request(`/apikeys/${encodeURIComponent(prefix)}/expire`, { ...opts, method: 'POST' }),
+  deleteApiKey: (prefix, opts) => request(`/apikeys/${encodeURIComponent(prefix)}`, { ...opts, method: 'DELETE' }),
+  expireNode: (id, opts) => request(`/nodes/${encodeURIComponent(id)}/expire`, { ...opts, method: 'POST' }),
+  deleteNode: (id, opts) => request(`/nodes/${encodeURIComponent(id)}`, { ...opts, method: 'DELETE' }),
+  renameNode: (id, name, opts) =>
+    request(`/nodes/${encodeURIComponent(id)}/rename`, { ...opts, method: 'POST', body: { name } }),
+  setNodeTags: (id, tags, opts) =>
+    request(`/nodes/${encodeURIComponent(id)}/tags`, { ...opts, method: 'POST', body: { tags: tags.map(withTagPrefix) } }),
+  getACL: (opts) => request('/acl', opts),
+  updateACL: (policy, opts) => request('/acl', { ...opts, method: 'PUT', body: policy }),
+  getStatus: (opts) => request('/status', opts),
+  getDrift: (opts) => request('/drift', opts),
+  // A real apply touches Headscale for every user and route, so it gets a longer timeout
+  applyConfig: ({ dryRun = false, force = false, validate = true } = {}, opts) =>
+    request('/apply', { timeout: 60000, ...opts, method: 'POST', body: { dry_run: dryRun, force, validate } }),
+  // Desired-state YAML (users.yaml, routes.yaml) as raw text plus the sha256 it was read at
+  getConfigFile: (name, opts) => request(`/config/${encodeURIComponent(name)}`, opts),
+  putConfigFile: (name, { content, baseSha256 }, opts) =>
+    request(`/config/${encodeURIComponent(name)}`, { ...opts, method: 'PUT', body: { content, base_sha256: baseSha256 } }),
+};
+
+// Non-secret deployment settings (e.g. the Headscale login server URL) served by the BFF
+export async function fetchPublicConfig({ signal } = {}) {
+  const res = await fetch('/api/config', { credentials: 'same-origin', signal });
+  if (!res.ok) throw new ApiError(`GET /api/config failed with status ${res.status}`, { status: res.status, path: '/api/config' });
+  return res.json();
+}
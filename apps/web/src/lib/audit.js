@@ -0,0 +1,119 @@
+// The dashboard's audit trail: every mutating action taken through the BFF, recorded
+// server-side by lib/server/audit. Filtering and CSV export live here so /api/audit and
+// the Audit page agree on what a filter means.
+
+import { ApiError } from '@/lib/api';
+import { toCSV } from '@/lib/csv';
+
+const AUDIT_URL = '/api/audit';
+
+// Action types recorded by the proxies, grouped by the kind of thing they change
+export const AUDIT_TYPES = {
+  'user.create': 'Create user',
+  'user.delete': 'Delete user',
+  'node.delete': 'Delete node',
+  'node.expire': 'Expire node',
+  'node.rename': 'Rename node',
+  'node.tags': 'Set node tags',
+  'route.enable': 'Enable route',
+  'route.disable': 'Disable route',
+  'key.create': 'Create pre-auth key',
+  'key.revoke': 'Revoke pre-auth key',
+  'apikey.create': 'Create API key',
+  'apikey.expire': 'Expire API key',
+  'apikey.delete': 'Revoke API key',
+  'acl.update': 'Update ACL policy',
+  'config.apply': 'Apply configuration',
+  'config.update': 'Edit desired state',
+  'silence.create': 'Create silence',
+  'silence.expire': 'Expire silence',
+  'backup.create': 'Create backup',
+  'backup.restore': 'Restore backup',
+};
+
+export const AUDIT_RESULTS = ['success', 'failure', 'denied'];
+
+export const AUDIT_QUERY_DEFAULTS = { actor: '', type: '', target: '', result: '', from: '', to: '' };
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// Filters as they appear in a query string; dates are whole days (YYYY-MM-DD, UTC)
+export function parseAuditQuery(query) {
+  const type = first(query.type) || '';
+  const result = first(query.result) || '';
+  return {
+    actor: first(query.actor) || '',
+    type: type in AUDIT_TYPES || /^[a-z]+$/.test(type) ? type : '',
+    target: first(query.target) || '',
+    result: AUDIT_RESULTS.includes(result) ? result : '',
+    from: isDay(first(query.from)) ? first(query.from) : '',
+    to: isDay(first(query.to)) ? first(query.to) : '',
+  };
+}
+
+export const serializeAuditQuery = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+export const targetLabel = (target) => {
+  if (!target) return '';
+  const name = target.name && String(target.name) !== String(target.id) ? `${target.name} ` : '';
+  return target.id !== undefined && target.id !== null ? `${target.kind} ${name}(${target.id})` : `${target.kind} ${target.name || ''}`.trim();
+};
+
+export const actorLabel = (actor) => (actor ? actor.email || actor.name || 'unknown' : 'unknown');
+
+const contains = (value, needle) => String(value || '').toLowerCase().includes(needle);
+
+// `type` matches an exact type ('node.expire') or a whole kind ('node')
+export function filterAudit(entries, { actor, type, target, result, from, to } = {}) {
+  const actorNeedle = (actor || '').trim().toLowerCase();
+  const targetNeedle = (target || '').trim().toLowerCase();
+  const start = isDay(from) ? Date.parse(`${from}T00:00:00Z`) : -Infinity;
+  const end = isDay(to) ? Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000 : Infinity;
+
+  return entries.filter((entry) => {
+    if (actorNeedle && !contains(entry.actor && entry.actor.email, actorNeedle) && !contains(entry.actor && entry.actor.name, actorNeedle)) return false;
+    if (type && entry.type !== type && !entry.type.startsWith(`${type}.`)) return false;
+    if (targetNeedle && !contains(targetLabel(entry.target), targetNeedle)) return false;
+    if (result && entry.result !== result) return false;
+    const at = Date.parse(entry.timestamp);
+    return at >= start && at < end;
+  });
+}
+
+// One-line summary for lists, e.g. "Rename node laptop"
+export function describeAudit(entry) {
+  const target = entry.target ? entry.target.name ?? entry.target.id : null;
+  return `${AUDIT_TYPES[entry.type] || entry.type}${target !== null && target !== undefined ? ` ${target}` : ''}`;
+}
+
+const CSV_COLUMNS = [
+  ['timestamp', (entry) => entry.timestamp],
+  ['actor_email', (entry) => entry.actor && entry.actor.email],
+  ['actor_name', (entry) => entry.actor && entry.actor.name],
+  ['actor_role', (entry) => entry.actor && entry.actor.role],
+  ['type', (entry) => entry.type],
+  ['target', (entry) => targetLabel(entry.target)],
+  ['result', (entry) => entry.result],
+  ['status', (entry) => entry.status],
+  ['error', (entry) => entry.error],
+  ['before', (entry) => (entry.before === null || entry.before === undefined ? '' : JSON.stringify(entry.before))],
+  ['after', (entry) => (entry.after === null || entry.after === undefined ? '' : JSON.stringify(entry.after))],
+  ['id', (entry) => entry.id],
+];
+
+export const auditToCSV = (entries) => toCSV(entries, CSV_COLUMNS);
+
+export const auditExportUrl = (filters, format) => `${AUDIT_URL}?${new URLSearchParams({ ...serializeAuditQuery(filters), format })}`;
+
+// Newest first; `limit` caps the entries returned while `total` counts every match
+export async function fetchAudit(filters = {}, { limit, signal } = {}) {
+  const query = new URLSearchParams(serializeAuditQuery(filters));
+  if (limit) query.set('limit', String(limit));
+  const res = await fetch(`${AUDIT_URL}?${query}`, { credentials: 'same-origin', signal });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new ApiError((body && body.error) || `GET ${AUDIT_URL} failed with status ${res.status}`, { status: res.status, path: AUDIT_URL, body });
+  }
+  return body;
+}
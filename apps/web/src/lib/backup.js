@@ -0,0 +1,70 @@
+// Client for the dashboard's /api/backups route, plus the formatting behind the Backups page.
+
+import { ApiError } from '@/lib/api';
+
+const BACKUP_BASE = '/api/backups';
+
+export const JOB_POLL_INTERVAL = 2000;
+
+export const JOB_LABELS = { backup: 'Backup', verify: 'Verification', 'dry-run': 'Restore dry run', restore: 'Restore' };
+
+// What each file of a snapshot holds, as written by scripts/backup.sh and the dashboard
+export const SNAPSHOT_FILES = {
+  'database.sql': 'Postgres dump',
+  'configs.tar.gz': 'config/ and data/ archive',
+  'env.sanitized': 'Environment without secrets',
+  'manifest.json': 'Checksums',
+};
+
+async function backupRequest(path, { method = 'GET', body, signal } = {}) {
+  const url = path ? `${BACKUP_BASE}/${path}` : BACKUP_BASE;
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      credentials: 'same-origin',
+      signal,
+    });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new ApiError(`Cannot reach the dashboard API: ${err.message}`, { path: url });
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError((data && data.error) || `${method} ${url} failed with status ${res.status}`, { status: res.status, path: url, body: data });
+  return data;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const normalizeSnapshot = (raw) => ({ ...raw, createdAt: toDate(raw.createdAt), expiresAt: toDate(raw.expiresAt) });
+
+export const backups = {
+  list: ({ signal } = {}) =>
+    backupRequest('', { signal }).then((data) => ({ ...data, snapshots: data.snapshots.map(normalizeSnapshot) })),
+  get: (name, { signal } = {}) => backupRequest(encodeURIComponent(name), { signal }).then(normalizeSnapshot),
+  create: () => backupRequest('', { method: 'POST' }).then((data) => data.job),
+  verify: (name) => backupRequest(`${encodeURIComponent(name)}/verify`, { method: 'POST' }).then((data) => data.job),
+  // Without `dryRun: false` nothing is changed; a real restore needs `confirm` set to the name
+  restore: (name, { dryRun = true, confirm } = {}) =>
+    backupRequest(`${encodeURIComponent(name)}/restore`, { method: 'POST', body: { dryRun, confirm } }).then((data) => data.job),
+  job: (id, { signal } = {}) => backupRequest(`jobs/${encodeURIComponent(id)}`, { signal }),
+};
+
+export const backupDownloadUrl = (name, file) => `${BACKUP_BASE}/${encodeURIComponent(name)}/download?${new URLSearchParams({ file })}`;
+
+export const isJobRunning = (job) => Boolean(job && job.status === 'running');
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(value < 10 ? 1 : 0)} ${BYTE_UNITS[unit]}`;
+}
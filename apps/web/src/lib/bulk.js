@@ -0,0 +1,86 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Bulk operations: one task per item with a concurrency limit, per-item results, and
+// retry of just the items that failed.
+
+export const DEFAULT_CONCURRENCY = 4;
+
+// Runs `task(item)` for every item, at most `concurrency` at a time. `onUpdate(index, result)`
+// reports each item as it starts ('running') and settles ('success' | 'error'); once
+// `shouldStop()` returns true, items that have not started are reported as 'cancelled'.
+export async function runWithConcurrency(items, task, { concurrency = DEFAULT_CONCURRENCY, onUpdate = () => {}, shouldStop = () => false } = {}) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      if (shouldStop()) {
+        onUpdate(index, { status: 'cancelled' });
+        continue;
+      }
+      onUpdate(index, { status: 'running' });
+      try {
+        const value = await task(items[index]);
+        onUpdate(index, { status: 'success', value });
+      } catch (error) {
+        onUpdate(index, { status: 'error', error });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+export const summarizeResults = (entries) =>
+  entries.reduce((counts, entry) => ({ ...counts, [entry.status]: (counts[entry.status] || 0) + 1 }), {});
+
+// State for the bulk progress dialog. `start({ title, items, getLabel, task })` runs a new
+// operation; `retryFailed` re-runs the failed and cancelled items with the same task.
+export function useBulkOperation({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const [operation, setOperation] = useState(null);
+  const stopRef = useRef(false);
+
+  const run = useCallback(
+    async (title, entries, task) => {
+      stopRef.current = false;
+      setOperation({ title, entries, task, running: true });
+      const update = (index, result) =>
+        setOperation((current) => ({
+          ...current,
+          entries: current.entries.map((entry, i) => (i === index ? { ...entry, ...result, error: result.error || null } : entry)),
+        }));
+      await runWithConcurrency(entries, (entry) => task(entry.item), { concurrency, onUpdate: update, shouldStop: () => stopRef.current });
+      setOperation((current) => ({ ...current, running: false }));
+    },
+    [concurrency]
+  );
+
+  const start = useCallback(
+    ({ title, items, getLabel, task }) =>
+      run(title, items.map((item) => ({ item, label: getLabel(item), status: 'pending', error: null })), task),
+    [run]
+  );
+
+  const retryFailed = useCallback(() => {
+    if (!operation || operation.running) return undefined;
+    const failed = operation.entries.filter((entry) => entry.status === 'error' || entry.status === 'cancelled');
+    return run(operation.title, failed.map((entry) => ({ ...entry, status: 'pending', error: null })), operation.task);
+  }, [operation, run]);
+
+  // Items already in flight finish; the rest are skipped
+  const cancel = useCallback(() => {
+    stopRef.current = true;
+  }, []);
+
+  const close = useCallback(() => setOperation((current) => (current && current.running ? current : null)), []);
+
+  return { operation, start, retryFailed, cancel, close };
+}
+
+// New tag list for a bulk retag: 'add' and 'remove' adjust each node's own tags,
+// 'replace' sets the same list everywhere
+export function retag(tags, mode, chosen) {
+  if (mode === 'add') return [...new Set([...tags, ...chosen])];
+  if (mode === 'remove') return tags.filter((tag) => !chosen.includes(tag));
+  return [...chosen];
+}
+
+export const sameTagSet = (a, b) => a.length === b.length && a.every((tag) => b.includes(tag));
@@ -0,0 +1,125 @@
+// IPv4/IPv6 address and prefix helpers. Addresses are compared as BigInts so both
+// families share the same containment logic.
+
+// Ranges Headscale allocates node addresses from
+export const TAILNET_IPV4 = '100.64.0.0/10';
+export const TAILNET_IPV6 = 'fd7a:115c:a1e0::/48';
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+
+export const isIPv4 = (value) => IPV4.test(value);
+
+export function isIPv6(value) {
+  if (!/^[0-9a-fA-F:]+$/.test(value) || !value.includes(':')) return false;
+  const halves = value.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.flatMap((half) => (half ? half.split(':') : []));
+  return groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group)) && (halves.length === 2 ? groups.length < 8 : groups.length === 8);
+}
+
+export const isIP = (value) => isIPv4(value) || isIPv6(value);
+
+export function isCIDR(value) {
+  const [address, bits, ...rest] = value.split('/');
+  if (rest.length) return false;
+  if (bits === undefined) return isIP(address);
+  const prefix = Number(bits);
+  if (!/^\d+$/.test(bits)) return false;
+  if (isIPv4(address)) return prefix <= 32;
+  return isIPv6(address) && prefix <= 128;
+}
+
+// "10.0.0.1" -> { family: 4, value: 167772161n }, or null when not an address
+export function parseAddress(address) {
+  if (isIPv4(address)) {
+    const value = address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+    return { family: 4, value };
+  }
+  if (isIPv6(address)) {
+    const [head, tail] = address.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { family: 6, value };
+  }
+  return null;
+}
+
+// "10.0.0.0/8" -> { family, bits, start, end }; a bare address is a single-host prefix.
+// Host bits are masked off, so "10.1.2.3/8" covers the same range as "10.0.0.0/8".
+export function parseCIDR(cidr) {
+  if (typeof cidr !== 'string' || !isCIDR(cidr)) return null;
+  const [address, bits] = cidr.split('/');
+  const parsed = parseAddress(address);
+  const width = parsed.family === 4 ? 32n : 128n;
+  const prefix = bits === undefined ? width : BigInt(bits);
+  const size = 1n << (width - prefix);
+  const start = (parsed.value / size) * size;
+  return { family: parsed.family, bits: Number(prefix), start, end: start + size - 1n };
+}
+
+export function cidrContains(cidr, address) {
+  const range = typeof cidr === 'string' ? parseCIDR(cidr) : cidr;
+  const parsed = parseAddress(address);
+  return Boolean(range && parsed && range.family === parsed.family && parsed.value >= range.start && parsed.value <= range.end);
+}
+
+export const isTailnetAddress = (address) => cidrContains(TAILNET_IPV4, address) || cidrContains(TAILNET_IPV6, address);
+
+// Private, loopback and link-local ranges; only reachable through subnet routes, never "the internet"
+const PRIVATE_RANGES = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '127.0.0.0/8', '169.254.0.0/16', 'fc00::/7', 'fe80::/10', '::1/128'];
+
+export const isPrivateAddress = (address) => PRIVATE_RANGES.some((range) => cidrContains(range, address));
+
+export function cidrOverlaps(a, b) {
+  const left = typeof a === 'string' ? parseCIDR(a) : a;
+  const right = typeof b === 'string' ? parseCIDR(b) : b;
+  return Boolean(left && right && left.family === right.family && left.start <= right.end && right.start <= left.end);
+}
+
+const isDefaultRoute = (range) => range.bits === 0;
+
+// Problems with a set of advertised routes ({ node, prefix }): prefixes that overlap the
+// tailnet's own ranges, and prefixes advertised by more than one node that overlap.
+// Exit-node default routes are skipped since they overlap everything by design.
+export function findRouteConflicts(routes) {
+  const conflicts = [];
+  const parsed = routes
+    .map((route) => ({ route, range: parseCIDR(route.prefix) }))
+    .filter(({ route, range }) => {
+      if (!range) conflicts.push({ type: 'invalid', severity: 'error', routes: [route], message: `${route.prefix} on ${route.node} is not a valid CIDR prefix` });
+      return range && !isDefaultRoute(range);
+    });
+
+  for (const { route, range } of parsed) {
+    const tailnet = range.family === 4 ? TAILNET_IPV4 : TAILNET_IPV6;
+    if (cidrOverlaps(range, tailnet)) {
+      conflicts.push({
+        type: 'tailnet',
+        severity: 'error',
+        routes: [route],
+        message: `${route.prefix} on ${route.node} overlaps the tailnet range ${tailnet}`,
+      });
+    }
+  }
+
+  for (let i = 0; i < parsed.length; i++) {
+    for (let j = i + 1; j < parsed.length; j++) {
+      const a = parsed[i];
+      const b = parsed[j];
+      if (a.route.node === b.route.node || !cidrOverlaps(a.range, b.range)) continue;
+      const identical = a.range.start === b.range.start && a.range.bits === b.range.bits;
+      conflicts.push({
+        type: 'overlap',
+        severity: 'warning',
+        routes: [a.route, b.route],
+        message: identical
+          ? `${a.route.prefix} is advertised by both ${a.route.node} and ${b.route.node}; only one will be primary`
+          : `${a.route.prefix} on ${a.route.node} overlaps ${b.route.prefix} on ${b.route.node}`,
+      });
+    }
+  }
+
+  return conflicts;
+}
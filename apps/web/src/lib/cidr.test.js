@@ -0,0 +1,110 @@
+import { cidrContains, cidrOverlaps, findRouteConflicts, isCIDR, parseCIDR } from '@/lib/cidr';
+
+const route = (node, prefix) => ({ node, prefix });
+const summarize = (conflicts) => conflicts.map(({ type, severity, message }) => [type, severity, message]);
+
+describe('isCIDR', () => {
+  it('accepts addresses and prefixes of both families', () => {
+    for (const value of ['10.0.0.0/8', '192.168.1.10', '0.0.0.0/0', '::/0', 'fd7a:115c:a1e0::/48', '2001:db8::1', '2001:db8:0:0:0:0:0:1/128']) {
+      expect(isCIDR(value)).toBe(true);
+    }
+  });
+
+  it('rejects malformed input', () => {
+    for (const value of ['', '10.0.0/8', '256.0.0.1', '10.0.0.0/33', '10.0.0.0/', '10.0.0.0/8/1', '10.0.0.0/-1', 'fd7a::115c::1', '2001:db8::/129', 'office', '1:2:3:4:5:6:7:8:9']) {
+      expect(isCIDR(value)).toBe(false);
+    }
+  });
+});
+
+describe('parseCIDR', () => {
+  it('masks host bits', () => {
+    expect(parseCIDR('10.1.2.3/8')).toEqual(parseCIDR('10.0.0.0/8'));
+  });
+
+  it('treats a bare address as a single host', () => {
+    const range = parseCIDR('192.168.1.10');
+    expect(range.bits).toBe(32);
+    expect(range.start).toBe(range.end);
+  });
+
+  it('returns null for anything that is not a prefix', () => {
+    expect(parseCIDR('not-a-prefix')).toBeNull();
+    expect(parseCIDR(undefined)).toBeNull();
+  });
+});
+
+describe('cidrContains', () => {
+  it('checks IPv4 range boundaries', () => {
+    expect(cidrContains('100.64.0.0/10', '100.64.0.0')).toBe(true);
+    expect(cidrContains('100.64.0.0/10', '100.127.255.255')).toBe(true);
+    expect(cidrContains('100.64.0.0/10', '100.128.0.0')).toBe(false);
+    expect(cidrContains('100.64.0.0/10', '100.63.255.255')).toBe(false);
+  });
+
+  it('checks IPv6 ranges, including compressed forms', () => {
+    expect(cidrContains('fd7a:115c:a1e0::/48', 'fd7a:115c:a1e0::1')).toBe(true);
+    expect(cidrContains('fd7a:115c:a1e0::/48', 'fd7a:115c:a1e0:ffff:ffff:ffff:ffff:ffff')).toBe(true);
+    expect(cidrContains('fd7a:115c:a1e0::/48', 'fd7a:115c:a1e1::1')).toBe(false);
+    expect(cidrContains('::/0', '2001:db8::1')).toBe(true);
+  });
+
+  it('never matches across families', () => {
+    expect(cidrContains('0.0.0.0/0', '::1')).toBe(false);
+    expect(cidrContains('::/0', '10.0.0.1')).toBe(false);
+  });
+
+  it('is false for malformed prefixes or addresses', () => {
+    expect(cidrContains('10.0.0.0/40', '10.0.0.1')).toBe(false);
+    expect(cidrContains('10.0.0.0/8', '10.0.0')).toBe(false);
+    expect(cidrContains('10.0.0.0/8', 'office')).toBe(false);
+  });
+});
+
+describe('cidrOverlaps', () => {
+  it('detects nested and disjoint prefixes', () => {
+    expect(cidrOverlaps('10.0.0.0/8', '10.20.0.0/16')).toBe(true);
+    expect(cidrOverlaps('10.20.0.0/16', '10.0.0.0/8')).toBe(true);
+    expect(cidrOverlaps('10.0.0.0/16', '10.1.0.0/16')).toBe(false);
+    expect(cidrOverlaps('2001:db8::/32', '2001:db8:1::/48')).toBe(true);
+  });
+});
+
+describe('findRouteConflicts', () => {
+  it('finds nothing for disjoint routes', () => {
+    expect(findRouteConflicts([route('gw-a', '10.1.0.0/16'), route('gw-b', '10.2.0.0/16'), route('gw-c', '2001:db8:1::/48')])).toEqual([]);
+  });
+
+  it('flags prefixes overlapping the tailnet ranges', () => {
+    const conflicts = findRouteConflicts([route('gw-a', '100.100.0.0/16'), route('gw-b', '100.0.0.0/8'), route('gw-c', 'fd7a:115c:a1e0:1::/64')]);
+    expect(summarize(conflicts)).toEqual([
+      ['tailnet', 'error', '100.100.0.0/16 on gw-a overlaps the tailnet range 100.64.0.0/10'],
+      ['tailnet', 'error', '100.0.0.0/8 on gw-b overlaps the tailnet range 100.64.0.0/10'],
+      ['tailnet', 'error', 'fd7a:115c:a1e0:1::/64 on gw-c overlaps the tailnet range fd7a:115c:a1e0::/48'],
+      ['overlap', 'warning', '100.100.0.0/16 on gw-a overlaps 100.0.0.0/8 on gw-b'],
+    ]);
+  });
+
+  it('warns about overlapping and identical prefixes on different nodes', () => {
+    const conflicts = findRouteConflicts([route('gw-a', '10.0.0.0/8'), route('gw-b', '10.20.0.0/16'), route('gw-c', '10.20.0.0/16'), route('gw-d', '2001:db8::/32'), route('gw-e', '2001:db8:5::/48')]);
+    expect(summarize(conflicts)).toEqual([
+      ['overlap', 'warning', '10.0.0.0/8 on gw-a overlaps 10.20.0.0/16 on gw-b'],
+      ['overlap', 'warning', '10.0.0.0/8 on gw-a overlaps 10.20.0.0/16 on gw-c'],
+      ['overlap', 'warning', '10.20.0.0/16 is advertised by both gw-b and gw-c; only one will be primary'],
+      ['overlap', 'warning', '2001:db8::/32 on gw-d overlaps 2001:db8:5::/48 on gw-e'],
+    ]);
+    expect(conflicts[2].routes.map((r) => r.node)).toEqual(['gw-b', 'gw-c']);
+  });
+
+  it('ignores overlaps within one node and exit-node default routes', () => {
+    expect(findRouteConflicts([route('gw-a', '10.0.0.0/8'), route('gw-a', '10.1.0.0/16'), route('exit', '0.0.0.0/0'), route('exit', '::/0')])).toEqual([]);
+  });
+
+  it('reports malformed prefixes and skips them otherwise', () => {
+    const conflicts = findRouteConflicts([route('gw-a', '10.0.0.0/33'), route('gw-b', 'office'), route('gw-c', '10.0.0.0/8')]);
+    expect(summarize(conflicts)).toEqual([
+      ['invalid', 'error', '10.0.0.0/33 on gw-a is not a valid CIDR prefix'],
+      ['invalid', 'error', 'office on gw-b is not a valid CIDR prefix'],
+    ]);
+  });
+});
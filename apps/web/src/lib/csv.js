@@ -0,0 +1,12 @@
+// CSV export helpers. `columns` is a list of [header, getter] pairs.
+
+// RFC 4180 quoting; cells starting with a formula character are prefixed so spreadsheets
+// don't evaluate values that came from user input
+export function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const toCSV = (rows, columns) =>
+  [columns.map(([name]) => csvCell(name)).join(','), ...rows.map((row) => columns.map(([, get]) => csvCell(get(row))).join(','))].join('\r\n') + '\r\n';
@@ -0,0 +1,211 @@
+import { LineCounter, isMap, isScalar, isSeq, parseDocument } from 'yaml';
+import { EXIT_ROUTES } from '@/lib/api';
+import { isCIDR } from '@/lib/cidr';
+
+// The orchestrator's desired-state files: users.yaml ([]User) and routes.yaml ([]Route),
+// read by `apply` to reconcile Headscale. The editor keeps the YAML text as the source of
+// truth and makes form edits through the `yaml` Document API, so entry and key order and
+// comments survive a round trip.
+
+export const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// Field schemas mirror the Go structs; `key` must be unique across entries
+export const DESIRED_STATE_FILES = {
+  users: {
+    file: 'users.yaml',
+    label: 'Users',
+    noun: 'user',
+    key: 'name',
+    fields: [
+      { name: 'name', label: 'Name', type: 'string', required: true },
+      { name: 'email', label: 'Email', type: 'string', validate: (value) => (isValidEmail(value) ? null : `"${value}" is not a valid email address`) },
+      { name: 'tags', label: 'Tags', type: 'list' },
+    ],
+  },
+  routes: {
+    file: 'routes.yaml',
+    label: 'Routes',
+    noun: 'route entry',
+    key: 'node',
+    fields: [
+      { name: 'node', label: 'Node', type: 'string', required: true },
+      {
+        name: 'routes',
+        label: 'Routes',
+        type: 'list',
+        validateItem: (prefix) => {
+          if (!isCIDR(prefix)) return { severity: 'error', message: `"${prefix}" is not a CIDR prefix` };
+          if (EXIT_ROUTES.includes(prefix)) return { severity: 'warning', message: `${prefix} is an exit route; set advertise_exit_node instead` };
+          return null;
+        },
+      },
+      { name: 'advertise_exit_node', label: 'Exit node', type: 'boolean' },
+    ],
+  },
+};
+
+const TO_STRING = { lineWidth: 0, flowCollectionPadding: false };
+
+const TYPE_NAMES = { string: 'a string', list: 'a list of strings', boolean: 'true or false' };
+
+function checkType(node, type) {
+  if (node === null || node === undefined) return true;
+  if (isScalar(node) && node.value === null) return true;
+  if (type === 'string') return isScalar(node) && typeof node.value !== 'boolean' && typeof node.value !== 'object';
+  if (type === 'boolean') return isScalar(node) && typeof node.value === 'boolean';
+  return isSeq(node) && node.items.every((item) => isScalar(item) && typeof item.value !== 'object');
+}
+
+// Parses and validates a file: { doc, entries, issues, syntaxError }. `entries` is the plain
+// data (null when the structure is unusable); issues carry a 1-based line and column.
+export function analyzeDesiredState(kind, text) {
+  const schema = DESIRED_STATE_FILES[kind];
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter, uniqueKeys: true, prettyErrors: false });
+  const issues = [];
+  const at = (node) => {
+    if (!node || !node.range) return {};
+    const { line, col } = lineCounter.linePos(node.range[0]);
+    return { line, column: col };
+  };
+  const push = (severity, message, node) => issues.push({ severity, message, ...at(node) });
+
+  for (const [severity, list] of [['error', doc.errors], ['warning', doc.warnings]]) {
+    for (const problem of list) {
+      const { line, col } = lineCounter.linePos(problem.pos[0]);
+      issues.push({ severity, message: problem.message, line, column: col });
+    }
+  }
+  if (doc.errors.length > 0) return { doc, entries: null, issues, syntaxError: true };
+
+  const root = doc.contents;
+  if (root !== null && !isSeq(root) && !(isScalar(root) && root.value === null)) {
+    push('error', `${schema.file} must be a list of ${schema.noun} entries`, root);
+    return { doc, entries: null, issues };
+  }
+
+  const items = isSeq(root) ? root.items : [];
+  const seen = new Map();
+  items.forEach((item, index) => {
+    if (!isMap(item)) {
+      push('error', `Entry ${index + 1} must be a mapping of ${schema.fields.map((field) => field.name).join(', ')}`, item);
+      return;
+    }
+    for (const pair of item.items) {
+      const name = isScalar(pair.key) ? pair.key.value : null;
+      const field = schema.fields.find((candidate) => candidate.name === name);
+      if (!field) {
+        push('error', `Unknown field "${name}" in entry ${index + 1}`, pair.key);
+        continue;
+      }
+      if (!checkType(pair.value, field.type)) {
+        push('error', `${field.name} in entry ${index + 1} must be ${TYPE_NAMES[field.type]}`, pair.value || pair.key);
+        continue;
+      }
+      const value = pair.value && pair.value.toJSON ? pair.value.toJSON() : null;
+      if (field.type === 'string' && value !== null && value !== '' && field.validate) {
+        const message = field.validate(String(value));
+        if (message) push('error', message, pair.value);
+      }
+      if (field.type === 'list' && field.validateItem && isSeq(pair.value)) {
+        for (const entry of pair.value.items) {
+          const problem = field.validateItem(String(entry.value));
+          if (problem) push(problem.severity, problem.message, entry);
+        }
+      }
+    }
+    for (const field of schema.fields.filter((candidate) => candidate.required)) {
+      const value = item.get(field.name);
+      if (value === undefined || value === null || String(value).trim() === '') {
+        push('error', `Entry ${index + 1} needs a ${field.name}`, item);
+      }
+    }
+    const key = item.get(schema.key);
+    if (key !== undefined && key !== null && String(key).trim() !== '') {
+      if (seen.has(String(key))) push('error', `Duplicate ${schema.key} "${key}" (also entry ${seen.get(String(key)) + 1})`, item.get(schema.key, true));
+      else seen.set(String(key), index);
+    }
+  });
+
+  if (kind === 'routes') {
+    items.forEach((item, index) => {
+      if (isMap(item) && !item.get('advertise_exit_node') && !(isSeq(item.get('routes', true)) && item.get('routes', true).items.length)) {
+        push('warning', `Entry ${index + 1} advertises no routes and is not an exit node`, item);
+      }
+    });
+  }
+
+  const entries = items.map((item) => (isMap(item) ? item.toJSON() : null));
+  return { doc, entries, issues };
+}
+
+// A comment above the first entry is read as that entry's, but is usually the file's
+// header; it stays at the top when entries are removed or reordered
+const edit = (text, change) => {
+  const doc = parseDocument(text);
+  if (!isSeq(doc.contents)) doc.contents = doc.createNode([]);
+  const seq = doc.contents;
+  const first = seq.items[0];
+  const header = first && first.commentBefore;
+  change(doc, seq);
+  if (header && seq.items[0] !== first) {
+    if (seq.items.includes(first)) first.commentBefore = undefined;
+    const next = seq.items[0];
+    if (next) {
+      // A blank line above the new first entry now separates it from the header instead
+      next.commentBefore = [header, next.spaceBefore ? '' : null, next.commentBefore].filter((line) => typeof line === 'string').join('\n');
+      next.spaceBefore = false;
+    } else {
+      doc.commentBefore = header;
+    }
+  }
+  return doc.toString(TO_STRING);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+
+// Sets one field of entry `index`. Optional fields left empty are removed rather than
+// written as "", [] or false; an existing node is updated in place so its style and
+// comments are kept.
+export function setEntryField(kind, text, index, fieldName, value) {
+  const field = DESIRED_STATE_FILES[kind].fields.find((candidate) => candidate.name === fieldName);
+  return edit(text, (doc, seq) => {
+    const item = seq.items[index];
+    if (!isMap(item)) return;
+    const existing = item.get(fieldName, true);
+    if (isEmpty(value) && !field.required) {
+      item.delete(fieldName);
+    } else if (field.type === 'list') {
+      const node = doc.createNode(value);
+      node.flow = isSeq(existing) ? existing.flow : true;
+      if (existing) {
+        node.comment = existing.comment;
+        node.commentBefore = existing.commentBefore;
+      }
+      item.set(fieldName, node);
+    } else if (isScalar(existing)) {
+      existing.value = value;
+    } else {
+      item.set(fieldName, value);
+    }
+  });
+}
+
+// Appends an entry with just its required fields
+export const addEntry = (kind, text) =>
+  edit(text, (doc, seq) => {
+    const blank = Object.fromEntries(DESIRED_STATE_FILES[kind].fields.filter((field) => field.required).map((field) => [field.name, '']));
+    seq.items.push(doc.createNode(blank));
+  });
+
+export const removeEntry = (text, index) =>
+  edit(text, (doc, seq) => {
+    seq.items.splice(index, 1);
+  });
+
+export const moveEntry = (text, index, to) =>
+  edit(text, (doc, seq) => {
+    if (to < 0 || to >= seq.items.length) return;
+    const [item] = seq.items.splice(index, 1);
+    seq.items.splice(to, 0, item);
+  });
@@ -0,0 +1,106 @@
+import { addEntry, analyzeDesiredState, moveEntry, removeEntry, setEntryField } from '@/lib/desired-state';
+
+const USERS = `# Tailnet users, applied by the orchestrator
+- name: alice
+  email: alice@corp.example # team lead
+  tags: [admin, dev]
+
+# Contractors
+- name: bob
+  tags:
+    - dev
+- name: carol
+  email: carol@corp.example
+`;
+
+const ROUTES = `# Subnet routers
+- node: gw-office
+  routes: [10.0.0.0/16, 192.168.1.0/24] # office LAN
+- node: exit-1
+  advertise_exit_node: true
+`;
+
+describe('desired-state editing', () => {
+  it('leaves the file untouched when nothing changes', () => {
+    expect(setEntryField('users', USERS, 0, 'name', 'alice')).toBe(USERS);
+  });
+
+  it('updates a scalar in place, keeping its comment', () => {
+    expect(setEntryField('users', USERS, 0, 'email', 'alice@new.example')).toBe(USERS.replace('alice@corp.example', 'alice@new.example'));
+  });
+
+  it('adds a missing field at the end of the entry', () => {
+    expect(setEntryField('users', USERS, 1, 'email', 'bob@corp.example')).toBe(USERS.replace('    - dev\n', '    - dev\n  email: bob@corp.example\n'));
+  });
+
+  it('removes optional fields that are cleared', () => {
+    expect(setEntryField('users', USERS, 2, 'email', '')).toBe(USERS.replace('- name: carol\n  email: carol@corp.example\n', '- name: carol\n'));
+    expect(setEntryField('users', USERS, 0, 'tags', [])).toBe(USERS.replace('  tags: [admin, dev]\n', ''));
+  });
+
+  it('keeps the flow or block style of a list it replaces', () => {
+    expect(setEntryField('users', USERS, 0, 'tags', ['admin'])).toBe(USERS.replace('[admin, dev]', '[admin]'));
+    expect(setEntryField('users', USERS, 1, 'tags', ['dev', 'ops'])).toBe(USERS.replace('    - dev\n', '    - dev\n    - ops\n'));
+  });
+
+  it('keeps the comment on a replaced list', () => {
+    const text = setEntryField('routes', ROUTES, 0, 'routes', ['10.0.0.0/16']);
+    expect(text).toBe(ROUTES.replace('[10.0.0.0/16, 192.168.1.0/24]', '[10.0.0.0/16]'));
+  });
+
+  it('writes booleans and drops false ones', () => {
+    expect(setEntryField('routes', ROUTES, 0, 'advertise_exit_node', true)).toBe(
+      ROUTES.replace('# office LAN\n', '# office LAN\n  advertise_exit_node: true\n')
+    );
+    expect(setEntryField('routes', ROUTES, 1, 'advertise_exit_node', false)).toBe(ROUTES.replace('  advertise_exit_node: true\n', ''));
+  });
+
+  it('appends an entry with its required fields', () => {
+    expect(addEntry('users', USERS)).toBe(`${USERS}- name: ""\n`);
+    expect(addEntry('routes', '')).toBe('- node: ""\n');
+  });
+
+  it('removes an entry with its comment and keeps the file header', () => {
+    expect(removeEntry(USERS, 1)).toBe(USERS.replace('\n# Contractors\n- name: bob\n  tags:\n    - dev\n', ''));
+    expect(removeEntry(USERS, 0)).toBe(`# Tailnet users, applied by the orchestrator
+
+# Contractors
+- name: bob
+  tags:
+    - dev
+- name: carol
+  email: carol@corp.example
+`);
+  });
+
+  it('moves entries with their comments and keeps the header first', () => {
+    expect(moveEntry(ROUTES, 1, 0)).toBe(`# Subnet routers
+- node: exit-1
+  advertise_exit_node: true
+- node: gw-office
+  routes: [10.0.0.0/16, 192.168.1.0/24] # office LAN
+`);
+    expect(moveEntry(ROUTES, 0, 5)).toBe(ROUTES);
+    expect(moveEntry(USERS, 0, 2)).toBe(`# Tailnet users, applied by the orchestrator
+
+# Contractors
+- name: bob
+  tags:
+    - dev
+- name: carol
+  email: carol@corp.example
+- name: alice
+  email: alice@corp.example # team lead
+  tags: [admin, dev]
+`);
+  });
+
+  it('produces files that still validate', () => {
+    for (const [kind, text] of [
+      ['users', setEntryField('users', USERS, 1, 'email', 'bob@corp.example')],
+      ['routes', moveEntry(ROUTES, 1, 0)],
+    ]) {
+      expect(analyzeDesiredState(kind, text).issues).toEqual([]);
+    }
+  });
+});
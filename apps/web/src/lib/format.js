@@ -0,0 +1,21 @@
+const UNITS = [
+  ['year', 365 * 24 * 3600],
+  ['month', 30 * 24 * 3600],
+  ['day', 24 * 3600],
+  ['hour', 3600],
+  ['min', 60],
+  ['sec', 1],
+];
+
+// "2 hours ago" / "in 3 days" style text for a Date, relative to `now`
+export function formatRelativeTime(date, now = Date.now()) {
+  if (!date) return 'never';
+  const diff = Math.round((now - date.getTime()) / 1000);
+  const abs = Math.abs(diff);
+  if (abs < 10) return 'just now';
+
+  const [unit, seconds] = UNITS.find(([, s]) => abs >= s);
+  const count = Math.floor(abs / seconds);
+  const label = `${count} ${unit}${count === 1 || unit === 'min' || unit === 'sec' ? '' : 's'}`;
+  return diff > 0 ? `${label} ago` : `in ${label}`;
+}
@@ -0,0 +1,34 @@
+// System health as reported by /api/health: one entry per component, each with a status
+// of 'operational', 'degraded', 'outage' or 'unknown', plus the overall (worst) status.
+
+import { ApiError } from '@/lib/api';
+
+// Least to most severe. Unknown counts as degraded overall: monitoring itself is impaired.
+const SEVERITY = { operational: 0, unknown: 1, degraded: 1, outage: 2 };
+
+export function worstStatus(statuses) {
+  let worst = 'operational';
+  for (const status of statuses) {
+    const normalized = status === 'unknown' ? 'degraded' : status;
+    if (SEVERITY[normalized] > SEVERITY[worst]) worst = normalized;
+  }
+  return worst;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+export async function fetchHealth({ signal } = {}) {
+  const res = await fetch('/api/health', { credentials: 'same-origin', signal });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new ApiError((body && body.error) || `GET /api/health failed with status ${res.status}`, { status: res.status, path: '/api/health', body });
+  }
+  return {
+    ...body,
+    checkedAt: toDate(body.checkedAt),
+    components: body.components.map((component) => ({
+      ...component,
+      lastError: component.lastError && { ...component.lastError, at: toDate(component.lastError.at) },
+    })),
+  };
+}
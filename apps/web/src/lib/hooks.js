@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { api, fetchPublicConfig } from '@/lib/api';
+import { prometheus } from '@/lib/prometheus';
+import { alertmanager } from '@/lib/alerts';
+import { fetchHealth } from '@/lib/health';
+import { fetchAudit } from '@/lib/audit';
+import { fetchSyncHistory } from '@/lib/sync-history';
+import { JOB_POLL_INTERVAL, backups, isJobRunning } from '@/lib/backup';
+
+// Runs `fetcher` on mount and whenever `deps` change; `refresh` re-runs it on demand
+// and `mutate` edits the cached data in place. Stale data is kept while reloading so
+// views don't flash back to a spinner.
+export function useResource(fetcher, deps = []) {
+  const [state, setState] = useState({ data: undefined, error: null, loading: true });
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const controllerRef = useRef(null);
+
+  const load = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    return fetcherRef.current({ signal: controller.signal }).then(
+      (data) => {
+        if (!controller.signal.aborted) setState({ data, error: null, loading: false });
+      },
+      (error) => {
+        if (!controller.signal.aborted) setState((prev) => ({ ...prev, error, loading: false }));
+      }
+    );
+  }, deps);
+
+  useEffect(() => {
+    load();
+    return () => controllerRef.current && controllerRef.current.abort();
+  }, [load]);
+
+  // Local edit of the cached data, used for optimistic updates
+  const mutate = useCallback((updater) => {
+    setState((prev) => ({ ...prev, data: typeof updater === 'function' ? updater(prev.data) : updater }));
+  }, []);
+
+  return { ...state, refresh: load, mutate };
+}
+
+export const useUsers = () => useResource(api.listUsers);
+export const useNodes = () => useResource(api.listNodes);
+export const useRoutes = () => useResource(api.listRoutes);
+export const useKeys = () => useResource(api.listKeys);
+export const useApiKeys = () => useResource(api.listApiKeys);
+export const useACL = () => useResource(api.getACL);
+export const useStatus = () => useResource(api.getStatus);
+export const useDrift = () => useResource(api.getDrift);
+export const usePublicConfig = () => useResource(fetchPublicConfig);
+export const useSilences = () => useResource(alertmanager.listSilences);
+export const useConfigFile = (name) => useResource(({ signal }) => api.getConfigFile(name, { signal }), [name]);
+
+// useResource that also re-fetches every `interval` ms while mounted
+export function usePolledResource(fetcher, interval) {
+  const resource = useResource(fetcher);
+  const { refresh } = resource;
+  useEffect(() => {
+    const timer = setInterval(refresh, interval);
+    return () => clearInterval(timer);
+  }, [refresh, interval]);
+  return resource;
+}
+
+const ALERT_REFRESH_INTERVAL = 60000;
+const HEALTH_REFRESH_INTERVAL = 30000;
+
+// Active alerts, re-fetched every minute so the tab badge follows Alertmanager
+export const useAlerts = () => usePolledResource(alertmanager.listAlerts, ALERT_REFRESH_INTERVAL);
+export const useHealth = () => usePolledResource(fetchHealth, HEALTH_REFRESH_INTERVAL);
+
+// Audit log entries matching `filters` (see lib/audit), newest first, as { entries, total }
+export function useAudit(filters, { limit } = {}) {
+  const key = JSON.stringify(filters);
+  return useResource(({ signal }) => fetchAudit(filters, { limit, signal }), [key, limit]);
+}
+
+// Config Sync runs from the audit log, newest first (see lib/sync-history)
+export const useSyncHistory = () => useResource(fetchSyncHistory);
+
+export const useBackups = () => useResource(backups.list);
+
+// A backup job (see lib/backup), re-fetched until it finishes; no id means no job
+export function useBackupJob(id) {
+  const resource = useResource(({ signal }) => (id ? backups.job(id, { signal }) : Promise.resolve(null)), [id]);
+  const { data, error, refresh } = resource;
+  // A failed poll is retried too, so a blip does not freeze the progress display
+  useEffect(() => {
+    if (!isJobRunning(data)) return undefined;
+    const timer = setTimeout(refresh, JOB_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [data, error, refresh]);
+  return resource;
+}
+
+// Range query ending now; `range` and `step` are in seconds
+export const useMetricRange = (query, { range, step }) =>
+  useResource(
+    ({ signal }) => {
+      const end = new Date();
+      return prometheus.queryRange(query, { start: new Date(end.getTime() - range * 1000), end, step, signal });
+    },
+    [query, range, step]
+  );
+
+// Current time that ticks every `interval` ms, for countdowns and relative timestamps
+export function useNow(interval = 30000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+  return now;
+}
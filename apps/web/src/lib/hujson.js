@@ -0,0 +1,159 @@
+// HuJSON ("human JSON"), the format of Headscale/Tailscale policy files: JSON that also
+// allows // and /* */ comments and trailing commas.
+//
+// `parse` is a small recursive-descent parser that records where every value and object
+// key starts, so both syntax errors and later validation problems can be reported by line
+// and column.
+
+export class HuJSONSyntaxError extends Error {
+  constructor(message, { offset, line, column }) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'HuJSONSyntaxError';
+    this.reason = message;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// JSON Pointer (RFC 6901) for a path segment list, e.g. ['acls', 0, 'src'] -> '/acls/0/src'
+export const toPointer = (path) => path.map((part) => `/${String(part).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+export function locate(text, offset) {
+  let line = 1;
+  let column = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+  }
+  return { offset, line, column };
+}
+
+export function parse(text) {
+  let pos = 0;
+  const values = {};
+  const keys = {};
+
+  const fail = (message, at = pos) => {
+    throw new HuJSONSyntaxError(message, locate(text, at));
+  };
+
+  const skip = () => {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+      if (text.startsWith('//', pos)) {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else if (text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated block comment');
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const describe = (ch) => (ch === undefined ? 'end of input' : `'${ch}'`);
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    let out = '';
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '"') {
+        pos++;
+        return out;
+      }
+      if (ch === '\n') fail('Unterminated string', start);
+      if (ch === '\\') {
+        const esc = text[pos + 1];
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (esc in simple) {
+          out += simple[esc];
+          pos += 2;
+        } else if (esc === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          out += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+        } else {
+          fail('Invalid escape sequence');
+        }
+      } else {
+        out += ch;
+        pos++;
+      }
+    }
+    return fail('Unterminated string', start);
+  };
+
+  const parseValue = (path) => {
+    skip();
+    values[toPointer(path)] = locate(text, pos);
+    const ch = text[pos];
+
+    if (ch === '{') {
+      pos++;
+      const object = {};
+      skip();
+      while (text[pos] !== '}') {
+        if (text[pos] !== '"') fail(`Expected a quoted key or '}' but found ${describe(text[pos])}`);
+        const keyStart = pos;
+        const key = parseString();
+        if (Object.prototype.hasOwnProperty.call(object, key)) fail(`Duplicate key "${key}"`, keyStart);
+        keys[toPointer([...path, key])] = locate(text, keyStart);
+        skip();
+        if (text[pos] !== ':') fail(`Expected ':' after key "${key}" but found ${describe(text[pos])}`);
+        pos++;
+        object[key] = parseValue([...path, key]);
+        skip();
+        if (text[pos] === ',') {
+          pos++;
+          skip();
+        } else if (text[pos] !== '}') {
+          fail(`Expected ',' or '}' but found ${describe(text[pos])}`);
+        }
+      }
+      pos++;
+      return object;
+    }
+
+    if (ch === '[') {
+      pos++;
+      const array = [];
+      skip();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) fail(`Expected ']' but found end of input`);
+        array.push(parseValue([...path, array.length]));
+        skip();
+        if (text[pos] === ',') {
+          pos++;
+          skip();
+        } else if (text[pos] !== ']') {
+          fail(`Expected ',' or ']' but found ${describe(text[pos])}`);
+        }
+      }
+      pos++;
+      return array;
+    }
+
+    if (ch === '"') return parseString();
+
+    const literal = /^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+    if (literal) {
+      pos += literal[0].length;
+      return literal[1] === 'true' ? true : literal[1] === 'false' ? false : literal[1] === 'null' ? null : Number(literal[0]);
+    }
+    return fail(`Unexpected ${describe(ch)}`);
+  };
+
+  const value = parseValue([]);
+  skip();
+  if (pos < text.length) fail(`Unexpected ${describe(text[pos])} after the end of the document`);
+  return { value, positions: { values, keys } };
+}
+
+export const parseHuJSON = (text) => parse(text).value;
@@ -0,0 +1,85 @@
+import { HuJSONSyntaxError, locate, parse, parseHuJSON, toPointer } from '@/lib/hujson';
+
+const syntaxError = (text) => {
+  try {
+    parse(text);
+  } catch (err) {
+    return err;
+  }
+  throw new Error('expected a syntax error');
+};
+
+describe('parseHuJSON', () => {
+  it('parses plain JSON like JSON.parse', () => {
+    const text = '{"a": [1, -2.5, 3e2], "b": {"c": null, "d": true, "e": false}, "f": "x\\ny\\u0041"}';
+    expect(parseHuJSON(text)).toEqual(JSON.parse(text));
+  });
+
+  it('ignores line and block comments', () => {
+    const text = `// policy
+{
+  /* groups
+     span lines */
+  "groups": { "group:a": ["alice"] }, // trailing
+  "acls": [] /* end */
+}
+// done`;
+    expect(parseHuJSON(text)).toEqual({ groups: { 'group:a': ['alice'] }, acls: [] });
+  });
+
+  it('accepts trailing commas in objects and arrays', () => {
+    expect(parseHuJSON('{ "a": [1, 2, ], "b": { "c": 3, }, }')).toEqual({ a: [1, 2], b: { c: 3 } });
+  });
+
+  it('keeps comment markers inside strings', () => {
+    expect(parseHuJSON('{ "url": "http://example.com/*x*/" }')).toEqual({ url: 'http://example.com/*x*/' });
+  });
+});
+
+describe('parse positions', () => {
+  it('records where values and keys start', () => {
+    const { positions } = parse('{\n  "acls": [\n    { "src": ["a"] }\n  ]\n}');
+    expect(positions.keys['/acls']).toMatchObject({ line: 2, column: 3 });
+    expect(positions.values['/acls']).toMatchObject({ line: 2, column: 11 });
+    expect(positions.values['/acls/0/src/0']).toMatchObject({ line: 3, column: 15 });
+  });
+
+  it('escapes pointer segments per RFC 6901', () => {
+    expect(toPointer(['a/b', 'c~d', 0])).toBe('/a~1b/c~0d/0');
+    expect(toPointer([])).toBe('');
+  });
+
+  it('counts lines and columns from 1', () => {
+    expect(locate('ab\ncd', 4)).toEqual({ offset: 4, line: 2, column: 2 });
+  });
+});
+
+describe('syntax errors', () => {
+  it('reports the line and column of a missing comma', () => {
+    const err = syntaxError('{\n  "a": 1\n  "b": 2\n}');
+    expect(err).toBeInstanceOf(HuJSONSyntaxError);
+    expect(err.reason).toBe("Expected ',' or '}' but found '\"'");
+    expect(err).toMatchObject({ line: 3, column: 3 });
+    expect(err.message).toBe(`${err.reason} (line 3, column 3)`);
+  });
+
+  it('points unterminated strings at their opening quote', () => {
+    expect(syntaxError('{\n  "a": "oops\n}')).toMatchObject({ reason: 'Unterminated string', line: 2, column: 8 });
+  });
+
+  it('points unterminated block comments at their opening', () => {
+    expect(syntaxError('{ /* never closed ')).toMatchObject({ reason: 'Unterminated block comment', line: 1, column: 3 });
+  });
+
+  it('rejects duplicate keys at the second occurrence', () => {
+    expect(syntaxError('{ "a": 1,\n "a": 2 }')).toMatchObject({ reason: 'Duplicate key "a"', line: 2, column: 2 });
+  });
+
+  it('rejects content after the document', () => {
+    expect(syntaxError('{} []')).toMatchObject({ reason: "Unexpected '[' after the end of the document", line: 1, column: 4 });
+  });
+
+  it('rejects unquoted keys', () => {
+    expect(syntaxError('{ a: 1 }').reason).toBe("Expected a quoted key or '}' but found 'a'");
+  });
+});
@@ -0,0 +1,194 @@
+// Tailnet hygiene report: nodes offline past a threshold, nodes whose owner no longer
+// exists, duplicate hostnames and keys close to expiry, ranked as cleanup candidates.
+// Everything is computed from lastSeen/expiry timestamps; nothing is stored.
+
+import { toCSV } from '@/lib/csv';
+import { isKeyExpired, maskKey } from '@/lib/keys';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const OFFLINE_PRESETS = [7, 14, 30, 60, 90];
+export const EXPIRY_PRESETS = [3, 7, 14, 30];
+
+// Thresholds in days: offline longer than `offline`, expiring within `expiry`
+export const HYGIENE_DEFAULTS = { offline: 30, expiry: 7 };
+
+export const FINDINGS = {
+  'deleted-user': { label: 'Owner deleted', weight: 50 },
+  offline: { label: 'Offline', weight: 20 },
+  duplicate: { label: 'Duplicate hostname', weight: 30 },
+  'node-expiring': { label: 'Node key expiring', weight: 10 },
+  'key-expiring': { label: 'Pre-auth key expiring', weight: 5 },
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const parseDays = (value, presets, fallback) => {
+  const days = Number(first(value));
+  return presets.includes(days) ? days : fallback;
+};
+
+// ?offline= and ?expiry= override the thresholds
+export const parseHygieneQuery = (query) => ({
+  offline: parseDays(query.offline, OFFLINE_PRESETS, HYGIENE_DEFAULTS.offline),
+  expiry: parseDays(query.expiry, EXPIRY_PRESETS, HYGIENE_DEFAULTS.expiry),
+});
+
+export const serializeHygieneQuery = ({ offline, expiry }) => ({
+  ...(offline !== HYGIENE_DEFAULTS.offline ? { offline: String(offline) } : {}),
+  ...(expiry !== HYGIENE_DEFAULTS.expiry ? { expiry: String(expiry) } : {}),
+});
+
+const days = (ms) => Math.floor(ms / DAY_MS);
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+const isNodeExpired = (node, now) => Boolean(node.expiry && node.expiry.getTime() <= now);
+
+// Findings per node, before ranking: [{ kind, detail, extra }]; `extra` adds to the weight
+function nodeFindings(node, { userNames, duplicates, offlineMs, expiryMs, now }) {
+  const findings = [];
+  if (userNames && !userNames.has(node.user)) {
+    findings.push({ kind: 'deleted-user', detail: node.user ? `${node.user} is not a user any more` : 'Has no owner' });
+  }
+
+  // Never-seen nodes count from registration
+  const seen = node.lastSeen || node.createdAt;
+  if (node.status !== 'online' && seen && now - seen.getTime() > offlineMs) {
+    const offlineDays = days(now - seen.getTime());
+    findings.push({
+      kind: 'offline',
+      detail: node.lastSeen ? `Last seen ${offlineDays} days ago` : `Never seen since registering ${offlineDays} days ago`,
+      // One more point per week past the threshold, up to 30
+      extra: Math.min(30, Math.floor((now - seen.getTime() - offlineMs) / (7 * DAY_MS))),
+    });
+  }
+
+  const siblings = duplicates.get((node.hostname || node.name).toLowerCase());
+  if (siblings && siblings[0] !== node) {
+    findings.push({ kind: 'duplicate', detail: `${siblings[0].name} has the same hostname and was seen more recently` });
+  }
+
+  if (node.expiry && !isNodeExpired(node, now) && node.expiry.getTime() - now <= expiryMs) {
+    findings.push({ kind: 'node-expiring', detail: `Must re-authenticate within ${plural(Math.max(1, Math.ceil((node.expiry.getTime() - now) / DAY_MS)), 'day')}` });
+  }
+  return findings;
+}
+
+// Nodes grouped by hostname, most recently seen first, for hostnames used more than once
+function duplicateHostnames(nodes) {
+  const groups = new Map();
+  for (const node of nodes) {
+    const key = (node.hostname || node.name).toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(node);
+  }
+  const seen = (node) => (node.status === 'online' ? Infinity : node.lastSeen ? node.lastSeen.getTime() : 0);
+  return new Map([...groups].filter(([, group]) => group.length > 1).map(([key, group]) => [key, [...group].sort((a, b) => seen(b) - seen(a))]));
+}
+
+const score = (findings) => findings.reduce((sum, finding) => sum + FINDINGS[finding.kind].weight + (finding.extra || 0), 0);
+
+// Ranked cleanup candidates: [{ id, type: 'node' | 'key', name, user, lastSeen, expiry,
+// findings, score, subject }], highest score first. `users` may be null while loading,
+// in which case ownership is not checked.
+export function hygieneReport({ nodes = [], users = null, keys = [] }, { offline, expiry } = HYGIENE_DEFAULTS, now = Date.now()) {
+  const context = {
+    userNames: users ? new Set(users.map((user) => user.name)) : null,
+    duplicates: duplicateHostnames(nodes),
+    offlineMs: offline * DAY_MS,
+    expiryMs: expiry * DAY_MS,
+    now,
+  };
+
+  const nodeRows = nodes.flatMap((node) => {
+    const findings = nodeFindings(node, context);
+    if (findings.length === 0) return [];
+    return [{ id: `node-${node.id}`, type: 'node', name: node.name, user: node.user, lastSeen: node.lastSeen, expiry: node.expiry, expired: isNodeExpired(node, now), findings, subject: node }];
+  });
+
+  const keyRows = keys
+    .filter((key) => key.expiration && !isKeyExpired(key, now) && key.expiration.getTime() - now <= context.expiryMs && !(key.used && !key.reusable))
+    .map((key) => ({
+      id: `key-${key.id}`,
+      type: 'key',
+      name: maskKey(key.key),
+      user: key.user,
+      lastSeen: null,
+      expiry: key.expiration,
+      expired: false,
+      findings: [{ kind: 'key-expiring', detail: `${key.reusable ? 'Reusable key' : 'Key'} expires within ${plural(Math.max(1, Math.ceil((key.expiration.getTime() - now) / DAY_MS)), 'day')}` }],
+      subject: key,
+    }));
+
+  return [...nodeRows, ...keyRows]
+    .map((row) => ({ ...row, score: score(row.findings) }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+export const summarizeHygiene = (rows) =>
+  Object.fromEntries(Object.keys(FINDINGS).map((kind) => [kind, rows.filter((row) => row.findings.some((finding) => finding.kind === kind)).length]));
+
+const iso = (date) => (date ? date.toISOString() : '');
+const reasons = (row) => row.findings.map((finding) => `${FINDINGS[finding.kind].label}: ${finding.detail}`).join('; ');
+
+const CSV_COLUMNS = [
+  ['rank', (row) => row.rank],
+  ['score', (row) => row.score],
+  ['type', (row) => row.type],
+  ['name', (row) => row.name],
+  ['user', (row) => row.user],
+  ['last_seen', (row) => iso(row.lastSeen)],
+  ['expiry', (row) => iso(row.expiry)],
+  ['findings', reasons],
+];
+
+export const hygieneToCSV = (rows) => toCSV(rows.map((row, index) => ({ ...row, rank: index + 1 })), CSV_COLUMNS);
+
+const escapeHTML = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// A standalone page for the monthly review: opens in any browser and prints on A4/Letter
+export function hygieneToHTML(rows, { offline, expiry }, now = Date.now()) {
+  const generated = new Date(now);
+  const summary = summarizeHygiene(rows);
+  const body = rows
+    .map(
+      (row, index) => `<tr>
+<td>${index + 1}</td><td>${row.score}</td><td>${escapeHTML(row.type)}</td><td class="mono">${escapeHTML(row.name)}</td><td>${escapeHTML(row.user)}</td>
+<td>${escapeHTML(row.lastSeen ? row.lastSeen.toISOString().slice(0, 10) : '')}</td><td>${escapeHTML(row.expiry ? row.expiry.toISOString().slice(0, 10) : '')}</td>
+<td><ul>${row.findings.map((finding) => `<li><strong>${escapeHTML(FINDINGS[finding.kind].label)}</strong>: ${escapeHTML(finding.detail)}</li>`).join('')}</ul></td>
+</tr>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tailnet hygiene report ${generated.toISOString().slice(0, 10)}</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+p { color: #4b5563; margin: 0 0 1rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+ul { margin: 0; padding-left: 1rem; }
+.mono { font-family: ui-monospace, monospace; }
+@media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Tailnet hygiene report</h1>
+<p>Generated ${escapeHTML(generated.toUTCString())}. Offline threshold ${offline} days; expiry window ${expiry} days.</p>
+<p>${rows.length} cleanup candidates: ${Object.entries(summary)
+    .map(([kind, count]) => `${escapeHTML(FINDINGS[kind].label.toLowerCase())} ${count}`)
+    .join(', ')}.</p>
+<table>
+<thead><tr><th>#</th><th>Score</th><th>Type</th><th>Name</th><th>User</th><th>Last seen</th><th>Expiry</th><th>Findings</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
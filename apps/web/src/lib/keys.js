@@ -0,0 +1,26 @@
+// Pre-auth key helpers shared by the key wizard, the Keys view and the overview stats.
+
+// The orchestrator parses expirations with Go's time.ParseDuration, so only h/m/s units work
+export const EXPIRATION_PRESETS = [
+  { label: '1 hour', value: '1h' },
+  { label: '24 hours', value: '24h' },
+  { label: '7 days', value: '168h' },
+  { label: '30 days', value: '720h' },
+  { label: '90 days', value: '2160h' },
+];
+
+export const EXPIRING_SOON_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const isKeyExpired = (key, now = Date.now()) => Boolean(key.expiration && key.expiration.getTime() <= now);
+
+export const isKeyExpiringSoon = (key, now = Date.now()) =>
+  Boolean(key.expiration && !isKeyExpired(key, now) && key.expiration.getTime() - now <= EXPIRING_SOON_MS);
+
+// Shows enough of a key to recognise it without revealing the secret
+export const maskKey = (key) => (key && key.length > 12 ? `${key.slice(0, 10)}…${key.slice(-4)}` : key || '—');
+
+export function tailscaleUpCommand({ loginServer, authKey, tags = [] }) {
+  const parts = ['tailscale up', `--login-server ${loginServer}`, `--authkey ${authKey}`];
+  if (tags.length) parts.push(`--advertise-tags=${tags.map((tag) => `tag:${tag}`).join(',')}`);
+  return parts.join(' ');
+}
@@ -0,0 +1,249 @@
+import { useEffect, useRef, useState } from 'react';
+import { api, normalizeKey, normalizeNode, normalizeUser } from '@/lib/api';
+import { diffPolicies } from '@/lib/acl-policy';
+
+// Live updates for the dashboard: snapshots of users, nodes, keys and the ACL policy
+// arrive over /api/events (SSE) or, when streaming is unavailable, by polling the API.
+// Successive snapshots are diffed into typed activity events and merged into the
+// cached resources without replacing unchanged items.
+
+const EVENTS_URL = '/api/events';
+const SSE_FAILURES_BEFORE_POLLING = 3;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const POLL_INTERVAL = 15000;
+const POLL_MAX_DELAY = 60000;
+// While polling, streaming is retried this often in case the proxy or server recovered
+const SSE_RETRY_INTERVAL = 120000;
+export const MAX_EVENTS = 50;
+
+const backoff = (attempt, base, max) => Math.min(max, base * 2 ** attempt);
+
+const asList = (data) => (Array.isArray(data) ? data : []);
+
+const NORMALIZERS = {
+  users: (data) => asList(data).map(normalizeUser),
+  nodes: (data) => asList(data).map(normalizeNode),
+  keys: (data) => asList(data).map(normalizeKey),
+  acl: (data) => data,
+};
+
+export const normalizeSnapshot = (raw) =>
+  Object.fromEntries(Object.entries(raw).filter(([name]) => name in NORMALIZERS).map(([name, data]) => [name, NORMALIZERS[name](data)]));
+
+const byId = (items) => new Map(items.map((item) => [String(item.id), item]));
+const sameTags = (a, b) => a.length === b.length && a.every((tag) => b.includes(tag));
+const isPast = (date, now) => Boolean(date) && date.getTime() <= now;
+
+// Activity events between two snapshots: { id, type, action, timestamp }. Only
+// resources present in both snapshots are compared, so the first load yields nothing.
+export function diffSnapshots(prev, next, now = Date.now()) {
+  const events = [];
+  const push = (type, action) => events.push({ id: `${now}-${events.length}`, type, action, timestamp: new Date(now) });
+
+  if (prev.users && next.users) {
+    const before = byId(prev.users);
+    const after = byId(next.users);
+    for (const [id, user] of after) if (!before.has(id)) push('user', `User ${user.name} created`);
+    for (const [id, user] of before) if (!after.has(id)) push('user', `User ${user.name} deleted`);
+  }
+
+  if (prev.nodes && next.nodes) {
+    const before = byId(prev.nodes);
+    const after = byId(next.nodes);
+    for (const [id, node] of after) {
+      const old = before.get(id);
+      if (!old) {
+        push('node', `Node ${node.name} registered by ${node.user}`);
+        continue;
+      }
+      if (old.name !== node.name) push('node', `Node ${old.name} renamed to ${node.name}`);
+      if (old.status !== node.status) push('node', `${node.name} went ${node.status}`);
+      if (!sameTags(old.tags, node.tags)) {
+        push('node', node.tags.length ? `Tags on ${node.name} set to ${node.tags.join(', ')}` : `Tags removed from ${node.name}`);
+      }
+      if (isPast(node.expiry, now) && !isPast(old.expiry, now)) push('node', `Node ${node.name} expired`);
+    }
+    for (const [id, node] of before) if (!after.has(id)) push('node', `Node ${node.name} removed`);
+  }
+
+  if (prev.keys && next.keys) {
+    const before = byId(prev.keys);
+    const after = byId(next.keys);
+    for (const [id, key] of after) if (!before.has(id)) push('key', `Pre-auth key created for ${key.user}`);
+    for (const [id, key] of before) if (!after.has(id)) push('key', `Pre-auth key for ${key.user} revoked`);
+  }
+
+  if (prev.acl && next.acl) {
+    const changes = diffPolicies(prev.acl, next.acl);
+    if (changes.length > 0) push('acl', `ACL policy updated (${changes.length} change${changes.length === 1 ? '' : 's'})`);
+  }
+
+  return events;
+}
+
+// The next list, reusing the previous object for every item whose content is unchanged so
+// memoized rows and cards skip re-rendering
+export function mergeList(prev, next) {
+  if (!prev) return next;
+  const before = new Map(prev.map((item) => [String(item.id), item]));
+  let changed = prev.length !== next.length;
+  const merged = next.map((item, i) => {
+    const old = before.get(String(item.id));
+    if (old && JSON.stringify(old) === JSON.stringify(item)) {
+      if (prev[i] !== old) changed = true;
+      return old;
+    }
+    changed = true;
+    return item;
+  });
+  return changed ? merged : prev;
+}
+
+// Connection manager: SSE with exponential reconnect backoff, falling back to polling
+// after repeated failures. `status` is 'connecting' | 'live' | 'polling' | 'offline'.
+export class LiveConnection {
+  constructor({ onSnapshot, onStatus, poll }) {
+    this.onSnapshot = onSnapshot;
+    this.onStatus = onStatus;
+    this.poll = poll;
+    this.source = null;
+    this.timer = null;
+    this.sseTimer = null;
+    this.failures = 0;
+    this.pollFailures = 0;
+    this.stopped = false;
+  }
+
+  start() {
+    this.stopped = false;
+    if (typeof window === 'undefined' || typeof window.EventSource === 'undefined') this.startPolling();
+    else this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.closeStream();
+    clearTimeout(this.timer);
+    clearTimeout(this.sseTimer);
+  }
+
+  setStatus(status) {
+    if (status !== this.status) {
+      this.status = status;
+      this.onStatus(status);
+    }
+  }
+
+  closeStream() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  connect() {
+    if (this.stopped) return;
+    this.closeStream();
+    this.setStatus('connecting');
+
+    const source = new window.EventSource(EVENTS_URL, { withCredentials: true });
+    this.source = source;
+    source.onopen = () => {
+      this.failures = 0;
+      clearTimeout(this.timer);
+      clearTimeout(this.sseTimer);
+      this.setStatus('live');
+    };
+    source.addEventListener('snapshot', (event) => {
+      try {
+        this.onSnapshot(normalizeSnapshot(JSON.parse(event.data)));
+      } catch (err) {
+        console.error('Ignoring malformed snapshot event', err);
+      }
+    });
+    // The browser's built-in retry is replaced by our own backoff
+    source.onerror = () => {
+      if (source !== this.source) return;
+      this.closeStream();
+      this.failures += 1;
+      if (this.failures >= SSE_FAILURES_BEFORE_POLLING) {
+        this.startPolling();
+      } else {
+        this.setStatus('connecting');
+        this.timer = setTimeout(() => this.connect(), backoff(this.failures - 1, RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY));
+      }
+    };
+  }
+
+  startPolling() {
+    if (this.stopped) return;
+    this.setStatus('polling');
+    clearTimeout(this.timer);
+    const tick = async () => {
+      let snapshot = null;
+      try {
+        snapshot = await this.poll();
+        this.pollFailures = 0;
+      } catch {
+        this.pollFailures += 1;
+      }
+      // Streaming may have been re-established (or the view unmounted) meanwhile
+      if (this.stopped || this.source) return;
+      if (snapshot) this.onSnapshot(snapshot);
+      this.setStatus(snapshot ? 'polling' : 'offline');
+      const delay = this.pollFailures ? backoff(this.pollFailures, POLL_INTERVAL, POLL_MAX_DELAY) : POLL_INTERVAL;
+      this.timer = setTimeout(tick, delay);
+    };
+    this.timer = setTimeout(tick, POLL_INTERVAL);
+
+    if (typeof window !== 'undefined' && typeof window.EventSource !== 'undefined') {
+      clearTimeout(this.sseTimer);
+      this.sseTimer = setTimeout(() => {
+        this.failures = SSE_FAILURES_BEFORE_POLLING - 1;
+        clearTimeout(this.timer);
+        this.connect();
+      }, SSE_RETRY_INTERVAL);
+    }
+  }
+}
+
+const pollSnapshot = async () => {
+  const [users, nodes, keys, acl] = await Promise.all([api.listUsers(), api.listNodes(), api.listKeys(), api.getACL()]);
+  return { users, nodes, keys, acl };
+};
+
+// Keeps the given useResource results ({ users, nodes, keys, acl }) up to date and
+// returns the connection status plus the newest activity events first.
+export function useLiveUpdates(resources) {
+  const [status, setStatus] = useState('connecting');
+  const [events, setEvents] = useState([]);
+  const resourcesRef = useRef(resources);
+  resourcesRef.current = resources;
+
+  useEffect(() => {
+    const connection = new LiveConnection({
+      poll: pollSnapshot,
+      onStatus: setStatus,
+      onSnapshot: (snapshot) => {
+        const current = resourcesRef.current;
+        const previous = Object.fromEntries(Object.keys(snapshot).map((name) => [name, current[name] && current[name].data]));
+        const fresh = diffSnapshots(previous, snapshot);
+        if (fresh.length > 0) setEvents((list) => [...fresh.reverse(), ...list].slice(0, MAX_EVENTS));
+
+        for (const [name, data] of Object.entries(snapshot)) {
+          const resource = current[name];
+          if (!resource) continue;
+          resource.mutate((prev) => {
+            if (Array.isArray(data)) return mergeList(prev, data);
+            return JSON.stringify(prev) === JSON.stringify(data) ? prev : data;
+          });
+        }
+      },
+    });
+    connection.start();
+    return () => connection.stop();
+  }, []);
+
+  return { status, events };
+}
@@ -0,0 +1,99 @@
+import { diffSnapshots, mergeList } from '@/lib/live-updates';
+
+const NOW = Date.UTC(2024, 5, 1, 12);
+const HOUR = 60 * 60 * 1000;
+
+const node = (id, overrides = {}) => ({ id, name: `node-${id}`, user: 'alice', status: 'online', tags: [], expiry: null, ...overrides });
+const actions = (events) => events.map((event) => [event.type, event.action]);
+
+describe('diffSnapshots', () => {
+  it('yields nothing for resources missing from either snapshot', () => {
+    expect(diffSnapshots({}, { nodes: [node('1')] }, NOW)).toEqual([]);
+    expect(diffSnapshots({ users: [{ id: '1', name: 'alice' }] }, { nodes: [] }, NOW)).toEqual([]);
+  });
+
+  it('reports created and deleted users', () => {
+    const events = diffSnapshots({ users: [{ id: '1', name: 'alice' }] }, { users: [{ id: '2', name: 'bob' }] }, NOW);
+    expect(actions(events)).toEqual([
+      ['user', 'User bob created'],
+      ['user', 'User alice deleted'],
+    ]);
+    expect(events[0]).toEqual({ id: `${NOW}-0`, type: 'user', action: 'User bob created', timestamp: new Date(NOW) });
+  });
+
+  it('reports node registrations, renames, status, tags, expiry and removals', () => {
+    const prev = {
+      nodes: [node('1'), node('2', { tags: ['web'] }), node('3', { expiry: new Date(NOW + HOUR) }), node('4')],
+    };
+    const next = {
+      nodes: [
+        node('1', { name: 'laptop', status: 'offline' }),
+        node('2', { tags: [] }),
+        node('3', { expiry: new Date(NOW - 1) }),
+        node('5', { user: 'bob' }),
+      ],
+    };
+    expect(actions(diffSnapshots(prev, next, NOW))).toEqual([
+      ['node', 'Node node-1 renamed to laptop'],
+      ['node', 'laptop went offline'],
+      ['node', 'Tags removed from node-2'],
+      ['node', 'Node node-3 expired'],
+      ['node', 'Node node-5 registered by bob'],
+      ['node', 'Node node-4 removed'],
+    ]);
+  });
+
+  it('ignores tag order and nodes that were already expired', () => {
+    const expired = new Date(NOW - HOUR);
+    const prev = { nodes: [node('1', { tags: ['a', 'b'], expiry: expired })] };
+    const next = { nodes: [node('1', { tags: ['b', 'a'], expiry: expired })] };
+    expect(diffSnapshots(prev, next, NOW)).toEqual([]);
+  });
+
+  it('reports new and revoked pre-auth keys', () => {
+    const events = diffSnapshots({ keys: [{ id: '1', user: 'alice' }] }, { keys: [{ id: '2', user: 'bob' }] }, NOW);
+    expect(actions(events)).toEqual([
+      ['key', 'Pre-auth key created for bob'],
+      ['key', 'Pre-auth key for alice revoked'],
+    ]);
+  });
+
+  it('summarizes ACL policy changes', () => {
+    const prev = { acl: { groups: { 'group:a': ['alice'] }, acls: [] } };
+    const next = { acl: { groups: { 'group:a': ['alice', 'bob'], 'group:b': ['carol'] }, acls: [] } };
+    expect(actions(diffSnapshots(prev, next, NOW))).toEqual([['acl', 'ACL policy updated (2 changes)']]);
+    expect(diffSnapshots(prev, { acl: { acls: [], groups: { 'group:a': ['alice'] } } }, NOW)).toEqual([]);
+  });
+});
+
+describe('mergeList', () => {
+  it('returns the next list when there is no previous one', () => {
+    const next = [node('1')];
+    expect(mergeList(undefined, next)).toBe(next);
+  });
+
+  it('returns the previous list when nothing changed', () => {
+    const prev = [node('1'), node('2')];
+    expect(mergeList(prev, [node('1'), node('2')])).toBe(prev);
+  });
+
+  it('reuses unchanged items and takes changed ones', () => {
+    const prev = [node('1'), node('2')];
+    const next = [node('1'), node('2', { status: 'offline' })];
+    const merged = mergeList(prev, next);
+    expect(merged).not.toBe(prev);
+    expect(merged[0]).toBe(prev[0]);
+    expect(merged[1]).toBe(next[1]);
+  });
+
+  it('follows the next order and length', () => {
+    const prev = [node('1'), node('2'), node('3')];
+    const reordered = mergeList(prev, [node('3'), node('1')]);
+    expect(reordered).toEqual([prev[2], prev[0]]);
+    expect(reordered[0]).toBe(prev[2]);
+
+    const swapped = mergeList(prev, [node('2'), node('1'), node('3')]);
+    expect(swapped).not.toBe(prev);
+    expect(swapped.map((item) => item.id)).toEqual(['2', '1', '3']);
+  });
+});
@@ -0,0 +1,50 @@
+import { useMemo } from 'react';
+import { api } from '@/lib/api';
+
+const pick = (object, keys) => Object.fromEntries(keys.map((key) => [key, object[key]]));
+
+// Node mutations that update the cached node list immediately and roll the
+// affected node back if the orchestrator rejects the change.
+export function useNodeActions(nodes) {
+  const { mutate } = nodes;
+
+  return useMemo(() => {
+    const patch = (id, changes) => mutate((list) => (list || []).map((node) => (node.id === id ? { ...node, ...changes } : node)));
+
+    const optimistic = async (node, changes, call) => {
+      patch(node.id, changes);
+      try {
+        return await call();
+      } catch (err) {
+        patch(node.id, pick(node, Object.keys(changes)));
+        throw err;
+      }
+    };
+
+    return {
+      expire: (node) => optimistic(node, { expiry: new Date(), status: 'offline' }, () => api.expireNode(node.id)),
+      rename: (node, name) => optimistic(node, { name }, () => api.renameNode(node.id, name)),
+      setTags: (node, tags) => optimistic(node, { tags }, () => api.setNodeTags(node.id, tags)),
+      remove: async (node) => {
+        let index = -1;
+        mutate((list) => {
+          index = (list || []).findIndex((item) => item.id === node.id);
+          return (list || []).filter((item) => item.id !== node.id);
+        });
+        try {
+          return await api.deleteNode(node.id);
+        } catch (err) {
+          mutate((list) => {
+            const next = [...(list || [])];
+            next.splice(index < 0 ? next.length : Math.min(index, next.length), 0, node);
+            return next;
+          });
+          throw err;
+        }
+      },
+    };
+  }, [mutate]);
+}
+
+// Headscale given names follow DNS label rules
+export const isValidNodeName = (name) => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(name);
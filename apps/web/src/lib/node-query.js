@@ -0,0 +1,80 @@
+// Filtering and sorting for the Nodes view. The view state lives in the URL query
+// string so a filtered view can be shared as a link.
+
+export const NODE_QUERY_DEFAULTS = {
+  view: 'cards',
+  q: '',
+  status: 'all',
+  tags: [],
+  sort: 'name',
+  dir: 'asc',
+  page: 1,
+};
+
+const VIEWS = ['cards', 'table'];
+const STATUSES = ['all', 'online', 'offline'];
+const SORTS = ['name', 'lastSeen'];
+const DIRS = ['asc', 'desc'];
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+export function parseNodeQuery(query) {
+  const page = parseInt(first(query.page), 10);
+  const tags = first(query.tags);
+  return {
+    view: oneOf(first(query.view), VIEWS, NODE_QUERY_DEFAULTS.view),
+    q: first(query.q) || '',
+    status: oneOf(first(query.status), STATUSES, NODE_QUERY_DEFAULTS.status),
+    tags: tags ? tags.split(',').filter(Boolean) : [],
+    sort: oneOf(first(query.sort), SORTS, NODE_QUERY_DEFAULTS.sort),
+    dir: oneOf(first(query.dir), DIRS, NODE_QUERY_DEFAULTS.dir),
+    page: Number.isFinite(page) && page > 0 ? page : 1,
+  };
+}
+
+// Only non-default values are written back, keeping shared URLs short
+export function serializeNodeQuery(state) {
+  const query = {};
+  for (const [key, value] of Object.entries(state)) {
+    const fallback = NODE_QUERY_DEFAULTS[key];
+    if (Array.isArray(value)) {
+      if (value.length) query[key] = value.join(',');
+    } else if (value !== fallback && value !== '' && value !== undefined) {
+      query[key] = String(value);
+    }
+  }
+  return query;
+}
+
+export function matchesSearch(node, q) {
+  const needle = q.trim().toLowerCase();
+  if (!needle) return true;
+  const haystack = [node.name, node.hostname, node.user, ...(node.ipAddresses || [node.ip]), ...node.tags];
+  return needle
+    .split(/\s+/)
+    .every((term) => haystack.some((field) => field && String(field).toLowerCase().includes(term)));
+}
+
+export function filterNodes(nodes, { q = '', status = 'all', tags = [] }) {
+  return nodes.filter(
+    (node) =>
+      (status === 'all' || node.status === status) &&
+      tags.every((tag) => node.tags.includes(tag)) &&
+      matchesSearch(node, q)
+  );
+}
+
+const compareName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+// Nodes that have never been seen sort as the oldest
+const compareLastSeen = (a, b) =>
+  (a.lastSeen ? a.lastSeen.getTime() : -Infinity) - (b.lastSeen ? b.lastSeen.getTime() : -Infinity) || compareName(a, b);
+
+export function sortNodes(nodes, sort = 'name', dir = 'asc') {
+  const compare = sort === 'lastSeen' ? compareLastSeen : compareName;
+  const sign = dir === 'desc' ? -1 : 1;
+  return [...nodes].sort((a, b) => sign * compare(a, b));
+}
+
+export const collectTags = (nodes) => [...new Set(nodes.flatMap((node) => node.tags))].sort();
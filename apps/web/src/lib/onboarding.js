@@ -0,0 +1,91 @@
+import { TAILNET_IPV4, cidrContains } from '@/lib/cidr';
+import { tailscaleUpCommand } from '@/lib/keys';
+
+// Add Node wizard: per-platform join instructions and spotting the device once it registers.
+
+// The key only has to outlive the wait for the device, and is single-use
+export const ONBOARDING_KEY = { reusable: false, ephemeral: false, expiration: '1h' };
+
+export const JOIN_POLL_INTERVAL = 3000;
+export const JOIN_TIMEOUT = 10 * 60 * 1000;
+
+const tagList = (tags) => tags.map((tag) => `tag:${tag}`).join(',');
+
+// Each platform lists steps of { title, detail?, command? }; mobile apps cannot take a
+// command line, so their steps name the screens to use instead
+export const PLATFORMS = [
+  {
+    id: 'linux',
+    label: 'Linux',
+    steps: (join) => [
+      { title: 'Install Tailscale', command: 'curl -fsSL https://tailscale.com/install.sh | sh' },
+      { title: 'Join the tailnet', command: `sudo ${tailscaleUpCommand(join)}` },
+    ],
+  },
+  {
+    id: 'macos',
+    label: 'macOS',
+    steps: (join) => [
+      { title: 'Install the Tailscale daemon', detail: 'Uses Homebrew; the App Store build cannot use a custom login server from the command line.', command: 'brew install tailscale && sudo brew services start tailscale' },
+      { title: 'Join the tailnet', command: `sudo ${tailscaleUpCommand(join)}` },
+    ],
+  },
+  {
+    id: 'windows',
+    label: 'Windows',
+    steps: (join) => [
+      { title: 'Install Tailscale', detail: 'Download and run the installer from https://tailscale.com/download/windows.' },
+      { title: 'Join the tailnet', detail: 'Run in an administrator PowerShell window.', command: tailscaleUpCommand(join) },
+    ],
+  },
+  {
+    id: 'ios',
+    label: 'iOS',
+    steps: ({ loginServer }) => [
+      { title: 'Install Tailscale', detail: 'Get the Tailscale app from the App Store.' },
+      { title: 'Point it at this server', detail: 'In the app, open Settings → Accounts → "Use custom coordination server" and enter:', command: loginServer },
+      { title: 'Sign in with the auth key', detail: 'Choose "Use an auth key" and paste the key below, or scan its QR code to copy it across.' },
+    ],
+  },
+  {
+    id: 'android',
+    label: 'Android',
+    steps: ({ loginServer }) => [
+      { title: 'Install Tailscale', detail: 'Get the Tailscale app from Google Play or F-Droid.' },
+      { title: 'Point it at this server', detail: 'Open the ⋮ menu → Change server and enter:', command: loginServer },
+      { title: 'Sign in with the auth key', detail: 'Choose "Use an auth key" from the menu and paste the key below, or scan its QR code.' },
+    ],
+  },
+  {
+    id: 'docker',
+    label: 'Docker',
+    steps: (join) => [
+      {
+        title: 'Run the Tailscale container',
+        detail: 'State is kept in the tailscale-state volume so the node keeps its identity across restarts.',
+        command: [
+          'docker run -d --name tailscale --restart unless-stopped',
+          '  --cap-add NET_ADMIN --device /dev/net/tun',
+          '  -v tailscale-state:/var/lib/tailscale',
+          '  -e TS_STATE_DIR=/var/lib/tailscale',
+          `  -e TS_AUTHKEY=${join.authKey}`,
+          `  -e TS_EXTRA_ARGS="--login-server=${join.loginServer}${join.tags.length ? ` --advertise-tags=${tagList(join.tags)}` : ''}"`,
+          '  tailscale/tailscale:latest',
+        ].join(' \\\n'),
+      },
+    ],
+  },
+];
+
+export const tailnetIPv4 = (node) => (node.ipAddresses || []).find((address) => cidrContains(TAILNET_IPV4, address)) || node.ip || '';
+
+// The node that registered with the wizard's key: one that was not in the list when the
+// key was created and belongs to its user (tagged nodes may be owned by a tag instead)
+export function findJoinedNode(nodes, { knownIds, user, tags }) {
+  const fresh = nodes.filter((node) => !knownIds.has(String(node.id)));
+  return (
+    fresh.find((node) => node.user === user) ||
+    (tags.length ? fresh.find((node) => tags.every((tag) => node.tags.includes(tag))) : null) ||
+    null
+  );
+}
@@ -0,0 +1,75 @@
+// Client for the Prometheus HTTP API through the dashboard's /api/prometheus proxy.
+// Results are parsed into plain series: { metric, points: [{ time: Date, value }] }.
+
+import { ApiError } from '@/lib/api';
+
+const PROMETHEUS_BASE = '/api/prometheus';
+
+// Queries behind the dashboard stat cards; the gauges are exported by the orchestrator
+export const STAT_QUERIES = {
+  users: 'headscale_orchestrator_users',
+  nodes: 'sum(headscale_orchestrator_nodes)',
+  online: 'sum(headscale_orchestrator_nodes{status="online"})',
+};
+
+const toSeconds = (date) => (date instanceof Date ? date.getTime() / 1000 : date);
+
+async function promRequest(endpoint, params, { signal } = {}) {
+  const search = new URLSearchParams(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, String(toSeconds(value))])
+  );
+  const path = `${PROMETHEUS_BASE}/${endpoint}`;
+  let res;
+  try {
+    res = await fetch(`${path}?${search}`, { credentials: 'same-origin', signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new ApiError(`Cannot reach Prometheus: ${err.message}`, { path });
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body || body.status !== 'success') {
+    const message = (body && body.error) || `Prometheus query failed with status ${res.status}`;
+    throw new ApiError(message, { status: res.status, path, body });
+  }
+  return body.data;
+}
+
+const parseSample = ([time, value]) => ({ time: new Date(time * 1000), value: Number(value) });
+
+// Vector and matrix results share one shape; a scalar becomes a single label-less series
+export function parseResult(data) {
+  if (!data) return [];
+  switch (data.resultType) {
+    case 'matrix':
+      return data.result.map((series) => ({ metric: series.metric, points: series.values.map(parseSample) }));
+    case 'vector':
+      return data.result.map((series) => ({ metric: series.metric, points: [parseSample(series.value)] }));
+    case 'scalar':
+      return [{ metric: {}, points: [parseSample(data.result)] }];
+    default:
+      return [];
+  }
+}
+
+export const prometheus = {
+  query: (query, { time, signal } = {}) => promRequest('query', { query, time }, { signal }).then(parseResult),
+  queryRange: (query, { start, end, step, signal } = {}) =>
+    promRequest('query_range', { query, start, end, step }, { signal }).then(parseResult),
+};
+
+// Change between the first and last sample of a series, ignoring NaN gaps
+export function seriesTrend(points = []) {
+  const values = points.map((point) => point.value).filter((value) => Number.isFinite(value));
+  if (values.length < 2) return null;
+  const first = values[0];
+  const last = values[values.length - 1];
+  return { first, last, delta: last - first, percent: first === 0 ? null : ((last - first) / first) * 100 };
+}
+
+// Mean of the finite samples, for ratios like "share of devices online"
+export function seriesAverage(points = []) {
+  const values = points.map((point) => point.value).filter((value) => Number.isFinite(value));
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
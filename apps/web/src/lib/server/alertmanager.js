@@ -0,0 +1,21 @@
+// Server-side access to the Alertmanager v2 API.
+
+const ALERTMANAGER_URL = process.env.ALERTMANAGER_URL || 'http://alertmanager:9093';
+const REQUEST_TIMEOUT = 15000;
+
+export async function alertmanagerFetch(path, { method = 'GET', body, query } = {}) {
+  const url = new URL(`/api/v2/${path.replace(/^\//, '')}`, ALERTMANAGER_URL);
+  for (const [key, value] of Object.entries(query || {})) {
+    for (const item of [].concat(value)) url.searchParams.append(key, item);
+  }
+
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  return fetch(url, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+}
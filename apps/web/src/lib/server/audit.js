@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Append-only audit log: one JSON object per line in AUDIT_LOG_FILE. Entries are only
+// ever appended, never rewritten, so the file can be shipped or checksummed as-is.
+// Server-only: never import this from components.
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(process.cwd(), 'data', 'audit.jsonl');
+
+// Appends are chained so concurrent requests never interleave partial lines
+let writes = Promise.resolve();
+
+export const auditActor = (session) => ({
+  email: session.email || null,
+  name: session.name || session.email || null,
+  role: session.role || null,
+});
+
+// { type, target: { kind, id, name }, before, after, result: 'success' | 'failure' | 'denied', status, error }
+export function recordAudit(session, { type, target = null, before = null, after = null, result, status = null, error = null }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    actor: auditActor(session),
+    type,
+    target,
+    before,
+    after,
+    result,
+    status,
+    error,
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  const append = writes.then(async () => {
+    await fs.promises.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_LOG_FILE, line, { mode: 0o640 });
+  });
+  // A failed append rejects this call but must not stall the ones queued after it
+  writes = append.catch(() => {});
+  return append.then(
+    () => entry,
+    (err) => {
+      console.error(`[audit] could not write ${AUDIT_LOG_FILE}:`, err.message);
+      throw err;
+    }
+  );
+}
+
+// Every entry, newest first. A line that doesn't parse (e.g. cut short by a crash) is skipped.
+export async function readAuditLog() {
+  let text;
+  try {
+    text = await fs.promises.readFile(AUDIT_LOG_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      console.warn('[audit] skipping unreadable log line');
+    }
+  }
+  return entries.reverse();
+}
+
+const parseJSON = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Runs a proxied mutation and records it. `action` is { type, target, before, after }:
+// `before()` loads the current state (a failure there never blocks the change), and
+// `target` / `after` may be functions of the upstream response body. Resolves to the
+// upstream response and its body text for the proxy to pass on. Without an action the
+// request is simply performed.
+export async function audited(session, action, perform) {
+  if (!action) {
+    const upstream = await perform();
+    return { upstream, text: await upstream.text() };
+  }
+  const before = action.before ? await action.before().catch(() => null) : null;
+  const resolve = (value, data) => (typeof value === 'function' ? value(data, before) : value ?? null);
+
+  let upstream;
+  try {
+    upstream = await perform();
+  } catch (err) {
+    // The request error is what the caller needs; a failed record is already logged
+    await recordAudit(session, { type: action.type, target: resolve(action.target, null), before, result: 'failure', error: err.message }).catch(() => {});
+    throw err;
+  }
+
+  const text = await upstream.text();
+  const data = parseJSON(text);
+  try {
+    await recordAudit(session, {
+      type: action.type,
+      target: resolve(action.target, data),
+      before,
+      after: upstream.ok ? resolve(action.after, data) : null,
+      result: upstream.ok ? 'success' : 'failure',
+      status: upstream.status,
+      error: upstream.ok ? null : (data && data.error) || `Upstream returned ${upstream.status}`,
+    });
+  } catch (err) {
+    if (!upstream.ok) return { upstream, text };
+    throw new Error(`The change was applied but could not be recorded in the audit log: ${err.message}`);
+  }
+  return { upstream, text };
+}
+
+// A mutation refused before reaching upstream, e.g. a viewer trying to change something.
+// Nothing changed, so the refusal stands even if it cannot be recorded.
+export const recordDenied = (session, action, error) =>
+  recordAudit(session, {
+    type: action.type,
+    target: typeof action.target === 'function' ? action.target(null, null) : action.target ?? null,
+    result: 'denied',
+    status: 403,
+    error,
+  }).catch(() => null);
@@ -0,0 +1,513 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { auditActor, recordAudit } from '@/lib/server/audit';
+
+// Backup snapshots in the layout scripts/backup.sh writes: BACKUP_DIR/<YYYYMMDD_HHMMSS>/
+// holding database.sql (pg_dump), configs.tar.gz (config/ and data/ from BACKUP_SOURCE_DIR)
+// and env.sanitized. Snapshots made here also get a manifest.json with checksums.
+// Backups, verification and restores run as background jobs, one at a time, polled by the
+// Backups page. Postgres is reached through the standard PG* environment variables.
+// Server-only: never import this from components.
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(process.cwd(), 'backup');
+const BACKUP_SOURCE_DIR = process.env.BACKUP_SOURCE_DIR || process.cwd();
+const DEFAULT_RETENTION_DAYS = 7;
+
+const parsedRetention = parseInt(process.env.BACKUP_RETENTION_DAYS, 10);
+export const RETENTION_DAYS = parsedRetention > 0 ? parsedRetention : DEFAULT_RETENTION_DAYS;
+
+const SOURCES = ['config', 'data'];
+const DATABASE_FILE = 'database.sql';
+const ARCHIVE_FILE = 'configs.tar.gz';
+const ENV_FILE = 'env.sanitized';
+const MANIFEST_FILE = 'manifest.json';
+const SNAPSHOT_NAME = /^\d{8}_\d{6}(_\d+)?$/;
+// Same filter as backup.sh: secrets never leave the host in a backup
+const SECRET_ENV = /(PASSWORD|SECRET|TOKEN|KEY)/;
+const DUMP_COMPLETE = '-- PostgreSQL database dump complete';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEPT_JOBS = 20;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export const databaseConfigured = () => Boolean(process.env.PGHOST || process.env.PGDATABASE);
+
+export const isSnapshotName = (name) => typeof name === 'string' && SNAPSHOT_NAME.test(name);
+
+const snapshotPath = (name) => {
+  if (!isSnapshotName(name)) throw httpError(400, `Invalid snapshot name: ${name}`);
+  return path.join(BACKUP_DIR, name);
+};
+
+function run(command, args, { cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, env: process.env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', (err) => reject(err.code === 'ENOENT' ? new Error(`${command} is not installed on the dashboard host`) : err));
+    child.on('close', (code) => (code === 0 ? resolve(stdout) : reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`))));
+  });
+}
+
+const exists = (file) => fs.promises.access(file).then(
+  () => true,
+  () => false
+);
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function readManifest(dir) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// { name, createdAt, expiresAt, size, files: [{ name, size }], manifest }. Age follows the
+// directory's mtime, which is also what backup.sh's retention cleanup goes by.
+async function describeSnapshot(name) {
+  const dir = snapshotPath(name);
+  const stat = await fs.promises.stat(dir);
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.filter((entry) => entry.isFile()).map(async (entry) => ({ name: entry.name, size: (await fs.promises.stat(path.join(dir, entry.name))).size }))
+  );
+  const manifest = await readManifest(dir);
+  const createdAt = manifest && manifest.createdAt ? new Date(manifest.createdAt) : stat.mtime;
+  return {
+    name,
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(stat.mtime.getTime() + RETENTION_DAYS * DAY_MS).toISOString(),
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    files: files.sort((a, b) => a.name.localeCompare(b.name)),
+    manifest,
+  };
+}
+
+// Every snapshot, newest first
+export async function listSnapshots() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(BACKUP_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const names = entries.filter((entry) => entry.isDirectory() && isSnapshotName(entry.name)).map((entry) => entry.name);
+  const snapshots = await Promise.all(names.map(describeSnapshot));
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A snapshot with the file list of its config archive: [{ path, size, type }]
+export async function getSnapshot(name) {
+  if (!(await exists(snapshotPath(name)))) throw httpError(404, `Snapshot ${name} not found`);
+  const snapshot = await describeSnapshot(name);
+  const archive = path.join(snapshotPath(name), ARCHIVE_FILE);
+  snapshot.archive = (await exists(archive)) ? parseTarListing(await run('tar', ['-tzvf', archive])) : [];
+  return snapshot;
+}
+
+// `tar -tv` lines: "-rw-r--r-- user/group 1234 2024-01-01 12:00 config/x.yaml"
+function parseTarListing(output) {
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const match = line.match(/^(\S)\S*\s+\S+\s+(\d+)\s+\S+\s+\S+\s+(.*)$/);
+      if (!match) return { path: line, size: null, type: 'file' };
+      const [, mode, size, rest] = match;
+      return { path: rest.replace(/ -> .*$/, '').replace(/\/$/, ''), size: Number(size), type: mode === 'd' ? 'directory' : mode === 'l' ? 'link' : 'file' };
+    });
+}
+
+// A readable file of a snapshot, for download. Only files directly in the snapshot count.
+export async function snapshotFile(name, file) {
+  const snapshot = await getSnapshot(name);
+  const entry = snapshot.files.find((candidate) => candidate.name === file);
+  if (!entry) throw httpError(404, `${file} is not part of snapshot ${name}`);
+  return { path: path.join(snapshotPath(name), entry.name), size: entry.size };
+}
+
+// --- Jobs -------------------------------------------------------------------------------
+
+const jobs = new Map();
+let activeJob = null;
+
+const publicJob = (job) => (job ? { ...job } : null);
+
+export const getJob = (id) => publicJob(jobs.get(id));
+export const getActiveJob = () => publicJob(activeJob);
+
+// Runs `work(step, job)` in the background; `step(label, fn)` records each stage with its
+// outcome: a string returned by `fn` becomes the stage's detail, `false` marks it skipped
+function startJob(session, { type, snapshot, audit }, work) {
+  if (activeJob) throw httpError(409, `A ${activeJob.type} job is already running`);
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    snapshot,
+    status: 'running',
+    steps: [],
+    result: null,
+    error: null,
+    actor: auditActor(session),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  activeJob = job;
+
+  const step = async (label, fn) => {
+    const entry = { label, status: 'running', detail: null };
+    job.steps.push(entry);
+    try {
+      const detail = await fn();
+      entry.status = detail === false ? 'skipped' : 'done';
+      entry.detail = typeof detail === 'string' ? detail : null;
+    } catch (err) {
+      entry.status = 'failed';
+      entry.detail = err.message;
+      throw err;
+    }
+  };
+
+  work(step, job)
+    .then(
+      (result) => ({ status: 'succeeded', result: result ?? null, error: null }),
+      (err) => {
+        console.error(`[backup] ${type} job failed:`, err.message);
+        return { status: 'failed', result: null, error: err.message };
+      }
+    )
+    .then(async (outcome) => {
+      // Recorded before the job reports as finished, so a failed write shows on the job
+      if (audit) {
+        await recordAudit(session, {
+          type: audit,
+          target: { kind: 'backup', name: job.snapshot },
+          after: outcome.status === 'succeeded' ? outcome.result : null,
+          result: outcome.status === 'succeeded' ? 'success' : 'failure',
+          error: outcome.error,
+        }).catch((err) => {
+          outcome.error = [outcome.error, `Not recorded in the audit log: ${err.message}`].filter(Boolean).join('; ');
+        });
+      }
+      Object.assign(job, outcome, { finishedAt: new Date().toISOString() });
+      activeJob = null;
+      for (const id of [...jobs.keys()].slice(0, Math.max(0, jobs.size - KEPT_JOBS))) jobs.delete(id);
+    });
+
+  return publicJob(job);
+}
+
+// --- Backup -------------------------------------------------------------------------------
+
+const timestampName = (date) => date.toISOString().slice(0, 19).replace(/-|:/g, '').replace('T', '_');
+
+async function newSnapshotDir() {
+  const base = timestampName(new Date());
+  for (let n = 1; ; n++) {
+    const name = n === 1 ? base : `${base}_${n}`;
+    try {
+      await fs.promises.mkdir(path.join(BACKUP_DIR, name), { recursive: false });
+      return name;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+}
+
+async function writeSnapshot(step, session, reason) {
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+  const name = await newSnapshotDir();
+  const dir = path.join(BACKUP_DIR, name);
+
+  await step('Dump the Postgres database', async () => {
+    if (!databaseConfigured()) return false;
+    await run('pg_dump', ['--no-owner', '--no-privileges', '-f', path.join(dir, DATABASE_FILE)]);
+    return null;
+  });
+
+  await step('Archive config/ and data/', async () => {
+    const sources = [];
+    for (const source of SOURCES) if (await exists(path.join(BACKUP_SOURCE_DIR, source))) sources.push(source);
+    if (sources.length === 0) return false;
+    await run('tar', ['-czf', path.join(dir, ARCHIVE_FILE), '-C', BACKUP_SOURCE_DIR, ...sources]);
+    return sources.map((source) => `${source}/`).join(', ');
+  });
+
+  await step('Save the sanitized environment', async () => {
+    let text;
+    try {
+      text = await fs.promises.readFile(path.join(BACKUP_SOURCE_DIR, '.env'), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+    const lines = text.split('\n').filter((line) => !SECRET_ENV.test(line));
+    await fs.promises.writeFile(path.join(dir, ENV_FILE), lines.join('\n'));
+    return null;
+  });
+
+  await step('Record checksums', async () => {
+    const files = {};
+    for (const file of [DATABASE_FILE, ARCHIVE_FILE, ENV_FILE]) {
+      const full = path.join(dir, file);
+      if (await exists(full)) files[file] = { size: (await fs.promises.stat(full)).size, sha256: await sha256File(full) };
+    }
+    const manifest = { version: 1, name, createdAt: new Date().toISOString(), createdBy: auditActor(session), reason, files };
+    await fs.promises.writeFile(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+    return `${Object.keys(files).length} file${Object.keys(files).length === 1 ? '' : 's'}`;
+  });
+
+  return name;
+}
+
+// Removes snapshots older than the retention period, never the one just written
+async function prune(keep) {
+  const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+  const removed = [];
+  for (const snapshot of await listSnapshots()) {
+    if (snapshot.name === keep) continue;
+    const { mtime } = await fs.promises.stat(snapshotPath(snapshot.name));
+    if (mtime.getTime() < cutoff) {
+      await fs.promises.rm(snapshotPath(snapshot.name), { recursive: true, force: true });
+      removed.push(snapshot.name);
+    }
+  }
+  return removed;
+}
+
+export const startBackup = (session) =>
+  startJob(session, { type: 'backup', snapshot: null, audit: 'backup.create' }, async (step, job) => {
+    const name = await writeSnapshot(step, session, 'manual');
+    // The job is listed from the start; the snapshot only gets its name once created
+    job.snapshot = name;
+    let pruned = [];
+    await step(`Apply the ${RETENTION_DAYS}-day retention policy`, async () => {
+      pruned = await prune(name);
+      return pruned.length ? `Removed ${pruned.join(', ')}` : 'Nothing to remove';
+    });
+    return { snapshot: name, pruned };
+  });
+
+// --- Verify -------------------------------------------------------------------------------
+
+// Checks a snapshot against its manifest and problems a restore would hit: missing or
+// altered files, an unreadable archive and a dump cut short. Returns the problems found.
+async function checkSnapshot(step, snapshot, dir) {
+  const problems = [];
+  const checksums = snapshot.manifest ? snapshot.manifest.files : null;
+
+  await step('Compare checksums', async () => {
+    if (!checksums) return false;
+    for (const [file, expected] of Object.entries(checksums)) {
+      const full = path.join(dir, file);
+      if (!(await exists(full))) problems.push(`${file} is missing`);
+      else if ((await sha256File(full)) !== expected.sha256) problems.push(`${file} does not match its recorded checksum`);
+    }
+    return problems.length ? `${problems.length} mismatch${problems.length === 1 ? '' : 'es'}` : 'All files match';
+  });
+
+  await step('Read the config archive', async () => {
+    if (!(await exists(path.join(dir, ARCHIVE_FILE)))) return false;
+    try {
+      const entries = parseTarListing(await run('tar', ['-tzvf', path.join(dir, ARCHIVE_FILE)]));
+      return `${entries.length} entries`;
+    } catch (err) {
+      problems.push(`${ARCHIVE_FILE} is unreadable: ${err.message}`);
+      return 'Unreadable';
+    }
+  });
+
+  await step('Check the database dump is complete', async () => {
+    if (!(await exists(path.join(dir, DATABASE_FILE)))) return false;
+    const { tables, complete } = await scanDump(path.join(dir, DATABASE_FILE));
+    if (!complete) problems.push(`${DATABASE_FILE} ends before pg_dump's completion marker`);
+    return `${tables.length} table${tables.length === 1 ? '' : 's'}${complete ? '' : ', truncated'}`;
+  });
+
+  return problems;
+}
+
+export async function startVerify(session, name) {
+  const snapshot = await getSnapshot(name);
+  const dir = snapshotPath(name);
+  return startJob(session, { type: 'verify', snapshot: name }, async (step) => {
+    const problems = await checkSnapshot(step, snapshot, dir);
+    if (problems.length) throw new Error(problems.join('; '));
+    return { checksums: Boolean(snapshot.manifest) };
+  });
+}
+
+// Tables and row counts of a plain pg_dump file, from its COPY blocks
+async function scanDump(file) {
+  const tables = [];
+  let current = null;
+  let complete = false;
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (current) {
+      if (line === '\\.') current = null;
+      else current.rows += 1;
+      continue;
+    }
+    const copy = line.match(/^COPY (\S+) .*FROM stdin;$/);
+    if (copy) {
+      current = { name: copy[1], rows: 0 };
+      tables.push(current);
+    } else if (line.startsWith(DUMP_COMPLETE)) {
+      complete = true;
+    }
+  }
+  return { tables, complete };
+}
+
+// --- Restore ------------------------------------------------------------------------------
+
+async function walk(root, prefix = '') {
+  const files = new Map();
+  let entries;
+  try {
+    entries = await fs.promises.readdir(path.join(root, prefix), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return files;
+    throw err;
+  }
+  for (const entry of entries) {
+    const relative = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) for (const [file, full] of await walk(root, relative)) files.set(file, full);
+    else if (entry.isFile()) files.set(relative, path.join(root, relative));
+  }
+  return files;
+}
+
+// What restoring would do to the files under BACKUP_SOURCE_DIR: the archive is unpacked into
+// a scratch directory and compared file by file. Restoring overwrites but never deletes, so
+// files missing from the backup are reported as kept.
+async function planFiles(dir) {
+  const archive = path.join(dir, ARCHIVE_FILE);
+  if (!(await exists(archive))) return null;
+  const scratch = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'restore-'));
+  try {
+    await run('tar', ['-xzf', archive, '-C', scratch]);
+    const plan = { changed: [], added: [], unchanged: 0, kept: [] };
+    const restored = await walk(scratch);
+    for (const [file, full] of restored) {
+      const live = path.join(BACKUP_SOURCE_DIR, file);
+      if (!(await exists(live))) plan.added.push(file);
+      else if ((await sha256File(live)) !== (await sha256File(full))) plan.changed.push(file);
+      else plan.unchanged += 1;
+    }
+    const roots = new Set([...restored.keys()].map((file) => file.split('/')[0]));
+    for (const root of roots) {
+      for (const file of (await walk(BACKUP_SOURCE_DIR, root)).keys()) if (!restored.has(file)) plan.kept.push(file);
+    }
+    return plan;
+  } finally {
+    await fs.promises.rm(scratch, { recursive: true, force: true });
+  }
+}
+
+// Backup row counts next to the live ones (Postgres' estimates, enough to spot a big change)
+async function planDatabase(dir) {
+  const dump = path.join(dir, DATABASE_FILE);
+  if (!(await exists(dump))) return null;
+  const { tables, complete } = await scanDump(dump);
+  if (!databaseConfigured()) return { complete, tables: tables.map((table) => ({ ...table, current: null })), reachable: false };
+  const output = await run('psql', ['-At', '-F', '\t', '-c', "SELECT schemaname || '.' || relname, n_live_tup FROM pg_stat_user_tables"]);
+  const current = new Map(
+    output
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => line.split('\t'))
+      .map(([table, rows]) => [table, Number(rows)])
+  );
+  const names = new Set(tables.map((table) => table.name));
+  return {
+    complete,
+    reachable: true,
+    tables: [
+      ...tables.map((table) => ({ name: table.name, rows: table.rows, current: current.has(table.name) ? current.get(table.name) : null })),
+      ...[...current.keys()].filter((table) => !names.has(table)).map((table) => ({ name: table, rows: null, current: current.get(table) })),
+    ],
+  };
+}
+
+// A dry run reports what would change. A real restore first verifies the snapshot like
+// startVerify and stops on any problem, takes a safety snapshot, then unpacks the archive
+// over BACKUP_SOURCE_DIR and replaces the public schema with the dump. `confirm` must
+// repeat the snapshot name.
+export async function startRestore(session, name, { dryRun, confirm }) {
+  const snapshot = await getSnapshot(name);
+  const dir = snapshotPath(name);
+  if (!dryRun && confirm !== name) throw httpError(400, `Type the snapshot name (${name}) to confirm the restore`);
+  if (!dryRun && snapshot.files.some((file) => file.name === DATABASE_FILE) && !databaseConfigured()) {
+    throw httpError(400, 'The snapshot has a database dump but no database is configured (PGHOST)');
+  }
+
+  if (dryRun) {
+    return startJob(session, { type: 'dry-run', snapshot: name }, async (step) => {
+      let files = null;
+      let database = null;
+      await step('Compare config files', async () => {
+        files = await planFiles(dir);
+        if (!files) return false;
+        return `${files.changed.length} changed, ${files.added.length} new, ${files.unchanged} unchanged`;
+      });
+      await step('Compare database tables', async () => {
+        database = await planDatabase(dir);
+        if (!database) return false;
+        return `${database.tables.length} table${database.tables.length === 1 ? '' : 's'}`;
+      });
+      return { dryRun: true, files, database };
+    });
+  }
+
+  return startJob(session, { type: 'restore', snapshot: name, audit: 'backup.restore' }, async (step) => {
+    // Nothing is touched unless the files match their checksums and the dump is complete.
+    // Snapshots from backup.sh have no manifest, so only the latter applies to them.
+    const problems = await checkSnapshot(step, snapshot, dir);
+    if (problems.length) throw new Error(`Restore aborted: ${problems.join('; ')}`);
+
+    const safety = await writeSnapshot(step, session, `before restoring ${name}`);
+    await step('Restore config files', async () => {
+      if (!(await exists(path.join(dir, ARCHIVE_FILE)))) return false;
+      await run('tar', ['-xzf', path.join(dir, ARCHIVE_FILE), '-C', BACKUP_SOURCE_DIR]);
+      return null;
+    });
+    await step('Restore the database', async () => {
+      if (!(await exists(path.join(dir, DATABASE_FILE)))) return false;
+      await run('psql', [
+        '-v',
+        'ON_ERROR_STOP=1',
+        '--single-transaction',
+        '-c',
+        'DROP SCHEMA public CASCADE; CREATE SCHEMA public;',
+        '-f',
+        path.join(dir, DATABASE_FILE),
+      ]);
+      return null;
+    });
+    return { dryRun: false, safetySnapshot: safety };
+  });
+}
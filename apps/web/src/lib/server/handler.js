@@ -0,0 +1,36 @@
+import { getSession } from '@/lib/server/session';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Cookies are sent cross-site for some requests, so state-changing calls must come from our own origin
+const isSameOrigin = (req) => {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+// Wraps a Next API route so it only runs for a signed-in dashboard session.
+// The session is passed to the handler as a third argument.
+export function withSession(handler) {
+  return async (req, res) => {
+    if (!SAFE_METHODS.includes(req.method) && !isSameOrigin(req)) {
+      return res.status(403).json({ error: 'Cross-origin request rejected' });
+    }
+
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    try {
+      return await handler(req, res, session);
+    } catch (err) {
+      console.error(`[api] ${req.method} ${req.url} failed:`, err);
+      if (!res.headersSent) res.status(502).json({ error: err.message || 'Upstream request failed' });
+    }
+  };
+}
@@ -0,0 +1,139 @@
+import { orchestratorHealthz, orchestratorJSON } from '@/lib/server/orchestrator';
+import { prometheusQuery, prometheusTargets } from '@/lib/server/prometheus';
+import { worstStatus } from '@/lib/health';
+
+// Aggregates the orchestrator's /healthz and /api/v1/status with Prometheus' `up` series
+// for the stack's services into one list of components for the System Health page.
+
+// Prometheus scrape jobs (config/prometheus/prometheus.yml) and how they are shown
+const SCRAPED_SERVICES = [
+  { id: 'headscale', name: 'Headscale', job: 'headscale' },
+  { id: 'traefik', name: 'Traefik', job: 'traefik' },
+  { id: 'postgres', name: 'PostgreSQL', job: 'postgres' },
+  { id: 'loki', name: 'Loki', job: 'loki' },
+  { id: 'grafana', name: 'Grafana', job: 'grafana' },
+];
+
+const UP_QUERY = `up{job=~"${SCRAPED_SERVICES.map((service) => service.job).join('|')}"}`;
+
+// Results are shared between dashboards polling at the same time
+const CACHE_TTL = 5000;
+let cache = { at: 0, promise: null };
+
+// Most recent error seen per component, kept after it recovers so the page can show it
+const lastErrors = new Map();
+
+const elapsed = (start) => Date.now() - start;
+
+async function timed(fn) {
+  const start = Date.now();
+  try {
+    return { value: await fn(), latencyMs: elapsed(start) };
+  } catch (error) {
+    return { error, latencyMs: elapsed(start) };
+  }
+}
+
+async function checkOrchestrator() {
+  const result = await timed(async () => {
+    const res = await orchestratorHealthz();
+    if (!res.ok) throw new Error(`/healthz returned ${res.status}`);
+    return res.json();
+  });
+  return {
+    id: 'orchestrator',
+    name: 'Orchestrator API',
+    source: '/healthz',
+    status: result.error ? 'outage' : 'operational',
+    latencyMs: result.latencyMs,
+    error: result.error && result.error.message,
+  };
+}
+
+// The orchestrator's own view of its dependencies; `health` maps name → { status, latency_ms, error }
+async function checkOrchestratorStatus() {
+  const result = await timed(() => orchestratorJSON('status'));
+  const health = (result.value && result.value.health) || {};
+  const probe = (name) => {
+    const entry = health[name];
+    if (result.error) return { status: 'unknown', error: `Orchestrator status unavailable: ${result.error.message}` };
+    if (!entry || typeof entry !== 'object') return { status: 'unknown', error: null };
+    return { status: entry.status === 'ok' ? 'operational' : 'outage', latencyMs: entry.latency_ms, error: entry.error || null };
+  };
+  return {
+    uptime: result.value && result.value.uptime,
+    headscale: probe('headscale'),
+    storage: { id: 'storage', name: 'Orchestrator storage', source: '/api/v1/status', ...probe('storage') },
+  };
+}
+
+async function checkScraped() {
+  const [up, targets] = await Promise.allSettled([prometheusQuery(UP_QUERY), prometheusTargets()]);
+  return SCRAPED_SERVICES.map((service) => {
+    const base = { id: service.id, name: service.name, source: `Prometheus up{job="${service.job}"}` };
+    if (up.status === 'rejected') return { ...base, status: 'unknown', error: `Prometheus unavailable: ${up.reason.message}` };
+
+    const samples = up.value.filter((series) => series.metric.job === service.job);
+    const jobTargets = targets.status === 'fulfilled' ? targets.value.filter((target) => target.labels.job === service.job) : [];
+    const healthy = samples.filter((series) => Number(series.value[1]) === 1).length;
+    const durations = jobTargets.map((target) => target.lastScrapeDuration).filter((value) => typeof value === 'number');
+    const failing = jobTargets.find((target) => target.lastError);
+
+    let status = 'unknown';
+    if (samples.length > 0) status = healthy === samples.length ? 'operational' : healthy === 0 ? 'outage' : 'degraded';
+    return {
+      ...base,
+      status,
+      detail: samples.length ? `${healthy}/${samples.length} target${samples.length === 1 ? '' : 's'} up` : 'Not scraped by Prometheus',
+      // Scrape duration stands in for latency: it is how long the service took to answer Prometheus
+      latencyMs: durations.length ? Math.round((durations.reduce((sum, value) => sum + value, 0) / durations.length) * 1000) : null,
+      error: failing ? failing.lastError : null,
+      errorAt: failing ? failing.lastScrape : null,
+    };
+  });
+}
+
+// Headscale is probed twice: directly by the orchestrator and by Prometheus' scrape. A probe
+// that could not run says nothing about Headscale itself, so it is left out.
+function mergeHeadscale(scraped, probe) {
+  if (probe.status === 'unknown') return { ...scraped, source: `${scraped.source} and orchestrator probe` };
+  const statuses = [scraped.status, probe.status].filter((status) => status !== 'unknown');
+  return {
+    ...scraped,
+    source: `${scraped.source} and orchestrator probe`,
+    status: worstStatus(statuses),
+    latencyMs: probe.latencyMs ?? scraped.latencyMs,
+    error: probe.error || scraped.error,
+    errorAt: probe.error ? null : scraped.errorAt,
+  };
+}
+
+function withLastError({ error, errorAt, ...component }, now) {
+  if (error) lastErrors.set(component.id, { message: error, at: errorAt || new Date(now).toISOString() });
+  return { ...component, latencyMs: component.latencyMs ?? null, detail: component.detail || null, lastError: lastErrors.get(component.id) || null };
+}
+
+async function collect() {
+  const now = Date.now();
+  const [orchestrator, status, scraped] = await Promise.all([checkOrchestrator(), checkOrchestratorStatus(), checkScraped()]);
+  if (status.uptime) orchestrator.detail = `Up ${status.uptime}`;
+
+  const components = [
+    orchestrator,
+    status.storage,
+    ...scraped.map((component) => (component.id === 'headscale' ? mergeHeadscale(component, status.headscale) : component)),
+  ].map((component) => withLastError(component, now));
+
+  return {
+    status: worstStatus(components.map((component) => component.status)),
+    checkedAt: new Date(now).toISOString(),
+    components,
+  };
+}
+
+export function getSystemHealth() {
+  if (!cache.promise || Date.now() - cache.at > CACHE_TTL) {
+    cache = { at: Date.now(), promise: collect() };
+  }
+  return cache.promise;
+}
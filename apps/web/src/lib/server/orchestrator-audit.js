@@ -0,0 +1,186 @@
+import { normalizeApiKey, normalizeKey, normalizeNode, normalizeUser } from '@/lib/api';
+import { orchestratorJSON } from '@/lib/server/orchestrator';
+
+// What the /api/v1 proxy records in the audit log for each mutating orchestrator route:
+// the action type, its target, and the state before and after. "Before" is read from the
+// orchestrator just ahead of the change; "after" comes from the request (or, for an
+// apply, the response) since most mutation endpoints only answer with a message.
+
+const list = (data) => (Array.isArray(data) ? data : []);
+const pick = (object, keys) => (object ? Object.fromEntries(keys.map((key) => [key, object[key] ?? null])) : null);
+
+const findNode = async (id) => list(await orchestratorJSON('nodes')).map(normalizeNode).find((node) => String(node.id) === String(id)) || null;
+const findUser = async (name) => list(await orchestratorJSON('users')).map(normalizeUser).find((user) => user.name === name) || null;
+const findKey = async (id) => list(await orchestratorJSON('keys')).map(normalizeKey).find((key) => String(key.id) === String(id)) || null;
+const findApiKey = async (prefix) => list(await orchestratorJSON('apikeys')).map(normalizeApiKey).find((key) => key.prefix === prefix) || null;
+
+const nodeTarget = (id, node) => ({ kind: 'node', id, name: node ? node.name : null });
+
+// Pre-auth key values are secrets and never go into the log
+const KEY_FIELDS = ['id', 'user', 'reusable', 'ephemeral', 'used', 'expiration', 'tags'];
+const API_KEY_FIELDS = ['prefix', 'createdAt', 'expiration', 'lastSeen'];
+const NODE_FIELDS = ['name', 'user', 'tags', 'ipAddresses', 'expiry'];
+
+const ACTIONS = [
+  [
+    'POST',
+    /^users$/,
+    (match, body) => ({ type: 'user.create', target: { kind: 'user', name: body.name }, after: pick(body, ['name', 'email', 'tags']) }),
+  ],
+  [
+    'DELETE',
+    /^users\/([^/]+)$/,
+    ([, name]) => ({
+      type: 'user.delete',
+      target: { kind: 'user', name },
+      before: async () => pick(await findUser(name), ['name', 'email', 'tags']),
+    }),
+  ],
+  [
+    'DELETE',
+    /^nodes\/([^/]+)$/,
+    ([, id]) => {
+      let node = null;
+      return {
+        type: 'node.delete',
+        target: () => nodeTarget(id, node),
+        before: async () => pick((node = await findNode(id)), NODE_FIELDS),
+      };
+    },
+  ],
+  [
+    'POST',
+    /^nodes\/([^/]+)\/expire$/,
+    ([, id]) => {
+      let node = null;
+      return {
+        type: 'node.expire',
+        target: () => nodeTarget(id, node),
+        before: async () => pick((node = await findNode(id)), ['expiry']),
+        after: () => ({ expiry: new Date().toISOString() }),
+      };
+    },
+  ],
+  [
+    'POST',
+    /^nodes\/([^/]+)\/rename$/,
+    ([, id], body) => {
+      let node = null;
+      return {
+        type: 'node.rename',
+        target: () => nodeTarget(id, node),
+        before: async () => pick((node = await findNode(id)), ['name']),
+        after: { name: body.name ?? null },
+      };
+    },
+  ],
+  [
+    'POST',
+    /^nodes\/([^/]+)\/tags$/,
+    ([, id], body) => {
+      let node = null;
+      return {
+        type: 'node.tags',
+        target: () => nodeTarget(id, node),
+        before: async () => pick((node = await findNode(id)), ['tags']),
+        after: { tags: list(body.tags) },
+      };
+    },
+  ],
+  [
+    'POST',
+    /^nodes\/([^/]+)\/routes\/(enable|disable)$/,
+    ([, id, action], body) => {
+      let node = null;
+      return {
+        type: `route.${action}`,
+        target: () => ({ kind: 'route', id, name: `${node ? node.name : id} ${list(body.routes).join(', ')}` }),
+        before: async () => pick((node = await findNode(id)), ['approvedRoutes']),
+        after: (data) => pick(data, ['approvedRoutes']),
+      };
+    },
+  ],
+  [
+    'POST',
+    /^keys$/,
+    (match, body) => ({
+      type: 'key.create',
+      target: (data) => ({ kind: 'key', id: data && data.id !== undefined ? data.id : null, name: `for ${body.user || '?'}` }),
+      after: pick(body, ['user', 'reusable', 'ephemeral', 'expiration', 'tags']),
+    }),
+  ],
+  [
+    'DELETE',
+    /^keys\/([^/]+)$/,
+    ([, id]) => {
+      let key = null;
+      return {
+        type: 'key.revoke',
+        target: () => ({ kind: 'key', id, name: key ? `for ${key.user}` : null }),
+        before: async () => pick((key = await findKey(id)), KEY_FIELDS),
+      };
+    },
+  ],
+  [
+    'POST',
+    /^apikeys$/,
+    (match, body) => ({
+      type: 'apikey.create',
+      // Only the prefix of the response is kept; the full key is the secret
+      target: (data) => ({ kind: 'apikey', name: data && data.prefix ? data.prefix : null }),
+      after: pick(body, ['expiration']),
+    }),
+  ],
+  [
+    'POST',
+    /^apikeys\/([^/]+)\/expire$/,
+    ([, prefix]) => ({
+      type: 'apikey.expire',
+      target: { kind: 'apikey', name: prefix },
+      before: async () => pick(await findApiKey(prefix), API_KEY_FIELDS),
+      after: () => ({ expiration: new Date().toISOString() }),
+    }),
+  ],
+  [
+    'DELETE',
+    /^apikeys\/([^/]+)$/,
+    ([, prefix]) => ({
+      type: 'apikey.delete',
+      target: { kind: 'apikey', name: prefix },
+      before: async () => pick(await findApiKey(prefix), API_KEY_FIELDS),
+    }),
+  ],
+  [
+    'PUT',
+    /^acl$/,
+    (match, body) => ({ type: 'acl.update', target: { kind: 'acl', name: 'policy' }, before: () => orchestratorJSON('acl'), after: body }),
+  ],
+  [
+    'POST',
+    /^apply$/,
+    (match, body) => ({
+      type: 'config.apply',
+      target: { kind: 'config', name: body.dry_run ? 'dry run' : 'apply' },
+      after: (data) => ({ request: pick(body, ['dry_run', 'force', 'validate']), response: pick(data, ['success', 'message', 'changes', 'errors', 'stats']) }),
+    }),
+  ],
+  [
+    'PUT',
+    /^config\/(users|routes)$/,
+    ([, name], body) => ({
+      type: 'config.update',
+      target: { kind: 'config', name: `${name}.yaml` },
+      before: async () => pick(await orchestratorJSON(`config/${name}`), ['sha256', 'content']),
+      after: (data) => ({ sha256: data && data.sha256 ? data.sha256 : null, content: body.content ?? null }),
+    }),
+  ],
+];
+
+// The audit action for a proxied request, or null for reads and unknown routes
+export function orchestratorAuditAction(method, path, body) {
+  for (const [allowed, pattern, describe] of ACTIONS) {
+    const match = allowed === method && path.match(pattern);
+    if (match) return describe(match.map(decodeURIComponent), body && typeof body === 'object' ? body : {});
+  }
+  return null;
+}
@@ -0,0 +1,46 @@
+// Server-side access to the orchestrator. The API key only ever lives here.
+
+import { maskKey } from '@/lib/keys';
+
+const ORCHESTRATOR_URL = process.env.ORCHESTRATOR_URL || 'http://api-orchestrator:8000';
+const REQUEST_TIMEOUT = 15000;
+
+// Liveness probe; /healthz is served without the API key
+export const orchestratorHealthz = () => fetch(new URL('/healthz', ORCHESTRATOR_URL), { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+
+export async function orchestratorFetch(path, { method = 'GET', body, query } = {}) {
+  const apiKey = process.env.HEADSCALE_API_KEY;
+  if (!apiKey) throw new Error('HEADSCALE_API_KEY is not configured');
+
+  const url = new URL(`/api/v1/${path.replace(/^\//, '')}`, ORCHESTRATOR_URL);
+  for (const [key, value] of Object.entries(query || {})) {
+    for (const item of [].concat(value)) url.searchParams.append(key, item);
+  }
+
+  const headers = { Accept: 'application/json', Authorization: `Bearer ${apiKey}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  return fetch(url, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+}
+
+// Convenience wrapper for server code that needs parsed JSON rather than a raw response
+export async function orchestratorJSON(path, options) {
+  const res = await orchestratorFetch(path, options);
+  const text = await res.text();
+  const data = text ? JSON.parse(text) : null;
+  if (!res.ok) {
+    const err = new Error((data && data.error) || `Orchestrator returned ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+// Pre-auth key secrets leave the server once, in the POST /keys response. Listings carry
+// a masked value so a read-only session cannot copy a reusable key and join a device.
+export const redactAuthKeys = (data) => (Array.isArray(data) ? data.map((key) => ({ ...key, key: maskKey(key.key) })) : data);
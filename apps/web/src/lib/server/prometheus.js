@@ -0,0 +1,30 @@
+// Server-side access to the Prometheus HTTP API. Only read-only query endpoints are used.
+
+const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://prometheus:9090';
+const REQUEST_TIMEOUT = 15000;
+
+export const QUERY_ENDPOINTS = ['query', 'query_range'];
+export const QUERY_PARAMS = ['query', 'time', 'start', 'end', 'step', 'timeout'];
+
+export async function prometheusFetch(endpoint, params = {}) {
+  const url = new URL(`/api/v1/${endpoint}`, PROMETHEUS_URL);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(key, value);
+  }
+  return fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+}
+
+
+// Parsed `data` of a successful Prometheus API call; failures throw with Prometheus' message
+async function prometheusData(endpoint, params) {
+  const res = await prometheusFetch(endpoint, params);
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body || body.status !== 'success') {
+    throw new Error((body && body.error) || `Prometheus returned ${res.status}`);
+  }
+  return body.data;
+}
+
+export const prometheusQuery = (query) => prometheusData('query', { query }).then((data) => data.result);
+
+export const prometheusTargets = () => prometheusData('targets', { state: 'active' }).then((data) => data.activeTargets);
@@ -0,0 +1,7 @@
+// Dashboard roles are derived from the Headscale ACL policy: members of group:admins
+// get full access, every other signed-in user is read-only. Resolution reads the policy
+// file and lives in lib/server/session; these constants are safe to import from components.
+
+export const ROLES = { admin: 'admin', viewer: 'viewer' };
+
+export const ADMIN_GROUP = 'group:admins';
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { parseHuJSON } from '@/lib/hujson';
+import { ADMIN_GROUP, ROLES } from '@/lib/server/roles';
+
+// Signed, stateless dashboard session stored in an HttpOnly cookie.
+// Server-only: never import this from components.
+
+export const SESSION_COOKIE = 'hs_session';
+const SESSION_TTL = 8 * 60 * 60; // seconds
+
+const getSecret = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('SESSION_SECRET is not configured');
+  return secret;
+};
+
+const sign = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+
+export function serializeCookie(name, value, { maxAge, path = '/', httpOnly = true, sameSite = 'Lax' } = {}) {
+  const parts = [`${name}=${value}`, `Path=${path}`, `SameSite=${sameSite}`];
+  if (maxAge !== undefined) parts.push(`Max-Age=${maxAge}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  return parts.join('; ');
+}
+
+// Appends to any Set-Cookie headers already queued on the response
+export function appendCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  const cookies = existing ? [].concat(existing) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+// Signs arbitrary JSON into a tamper-proof, expiring cookie value
+export function seal(data, ttl) {
+  const payload = Buffer.from(JSON.stringify({ ...data, exp: Math.floor(Date.now() / 1000) + ttl })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+export function unseal(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp * 1000 < Date.now()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+const POLICY_FILE = process.env.ACL_POLICY_FILE || '/etc/headscale/acl.hujson';
+
+let cache = { mtimeMs: 0, policy: null };
+
+function loadPolicy() {
+  const { mtimeMs } = fs.statSync(POLICY_FILE);
+  if (!cache.policy || cache.mtimeMs !== mtimeMs) {
+    cache = { mtimeMs, policy: parseHuJSON(fs.readFileSync(POLICY_FILE, 'utf8')) };
+  }
+  return cache.policy;
+}
+
+// Resolved per request rather than stored in the session cookie, so removing someone from
+// group:admins takes effect immediately. The policy is only re-read when it changes.
+// An email the identity provider has not verified never matches group:admins.
+export function resolveRole(email, { verified = true } = {}) {
+  if (!email || !verified) return ROLES.viewer;
+  try {
+    const admins = ((loadPolicy().groups || {})[ADMIN_GROUP] || []).map((member) => member.toLowerCase());
+    return admins.includes(email.toLowerCase()) ? ROLES.admin : ROLES.viewer;
+  } catch (err) {
+    // Fail closed: an unreadable policy must never grant admin
+    console.error(`[auth] could not read ACL policy ${POLICY_FILE}:`, err.message);
+    return ROLES.viewer;
+  }
+}
+
+// The cookie proves who the user is; their role comes from the current ACL policy
+export function getSession(req) {
+  const session = unseal(req.cookies && req.cookies[SESSION_COOKIE]);
+  return session && { ...session, role: resolveRole(session.email, { verified: session.emailVerified === true }) };
+}
+
+export function setSession(res, data) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, seal(data, SESSION_TTL), { maxAge: SESSION_TTL }));
+}
+
+export function clearSession(res) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, '', { maxAge: 0 }));
+}
+
+// Origin the browser used to reach the dashboard, for building absolute redirect URLs
+export function getBaseUrl(req) {
+  if (process.env.DASHBOARD_URL) return process.env.DASHBOARD_URL.replace(/\/$/, '');
+  const proto = (req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+// Only same-site relative paths are accepted as post-login destinations
+export const safeReturnTo = (value) =>
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
@@ -0,0 +1,50 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+
+const SessionContext = createContext({ session: null, loading: true, refresh: () => {}, logout: () => {} });
+
+export function SessionProvider({ children }) {
+  const [state, setState] = useState({ session: null, loading: true });
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth/session', { credentials: 'same-origin' });
+      setState({ session: res.ok ? await res.json() : null, loading: false });
+    } catch {
+      setState({ session: null, loading: false });
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    setState({ session: null, loading: false });
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return (
+    <SessionContext.Provider value={{ ...state, refresh, logout }}>
+      {children}
+    </SessionContext.Provider>
+  );
+}
+
+export const useSession = () => useContext(SessionContext);
+
+// Sends signed-out visitors to the login page and returns the session once known
+export function useRequireSession() {
+  const router = useRouter();
+  const { session, loading } = useSession();
+
+  useEffect(() => {
+    if (!loading && !session) {
+      router.replace(`/login?returnTo=${encodeURIComponent(router.asPath)}`);
+    }
+  }, [loading, session, router]);
+
+  return session;
+}
+
+export const isAdmin = (session) => Boolean(session && session.role === 'admin');
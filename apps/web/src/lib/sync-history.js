@@ -0,0 +1,35 @@
+// History of Config Sync runs (dry runs and applies), newest first. Every run goes through
+// the BFF proxy, which records it in the audit log as a `config.apply` entry, so the
+// history is read back from there and is the same for everyone.
+
+import { actorLabel, fetchAudit } from '@/lib/audit';
+
+export const HISTORY_LIMIT = 50;
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// A `config.apply` audit entry as a run. Only successful requests record their options and
+// the ApplyResponse; for the others the target still tells a dry run from an apply, and
+// `force` / `validate` are null because they are unknown.
+export function toSyncRun(entry) {
+  const { request = null, response = null } = entry.after || {};
+  const errors = list(response && response.errors);
+  return {
+    id: entry.id,
+    at: new Date(entry.timestamp),
+    actor: actorLabel(entry.actor),
+    dryRun: request ? Boolean(request.dry_run) : Boolean(entry.target && entry.target.name === 'dry run'),
+    force: request ? Boolean(request.force) : null,
+    validate: request ? request.validate !== false : null,
+    success: entry.result === 'success' && Boolean(response && response.success),
+    message: (response && response.message) || entry.error || (entry.result === 'success' ? 'Run finished' : 'Run failed'),
+    changes: list(response && response.changes),
+    errors: errors.length === 0 && entry.error ? [entry.error] : errors,
+    stats: (response && response.stats) || {},
+  };
+}
+
+export async function fetchSyncHistory({ signal } = {}) {
+  const { entries } = await fetchAudit({ type: 'config.apply' }, { limit: HISTORY_LIMIT, signal });
+  return entries.map(toSyncRun);
+}
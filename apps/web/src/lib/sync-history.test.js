@@ -0,0 +1,58 @@
+import { toSyncRun } from '@/lib/sync-history';
+
+const actor = { email: 'ann@corp.example', name: 'Ann', role: 'admin' };
+
+const auditEntry = (overrides = {}) => ({
+  id: 'a1',
+  timestamp: '2024-06-01T12:00:00.000Z',
+  actor,
+  type: 'config.apply',
+  target: { kind: 'config', name: 'apply' },
+  before: null,
+  after: null,
+  result: 'success',
+  status: 200,
+  error: null,
+  ...overrides,
+});
+
+describe('toSyncRun', () => {
+  it('reads the options and response of a recorded run', () => {
+    const run = toSyncRun(
+      auditEntry({
+        target: { kind: 'config', name: 'dry run' },
+        after: {
+          request: { dry_run: true, force: false, validate: true },
+          response: { success: true, message: 'Dry run complete', changes: ['create user bob'], errors: [], stats: { users_created: 1 } },
+        },
+      })
+    );
+    expect(run).toEqual({
+      id: 'a1',
+      at: new Date('2024-06-01T12:00:00.000Z'),
+      actor: 'ann@corp.example',
+      dryRun: true,
+      force: false,
+      validate: true,
+      success: true,
+      message: 'Dry run complete',
+      changes: ['create user bob'],
+      errors: [],
+      stats: { users_created: 1 },
+    });
+  });
+
+  it('is not a success when the orchestrator reports one', () => {
+    const run = toSyncRun(
+      auditEntry({
+        after: { request: { dry_run: false, force: true, validate: false }, response: { success: false, message: 'Apply failed', errors: ['user bob: exists'] } },
+      })
+    );
+    expect(run).toMatchObject({ dryRun: false, force: true, validate: false, success: false, message: 'Apply failed', changes: [], errors: ['user bob: exists'], stats: {} });
+  });
+
+  it('falls back to the target and the error of a failed request', () => {
+    const run = toSyncRun(auditEntry({ target: { kind: 'config', name: 'dry run' }, result: 'failure', status: 502, error: 'orchestrator unreachable' }));
+    expect(run).toMatchObject({ dryRun: true, force: null, validate: null, success: false, message: 'orchestrator unreachable', errors: ['orchestrator unreachable'] });
+  });
+});
@@ -0,0 +1,77 @@
+// Tag inventory for the Tags page: every tag defined in tagOwners, carried by a node or
+// named in a rule, with its owners, nodes and references, and what looks wrong with it.
+
+import { splitDestination } from '@/lib/acl-policy';
+import { withTagPrefix } from '@/lib/api';
+
+export const TAG_ISSUES = {
+  undefined: { label: 'undefined', description: 'Not in tagOwners, so Headscale ignores it and nobody may assign it' },
+  orphan: { label: 'no nodes', description: 'No node carries this tag' },
+  unreferenced: { label: 'unreferenced', description: 'No acls or ssh rule mentions this tag, so it grants nothing' },
+};
+
+const rulesOf = (policy, section) => (Array.isArray(policy[section]) ? policy[section] : []);
+
+// Every place a rule names a tag: { tag, section, index, rule, field }. Destinations in
+// acls carry ports ("tag:server:22"); ssh destinations do not.
+function ruleReferences(policy) {
+  const references = [];
+  for (const section of ['acls', 'ssh']) {
+    rulesOf(policy, section).forEach((rule, index) => {
+      const add = (alias, field) => {
+        if (typeof alias === 'string' && alias.startsWith('tag:')) references.push({ tag: alias, section, index, rule, field });
+      };
+      (rule.src || []).forEach((alias) => add(alias, 'src'));
+      (rule.dst || []).forEach((entry) => add(section === 'acls' ? splitDestination(entry).alias : entry, 'dst'));
+    });
+  }
+  return references;
+}
+
+// One entry per tag, sorted by name: { tag, name, defined, owners, nodes, references, issues },
+// where references are { section, index, rule, fields }
+export function tagInventory(policy, nodes = []) {
+  const tagOwners = (policy && policy.tagOwners) || {};
+  const references = policy ? ruleReferences(policy) : [];
+  const entries = new Map();
+  const entry = (tag) => {
+    if (!entries.has(tag)) {
+      entries.set(tag, { tag, name: tag.replace(/^tag:/, ''), defined: tag in tagOwners, owners: tagOwners[tag] || [], nodes: [], references: [] });
+    }
+    return entries.get(tag);
+  };
+
+  Object.keys(tagOwners).forEach(entry);
+  nodes.forEach((node) => node.tags.forEach((tag) => entry(withTagPrefix(tag)).nodes.push(node)));
+  references.forEach(({ tag, section, index, rule, field }) => {
+    const item = entry(tag);
+    // A rule naming the tag in both src and dst is listed once
+    const existing = item.references.find((reference) => reference.section === section && reference.index === index);
+    if (existing) {
+      if (!existing.fields.includes(field)) existing.fields.push(field);
+    } else {
+      item.references.push({ section, index, rule, fields: [field] });
+    }
+  });
+
+  return [...entries.values()]
+    .map((item) => ({
+      ...item,
+      issues: [
+        !item.defined && 'undefined',
+        item.nodes.length === 0 && 'orphan',
+        item.references.length === 0 && 'unreferenced',
+      ].filter(Boolean),
+    }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// ?issue= narrows the Tags page to tags with that issue
+export function parseTagsQuery(query) {
+  const issue = first(query.issue) || '';
+  return { issue: Object.keys(TAG_ISSUES).includes(issue) ? issue : '' };
+}
+
+export const serializeTagsQuery = ({ issue }) => (issue ? { issue } : {});
@@ -0,0 +1,84 @@
+// Line diffs for reviewing text edits before they are saved.
+
+// Above this many cells the LCS table is not built and the whole text is shown as replaced
+const MAX_CELLS = 4_000_000;
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Line operations turning `before` into `after`: { type: 'same' | 'removed' | 'added', text,
+// oldLine, newLine }, from a longest-common-subsequence table over the lines
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix and suffix are matched directly, which keeps the table small for typical edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const same = (i, j) => ops.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  for (let i = 0; i < start; i++) same(i, i);
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    for (let i = start; i < endA; i++) ops.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+    for (let j = start; j < endB; j++) ops.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+  } else {
+    // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB), stored row-major
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          a[start + i] === b[start + j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        same(start + i, start + j);
+        i++;
+        j++;
+      } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        ops.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+        j++;
+      } else {
+        ops.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+        i++;
+      }
+    }
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) same(i, j);
+  return ops;
+}
+
+// Groups operations into hunks of changes with `context` unchanged lines around each
+export function diffHunks(ops, context = 3) {
+  const changed = ops.map((op, index) => (op.type === 'same' ? -1 : index)).filter((index) => index >= 0);
+  const hunks = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) last.to = Math.max(last.to, to);
+    else hunks.push({ from, to });
+  }
+  return hunks.map(({ from, to }) => ops.slice(from, to));
+}
+
+export const countChanges = (ops) =>
+  ops.reduce((counts, op) => (op.type === 'same' ? counts : { ...counts, [op.type]: counts[op.type] + 1 }), { added: 0, removed: 0 });
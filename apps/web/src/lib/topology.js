@@ -0,0 +1,131 @@
+import { createEvaluator } from '@/lib/acl-eval';
+
+// Tailnet topology as a layered graph: users → nodes → advertised subnet routes and the
+// internet (for exit nodes). Vertices get column/row positions from `layoutGraph`; ACL
+// reachability between nodes is computed separately since it is optional and costly.
+
+export const COLUMNS = ['user', 'node', 'route'];
+export const COLUMN_GAP = 300;
+export const ROW_GAP = 56;
+
+const INTERNET_ID = 'route:internet';
+
+// Beyond this many nodes the n² reachability check is skipped
+export const ACL_EDGE_NODE_LIMIT = 150;
+
+export const TAG_COLORS = ['#9333ea', '#0891b2', '#ea580c', '#db2777', '#65a30d', '#4f46e5', '#ca8a04', '#0d9488'];
+
+// Stable color per tag, by position in the sorted list of all tags
+export function tagColors(nodes) {
+  const tags = [...new Set(nodes.flatMap((node) => node.tags))].sort();
+  return new Map(tags.map((tag, i) => [tag, TAG_COLORS[i % TAG_COLORS.length]]));
+}
+
+export function buildGraph({ users = [], nodes = [], routes = [] }) {
+  const vertices = new Map();
+  const edges = [];
+  const add = (vertex) => {
+    if (!vertices.has(vertex.id)) vertices.set(vertex.id, vertex);
+    return vertices.get(vertex.id);
+  };
+
+  for (const user of users) add({ id: `user:${user.name}`, kind: 'user', column: 'user', label: user.name, data: user });
+
+  for (const node of nodes) {
+    // Nodes can outlive their user; keep them attached to a placeholder
+    const owner = add({ id: `user:${node.user}`, kind: 'user', column: 'user', label: node.user || '(no user)', data: { name: node.user }, missing: true });
+    const vertex = add({ id: `node:${node.id}`, kind: 'node', column: 'node', label: node.name, data: node });
+    edges.push({ id: `${owner.id}->${vertex.id}`, source: owner.id, target: vertex.id, kind: 'owns' });
+  }
+
+  const nodeByName = new Map(nodes.map((node) => [node.name, node]));
+  for (const route of routes) {
+    const node = nodes.find((item) => String(item.id) === String(route.nodeId)) || nodeByName.get(route.node);
+    if (!node) continue;
+    const target = route.exitNode
+      ? add({ id: INTERNET_ID, kind: 'exit', column: 'route', label: 'Internet (exit)', data: {} })
+      : add({ id: `route:${route.prefix}`, kind: 'route', column: 'route', label: route.prefix, data: { prefix: route.prefix } });
+    const id = `node:${node.id}->${target.id}`;
+    // An exit node advertises 0.0.0.0/0 and ::/0; both collapse into one edge
+    const existing = edges.find((edge) => edge.id === id);
+    if (existing) existing.enabled = existing.enabled && route.enabled;
+    else edges.push({ id, source: `node:${node.id}`, target: target.id, kind: route.exitNode ? 'exit' : 'advertises', enabled: route.enabled });
+  }
+
+  return { vertices: [...vertices.values()], edges };
+}
+
+// Column-by-column placement: users alphabetically, then each later column ordered by the
+// mean row of its neighbours in the previous column, which keeps most edges short and flat
+export function layoutGraph({ vertices, edges }) {
+  const neighbours = new Map(vertices.map((vertex) => [vertex.id, []]));
+  for (const edge of edges) {
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+  }
+
+  const rows = new Map();
+  const columns = COLUMNS.map((column) => vertices.filter((vertex) => vertex.column === column));
+  columns.forEach((list, index) => {
+    const rank = (vertex) => {
+      if (index === 0) return 0;
+      const placed = neighbours.get(vertex.id).filter((id) => rows.has(id));
+      return placed.length ? placed.reduce((sum, id) => sum + rows.get(id), 0) / placed.length : Infinity;
+    };
+    const ordered = list
+      .map((vertex) => ({ vertex, rank: rank(vertex) }))
+      .sort((a, b) => a.rank - b.rank || a.vertex.label.localeCompare(b.vertex.label));
+    ordered.forEach(({ vertex }, row) => rows.set(vertex.id, row));
+  });
+
+  const tallest = Math.max(1, ...columns.map((list) => list.length));
+  const positions = new Map();
+  columns.forEach((list, index) => {
+    const offset = ((tallest - list.length) * ROW_GAP) / 2;
+    for (const vertex of list) positions.set(vertex.id, { x: index * COLUMN_GAP, y: offset + rows.get(vertex.id) * ROW_GAP });
+  });
+
+  return { positions, width: (COLUMNS.length - 1) * COLUMN_GAP, height: (tallest - 1) * ROW_GAP };
+}
+
+// Node pairs that may talk under the policy's acls (any port), as undirected edges that
+// remember each direction: { source, target, forward, backward }
+export function aclEdges(policy, { users = [], nodes = [] }) {
+  if (!policy || nodes.length > ACL_EDGE_NODE_LIMIT) return null;
+  const evaluator = createEvaluator(policy, { users, nodes });
+  const allowed = (from, to) => evaluator.canReach({ type: 'node', node: from }, { type: 'node', node: to }).allowed;
+
+  const result = [];
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const forward = allowed(nodes[i], nodes[j]);
+      const backward = allowed(nodes[j], nodes[i]);
+      if (forward || backward) {
+        result.push({ id: `acl:${nodes[i].id}:${nodes[j].id}`, source: `node:${nodes[i].id}`, target: `node:${nodes[j].id}`, kind: 'acl', forward, backward });
+      }
+    }
+  }
+  return result;
+}
+
+// The vertex and everything one edge away from it
+export function neighbourhood(id, edges) {
+  const ids = new Set([id]);
+  for (const edge of edges) {
+    if (edge.source === id) ids.add(edge.target);
+    if (edge.target === id) ids.add(edge.source);
+  }
+  return ids;
+}
+
+// Vertices whose label, IP address or tags contain the query (case-insensitive)
+export function searchVertices(vertices, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  return vertices.filter((vertex) => {
+    const fields = [vertex.label];
+    if (vertex.kind === 'node') fields.push(...vertex.data.ipAddresses, ...vertex.data.tags.map((tag) => `tag:${tag}`));
+    if (vertex.kind === 'user' && vertex.data.email) fields.push(vertex.data.email);
+    return fields.some((field) => field && field.toLowerCase().includes(needle));
+  });
+}
@@ -0,0 +1,26 @@
+import { useCallback, useMemo } from 'react';
+import { useRouter } from 'next/router';
+
+// Reads view state from the URL query with `parse` and writes updates back with a
+// shallow replace, so the page neither re-fetches nor adds history entries per keystroke.
+// Query keys not owned by `serialize` are left untouched.
+export function useQueryState(parse, serialize) {
+  const router = useRouter();
+  const state = useMemo(() => parse(router.query), [parse, router.query]);
+
+  const setState = useCallback(
+    (changes) => {
+      const current = parse(router.query);
+      const next = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+      const owned = Object.keys(current);
+      const others = Object.fromEntries(Object.entries(router.query).filter(([key]) => !owned.includes(key)));
+      router.replace({ pathname: router.pathname, query: { ...others, ...serialize(next) } }, undefined, {
+        shallow: true,
+        scroll: false,
+      });
+    },
+    [parse, serialize, router]
+  );
+
+  return [state, setState];
+}
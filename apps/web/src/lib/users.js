@@ -0,0 +1,74 @@
+// Per-user view of the tailnet for the Users tab and user pages: the ACL groups a user
+// belongs to, the role that implies, and what the policy lets them reach.
+
+import { createEvaluator } from '@/lib/acl-eval';
+import { splitDestination } from '@/lib/acl-policy';
+import { isKeyExpired } from '@/lib/keys';
+import { ADMIN_GROUP } from '@/lib/server/roles';
+
+// Headscale accepts most strings, but names double as MagicDNS labels for untagged devices
+export const isValidUserName = (name) => /^[a-z0-9]([a-z0-9._-]{0,61}[a-z0-9])?$/.test(name);
+
+// Every group the policy puts `user` in, matched by name or email like Headscale does
+export function userGroups(policy, user) {
+  if (!policy || !user) return [];
+  const evaluator = createEvaluator(policy, { users: [user] });
+  const principal = { type: 'user', user };
+  return Object.keys(policy.groups || {}).filter((group) => evaluator.matchesSource(group, principal));
+}
+
+// The badge on a user: admin for group:admins, otherwise their first group, else member
+export function userRole(groups) {
+  if (groups.includes(ADMIN_GROUP)) return { label: 'admin', kind: 'admin' };
+  if (groups.length > 0) return { label: groups[0].replace(/^group:/, ''), kind: 'group' };
+  return { label: 'member', kind: 'member' };
+}
+
+// A sample public address to ask whether any rule grants autogroup:internet
+const INTERNET_PROBE = { type: 'ip', ip: '1.1.1.1' };
+
+// What the policy grants `user`: the acl and ssh rules whose src covers them, the nodes
+// they can reach (on any port) or SSH into, the tags they may assign, and internet access.
+export function effectiveAccess(policy, user, { users = [], nodes = [] } = {}) {
+  const evaluator = createEvaluator(policy, { users, nodes });
+  const principal = { type: 'user', user };
+  const appliesTo = (rule) => (rule.src || []).some((alias) => evaluator.matchesSource(alias, principal));
+
+  const rules = (Array.isArray(policy.acls) ? policy.acls : [])
+    .map((rule, index) => ({ index, rule }))
+    .filter(({ rule }) => rule.action === 'accept' && appliesTo(rule))
+    .map(({ index, rule }) => ({ index, rule, destinations: (rule.dst || []).map(splitDestination) }));
+
+  const sshRules = (Array.isArray(policy.ssh) ? policy.ssh : [])
+    .map((rule, index) => ({ index, rule }))
+    .filter(({ rule }) => appliesTo(rule));
+
+  const reachable = nodes.filter((node) => evaluator.canReach(principal, { type: 'node', node }).allowed);
+  const ssh = nodes
+    .map((node) => ({ node, logins: evaluator.canSSH(principal, node, 'root').logins }))
+    .filter((entry) => entry.logins.length > 0);
+
+  const identities = [user.name, user.email].filter(Boolean).map((value) => value.toLowerCase());
+  const ownedTags = Object.keys(policy.tagOwners || {}).filter((tag) =>
+    evaluator.expandTagOwners(tag).some((owner) => identities.includes(owner))
+  );
+
+  return {
+    rules,
+    sshRules,
+    reachable,
+    ssh,
+    ownedTags,
+    internet: evaluator.canReach(principal, INTERNET_PROBE).allowed,
+  };
+}
+
+// A user's devices and pre-auth keys, with the keys that can still register devices first
+export function userResources(name, { nodes = [], keys = [] } = {}, now = Date.now()) {
+  return {
+    nodes: nodes.filter((node) => node.user === name),
+    keys: keys
+      .filter((key) => key.user === name)
+      .sort((a, b) => Number(isKeyExpired(a, now)) - Number(isKeyExpired(b, now))),
+  };
+}
@@ -1,5 +1,10 @@
 import '../styles/globals.css'
+import { SessionProvider } from '@/lib/session'
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  return (
+    <SessionProvider>
+      <Component {...pageProps} />
+    </SessionProvider>
+  )
 }
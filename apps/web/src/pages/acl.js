@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { AclEditor } from '@/components/acl/acl-editor';
+import { AclSimulator } from '@/components/acl/acl-simulator';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { useACL, useUsers, useNodes } from '@/lib/hooks';
+import { isAdmin } from '@/lib/session';
+
+const AclPolicy = ({ session }) => {
+  const acl = useACL();
+  const users = useUsers();
+  const nodes = useNodes();
+  // The simulator follows the editor so a change can be checked before it is saved
+  const [draft, setDraft] = useState(null);
+  const policy = draft || acl.data;
+
+  const simulatorError = users.error || nodes.error;
+  return (
+    <div className="space-y-8">
+      <AclEditor acl={acl} canWrite={isAdmin(session)} onDraftChange={setDraft} />
+      <section className="space-y-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Policy simulator</h2>
+          <p className="text-gray-600 mt-1">
+            {draft ? 'Evaluating the policy in the editor, including unsaved changes.' : 'Evaluating the live policy.'}
+          </p>
+        </div>
+        {simulatorError && !(users.data && nodes.data) ? (
+          <ErrorAlert
+            title="Failed to load users and nodes"
+            error={simulatorError}
+            onRetry={() => {
+              users.refresh();
+              nodes.refresh();
+            }}
+          />
+        ) : !policy || !users.data || !nodes.data ? (
+          <LoadingState label="Loading users and nodes..." />
+        ) : (
+          <AclSimulator policy={policy} users={users.data} nodes={nodes.data} />
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default function AclPage() {
+  return (
+    <PageShell title="ACL Policy" description="Edit the Headscale access policy and check who can reach what before saving.">
+      {(session) => <AclPolicy session={session} />}
+    </PageShell>
+  );
+}
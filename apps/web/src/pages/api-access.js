@@ -0,0 +1,18 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { ApiKeysView } from '@/components/api-keys/api-keys-view';
+import { useApiKeys } from '@/lib/hooks';
+import { isAdmin } from '@/lib/session';
+
+const ApiAccess = ({ session }) => {
+  const keys = useApiKeys();
+  return <ApiKeysView keys={keys} canWrite={isAdmin(session)} />;
+};
+
+export default function ApiAccessPage() {
+  return (
+    <PageShell title="API Access" description="Headscale API keys for scripts and integrations: when they were created, when they expire and when they were last used.">
+      {(session) => <ApiAccess session={session} />}
+    </PageShell>
+  );
+}
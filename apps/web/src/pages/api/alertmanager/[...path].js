@@ -0,0 +1,82 @@
+import { withSession } from '@/lib/server/handler';
+import { alertmanagerFetch } from '@/lib/server/alertmanager';
+import { ROLES } from '@/lib/server/roles';
+import { audited, recordDenied } from '@/lib/server/audit';
+import { describeMatcher } from '@/lib/alerts';
+
+// Alertmanager proxy: reading alerts and silences, creating a silence and expiring one.
+// Everything else in the v2 API (status, receivers, posting alerts) stays unreachable.
+const ALLOWED_ROUTES = [
+  ['GET', /^alerts$/],
+  ['GET', /^silences$/],
+  ['POST', /^silences$/],
+  ['DELETE', /^silence\/[0-9a-f-]+$/],
+];
+
+const QUERY_PARAMS = ['active', 'silenced', 'inhibited', 'unprocessed', 'filter'];
+
+const sessionName = (session) => session.email || session.name || 'dashboard';
+
+const silenceSummary = (silence) => (silence ? { matchers: silence.matchers, startsAt: silence.startsAt, endsAt: silence.endsAt, comment: silence.comment, createdBy: silence.createdBy } : null);
+
+// Audit entries for the two mutations; reads are not audited
+function auditAction(method, path, body) {
+  if (method === 'POST') {
+    return {
+      type: 'silence.create',
+      target: (data) => ({ kind: 'silence', id: (data && data.silenceID) || null, name: (body.matchers || []).map(describeMatcher).join(', ') }),
+      after: silenceSummary(body),
+    };
+  }
+  if (method === 'DELETE') {
+    const id = path.split('/')[1];
+    return {
+      type: 'silence.expire',
+      target: { kind: 'silence', id },
+      before: async () => {
+        const res = await alertmanagerFetch(`silence/${id}`);
+        return res.ok ? silenceSummary(await res.json()) : null;
+      },
+    };
+  }
+  return null;
+}
+
+async function alertmanager(req, res, session) {
+  const { path: segments = [], ...query } = req.query;
+  const path = [].concat(segments).join('/');
+  const candidates = ALLOWED_ROUTES.filter(([, pattern]) => pattern.test(path));
+  if (candidates.length === 0) return res.status(404).json({ error: `Unknown Alertmanager route: ${path}` });
+  if (!candidates.some(([method]) => method === req.method)) {
+    res.setHeader('Allow', candidates.map(([method]) => method).join(', '));
+    return res.status(405).json({ error: `Method ${req.method} not allowed on ${path}` });
+  }
+  if (req.method !== 'GET' && session.role !== ROLES.admin) {
+    await recordDenied(session, auditAction(req.method, path, req.body || {}), 'Read-only users cannot manage silences');
+    return res.status(403).json({ error: 'Read-only users cannot manage silences' });
+  }
+
+  let body;
+  if (req.method === 'POST') {
+    const { matchers, startsAt, endsAt, comment } = req.body || {};
+    if (!Array.isArray(matchers) || matchers.length === 0) return res.status(400).json({ error: 'A silence needs at least one matcher' });
+    if (!comment || !String(comment).trim()) return res.status(400).json({ error: 'A silence needs a comment' });
+    // The author always comes from the session so silences can't be attributed to someone else
+    body = { matchers, startsAt, endsAt, comment: String(comment).trim(), createdBy: sessionName(session) };
+  }
+
+  const perform = () =>
+    alertmanagerFetch(path, {
+      method: req.method,
+      body,
+      query: Object.fromEntries(QUERY_PARAMS.filter((key) => key in query).map((key) => [key, query[key]])),
+    });
+
+  const { upstream, text } = await audited(session, auditAction(req.method, path, body), perform);
+  res.status(upstream.status);
+  res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(text);
+}
+
+export default withSession(alertmanager);
@@ -0,0 +1,34 @@
+import { withSession } from '@/lib/server/handler';
+import { readAuditLog } from '@/lib/server/audit';
+import { auditToCSV, filterAudit, parseAuditQuery } from '@/lib/audit';
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// The audit log, newest first, filtered by the Audit page's query parameters. With
+// `format=csv` or `format=json` every matching entry is returned as a download.
+export default withSession(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const entries = filterAudit(await readAuditLog(), parseAuditQuery(req.query));
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { format } = req.query;
+  if (format === 'csv' || format === 'json') {
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(auditToCSV(entries));
+    }
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.status(200).send(JSON.stringify(entries, null, 2));
+  }
+  if (format !== undefined) return res.status(400).json({ error: `Unknown export format: ${format}` });
+
+  const limit = Math.min(MAX_LIMIT, parseInt(req.query.limit, 10) || DEFAULT_LIMIT);
+  return res.status(200).json({ entries: entries.slice(0, limit), total: entries.length });
+});
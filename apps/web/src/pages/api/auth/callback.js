@@ -0,0 +1,37 @@
+import { LOGIN_COOKIE, exchangeCode, fetchUserInfo, validateIdToken } from '@/lib/server/oidc';
+import { appendCookie, getBaseUrl, serializeCookie, setSession, unseal } from '@/lib/server/session';
+
+const fail = (res, message) => res.redirect(302, `/login?error=${encodeURIComponent(message)}`);
+
+export default async function callback(req, res) {
+  const transaction = unseal(req.cookies[LOGIN_COOKIE]);
+  appendCookie(res, serializeCookie(LOGIN_COOKIE, '', { maxAge: 0, path: '/api/auth' }));
+
+  const { code, state, error, error_description: description } = req.query;
+  if (error) return fail(res, description || error);
+  if (!transaction) return fail(res, 'Login attempt expired, please try again');
+  if (!code || state !== transaction.state) return fail(res, 'Invalid login state');
+
+  try {
+    const tokens = await exchangeCode({
+      code,
+      redirectUri: `${getBaseUrl(req)}/api/auth/callback`,
+      codeVerifier: transaction.verifier,
+    });
+    const claims = validateIdToken(tokens.id_token, { nonce: transaction.nonce });
+    const profile = claims.email ? claims : { ...claims, ...(await fetchUserInfo(tokens.access_token)) };
+    if (!profile.email) return fail(res, 'Identity provider did not return an email address');
+
+    setSession(res, {
+      sub: claims.sub,
+      email: profile.email,
+      name: profile.name || profile.preferred_username || profile.email,
+      // Some providers send the claim as a string; a missing claim counts as unverified
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    });
+    res.redirect(302, transaction.returnTo);
+  } catch (err) {
+    console.error('[auth] callback failed:', err);
+    fail(res, err.message);
+  }
+}
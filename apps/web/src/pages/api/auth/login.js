@@ -0,0 +1,26 @@
+import { LOGIN_COOKIE, LOGIN_TTL, buildAuthorizationUrl, createPkcePair, randomToken } from '@/lib/server/oidc';
+import { appendCookie, getBaseUrl, safeReturnTo, seal, serializeCookie } from '@/lib/server/session';
+
+export default async function login(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const state = randomToken();
+    const nonce = randomToken();
+    const { verifier, challenge } = createPkcePair();
+    const redirectUri = `${getBaseUrl(req)}/api/auth/callback`;
+
+    const url = await buildAuthorizationUrl({ redirectUri, state, nonce, codeChallenge: challenge });
+
+    // The PKCE verifier and nonce never leave the server except inside this signed cookie
+    const transaction = seal({ state, nonce, verifier, returnTo: safeReturnTo(req.query.returnTo) }, LOGIN_TTL);
+    appendCookie(res, serializeCookie(LOGIN_COOKIE, transaction, { maxAge: LOGIN_TTL, path: '/api/auth' }));
+    res.redirect(302, url);
+  } catch (err) {
+    console.error('[auth] login failed:', err);
+    res.redirect(302, `/login?error=${encodeURIComponent(err.message)}`);
+  }
+}
@@ -0,0 +1,10 @@
+import { clearSession } from '@/lib/server/session';
+
+export default function logout(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  clearSession(res);
+  res.status(200).json({ ok: true });
+}
@@ -0,0 +1,14 @@
+import { getSession } from '@/lib/server/session';
+
+export default function session(req, res) {
+  const current = getSession(req);
+  res.setHeader('Cache-Control', 'no-store');
+  if (!current) return res.status(401).json({ error: 'Not signed in' });
+
+  res.status(200).json({
+    user: { email: current.email, name: current.name },
+    role: current.role,
+    expiresAt: current.exp * 1000,
+    issuer: process.env.OIDC_ISSUER || null,
+  });
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import { withSession } from '@/lib/server/handler';
+import { ROLES } from '@/lib/server/roles';
+import { recordDenied } from '@/lib/server/audit';
+import {
+  RETENTION_DAYS,
+  databaseConfigured,
+  getActiveJob,
+  getJob,
+  getSnapshot,
+  listSnapshots,
+  snapshotFile,
+  startBackup,
+  startRestore,
+  startVerify,
+} from '@/lib/server/backup';
+
+// Backup console API, one route so every request shares the job registry:
+//   GET  /api/backups                     snapshots, retention policy and the running job
+//   POST /api/backups                     start a backup
+//   GET  /api/backups/jobs/:id            job status, polled until it finishes
+//   GET  /api/backups/:name               one snapshot with its archive listing
+//   GET  /api/backups/:name/download      ?file= one file of the snapshot
+//   POST /api/backups/:name/verify        start verifying the snapshot
+//   POST /api/backups/:name/restore       { dryRun, confirm } start a dry run or restore
+// Everything except listing needs the admin role; dumps hold pre-auth keys.
+
+const READ_ONLY = 'Read-only users cannot manage backups';
+
+const deny = async (res, session, action) => {
+  if (action) await recordDenied(session, action, READ_ONLY);
+  return res.status(403).json({ error: READ_ONLY });
+};
+
+const notAllowed = (res, method, allow) => {
+  res.setHeader('Allow', allow);
+  return res.status(405).json({ error: `Method ${method} not allowed` });
+};
+
+async function backups(req, res, session) {
+  const { path: segments = [] } = req.query;
+  const [name, action, ...rest] = [].concat(segments);
+  const admin = session.role === ROLES.admin;
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (!name) {
+      if (req.method === 'GET') {
+        return res.status(200).json({
+          snapshots: await listSnapshots(),
+          retentionDays: RETENTION_DAYS,
+          databaseConfigured: databaseConfigured(),
+          activeJob: getActiveJob(),
+        });
+      }
+      if (req.method !== 'POST') return notAllowed(res, req.method, 'GET, POST');
+      if (!admin) return deny(res, session, { type: 'backup.create', target: { kind: 'backup', name: null } });
+      return res.status(202).json({ job: startBackup(session) });
+    }
+
+    if (name === 'jobs') {
+      if (req.method !== 'GET') return notAllowed(res, req.method, 'GET');
+      const job = action && rest.length === 0 ? getJob(action) : null;
+      return job ? res.status(200).json(job) : res.status(404).json({ error: `Unknown job: ${action}` });
+    }
+
+    if (rest.length > 0) return res.status(404).json({ error: 'Unknown backup route' });
+
+    if (!action) {
+      if (req.method !== 'GET') return notAllowed(res, req.method, 'GET');
+      return res.status(200).json(await getSnapshot(name));
+    }
+
+    if (action === 'download') {
+      if (req.method !== 'GET') return notAllowed(res, req.method, 'GET');
+      if (!admin) return deny(res, session);
+      const file = await snapshotFile(name, String(req.query.file || ''));
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Length', file.size);
+      res.setHeader('Content-Disposition', `attachment; filename="${name}-${req.query.file}"`);
+      return fs.createReadStream(file.path).pipe(res);
+    }
+
+    if (action === 'verify' || action === 'restore') {
+      if (req.method !== 'POST') return notAllowed(res, req.method, 'POST');
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      const dryRun = action === 'restore' && body.dryRun !== false;
+      if (!admin) return deny(res, session, action === 'restore' && !dryRun ? { type: 'backup.restore', target: { kind: 'backup', name } } : null);
+      const job = action === 'verify' ? await startVerify(session, name) : await startRestore(session, name, { dryRun, confirm: body.confirm });
+      return res.status(202).json({ job });
+    }
+
+    return res.status(404).json({ error: `Unknown backup action: ${action}` });
+  } catch (err) {
+    if (!err.status) throw err;
+    return res.status(err.status).json({ error: err.message });
+  }
+}
+
+export default withSession(backups);
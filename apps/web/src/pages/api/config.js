@@ -0,0 +1,8 @@
+import { withSession } from '@/lib/server/handler';
+
+// Public, non-secret settings the browser needs at runtime
+export default withSession((req, res) => {
+  res.status(200).json({
+    headscaleUrl: process.env.HEADSCALE_URL || 'https://headscale.tailnet.work',
+  });
+});
@@ -0,0 +1,97 @@
+import { withSession } from '@/lib/server/handler';
+import { orchestratorJSON, redactAuthKeys } from '@/lib/server/orchestrator';
+import { getSession } from '@/lib/server/session';
+
+// Server-sent events for live dashboard updates. The orchestrator has no push channel, so
+// each connection polls it and forwards a `snapshot` event with every resource whose
+// content changed since the last poll (all of them on connect). Clients diff snapshots
+// into activity events themselves.
+
+const RESOURCES = ['users', 'nodes', 'keys', 'acl'];
+// Applied before a resource is compared or sent; key secrets never go into a snapshot
+const REDACT = { keys: redactAuthKeys };
+const POLL_INTERVAL = 5000;
+const HEARTBEAT_INTERVAL = 15000;
+
+async function events(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps Next's compression from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${POLL_INTERVAL}\n\n`);
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const last = {};
+  let closed = false;
+  let pollTimer = null;
+  let heartbeat = null;
+
+  const close = () => {
+    closed = true;
+    clearTimeout(pollTimer);
+    clearInterval(heartbeat);
+  };
+
+  const poll = async () => {
+    // Runs from a timer, so nothing above it would see a rejection; any failure ends the
+    // stream and the browser reconnects
+    try {
+      // The stream outlives the request that opened it; stop once the session has expired.
+      // The browser's reconnect is then refused by withSession.
+      if (!getSession(req)) {
+        close();
+        res.end();
+        return;
+      }
+
+      const results = await Promise.allSettled(RESOURCES.map((name) => orchestratorJSON(name).then(REDACT[name] || ((data) => data))));
+      if (closed) return;
+
+      const changed = {};
+      const failures = [];
+      results.forEach((result, i) => {
+        const name = RESOURCES[i];
+        if (result.status === 'rejected') {
+          failures.push(`${name}: ${result.reason.message}`);
+          return;
+        }
+        const serialized = JSON.stringify(result.value);
+        if (serialized !== last[name]) {
+          last[name] = serialized;
+          changed[name] = result.value;
+        }
+      });
+
+      if (Object.keys(changed).length > 0) send('snapshot', changed);
+      // Named so it cannot be confused with EventSource's own connection `error` event
+      if (failures.length > 0) send('upstream-error', { error: failures.join('; ') });
+      pollTimer = setTimeout(poll, POLL_INTERVAL);
+    } catch (err) {
+      console.error('[events] poll failed:', err);
+      close();
+      res.end();
+    }
+  };
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', close);
+
+  await poll();
+}
+
+export default withSession(events);
+
+// The response is an open-ended stream
+export const config = { api: { responseLimit: false } };
@@ -0,0 +1,12 @@
+import { withSession } from '@/lib/server/handler';
+import { getSystemHealth } from '@/lib/server/health';
+
+// Aggregated component health for the System Health page and the header status pill
+export default withSession(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(await getSystemHealth());
+});
@@ -0,0 +1,24 @@
+import { withSession } from '@/lib/server/handler';
+import { prometheusFetch, QUERY_ENDPOINTS, QUERY_PARAMS } from '@/lib/server/prometheus';
+
+// Read-only Prometheus proxy: /api/prometheus/query and /api/prometheus/query_range with
+// the standard HTTP API parameters. The response body is Prometheus' own JSON envelope.
+async function prometheus(req, res) {
+  const { endpoint, ...query } = req.query;
+  if (!QUERY_ENDPOINTS.includes(endpoint)) return res.status(404).json({ error: `Unknown Prometheus endpoint: ${endpoint}` });
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+  if (!query.query) return res.status(400).json({ error: 'Missing "query" parameter' });
+
+  const params = Object.fromEntries(QUERY_PARAMS.filter((key) => typeof query[key] === 'string').map((key) => [key, query[key]]));
+  const upstream = await prometheusFetch(endpoint, params);
+  const text = await upstream.text();
+  res.status(upstream.status);
+  res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(text);
+}
+
+export default withSession(prometheus);
@@ -0,0 +1,83 @@
+import { withSession } from '@/lib/server/handler';
+import { orchestratorFetch, redactAuthKeys } from '@/lib/server/orchestrator';
+import { ROLES } from '@/lib/server/roles';
+import { audited, recordDenied } from '@/lib/server/audit';
+import { orchestratorAuditAction } from '@/lib/server/orchestrator-audit';
+
+// Backend-for-frontend proxy: the browser talks to /api/v1/* on the dashboard origin,
+// and only these method/path pairs are forwarded to the orchestrator.
+const ALLOWED_ROUTES = [
+  ['GET', /^users$/],
+  ['POST', /^users$/],
+  ['DELETE', /^users\/[^/]+$/],
+  ['GET', /^nodes$/],
+  ['DELETE', /^nodes\/[^/]+$/],
+  ['POST', /^nodes\/[^/]+\/expire$/],
+  ['POST', /^nodes\/[^/]+\/rename$/],
+  ['POST', /^nodes\/[^/]+\/tags$/],
+  ['POST', /^nodes\/[^/]+\/routes\/(enable|disable)$/],
+  ['GET', /^routes$/],
+  ['GET', /^keys$/],
+  ['POST', /^keys$/],
+  ['DELETE', /^keys\/[^/]+$/],
+  ['GET', /^apikeys$/],
+  ['POST', /^apikeys$/],
+  ['POST', /^apikeys\/[^/]+\/expire$/],
+  ['DELETE', /^apikeys\/[^/]+$/],
+  ['GET', /^acl$/],
+  ['PUT', /^acl$/],
+  ['GET', /^status$/],
+  ['GET', /^drift$/],
+  ['GET', /^validate$/],
+  ['POST', /^apply$/],
+  ['GET', /^config\/(users|routes)$/],
+  ['PUT', /^config\/(users|routes)$/],
+];
+
+const matchRoute = (method, path) => {
+  const candidates = ALLOWED_ROUTES.filter(([, pattern]) => pattern.test(path));
+  if (candidates.length === 0) return { status: 404 };
+  if (!candidates.some(([allowed]) => allowed === method)) {
+    return { status: 405, allow: candidates.map(([allowed]) => allowed) };
+  }
+  return { status: 200 };
+};
+
+async function proxy(req, res, session) {
+  const { path: segments = [], ...query } = req.query;
+  const parts = [].concat(segments);
+  if (parts.some((part) => part === '..' || part === '.' || part === '')) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+
+  const path = parts.map(encodeURIComponent).join('/');
+  const match = matchRoute(req.method, path);
+  if (match.status === 404) return res.status(404).json({ error: `Unknown API route: ${path}` });
+  if (match.status === 405) {
+    res.setHeader('Allow', match.allow.join(', '));
+    return res.status(405).json({ error: `Method ${req.method} not allowed on ${path}` });
+  }
+  // Every mutation is audited, including ones refused here
+  const action = orchestratorAuditAction(req.method, path, req.body);
+  if (req.method !== 'GET' && session.role !== ROLES.admin) {
+    if (action) await recordDenied(session, action, 'Read-only users cannot modify the tailnet');
+    return res.status(403).json({ error: 'Read-only users cannot modify the tailnet' });
+  }
+
+  const hasBody = !['GET', 'DELETE'].includes(req.method) && req.body !== undefined && req.body !== '';
+  const perform = () =>
+    orchestratorFetch(path, {
+      method: req.method,
+      body: hasBody ? req.body : undefined,
+      query,
+    });
+
+  const { upstream, text } = await audited(session, action, perform);
+  res.status(upstream.status);
+  res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'GET' && path === 'keys' && upstream.ok) return res.send(JSON.stringify(redactAuthKeys(JSON.parse(text))));
+  return res.send(text);
+}
+
+export default withSession(proxy);
@@ -0,0 +1,20 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { AuditView } from '@/components/audit/audit-view';
+import { useAudit } from '@/lib/hooks';
+import { useQueryState } from '@/lib/use-query-state';
+import { parseAuditQuery, serializeAuditQuery } from '@/lib/audit';
+
+const AuditContent = () => {
+  const [filters, setFilters] = useQueryState(parseAuditQuery, serializeAuditQuery);
+  const audit = useAudit(filters);
+  return <AuditView audit={audit} filters={filters} setFilters={setFilters} />;
+};
+
+export default function AuditPage() {
+  return (
+    <PageShell title="Audit Log" description="Every change made through the dashboard: who, what, the target, before and after, and the result.">
+      <AuditContent />
+    </PageShell>
+  );
+}
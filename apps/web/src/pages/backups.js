@@ -0,0 +1,18 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { BackupConsole } from '@/components/backups/backup-console';
+import { useBackups } from '@/lib/hooks';
+import { isAdmin } from '@/lib/session';
+
+const Backups = ({ session }) => {
+  const list = useBackups();
+  return <BackupConsole list={list} canWrite={isAdmin(session)} />;
+};
+
+export default function BackupsPage() {
+  return (
+    <PageShell title="Backup & Restore" description="Snapshots of the Headscale database and config files. Verify them, and restore one after a dry run.">
+      {(session) => <Backups session={session} />}
+    </PageShell>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { DesiredStateEditor } from '@/components/desired-state/desired-state-editor';
+import { Button } from '@/components/ui/button';
+import { useConfigFile } from '@/lib/hooks';
+import { useQueryState } from '@/lib/use-query-state';
+import { DESIRED_STATE_FILES } from '@/lib/desired-state';
+import { isAdmin } from '@/lib/session';
+
+const parseFileQuery = (query) => ({ file: DESIRED_STATE_FILES[query.file] ? query.file : 'users' });
+const serializeFileQuery = ({ file }) => (file === 'users' ? {} : { file });
+
+const DesiredStateFile = ({ kind, canWrite }) => {
+  const file = useConfigFile(kind);
+  return <DesiredStateEditor kind={kind} file={file} canWrite={canWrite} />;
+};
+
+const DesiredState = ({ session }) => {
+  const [{ file: kind }, setQuery] = useQueryState(parseFileQuery, serializeFileQuery);
+
+  return (
+    <div className="space-y-6">
+      <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1" role="group" aria-label="Desired-state file">
+        {Object.entries(DESIRED_STATE_FILES).map(([name, schema]) => (
+          <Button key={name} variant={name === kind ? 'secondary' : 'ghost'} size="sm" aria-pressed={name === kind} onClick={() => setQuery({ file: name })}>
+            {schema.label}
+            <span className="ml-2 font-mono text-xs text-gray-500">{schema.file}</span>
+          </Button>
+        ))}
+      </div>
+      {/* Keyed so switching files loads that file afresh instead of seeding from the other one */}
+      <DesiredStateFile key={kind} kind={kind} canWrite={isAdmin(session)} />
+    </div>
+  );
+};
+
+export default function DesiredStatePage() {
+  return (
+    <PageShell title="Desired State" description="Edit the users and routes the orchestrator reconciles Headscale against, then apply them from Config Sync.">
+      {(session) => <DesiredState session={session} />}
+    </PageShell>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { HealthView } from '@/components/health/health-view';
+import { useHealth } from '@/lib/hooks';
+
+const HealthContent = () => {
+  const health = useHealth();
+  return <HealthView health={health} />;
+};
+
+export default function HealthPage() {
+  return (
+    <PageShell title="System Health" description="Orchestrator checks and Prometheus scrape status for every service in the stack.">
+      <HealthContent />
+    </PageShell>
+  );
+}
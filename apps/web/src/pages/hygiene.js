@@ -0,0 +1,23 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { HygieneReport } from '@/components/hygiene/hygiene-report';
+import { useKeys, useNodes, useUsers } from '@/lib/hooks';
+import { useQueryState } from '@/lib/use-query-state';
+import { parseHygieneQuery, serializeHygieneQuery } from '@/lib/hygiene';
+import { isAdmin } from '@/lib/session';
+
+const Hygiene = ({ session }) => {
+  const [thresholds, setThresholds] = useQueryState(parseHygieneQuery, serializeHygieneQuery);
+  const nodes = useNodes();
+  const users = useUsers();
+  const keys = useKeys();
+  return <HygieneReport nodes={nodes} users={users} keys={keys} thresholds={thresholds} setThresholds={setThresholds} canWrite={isAdmin(session)} />;
+};
+
+export default function HygienePage() {
+  return (
+    <PageShell title="Hygiene" description="Stale nodes, orphaned devices, duplicate hostnames and keys about to expire, ranked for cleanup.">
+      {(session) => <Hygiene session={session} />}
+    </PageShell>
+  );
+}
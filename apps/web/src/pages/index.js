@@ -1,9 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/router';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { Alert, AlertDescription } from '@/components/ui/alert';
+import { LoadingState, EmptyState, ErrorAlert, PageLoader } from '@/components/ui/data-state';
+import { NodesList } from '@/components/nodes/nodes-list';
+import { KeysView } from '@/components/keys/keys-view';
+import { RoutesView } from '@/components/routes/routes-view';
+import { AlertsView } from '@/components/alerts/alerts-view';
+import { UsersView } from '@/components/users/users-view';
+import { HealthPill } from '@/components/health/health-pill';
+import { AuthKeyWizard } from '@/components/keys/auth-key-wizard';
+import { AddNodeWizard } from '@/components/nodes/add-node-wizard';
+import { AddUserDrawer } from '@/components/users/add-user-drawer';
+import { useUsers, useNodes, useRoutes, useKeys, useACL, useNow, usePublicConfig, useMetricRange, useAlerts, useHealth, useAudit } from '@/lib/hooks';
+import { isKeyExpired, isKeyExpiringSoon } from '@/lib/keys';
+import { useRequireSession, useSession, isAdmin } from '@/lib/session';
+import { formatRelativeTime } from '@/lib/format';
+import { useLiveUpdates } from '@/lib/live-updates';
+import { STAT_QUERIES, seriesTrend, seriesAverage } from '@/lib/prometheus';
+import { countCritical } from '@/lib/alerts';
+import { actorLabel, describeAudit } from '@/lib/audit';
+import { Sparkline } from '@/components/ui/sparkline';
 import { 
   Users, 
   Server, 
@@ -15,42 +34,71 @@ import {
   CheckCircle,
   Clock,
   Settings,
+  LogOut,
   Monitor,
-  Database,
-  Globe
+  Globe,
+  GitBranch,
+  BarChart3,
+  Share2,
+  ScrollText,
+  FileCode,
+  Tag
 } from 'lucide-react';
 
-// Mock data - replace with actual API calls
-const mockData = {
-  stats: {
-    totalUsers: 24,
-    activeNodes: 156,
-    preAuthKeys: 12,
-    onlineDevices: 142
-  },
-  recentActivity: [
-    { id: 1, action: 'User alice@company.com joined', time: '2 minutes ago', type: 'user' },
-    { id: 2, action: 'Node laptop-dev-001 went online', time: '5 minutes ago', type: 'node' },
-    { id: 3, action: 'Pre-auth key created for contractors', time: '10 minutes ago', type: 'key' },
-    { id: 4, action: 'ACL policy updated', time: '15 minutes ago', type: 'acl' }
-  ],
-  nodes: [
-    { id: 1, name: 'laptop-dev-001', user: 'alice@company.com', ip: '100.64.0.2', status: 'online', lastSeen: '1 min ago', tags: ['employee'] },
-    { id: 2, name: 'server-prod-db', user: 'system', ip: '100.64.0.10', status: 'online', lastSeen: '30 sec ago', tags: ['server', 'database'] },
-    { id: 3, name: 'phone-ios-bob', user: 'bob@company.com', ip: '100.64.0.5', status: 'offline', lastSeen: '2 hours ago', tags: ['employee'] }
-  ],
-  users: [
-    { id: 1, name: 'alice@company.com', nodesCount: 3, lastActive: '1 min ago', role: 'employee' },
-    { id: 2, name: 'bob@company.com', nodesCount: 2, lastActive: '2 hours ago', role: 'employee' },
-    { id: 3, name: 'contractor@vendor.com', nodesCount: 1, lastActive: '1 day ago', role: 'contractor' }
-  ]
+const LIVE_STATUS = {
+  live: { label: 'Live', pill: 'bg-green-100 text-green-800', dot: 'bg-green-500 animate-pulse', hint: 'Receiving live updates' },
+  polling: { label: 'Polling', pill: 'bg-blue-100 text-blue-800', dot: 'bg-blue-500', hint: 'Streaming unavailable; refreshing periodically' },
+  connecting: { label: 'Connecting', pill: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500 animate-pulse', hint: 'Connecting to live updates' },
+  offline: { label: 'Offline', pill: 'bg-red-100 text-red-800', dot: 'bg-red-500', hint: 'Cannot reach the dashboard API; retrying' },
 };
 
+// Stat card history: 30 days at 6 hour resolution
+const STAT_HISTORY = { range: 30 * 24 * 3600, step: 6 * 3600 };
+const RECENT_ACTIVITY_LIMIT = 5;
+const LIVE_EVENT_LIMIT = 5;
+
+const historyPoints = (history) => (history.data && history.data[0] ? history.data[0].points : null);
+
+function monthlyTrend(points) {
+  const trend = seriesTrend(points || []);
+  if (!trend) return null;
+  if (trend.delta === 0) return 'No change in 30 days';
+  const sign = trend.delta > 0 ? '+' : '';
+  const percent = trend.percent === null ? '' : ` (${sign}${Math.round(trend.percent)}%)`;
+  return `${sign}${trend.delta}${percent} in 30 days`;
+}
+
 function Dashboard() {
+  const session = useRequireSession();
+  if (!session) return <PageLoader />;
+  return <DashboardContent session={session} />;
+}
+
+function DashboardContent({ session }) {
+  const { logout } = useSession();
+  const canWrite = isAdmin(session);
+  const router = useRouter();
   const [activeTab, setActiveTab] = useState('overview');
-  const [data, setData] = useState(mockData);
-  const [loading, setLoading] = useState(true);
   const [isMobile, setIsMobile] = useState(false);
+  const users = useUsers();
+  const nodes = useNodes();
+  const routes = useRoutes();
+  const keys = useKeys();
+  const acl = useACL();
+  const publicConfig = usePublicConfig();
+  const now = useNow();
+  const [keyWizardOpen, setKeyWizardOpen] = useState(false);
+  const [addNodeOpen, setAddNodeOpen] = useState(false);
+  const [addUserOpen, setAddUserOpen] = useState(false);
+  const live = useLiveUpdates({ users, nodes, keys, acl });
+  const alerts = useAlerts();
+  const health = useHealth();
+  const criticalAlerts = countCritical(alerts.data);
+  const userHistory = useMetricRange(STAT_QUERIES.users, STAT_HISTORY);
+  const nodeHistory = useMetricRange(STAT_QUERIES.nodes, STAT_HISTORY);
+  const onlineHistory = useMetricRange(STAT_QUERIES.online, STAT_HISTORY);
+  const audit = useAudit({}, { limit: RECENT_ACTIVITY_LIMIT });
+  const { refresh: refreshAudit } = audit;
 
   // Detect mobile device
   useEffect(() => {
@@ -64,31 +112,61 @@ function Dashboard() {
     return () => window.removeEventListener('resize', checkIfMobile);
   }, []);
 
-  // Simulate loading state
+  const stats = useMemo(() => {
+    const nodeList = nodes.data || [];
+    return {
+      totalUsers: users.data ? users.data.length : null,
+      activeNodes: nodes.data ? nodeList.length : null,
+      preAuthKeys: keys.data ? keys.data.filter((key) => !isKeyExpired(key, now)).length : null,
+      expiringKeys: keys.data ? keys.data.filter((key) => isKeyExpiringSoon(key, now)).length : null,
+      onlineDevices: nodes.data ? nodeList.filter((node) => node.status === 'online').length : null,
+    };
+  }, [users.data, nodes.data, keys.data, now]);
+
+  // Node count and most recent activity per user, derived from the node list
+  const userSummaries = useMemo(() => {
+    const summaries = {};
+    for (const node of nodes.data || []) {
+      const summary = summaries[node.user] || (summaries[node.user] = { nodesCount: 0, lastActive: null });
+      summary.nodesCount += 1;
+      if (node.lastSeen && (!summary.lastActive || node.lastSeen > summary.lastActive)) {
+        summary.lastActive = node.lastSeen;
+      }
+    }
+    return summaries;
+  }, [nodes.data]);
+
+  const tagOptions = useMemo(
+    () => Object.keys((acl.data && acl.data.tagOwners) || {}).map((tag) => tag.replace(/^tag:/, '')),
+    [acl.data]
+  );
+
+  // Trends come from Prometheus; without it the cards fall back to figures from the live data
+  const onlineShare = useMemo(() => {
+    const online = seriesAverage(historyPoints(onlineHistory) || []);
+    const total = seriesAverage(historyPoints(nodeHistory) || []);
+    return online !== null && total ? online / total : null;
+  }, [onlineHistory.data, nodeHistory.data]);
+
+  // Changes show up in the live stream shortly after they are made, so each new live
+  // event is a cue that the audit log has grown
+  const latestLiveEvent = live.events[0] && live.events[0].id;
   useEffect(() => {
-    const timer = setTimeout(() => setLoading(false), 1500);
-    return () => clearTimeout(timer);
-  }, []);
+    if (latestLiveEvent) refreshAudit();
+  }, [latestLiveEvent, refreshAudit]);
 
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50/30 flex items-center justify-center">
-        <div className="text-center animate-fade-in">
-          <div className="w-16 h-16 bg-gradient-to-br from-blue-600 to-purple-600 rounded-xl mx-auto mb-6 flex items-center justify-center animate-pulse-soft">
-            <Database className="w-8 h-8 text-white" />
-          </div>
-          <h2 className="text-xl font-bold text-gray-900 mb-3">Loading Dashboard...</h2>
-          <div className="flex justify-center gap-1">
-            <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
-            <div className="w-2 h-2 bg-purple-500 rounded-full animate-pulse" style={{ animationDelay: '0.2s' }}></div>
-            <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }}></div>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  // Snapshot diffs catch what the audit log cannot: nodes going online or offline and
+  // changes made outside the dashboard, such as devices registered with the CLI
+  const liveActivity = live.events.slice(0, LIVE_EVENT_LIMIT).map((event) => ({ ...event, time: formatRelativeTime(event.timestamp, now) }));
+  const recentActivity = ((audit.data && audit.data.entries) || []).map((entry) => ({
+    id: entry.id,
+    type: entry.type.split('.')[0],
+    action: entry.result === 'success' ? describeAudit(entry) : `${describeAudit(entry)} (${entry.result})`,
+    time: `${formatRelativeTime(new Date(entry.timestamp), now)} · ${actorLabel(entry.actor)}`,
+  }));
+  const overviewError = users.error || nodes.error || keys.error;
 
-  const StatCard = ({ title, value, icon: Icon, trend, color = "blue" }) => {
+  const StatCard = ({ title, value, icon: Icon, trend, sparkline, color = "blue" }) => {
     const colorMap = {
       blue: {
         icon: 'text-blue-600',
@@ -127,10 +205,11 @@ function Dashboard() {
           </div>
         </CardHeader>
         <CardContent>
-          <div className="text-3xl font-bold text-gray-900 mb-2">{value}</div>
+          <div className="text-3xl font-bold text-gray-900 mb-2">{value ?? '—'}</div>
           {trend && (
             <p className={`text-sm font-medium ${colors.trend}`}>{trend}</p>
           )}
+          {sparkline && <Sparkline points={sparkline} className={`mt-3 ${colors.icon}`} />}
         </CardContent>
       </Card>
     );
@@ -165,45 +244,6 @@ function Dashboard() {
     );
   };
 
-  const NodesList = () => (
-    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 lg:gap-6">
-      {data.nodes.map((node, index) => (
-        <Card key={node.id} className="hover:shadow-lg transition-all duration-300 animate-slide-up" style={{ animationDelay: `${index * 0.1}s` }}>
-          <CardContent className="p-6">
-            <div className="flex items-start justify-between mb-4">
-              <div className="flex-1 min-w-0">
-                <h4 className="font-bold text-lg text-gray-900 truncate">{node.name}</h4>
-                <p className="text-sm text-gray-600 font-medium truncate">{node.user}</p>
-                <p className="text-sm text-blue-600 font-mono bg-blue-50 px-2 py-1 rounded mt-1 inline-block">{node.ip}</p>
-              </div>
-              <div className="flex flex-col items-end space-y-2">
-                <Badge 
-                  variant={node.status === 'online' ? 'default' : 'secondary'}
-                  className={`font-semibold px-3 py-1 ${
-                    node.status === 'online' 
-                      ? 'bg-green-100 text-green-800 border-green-200' 
-                      : 'bg-gray-100 text-gray-800 border-gray-200'
-                  }`}
-                >
-                  {node.status === 'online' && <div className="w-2 h-2 bg-green-500 rounded-full mr-2 animate-pulse" />}
-                  {node.status}
-                </Badge>
-                <span className="text-xs text-gray-500 font-medium">{node.lastSeen}</span>
-              </div>
-            </div>
-            <div className="flex flex-wrap gap-2">
-              {node.tags.map((tag, tagIndex) => (
-                <Badge key={tagIndex} variant="outline" className="text-xs font-medium px-2 py-1 bg-gray-50 hover:bg-gray-100 transition-colors">
-                  {tag}
-                </Badge>
-              ))}
-            </div>
-          </CardContent>
-        </Card>
-      ))}
-    </div>
-  );
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50/30 safe-padding-y">
       <div className="container-wide py-6 sm:py-8 lg:py-12">
@@ -221,105 +261,213 @@ function Dashboard() {
             
             {/* Quick status indicator */}
             <div className="flex items-center justify-center lg:justify-end gap-4">
-              <div className="flex items-center gap-2 px-4 py-2 bg-green-100 text-green-800 rounded-full text-sm font-semibold shadow-sm">
-                <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                <span className="hidden sm:inline">All Systems Operational</span>
-                <span className="sm:hidden">Online</span>
+              <HealthPill health={health} onClick={() => router.push('/health')} />
+              <div
+                className={`flex items-center gap-2 px-4 py-2 rounded-full text-sm font-semibold shadow-sm ${LIVE_STATUS[live.status].pill}`}
+                title={LIVE_STATUS[live.status].hint}
+              >
+                <div className={`w-2 h-2 rounded-full ${LIVE_STATUS[live.status].dot}`}></div>
+                <span>{LIVE_STATUS[live.status].label}</span>
               </div>
               
               {!isMobile && (
-                <button className="p-3 bg-white rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200 group">
+                <div className="flex flex-col items-end">
+                  <span className="text-sm font-semibold text-gray-900 truncate max-w-[14rem]">{session.user.name}</span>
+                  <Badge variant="outline" className={canWrite ? 'bg-purple-50 text-purple-700 border-purple-200' : 'bg-gray-50 text-gray-700 border-gray-200'}>
+                    {canWrite ? 'admin' : 'read-only'}
+                  </Badge>
+                </div>
+              )}
+
+              {!isMobile && canWrite && (
+                <button
+                  onClick={() => setActiveTab('settings')}
+                  aria-label="Settings"
+                  className="p-3 bg-white rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200 group"
+                >
                   <Settings className="w-5 h-5 text-gray-600 group-hover:text-gray-900 group-hover:rotate-90 transition-all duration-300" />
                 </button>
               )}
+
+              <button
+                onClick={logout}
+                aria-label="Sign out"
+                className="p-3 bg-white rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200 group"
+              >
+                <LogOut className="w-5 h-5 text-gray-600 group-hover:text-gray-900 transition-all duration-300" />
+              </button>
             </div>
           </div>
         </div>
 
-        <Tabs value={activeTab} onValueChange={setActiveTab} className="animate-slide-up">
-          <TabsList className="mb-8">
+        <Tabs value={activeTab} onValueChange={setActiveTab} sync="query" className="animate-slide-up">
+          <TabsList className="mb-8" aria-label="Dashboard sections">
             <TabsTrigger value="overview">📊 Overview</TabsTrigger>
             <TabsTrigger value="nodes">🖥️ Nodes</TabsTrigger>
+            <TabsTrigger value="routes">🛣️ Routes</TabsTrigger>
             <TabsTrigger value="users">👥 Users</TabsTrigger>
-            <TabsTrigger value="settings">⚙️ Settings</TabsTrigger>
+            <TabsTrigger value="keys">🔑 Keys</TabsTrigger>
+            <TabsTrigger value="alerts" aria-label={criticalAlerts ? `Alerts, ${criticalAlerts} critical` : 'Alerts'}>
+              🚨 Alerts
+              {criticalAlerts > 0 && (
+                <span className="ml-2 inline-flex min-w-[1.25rem] items-center justify-center rounded-full bg-red-600 px-1.5 text-xs font-bold text-white">
+                  {criticalAlerts}
+                </span>
+              )}
+            </TabsTrigger>
+            {canWrite && <TabsTrigger value="settings">⚙️ Settings</TabsTrigger>}
           </TabsList>
 
           <TabsContent value="overview" className="space-y-8">
+            {overviewError && (
+              <ErrorAlert
+                title="Could not load tailnet data"
+                error={overviewError}
+                onRetry={() => {
+                  users.refresh();
+                  nodes.refresh();
+                  keys.refresh();
+                }}
+              />
+            )}
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 lg:gap-8">
               <StatCard 
                 title="Total Users" 
-                value={data.stats.totalUsers} 
+                value={stats.totalUsers} 
                 icon={Users} 
-                trend="+12% this month"
+                trend={monthlyTrend(historyPoints(userHistory)) || (users.data && `${users.data.filter((user) => userSummaries[user.name]).length} with devices`)}
+                sparkline={historyPoints(userHistory)}
                 color="blue"
               />
               <StatCard 
                 title="Active Nodes" 
-                value={data.stats.activeNodes} 
+                value={stats.activeNodes} 
                 icon={Server} 
-                trend="+8% this week"
+                trend={monthlyTrend(historyPoints(nodeHistory)) || (nodes.data && `${nodes.data.length - stats.onlineDevices} offline`)}
+                sparkline={historyPoints(nodeHistory)}
                 color="green"
               />
               <StatCard 
                 title="Pre-auth Keys" 
-                value={data.stats.preAuthKeys} 
+                value={stats.preAuthKeys} 
                 icon={Key} 
-                trend="2 expiring soon"
+                trend={keys.data && `${stats.expiringKeys} expiring soon`}
                 color="orange"
               />
               <StatCard 
                 title="Online Devices" 
-                value={data.stats.onlineDevices} 
+                value={stats.onlineDevices} 
                 icon={Network} 
-                trend="91% uptime"
+                trend={
+                  onlineShare !== null
+                    ? `${Math.round(onlineShare * 100)}% online on average (30 days)`
+                    : nodes.data && nodes.data.length > 0 && `${Math.round((stats.onlineDevices / nodes.data.length) * 100)}% online`
+                }
+                sparkline={historyPoints(onlineHistory)}
                 color="purple"
               />
             </div>
+            <div className="flex justify-end -mt-4">
+              <Button variant="link" size="sm" onClick={() => router.push('/metrics')} className="text-blue-700">
+                <BarChart3 className="mr-2 h-4 w-4" />
+                View orchestrator metrics
+              </Button>
+            </div>
 
             <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 lg:gap-8">
               <Card className="hover:shadow-lg transition-all duration-300">
                 <CardHeader>
                   <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
-                    <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                    <div className={`w-2 h-2 rounded-full ${LIVE_STATUS[live.status].dot}`}></div>
                     Recent Activity
                   </CardTitle>
                   <CardDescription className="text-base text-gray-600">
-                    Latest network events and changes
+                    Network events as they happen and changes made through the dashboard
                   </CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-4">
-                  {data.recentActivity.map((activity, index) => (
-                    <div key={activity.id} className="animate-slide-up" style={{ animationDelay: `${index * 0.1}s` }}>
-                      <ActivityItem activity={activity} />
-                    </div>
-                  ))}
-                </CardContent>
-              </Card>
-
-              <Card className="hover:shadow-lg transition-all duration-300">
-                <CardHeader>
-                  <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
-                    ⚡ Quick Actions
-                  </CardTitle>
-                  <CardDescription className="text-base text-gray-600">
-                    Common administrative tasks
-                  </CardDescription>
-                </CardHeader>
-                <CardContent className="space-y-4">
-                  <Button className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200">
-                    <Users className="mr-3 h-5 w-5" />
-                    Add New User
-                  </Button>
-                  <Button variant="outline" className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2">
-                    <Key className="mr-3 h-5 w-5" />
-                    Generate Auth Key
-                  </Button>
-                  <Button variant="outline" className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2">
-                    <Shield className="mr-3 h-5 w-5" />
-                    Update ACL Policy
+                  <h4 className="form-label">Network events</h4>
+                  {liveActivity.length === 0 ? (
+                    <EmptyState icon={Activity} title="No network events yet" description="Nodes coming online, registering or changing will show up here as they happen." />
+                  ) : (
+                    liveActivity.map((activity, index) => (
+                      <div key={activity.id} className="animate-slide-up" style={{ animationDelay: `${index * 0.1}s` }}>
+                        <ActivityItem activity={activity} />
+                      </div>
+                    ))
+                  )}
+                  <h4 className="form-label pt-2">Dashboard changes</h4>
+                  {audit.error && !audit.data && <ErrorAlert title="Failed to load the audit log" error={audit.error} onRetry={audit.refresh} />}
+                  {!audit.data && !audit.error && <LoadingState label="Loading activity..." />}
+                  {!audit.data ? null : recentActivity.length === 0 ? (
+                    <EmptyState icon={Activity} title="No recent activity" description="Changes made through the dashboard will show up here." />
+                  ) : (
+                    recentActivity.map((activity, index) => (
+                      <div key={activity.id} className="animate-slide-up" style={{ animationDelay: `${index * 0.1}s` }}>
+                        <ActivityItem activity={activity} />
+                      </div>
+                    ))
+                  )}
+                  <Button variant="outline" className="w-full" onClick={() => router.push('/audit')}>
+                    <ScrollText className="mr-2 h-4 w-4" />
+                    View audit log
                   </Button>
                 </CardContent>
               </Card>
+
+              {canWrite && (
+                <Card className="hover:shadow-lg transition-all duration-300">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                      ⚡ Quick Actions
+                    </CardTitle>
+                    <CardDescription className="text-base text-gray-600">
+                      Common administrative tasks
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <Button
+                      onClick={() => setAddUserOpen(true)}
+                      className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200"
+                    >
+                      <Users className="mr-3 h-5 w-5" />
+                      Add New User
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => setKeyWizardOpen(true)}
+                      className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                    >
+                      <Key className="mr-3 h-5 w-5" />
+                      Generate Auth Key
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => router.push('/acl')}
+                      className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                    >
+                      <Shield className="mr-3 h-5 w-5" />
+                      Update ACL Policy
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => router.push('/sync')}
+                      className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                    >
+                      <GitBranch className="mr-3 h-5 w-5" />
+                      Config Sync
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => router.push('/desired-state')}
+                      className="w-full justify-start h-12 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                    >
+                      <FileCode className="mr-3 h-5 w-5" />
+                      Desired State
+                    </Button>
+                  </CardContent>
+                </Card>
+              )}
             </div>
           </TabsContent>
 
@@ -329,12 +477,43 @@ function Dashboard() {
                 <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Network Nodes</h2>
                 <p className="text-gray-600 mt-1">Manage and monitor your connected devices</p>
               </div>
-              <Button className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200">
-                <Server className="mr-3 h-5 w-5" />
-                Add Node
-              </Button>
+              <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
+                <Button
+                  variant="outline"
+                  onClick={() => router.push('/topology')}
+                  className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                >
+                  <Share2 className="mr-3 h-5 w-5" />
+                  Topology
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => router.push('/tags')}
+                  className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200 border-2"
+                >
+                  <Tag className="mr-3 h-5 w-5" />
+                  Tags
+                </Button>
+                {canWrite && (
+                  <Button
+                    onClick={() => setAddNodeOpen(true)}
+                    className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200"
+                  >
+                    <Server className="mr-3 h-5 w-5" />
+                    Add Node
+                  </Button>
+                )}
+              </div>
+            </div>
+            <NodesList nodes={nodes} tagOptions={tagOptions} canWrite={canWrite} />
+          </TabsContent>
+
+          <TabsContent value="routes" className="space-y-8">
+            <div>
+              <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Routes</h2>
+              <p className="text-gray-600 mt-1">Subnet routes and exit nodes advertised by your devices</p>
             </div>
-            <NodesList />
+            <RoutesView routes={routes} nodes={nodes.data} canWrite={canWrite} />
           </TabsContent>
 
           <TabsContent value="users" className="space-y-8">
@@ -343,119 +522,183 @@ function Dashboard() {
                 <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Users</h2>
                 <p className="text-gray-600 mt-1">Manage user accounts and permissions</p>
               </div>
-              <Button className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200">
-                <Users className="mr-3 h-5 w-5" />
-                Add User
-              </Button>
+              {canWrite && (
+                <Button
+                  className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200"
+                  onClick={() => setAddUserOpen(true)}
+                >
+                  <Users className="mr-3 h-5 w-5" />
+                  Add User
+                </Button>
+              )}
             </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 lg:gap-6">
-              {data.users.map((user, index) => (
-                <Card key={user.id} className="hover:shadow-lg transition-all duration-300 animate-slide-up" style={{ animationDelay: `${index * 0.1}s` }}>
-                  <CardHeader className="pb-4">
-                    <CardTitle className="text-xl font-bold text-gray-900 truncate">{user.name}</CardTitle>
-                    <CardDescription className="text-base font-medium">
-                      <Badge 
-                        variant="outline" 
-                        className={`${
-                          user.role === 'employee' 
-                            ? 'bg-blue-50 text-blue-700 border-blue-200' 
-                            : 'bg-orange-50 text-orange-700 border-orange-200'
-                        }`}
-                      >
-                        {user.role}
-                      </Badge>
-                    </CardDescription>
-                  </CardHeader>
-                  <CardContent>
-                    <div className="space-y-4">
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-                        <span className="text-sm font-medium text-gray-600">Nodes:</span>
-                        <span className="font-bold text-lg text-gray-900">{user.nodesCount}</span>
-                      </div>
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-                        <span className="text-sm font-medium text-gray-600">Last Active:</span>
-                        <span className="font-semibold text-sm text-gray-700">{user.lastActive}</span>
-                      </div>
-                    </div>
-                  </CardContent>
-                </Card>
-              ))}
+            <UsersView users={users} nodes={nodes} policy={acl.data} userSummaries={userSummaries} tagOptions={tagOptions} canWrite={canWrite} />
+          </TabsContent>
+
+          <TabsContent value="keys" className="space-y-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+              <div>
+                <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Pre-auth Keys</h2>
+                <p className="text-gray-600 mt-1">Keys that let new devices join the tailnet</p>
+              </div>
+              {canWrite && (
+                <Button
+                  onClick={() => setKeyWizardOpen(true)}
+                  className="w-full sm:w-auto h-12 px-6 text-base font-semibold hover:scale-105 transition-transform duration-200"
+                >
+                  <Key className="mr-3 h-5 w-5" />
+                  Generate Auth Key
+                </Button>
+              )}
             </div>
+            <KeysView keys={keys} canWrite={canWrite} />
           </TabsContent>
 
-          <TabsContent value="settings" className="space-y-8">
-            <div className="mb-8">
-              <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Settings</h2>
-              <p className="text-gray-600 mt-1">Configure your Headscale instance</p>
+          {/* Kept mounted so silences loaded by the Alerts view are not re-fetched on every visit */}
+          <TabsContent value="alerts" keepMounted className="space-y-8">
+            <div>
+              <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Alerts</h2>
+              <p className="text-gray-600 mt-1">Firing alerts from Alertmanager and the silences muting them</p>
             </div>
+            <AlertsView alerts={alerts} canWrite={canWrite} />
+          </TabsContent>
+
+          {canWrite && (
+            <TabsContent value="settings" className="space-y-8">
+              <div className="mb-8">
+                <h2 className="text-2xl lg:text-3xl font-bold text-gray-900">Settings</h2>
+                <p className="text-gray-600 mt-1">Configure your Headscale instance</p>
+              </div>
             
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 lg:gap-8">
-              <Card className="hover:shadow-lg transition-all duration-300">
-                <CardHeader>
-                  <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
-                    🔐 Authentication
-                  </CardTitle>
-                  <CardDescription className="text-base text-gray-600">
-                    Security and access configuration
-                  </CardDescription>
-                </CardHeader>
-                <CardContent className="space-y-6">
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <h4 className="font-semibold text-gray-900">OIDC Authentication</h4>
-                      <p className="text-sm text-gray-600 mt-1">Configure OpenID Connect for SSO</p>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 lg:gap-8">
+                <Card className="hover:shadow-lg transition-all duration-300">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                      🔐 Authentication
+                    </CardTitle>
+                    <CardDescription className="text-base text-gray-600">
+                      Security and access configuration
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-semibold text-gray-900">OIDC Authentication</h4>
+                        <p className="text-sm text-gray-600 mt-1">
+                          Signed in as <span className="font-semibold">{session.user.email}</span>
+                          {session.issuer && <> via <span className="font-mono">{session.issuer}</span></>}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">Admin access is granted to members of group:admins in the ACL policy</p>
+                      </div>
+                      <Button variant="outline" onClick={logout} className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200">
+                        Sign out
+                      </Button>
                     </div>
-                    <Button variant="outline" className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200">
-                      Configure
-                    </Button>
-                  </div>
                   
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <h4 className="font-semibold text-gray-900">API Access</h4>
-                      <p className="text-sm text-gray-600 mt-1">Manage API keys and permissions</p>
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-semibold text-gray-900">API Access</h4>
+                        <p className="text-sm text-gray-600 mt-1">Create, expire and revoke Headscale API keys</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200"
+                        onClick={() => router.push('/api-access')}
+                      >
+                        Manage
+                      </Button>
                     </div>
-                    <Button variant="outline" className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200">
-                      Manage
-                    </Button>
-                  </div>
-                </CardContent>
-              </Card>
+                  </CardContent>
+                </Card>
               
-              <Card className="hover:shadow-lg transition-all duration-300">
-                <CardHeader>
-                  <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
-                    💾 System
-                  </CardTitle>
-                  <CardDescription className="text-base text-gray-600">
-                    Backup and system maintenance
-                  </CardDescription>
-                </CardHeader>
-                <CardContent className="space-y-6">
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <h4 className="font-semibold text-gray-900">Backup & Restore</h4>
-                      <p className="text-sm text-gray-600 mt-1">Configure automated backups</p>
+                <Card className="hover:shadow-lg transition-all duration-300">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                      💾 System
+                    </CardTitle>
+                    <CardDescription className="text-base text-gray-600">
+                      Backup and system maintenance
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-semibold text-gray-900">Backup & Restore</h4>
+                        <p className="text-sm text-gray-600 mt-1">Snapshot, verify and restore the database and config</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200"
+                        onClick={() => router.push('/backups')}
+                      >
+                        Manage
+                      </Button>
                     </div>
-                    <Button variant="outline" className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200">
-                      Configure
-                    </Button>
-                  </div>
                   
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <h4 className="font-semibold text-gray-900">System Health</h4>
-                      <p className="text-sm text-gray-600 mt-1">Monitor system performance</p>
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-semibold text-gray-900">Hygiene Report</h4>
+                        <p className="text-sm text-gray-600 mt-1">Stale nodes, deleted owners, duplicate hostnames and expiring keys</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200"
+                        onClick={() => router.push('/hygiene')}
+                      >
+                        Review
+                      </Button>
                     </div>
-                    <Button variant="outline" className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200">
-                      View Details
-                    </Button>
-                  </div>
-                </CardContent>
-              </Card>
-            </div>
-          </TabsContent>
+
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-semibold text-gray-900">System Health</h4>
+                        <p className="text-sm text-gray-600 mt-1">Monitor system performance</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        className="w-full sm:w-auto font-semibold hover:scale-105 transition-transform duration-200"
+                        onClick={() => router.push('/health')}
+                      >
+                        View Details
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
+            </TabsContent>
+          )}
         </Tabs>
+
+        {canWrite && (
+          <AuthKeyWizard
+            open={keyWizardOpen}
+            onClose={() => setKeyWizardOpen(false)}
+            users={users.data || []}
+            tagOptions={tagOptions}
+            loginServer={publicConfig.data ? publicConfig.data.headscaleUrl : 'https://headscale.tailnet.work'}
+            onCreated={(key) => keys.mutate((list) => [...(list || []), key])}
+          />
+        )}
+        {canWrite && (
+          <AddNodeWizard
+            open={addNodeOpen}
+            onClose={() => setAddNodeOpen(false)}
+            users={users.data || []}
+            tagOptions={tagOptions}
+            loginServer={publicConfig.data ? publicConfig.data.headscaleUrl : 'https://headscale.tailnet.work'}
+            onKeyCreated={(key) => keys.mutate((list) => [...(list || []), key])}
+            onKeyRevoked={(key) => keys.mutate((list) => (list || []).filter((candidate) => candidate.id !== key.id))}
+            onJoined={() => nodes.refresh()}
+          />
+        )}
+        {canWrite && (
+          <AddUserDrawer
+            open={addUserOpen}
+            onClose={() => setAddUserOpen(false)}
+            users={users.data || []}
+            onCreated={(user) => users.mutate((list) => [...(list || []), user])}
+          />
+        )}
       </div>
     </div>
   );
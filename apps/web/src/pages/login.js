@@ -0,0 +1,50 @@
+import React, { useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { LogIn, Shield } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { ErrorAlert, PageLoader } from '@/components/ui/data-state';
+import { useSession } from '@/lib/session';
+
+function Login() {
+  const router = useRouter();
+  const { session, loading } = useSession();
+  const returnTo = typeof router.query.returnTo === 'string' ? router.query.returnTo : '/';
+  const error = typeof router.query.error === 'string' ? router.query.error : null;
+
+  useEffect(() => {
+    if (!loading && session) router.replace(returnTo);
+  }, [loading, session, returnTo, router]);
+
+  if (loading || session) return <PageLoader />;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50/30 flex items-center justify-center safe-padding-x">
+      <Card className="w-full max-w-md animate-slide-up">
+        <CardHeader className="text-center">
+          <div className="w-14 h-14 bg-gradient-to-br from-blue-600 to-purple-600 rounded-xl mx-auto mb-4 flex items-center justify-center">
+            <Shield className="w-7 h-7 text-white" />
+          </div>
+          <CardTitle className="text-2xl font-bold text-gray-900">Headscale Admin</CardTitle>
+          <CardDescription className="text-base text-gray-600">
+            Sign in with your organization account to continue
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && <ErrorAlert title="Sign-in failed" error={error} />}
+          <Button
+            className="w-full h-12 text-base font-semibold"
+            onClick={() => {
+              window.location.href = `/api/auth/login?returnTo=${encodeURIComponent(returnTo)}`;
+            }}
+          >
+            <LogIn className="mr-3 h-5 w-5" />
+            Sign in with SSO
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { MetricsView } from '@/components/metrics/metrics-view';
+
+export default function MetricsPage() {
+  return (
+    <PageShell title="Orchestrator Metrics" description="Config sync activity recorded by Prometheus.">
+      <MetricsView />
+    </PageShell>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { ConfigSync } from '@/components/sync/config-sync';
+import { useDrift, useSyncHistory } from '@/lib/hooks';
+import { isAdmin } from '@/lib/session';
+
+const SyncView = ({ session }) => {
+  const drift = useDrift();
+  const history = useSyncHistory();
+  return <ConfigSync drift={drift} history={history} canWrite={isAdmin(session)} />;
+};
+
+export default function SyncPage() {
+  return (
+    <PageShell title="Config Sync" description="Keep Headscale in line with the users, routes and ACL policy in the config repository.">
+      {(session) => <SyncView session={session} />}
+    </PageShell>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { TagsView } from '@/components/tags/tags-view';
+import { useACL, useNodes } from '@/lib/hooks';
+import { useQueryState } from '@/lib/use-query-state';
+import { parseTagsQuery, serializeTagsQuery } from '@/lib/tags';
+import { isAdmin } from '@/lib/session';
+
+const Tags = ({ session }) => {
+  const [filters, setFilters] = useQueryState(parseTagsQuery, serializeTagsQuery);
+  const acl = useACL();
+  const nodes = useNodes();
+  return <TagsView acl={acl} nodes={nodes} filters={filters} setFilters={setFilters} canWrite={isAdmin(session)} />;
+};
+
+export default function TagsPage() {
+  return (
+    <PageShell title="Tags" description="Who owns each tag, which nodes carry it and which rules give it meaning.">
+      {(session) => <Tags session={session} />}
+    </PageShell>
+  );
+}
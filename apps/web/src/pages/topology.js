@@ -0,0 +1,43 @@
+import React from 'react';
+import { PageShell } from '@/components/layout/page-shell';
+import { TopologyGraph } from '@/components/topology/topology-graph';
+import { LoadingState, ErrorAlert } from '@/components/ui/data-state';
+import { useACL, useNodes, useRoutes, useUsers } from '@/lib/hooks';
+
+const Topology = () => {
+  const users = useUsers();
+  const nodes = useNodes();
+  const routes = useRoutes();
+  const acl = useACL();
+
+  const error = users.error || nodes.error;
+  if (error && !(users.data && nodes.data)) {
+    return (
+      <ErrorAlert
+        title="Failed to load the tailnet"
+        error={error}
+        onRetry={() => {
+          users.refresh();
+          nodes.refresh();
+        }}
+      />
+    );
+  }
+  if (!users.data || !nodes.data || (!routes.data && !routes.error)) return <LoadingState label="Loading the tailnet..." />;
+
+  // Routes and the policy only add detail, so the graph still renders without them
+  return (
+    <div className="space-y-4">
+      {routes.error && <ErrorAlert title="Routes could not be loaded; the graph shows users and nodes only" error={routes.error} onRetry={routes.refresh} />}
+      <TopologyGraph users={users.data} nodes={nodes.data} routes={routes.data || []} policy={acl.data || null} />
+    </div>
+  );
+};
+
+export default function TopologyPage() {
+  return (
+    <PageShell title="Topology" description="How users, nodes, tags and advertised routes fit together.">
+      <Topology />
+    </PageShell>
+  );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import { PageShell } from '@/components/layout/page-shell';
+import { UserDetail } from '@/components/users/user-detail';
+import { PageLoader } from '@/components/ui/data-state';
+import { useACL, useKeys, useNodes, useUsers } from '@/lib/hooks';
+import { isAdmin } from '@/lib/session';
+
+const User = ({ name, session }) => {
+  const users = useUsers();
+  const nodes = useNodes();
+  const keys = useKeys();
+  const acl = useACL();
+  return <UserDetail name={name} users={users} nodes={nodes} keys={keys} acl={acl} canWrite={isAdmin(session)} />;
+};
+
+export default function UserPage() {
+  const router = useRouter();
+  if (!router.isReady) return <PageLoader />;
+  const name = String(router.query.name);
+
+  return (
+    <PageShell title={name} description="Devices, pre-auth keys, ACL groups and effective access">
+      {(session) => <User key={name} name={name} session={session} />}
+    </PageShell>
+  );
+}